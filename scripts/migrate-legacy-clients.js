@@ -0,0 +1,175 @@
+// scripts/migrate-legacy-clients.js
+// Migra os clientes do modelo antigo (uma tabela de fila "<slug>" e uma de
+// histórico "<slug>_totais" por cliente, no schema public ou archive) para
+// as tabelas compartilhadas clients, contacts, queue_entries e send_history.
+//
+//   node scripts/migrate-legacy-clients.js            migra e move as tabelas
+//                                                     antigas para o schema legacy
+//   node scripts/migrate-legacy-clients.js --drop     migra e apaga as tabelas antigas
+//   node scripts/migrate-legacy-clients.js --dry-run  apenas lista o que seria migrado
+//
+// Cada cliente é migrado em uma transação própria. Como as tabelas antigas
+// saem de public/archive ao final, o script pode ser executado de novo sem
+// duplicar dados.
+require('dotenv').config();
+
+const { pool } = require('../src/config');
+const { assertSchemaUpToDate } = require('../src/db/migrate');
+const { withTransaction } = require('../src/db/clients');
+
+const LEGACY_SCHEMA = 'legacy';
+
+/**
+ * Localiza os pares "<slug>" / "<slug>_totais" nos schemas public e archive.
+ *
+ * @returns {Promise<{schema: string, slug: string}[]>}
+ */
+async function findLegacyClients() {
+  const { rows } = await pool.query(`
+    SELECT t.table_schema AS schema, left(t.table_name, -7) AS slug
+      FROM information_schema.tables t
+     WHERE t.table_schema IN ('public', 'archive')
+       AND t.table_type = 'BASE TABLE'
+       AND t.table_name LIKE '%\\_totais'
+       AND EXISTS (
+             SELECT 1 FROM information_schema.tables q
+              WHERE q.table_schema = t.table_schema
+                AND q.table_name = left(t.table_name, -7)
+           )
+     ORDER BY 2;`);
+  return rows.filter((r) => /^[a-z0-9_]{1,64}$/.test(r.slug));
+}
+
+/**
+ * Copia os dados de um cliente antigo para as tabelas compartilhadas e
+ * retira as tabelas antigas do caminho.
+ *
+ * @param {{schema: string, slug: string}} legacy
+ * @param {{drop: boolean}} opts
+ * @returns {Promise<{contacts: number, queued: number, sent: number}>}
+ */
+async function migrateClient({ schema, slug }, { drop }) {
+  const queue  = `"${schema}"."${slug}"`;
+  const totais = `"${schema}"."${slug}_totais"`;
+
+  return withTransaction(async (conn) => {
+    // Clientes vindos do schema archive continuam arquivados
+    const cs = await conn.query('SELECT deleted_at FROM client_settings WHERE slug = $1;', [slug]);
+    const deletedAt = schema === 'archive' ? (cs.rows[0]?.deleted_at || new Date()) : null;
+
+    await conn.query(
+      `INSERT INTO clients (slug, deleted_at) VALUES ($1, $2)
+       ON CONFLICT (slug) DO NOTHING;`,
+      [slug, deletedAt]
+    );
+    const { rows: [{ id: clientId }] } = await conn.query('SELECT id FROM clients WHERE slug = $1;', [slug]);
+    if (!cs.rowCount) {
+      await conn.query(
+        `INSERT INTO client_settings (slug, loop_status, last_run_at, deleted_at) VALUES ($1, 'idle', NOW(), $2);`,
+        [slug, deletedAt]
+      );
+    }
+
+    // Histórico: to_jsonb tolera tabelas antigas sem as colunas niche/region
+    const hist = await conn.query(`
+      INSERT INTO contacts (client_id, name, phone, niche, region, mensagem_enviada, sent_at, updated_at)
+      SELECT $1, j->>'name', j->>'phone', j->>'niche', j->>'region',
+             COALESCE((j->>'mensagem_enviada')::boolean, false),
+             CASE WHEN (j->>'mensagem_enviada')::boolean THEN (j->>'updated_at')::timestamptz END,
+             COALESCE((j->>'updated_at')::timestamptz, NOW())
+        FROM (
+          SELECT DISTINCT ON (j->>'phone') j
+            FROM (SELECT to_jsonb(t) AS j FROM ${totais} t) s
+           WHERE COALESCE(j->>'phone', '') <> ''
+           ORDER BY j->>'phone', COALESCE((j->>'mensagem_enviada')::boolean, false) DESC, j->>'updated_at' DESC NULLS LAST
+        ) d
+      ON CONFLICT (client_id, phone) DO UPDATE
+         SET mensagem_enviada = contacts.mensagem_enviada OR EXCLUDED.mensagem_enviada,
+             sent_at = COALESCE(contacts.sent_at, EXCLUDED.sent_at),
+             niche = COALESCE(contacts.niche, EXCLUDED.niche),
+             region = COALESCE(contacts.region, EXCLUDED.region);`,
+      [clientId]
+    );
+
+    // Fila: contatos que só existiam na fila ganham registro em contacts
+    await conn.query(`
+      INSERT INTO contacts (client_id, name, phone, niche, region)
+      SELECT DISTINCT ON (j->>'phone') $1, COALESCE(j->>'name', j->>'phone'), j->>'phone', j->>'niche', j->>'region'
+        FROM (SELECT to_jsonb(q) AS j FROM ${queue} q) s
+       WHERE COALESCE(j->>'phone', '') <> ''
+       ORDER BY j->>'phone'
+      ON CONFLICT (client_id, phone) DO UPDATE
+         SET niche = COALESCE(contacts.niche, EXCLUDED.niche),
+             region = COALESCE(contacts.region, EXCLUDED.region);`,
+      [clientId]
+    );
+    const queued = await conn.query(`
+      INSERT INTO queue_entries (client_id, contact_id)
+      SELECT $1, c.id
+        FROM contacts c
+       WHERE c.client_id = $1
+         AND c.mensagem_enviada = false
+         AND c.phone IN (SELECT to_jsonb(q)->>'phone' FROM ${queue} q)
+      ON CONFLICT (contact_id) DO NOTHING;`,
+      [clientId]
+    );
+
+    const sent = await conn.query(`
+      INSERT INTO send_history (client_id, contact_id, status, source, created_at)
+      SELECT $1, c.id, 'sent', 'legacy', COALESCE(c.sent_at, c.updated_at)
+        FROM contacts c
+       WHERE c.client_id = $1
+         AND c.mensagem_enviada = true
+         AND NOT EXISTS (SELECT 1 FROM send_history h WHERE h.contact_id = c.id AND h.status = 'sent');`,
+      [clientId]
+    );
+
+    if (drop) {
+      await conn.query(`DROP TABLE ${queue}; DROP TABLE ${totais};`);
+    } else {
+      const { rows: [clash] } = await conn.query(
+        'SELECT to_regclass($1) AS q, to_regclass($2) AS t;',
+        [`"${LEGACY_SCHEMA}"."${slug}"`, `"${LEGACY_SCHEMA}"."${slug}_totais"`]
+      );
+      if (clash.q || clash.t) throw new Error(`Já existem tabelas de ${slug} no schema ${LEGACY_SCHEMA}`);
+      await conn.query(`ALTER TABLE ${queue} SET SCHEMA ${LEGACY_SCHEMA}; ALTER TABLE ${totais} SET SCHEMA ${LEGACY_SCHEMA};`);
+    }
+
+    return { contacts: hist.rowCount, queued: queued.rowCount, sent: sent.rowCount };
+  });
+}
+
+async function main() {
+  const drop   = process.argv.includes('--drop');
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await assertSchemaUpToDate();
+    if (!drop && !dryRun) await pool.query(`CREATE SCHEMA IF NOT EXISTS ${LEGACY_SCHEMA};`);
+
+    const legacy = await findLegacyClients();
+    if (!legacy.length) {
+      console.log('Nenhum cliente no formato antigo encontrado.');
+      return;
+    }
+
+    for (const item of legacy) {
+      const label = `${item.schema}.${item.slug}`;
+      if (dryRun) { console.log(`- ${label}`); continue; }
+      try {
+        const r = await migrateClient(item, { drop });
+        console.log(`✓ ${label}: ${r.contacts} contatos do histórico, ${r.queued} na fila, ${r.sent} envios`);
+      } catch (err) {
+        console.error(`✗ ${label}: ${err.message}`);
+        process.exitCode = 1;
+      }
+    }
+  } catch (err) {
+    console.error('✗ Erro:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,97 @@
+// scripts/migrate.js
+// Linha de comando das migrações versionadas (src/db/migrate.js).
+//
+//   node scripts/migrate.js up [versão]    aplica as pendentes (até a versão)
+//   node scripts/migrate.js down [n]       reverte as n últimas (padrão 1)
+//   node scripts/migrate.js status         lista aplicadas e pendentes
+//   node scripts/migrate.js create <nome>  cria src/db/migrations/NNN_<nome>.js
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../src/config');
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+} = require('../src/db/migrate');
+
+const TEMPLATE = (file, title) => `/*
+ * src/db/migrations/${file}
+ *
+ * ${title}
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(\`
+\`);
+  },
+
+  async down(db) {
+    await db.query(\`
+\`);
+  },
+};
+`;
+
+function createMigration(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    console.error('Uso: node scripts/migrate.js create <nome>');
+    process.exitCode = 2;
+    return;
+  }
+  const last = loadMigrations().pop();
+  const version = String((last?.version || 0) + 1).padStart(3, '0');
+  const file = `${version}_${slug}.js`;
+  fs.writeFileSync(path.join(MIGRATIONS_DIR, file), TEMPLATE(file, `Migração ${version}: ${slug.replace(/_/g, ' ')}.`));
+  console.log(`✓ Criada src/db/migrations/${file}`);
+}
+
+async function main() {
+  const [cmd = 'up', arg] = process.argv.slice(2);
+
+  if (cmd === 'create') return createMigration(arg);
+  if (!['up', 'down', 'status'].includes(cmd)) {
+    console.error('Uso: node scripts/migrate.js <up [versão]|down [n]|status|create <nome>>');
+    process.exitCode = 2;
+    return;
+  }
+
+  try {
+    if (cmd === 'status') {
+      const { items, missing } = await migrationStatus();
+      for (const m of items) {
+        const when = m.appliedAt ? new Date(m.appliedAt).toISOString() : '';
+        console.log(`${m.applied ? '✓' : '·'} ${String(m.version).padStart(3, '0')}_${m.name} ${m.applied ? when : '(pendente)'}`);
+      }
+      for (const m of missing) console.warn(`? ${m.version}_${m.name} aplicada, mas o arquivo não existe`);
+      const pending = items.filter((m) => !m.applied).length;
+      console.log(pending ? `\n${pending} migração(ões) pendente(s).` : '\nEsquema atualizado.');
+      return;
+    }
+
+    if (cmd === 'up') {
+      const to = arg != null ? parseInt(arg, 10) : undefined;
+      const done = await migrateUp({ to: Number.isFinite(to) ? to : undefined });
+      for (const m of done) console.log(`✓ Aplicada ${m.version}_${m.name}`);
+      if (!done.length) console.log('Nenhuma migração pendente.');
+      return;
+    }
+
+    const steps = arg != null ? parseInt(arg, 10) : 1;
+    const done = await migrateDown({ steps: Number.isFinite(steps) ? steps : 1 });
+    for (const m of done) console.log(`✓ Revertida ${m.version}_${m.name}`);
+    if (!done.length) console.log('Nenhuma migração aplicada.');
+  } catch (err) {
+    console.error('✗ Erro:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
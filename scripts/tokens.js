@@ -0,0 +1,41 @@
+// scripts/tokens.js
+// Manutenção dos instance_token cifrados em client_settings.
+//
+//   node scripts/tokens.js encrypt   cifra os tokens ainda em texto puro
+//   node scripts/tokens.js rotate    idem, e recifra com TOKEN_ENCRYPTION_KEY
+//                                    os tokens cifrados com chaves antigas
+//
+// Para rotacionar: mova a chave atual para TOKEN_ENCRYPTION_KEYS_OLD, defina
+// a nova em TOKEN_ENCRYPTION_KEY e execute "rotate". Depois que nenhum
+// registro falhar, a chave antiga pode ser removida do ambiente.
+require('dotenv').config();
+
+const { pool } = require('../src/config');
+const { reencryptInstanceTokens } = require('../src/db/settings');
+
+async function main() {
+  const cmd = process.argv[2];
+  if (!['encrypt', 'rotate'].includes(cmd)) {
+    console.error('Uso: node scripts/tokens.js <encrypt|rotate>');
+    process.exit(2);
+  }
+
+  try {
+    const r = await reencryptInstanceTokens({ rotate: cmd === 'rotate' });
+    console.log(`Tokens analisados: ${r.total}`);
+    console.log(`✓ Cifrados (texto puro): ${r.encrypted}`);
+    if (cmd === 'rotate') console.log(`✓ Recifrados com a nova chave: ${r.rotated}`);
+    console.log(`- Sem alteração: ${r.unchanged}`);
+    if (r.failed.length) {
+      console.error(`✗ Falhas: ${r.failed.join(', ')}`);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('✗ Erro:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -18,42 +18,186 @@ const app = express();
 // Funções de IA e UAZAPI extraídas para um serviço dedicado
 const {
   runIAForContact,
+  previewUazSend,
   normalizePhoneE164BR,
   fillTemplate,
   normalizeNiche,
 } = require('./src/services/ia');
 // Utilitários de CSV (detecção de delimitador, parse e mapeamento de cabeçalhos)
-const { detectDelimiter, parseCSV, mapHeader } = require('./src/utils/csv');
+const { detectDelimiter, parseCSV, mapHeader, extraColumns } = require('./src/utils/csv');
 // Utilitários de texto (tokens, normalização de linhas e transcripts)
 const { approxTokens, normalizeLine, toTranscriptLine } = require('./src/utils/text');
+// Criptografia de segredos (instance_token em repouso)
+const { SECRET_MASK, decryptSecret, currentKeyId, plaintextAllowed } = require('./src/utils/secrets');
 // Geração de PDF simples
 const { generatePdfBuffer } = require('./src/utils/pdf');
 // Cálculo de horários e distribuição de mensagens
-const { hmsToSeconds, generateScheduleDelays } = require('./src/utils/schedule');
+const {
+  localDateKey,
+  normalizeSendWindows,
+  normalizeExcludedDates,
+  isValidTimeZone,
+  isValidDateKey,
+  addDays,
+  addBusinessDays,
+  zonedTimeToDate,
+  resolveSendConfig,
+  generateSendPlan,
+  describeSendDay,
+} = require('./src/utils/schedule');
+// Feriados nacionais e bloqueios de envio por cliente
+const { brazilianHolidays } = require('./src/utils/holidays');
+const { listBlackouts, createBlackout, deleteBlackout } = require('./src/db/blackouts');
+const { loadSendConfig, blackoutToday } = require('./src/services/calendar');
+// Sequências de mensagens (etapas de acompanhamento)
+const {
+  normalizeSequenceSteps,
+  getSequenceSteps,
+  replaceSequenceSteps,
+  countContactSequences,
+  listContactSequences,
+  stopContactSequence,
+  countDueFollowUps,
+} = require('./src/db/sequences');
+// Webhook da UAZAPI (mensagens, confirmações e conexão recebidas)
+const {
+  systemNameFromInstanceUrl,
+  verifyWebhookSecret,
+  getWebhookEmitter,
+  ingestWebhook,
+  listenWebhookEvents,
+} = require('./src/services/webhooks');
+const { listWebhookEvents, pruneWebhookEvents } = require('./src/db/webhookEvents');
+const { extractSentMessageId } = require('./src/utils/uazapiEvents');
+// Confirmações de entrega e leitura das mensagens enviadas
+const { getDeliveryStats } = require('./src/db/receipts');
+// Teste A/B das variantes de template da mensagem inicial
+const { normalizeVariants, listVariants, replaceVariants, getVariantStats } = require('./src/db/experiments');
+const { MIN_SAMPLE, pickVariant, compareToControl } = require('./src/utils/experiments');
+// Abertura personalizada por IA da mensagem inicial (com custo por dia)
+const { generateOpener } = require('./src/services/aiOpener');
+const { getOpenerUsage } = require('./src/db/aiOpeners');
+// Anexos das mensagens (imagem, vídeo, áudio ou documento)
+const { validateAttachment, normalizeAttachmentId } = require('./src/utils/attachments');
+const {
+  listAttachments,
+  getAttachment,
+  findForeignAttachmentIds,
+  createAttachment,
+  deleteAttachment,
+} = require('./src/db/attachments');
+// Botões e listas nas mensagens e os cliques recebidos
+const { normalizeInteractive } = require('./src/utils/interactive');
+const { getInteractiveReplies } = require('./src/db/interactive');
+// Falhas de envio classificadas, novas tentativas e reenfileiramento
+const { CATEGORIES: FAILURE_CATEGORIES, classifySendFailure } = require('./src/utils/sendErrors');
+const { hasPendingRetries, listFailures, requeueFailures } = require('./src/db/failures');
+// Detecção de respostas (contatos que responderam não recebem mais envios)
+const { markReplied } = require('./src/db/replies');
+const { checkRepliesForClient, runReplyChecks } = require('./src/services/replies');
+// Agenda (cron) do loop automático
+const { parseCron } = require('./src/utils/cron');
+const { resolveAutoRunCron, dueAutoRun, isAutoRunPaused, upcomingAutoRuns } = require('./src/services/autoRun');
 // Acesso a configurações de clientes no banco
 const {
-  ensureSettingsTable,
   getClientSettings,
   saveClientSettings,
+  setAutoRunPause,
+  listAutoRunSettings,
+  claimAutoRun,
 } = require('./src/db/settings');
-// Gestão de progresso de importações e loops
+// Progresso de loops por cliente (SSE entre réplicas + log persistido)
 const {
   getEmitter,
-  snapshotStart,
-  snapshotPush,
-  snapshotEnd,
-} = require('./src/utils/progress');
-// Funções SQL do banco de dados
-const { ensureSQLFunctions } = require('./src/db/functions');
+  publishProgress,
+  progressHistory,
+  listenProgress,
+} = require('./src/services/progress');
+const { pruneProgressEvents } = require('./src/db/progressLog');
+// Execuções persistidas do loop de envio (retomadas no boot)
+const {
+  createRun,
+  getActiveRun,
+  listActiveRuns,
+  listPendingJobs,
+  replanPendingJobs,
+  claimJob,
+  peekNextContacts,
+  completeJob,
+  skipJob,
+  cancelPendingJobs,
+  finishRun,
+  recoverInterruptedJobs,
+} = require('./src/db/sendJobs');
+// Exclusão mútua do loop entre réplicas (lease + parada via NOTIFY)
+const { acquireLoopLock, requestLoopStop, isLoopActive, listenLoopStops } = require('./src/services/loopLock');
+const { listLeasedSlugs } = require('./src/db/loopLeases');
+// Migrações versionadas do esquema (verificadas no boot)
+const { assertSchemaUpToDate } = require('./src/db/migrate');
+// Campos e análise dos templates de mensagem
+const {
+  TEMPLATE_FIELDS,
+  customFieldKey,
+  validateTemplate,
+  analyzeTemplate,
+  renderedWarnings,
+} = require('./src/utils/templates');
+// Esquema normalizado de clientes, contatos, fila e histórico de envios
+const {
+  clientExists,
+  createClient,
+  listActiveClients,
+  countQueue,
+  countSentToday,
+  listSentToday,
+  getClientStats,
+  listQueue,
+  findSampleContact,
+  listCustomFieldKeys,
+  setContactFields,
+  listContacts,
+  removeFromQueue,
+  renameClient,
+} = require('./src/db/clients');
+// Autenticação de operadores (senhas, tokens de sessão e chaves de API)
+const {
+  login,
+  issueToken,
+  hashPassword,
+  ensureAuthBootstrap,
+  requireAuth,
+  requireRole,
+  authorizeClient,
+} = require('./src/services/auth');
+const {
+  ROLES,
+  createOperator,
+  listOperators,
+  updateOperator,
+  setOperatorClients,
+  addOperatorClient,
+  listOperatorSlugs,
+  listApiKeys,
+  revokeApiKey,
+} = require('./src/db/auth');
+// Trilha de auditoria das ações administrativas
+const { listAuditEntries } = require('./src/db/audit');
+const { audit } = require('./src/services/audit');
+// Exclusão reversível (arquivo) de clientes
+const {
+  isArchived,
+  archiveClient,
+  restoreClient,
+  listArchivedClients,
+  purgeExpiredArchives,
+} = require('./src/db/archive');
 // Estado global e parâmetros padrão
 const {
   runningClients,
   progressEmitters,
-  progressStates,
   stopRequests,
+  leaseLost,
   DAILY_MESSAGE_COUNT,
-  DAILY_START_TIME,
-  DAILY_END_TIME,
   ANALYSIS_MODEL,
   ANALYSIS_MAX_CHATS,
   ANALYSIS_PER_CHAT_LIMIT,
@@ -63,12 +207,25 @@ const {
   SYSTEM_PROMPT_OVERRIDE,
   uaz,
   UAZAPI_ADMIN_TOKEN,
+  ARCHIVE_RETENTION_DAYS,
+  LOOP_LEASE_TTL_SECONDS,
+  PROGRESS_LOG_RETENTION_DAYS,
+  REPLY_CHECK_INTERVAL_MINUTES,
+  WEBHOOK_EVENT_RETENTION_DAYS,
+  attachmentUpload,
+  AI_OPENER_MODEL,
+  AI_OPENER_DAILY_BUDGET_USD,
+  UAZAPI_WEBHOOK_SECRET,
+  TRUST_PROXY_HOPS,
 } = require('./src/config');
 
-// Garante que a tabela client_settings exista (importado de src/db/settings.js)
-ensureSettingsTable().catch((e) => console.error('ensureSettingsTable', e));
-// Garante que as funções SQL necessárias existam (importado de src/db/functions.js)
-ensureSQLFunctions().catch((e) => console.error('ensureSQLFunctions', e));
+// req.ip considera apenas os saltos de X-Forwarded-For dos proxies
+// conhecidos; o restante do cabeçalho é controlado pelo cliente.
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
+// O esquema do banco é mantido pelas migrações em src/db/migrations
+// (npm run migrate). O boot, no fim deste arquivo, só verifica se não há
+// migrações pendentes antes de abrir a porta.
 
 // ==== Helpers reutilizáveis ====
 // Importa funções utilitárias (extractChatId, pickArrayList, etc.) do novo módulo utils/helpers.
@@ -185,6 +342,7 @@ function resolveInstanceToken(id) {
 
 /* ======================  Janela e cota diária  ====================== */
 // As constantes DAILY_MESSAGE_COUNT, DAILY_START_TIME, DAILY_END_TIME,
+// DEFAULT_TIMEZONE,
 // assim como ANALYSIS_MODEL, ANALYSIS_MAX_CHATS, ANALYSIS_PER_CHAT_LIMIT,
 // ANALYSIS_INPUT_BUDGET, ANALYSIS_OUTPUT_BUDGET, DEFAULT_SYSTEM_PROMPT e
 // SYSTEM_PROMPT_OVERRIDE agora são definidos em src/config.js e
@@ -204,9 +362,8 @@ const { appendLog } = require('./utils/logger');
 // As funções approxTokens, normalizeLine e toTranscriptLine foram movidas
 // para src/utils/text.js. Importe-as no início do arquivo.
 
-// As funções hmsToSeconds e generateScheduleDelays foram movidas para
-// src/utils/schedule.js. Importe-as no início do arquivo para
-// calcular atrasos de envio ao longo de uma janela de tempo.
+// O cálculo das janelas de envio (fuso, janelas por dia da semana, datas
+// excluídas) e o sorteio dos horários ficam em src/utils/schedule.js.
 
 /* ======================  CORS  ====================== */
 app.use((req, res, next) => {
@@ -226,11 +383,11 @@ app.use((req, res, next) => {
   }
 
   res.setHeader('Vary', 'Origin, Access-Control-Request-Headers');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
   res.setHeader(
     'Access-Control-Allow-Headers',
     req.headers['access-control-request-headers'] ||
-      'Content-Type, Authorization, token, Range, X-Requested-With'
+      'Content-Type, Authorization, X-API-Key, token, Range, X-Requested-With'
   );
   res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length');
 
@@ -275,6 +432,22 @@ const COMPAT_ENDPOINTS = new Set([
   'loop-state',
   'sent-today',
 ]);
+
+/* ======================  Autenticação  ====================== */
+// Montado antes da reescrita de compatibilidade para que tanto /api/* quanto
+// os caminhos legados sem prefixo exijam token. Apenas o healthcheck e o
+// login ficam abertos.
+app.use(requireAuth({
+  compatEndpoints: COMPAT_ENDPOINTS,
+  // O webhook da UAZAPI se autentica pelo segredo compartilhado
+  publicPaths: ['/api/healthz', '/api/auth/login', '/api/webhooks/uazapi/'],
+}));
+
+// Autorização por cliente: leitura exige vínculo com o slug (ou papel admin);
+// escrita também recusa o papel viewer. Ver src/services/auth.js.
+const canRead  = authorizeClient();
+const canWrite = authorizeClient({ write: true });
+
 app.use((req, _res, next) => {
   const seg = (req.path || '').replace(/^\/+/, '').split('/')[0];
   if (seg && COMPAT_ENDPOINTS.has(seg) && !req.path.startsWith('/api/')) {
@@ -300,16 +473,14 @@ function makeReqId() {
 }
 
 /* ======================  Estado e SSE por cliente  ====================== */
-// A partir desta versão, o estado e as funções de SSE foram extraídos para
-// os módulos src/config.js (que fornece os conjuntos/mapas compartilhados)
-// e src/utils/progress.js (que implementa getEmitter, snapshotStart,
-// snapshotPush e snapshotEnd). Consulte esses arquivos para a
-// implementação.
+// O estado compartilhado fica em src/config.js e os eventos de progresso
+// em src/services/progress.js (getEmitter, publishProgress e
+// progressHistory), que grava cada evento em progress_events e o
+// distribui às demais réplicas via NOTIFY.
 
 /* ======================  Tabela de settings por cliente  ====================== */
-// As funções ensureSettingsTable, getClientSettings e saveClientSettings foram
-// extraídas para src/db/settings.js. Chame ensureSettingsTable() após
-// importar este módulo para garantir a criação da tabela.
+// As funções getClientSettings e saveClientSettings foram extraídas para
+// src/db/settings.js. A tabela é criada pelas migrações (src/db/migrations).
 
 /* ======================  IA (UAZAPI) ====================== */
 /* ======================  IA (UAZAPI) ====================== */
@@ -318,10 +489,6 @@ function makeReqId() {
 // Utilize runIAForContact() importada no início deste arquivo.
 
 /* ======================  Helpers  ====================== */
-async function tableExists(tableName) {
-  const { rows } = await pool.query('SELECT to_regclass($1) AS reg;', [`public.${tableName}`]);
-  return !!rows[0].reg;
-}
 // As funções norm, detectDelimiter, parseCSV e mapHeader foram movidas para
 // src/utils/csv.js. Importe-as do módulo correspondente.
 
@@ -329,41 +496,204 @@ async function tableExists(tableName) {
 // Carrega o serviço de busca de leads a partir de services/leadsSearcher
 const { searchLeads } = require('./services/leadsSearcher');
 
-async function ensureRegionColumns(slug) {
-  try { await pool.query(`ALTER TABLE "${slug}" ADD COLUMN IF NOT EXISTS region TEXT;`); }
-  catch (e) { console.warn('ensureRegionColumns fila', slug, e?.message); }
-  try { await pool.query(`ALTER TABLE "${slug}_totais" ADD COLUMN IF NOT EXISTS region TEXT;`); }
-  catch (e) { console.warn('ensureRegionColumns totais', slug, e?.message); }
-}
-
 /* ======================  Endpoints ====================== */
 
 // Healthcheck
 app.get('/api/healthz', (_req, res) => res.json({ up: true }));
 
+/* ========== Autenticação: login, sessão e chaves de API ========== */
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: 'username e password são obrigatórios' });
+
+  try {
+    const result = await login(String(username), String(password));
+    if (!result) return res.status(401).json({ error: 'Usuário ou senha inválidos' });
+    if (result.disabled) return res.status(403).json({ error: 'Operador desativado' });
+    res.json({ token: result.token, expiresAt: result.expiresAt, operator: result.operator });
+  } catch (err) {
+    console.error('Erro em /api/auth/login', err);
+    res.status(500).json({ error: 'Erro interno no login' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await revokeApiKey(req.auth.operatorId, req.auth.keyId);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Erro em /api/auth/logout', err);
+    res.status(500).json({ error: 'Erro interno no logout' });
+  }
+});
+
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const clients = req.auth.role === 'admin' ? null : await listOperatorSlugs(req.auth.operatorId);
+    res.json({ id: req.auth.operatorId, username: req.auth.username, role: req.auth.role, via: req.auth.kind, clients });
+  } catch (err) {
+    console.error('Erro em /api/auth/me', err);
+    res.status(500).json({ error: 'Erro interno' });
+  }
+});
+
+app.get('/api/auth/keys', async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.auth.operatorId);
+    res.json({ keys });
+  } catch (err) {
+    console.error('Erro em GET /api/auth/keys', err);
+    res.status(500).json({ error: 'Erro interno ao listar chaves' });
+  }
+});
+
+// Cria uma chave de API permanente. O token só é devolvido nesta resposta.
+app.post('/api/auth/keys', async (req, res) => {
+  const name = (req.body?.name || '').toString().trim().slice(0, 100) || null;
+  try {
+    const { token, key } = await issueToken(req.auth.operatorId, { kind: 'api', name });
+    await audit(req, 'apikey.create', { after: { id: key.id, name: key.name, prefix: key.key_prefix } });
+    res.status(201).json({ token, key });
+  } catch (err) {
+    console.error('Erro em POST /api/auth/keys', err);
+    res.status(500).json({ error: 'Erro interno ao criar chave' });
+  }
+});
+
+app.delete('/api/auth/keys/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'id inválido' });
+  try {
+    const ok = await revokeApiKey(req.auth.operatorId, id);
+    if (!ok) return res.status(404).json({ error: 'Chave não encontrada' });
+    await audit(req, 'apikey.revoke', { before: { id } });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Erro em DELETE /api/auth/keys', err);
+    res.status(500).json({ error: 'Erro interno ao revogar chave' });
+  }
+});
+
+/* ========== Operadores, papéis e vínculos com clientes (admin) ========== */
+app.get('/api/auth/operators', requireRole('admin'), async (_req, res) => {
+  try {
+    res.json({ operators: await listOperators() });
+  } catch (err) {
+    console.error('Erro em GET /api/auth/operators', err);
+    res.status(500).json({ error: 'Erro interno ao listar operadores' });
+  }
+});
+
+// Cadastra um novo operador
+app.post('/api/auth/operators', requireRole('admin'), async (req, res) => {
+  const username = (req.body?.username || '').toString().trim();
+  const password = (req.body?.password || '').toString();
+  const role     = (req.body?.role || 'operator').toString();
+  if (!/^[A-Za-z0-9_.@-]{3,64}$/.test(username)) return res.status(400).json({ error: 'username inválido' });
+  if (password.length < 8) return res.status(400).json({ error: 'A senha deve ter ao menos 8 caracteres' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role deve ser um de: ${ROLES.join(', ')}` });
+
+  try {
+    const op = await createOperator(username, await hashPassword(password), role);
+    await audit(req, 'operator.create', { after: { id: op.id, username: op.username, role: op.role } });
+    res.status(201).json({ operator: op });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'Operador já existe' });
+    console.error('Erro em /api/auth/operators', err);
+    res.status(500).json({ error: 'Erro interno ao criar operador' });
+  }
+});
+
+// Altera papel e/ou ativa/desativa um operador
+app.post('/api/auth/operators/:id', requireRole('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'id inválido' });
+  const { role, active } = req.body || {};
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `role deve ser um de: ${ROLES.join(', ')}` });
+  }
+  if (id === req.auth.operatorId && ((role && role !== 'admin') || active === false)) {
+    return res.status(400).json({ error: 'Não é possível rebaixar ou desativar a própria conta' });
+  }
+
+  try {
+    const op = await updateOperator(id, { role, active: typeof active === 'boolean' ? active : undefined });
+    if (!op) return res.status(404).json({ error: 'Operador não encontrado' });
+    await audit(req, 'operator.update', { after: { id: op.id, username: op.username, role: op.role, active: op.active } });
+    res.json({ operator: op });
+  } catch (err) {
+    console.error('Erro em POST /api/auth/operators/:id', err);
+    res.status(500).json({ error: 'Erro interno ao atualizar operador' });
+  }
+});
+
+// Define a lista completa de clientes (slugs) que o operador pode acessar
+app.post('/api/auth/operators/:id/clients', requireRole('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'id inválido' });
+  const slugs = Array.isArray(req.body?.clients) ? req.body.clients.map(String) : null;
+  if (!slugs || slugs.some((s) => !validateSlug(s))) {
+    return res.status(400).json({ error: 'clients deve ser uma lista de slugs válidos' });
+  }
+
+  try {
+    const before = await listOperatorSlugs(id);
+    await setOperatorClients(id, Array.from(new Set(slugs)));
+    const after = await listOperatorSlugs(id);
+    await audit(req, 'operator.clients', { before: { id, clients: before }, after: { id, clients: after } });
+    res.json({ ok: true, clients: after });
+  } catch (err) {
+    if (err.code === '23503') return res.status(404).json({ error: 'Operador não encontrado' });
+    console.error('Erro em POST /api/auth/operators/:id/clients', err);
+    res.status(500).json({ error: 'Erro interno ao vincular clientes' });
+  }
+});
+
+/* ========== Trilha de auditoria ========== */
+// Filtros: slug, action (aceita prefixo com "*", ex.: client.*), actor,
+// from/to (ISO ou YYYY-MM-DD), limit/offset. Fora o admin, o operador só vê
+// registros dos clientes vinculados a ele.
+app.get('/api/audit', authorizeClient({ pick: (req) => req.query?.slug }), async (req, res) => {
+  const slug   = req.query.slug ? String(req.query.slug) : null;
+  const action = req.query.action ? String(req.query.action) : null;
+  const actor  = req.query.actor ? String(req.query.actor) : null;
+  const from   = req.query.from ? String(req.query.from) : null;
+  const to     = req.query.to ? String(req.query.to) : null;
+  const limit  = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+
+  if (slug && !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  for (const d of [from, to]) {
+    if (d && Number.isNaN(Date.parse(d))) return res.status(400).json({ error: 'Data inválida em from/to' });
+  }
+
+  try {
+    const slugs = !slug && req.auth.role !== 'admin' ? await listOperatorSlugs(req.auth.operatorId) : undefined;
+    const result = await listAuditEntries({ slug, slugs, action, actor, from, to, limit, offset });
+    res.json(result);
+  } catch (err) {
+    console.error('Erro em /api/audit', err);
+    res.status(500).json({ error: 'Erro interno ao consultar auditoria' });
+  }
+});
+
 // Estado do loop / cota de hoje
-app.get('/api/loop-state', async (req, res) => {
-  const slug = req.query.client;
+app.get('/api/loop-state', canRead, async (req, res) => {
+  const slug = req.clientSlug;
   if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
 
   try {
-    let loop_status = 'idle', last_run_at = null, cap = DAILY_MESSAGE_COUNT;
+    let loop_status = 'idle', last_run_at = null, cap = DAILY_MESSAGE_COUNT, settings = null;
 
     try {
-      const r2 = await pool.query(
-        `SELECT loop_status, last_run_at, COALESCE(daily_limit, $2) AS cap
-           FROM client_settings WHERE slug = $1;`,
-        [slug, DAILY_MESSAGE_COUNT]
-      );
-      if (r2.rows[0]) {
-        loop_status = r2.rows[0].loop_status || 'idle';
-        last_run_at = r2.rows[0].last_run_at || null;
-        cap = Number(r2.rows[0].cap) || DAILY_MESSAGE_COUNT;
-      }
+      settings = await getClientSettings(slug);
+      loop_status = settings.loop_status || 'idle';
+      last_run_at = settings.last_run_at || null;
+      cap = Number(settings.daily_limit) || DAILY_MESSAGE_COUNT;
     } catch {}
 
-    // <<< NOVO: verdade de fato (memória do processo) >>>
-    const isActuallyRunning = runningClients.has(slug);
+    // <<< NOVO: verdade de fato (lease do loop em qualquer réplica) >>>
+    const isActuallyRunning = await isLoopActive(slug);
 
     // Auto-heal: se o DB diz "running" mas nada está rodando, normaliza para "idle"
     if (!isActuallyRunning && loop_status === 'running') {
@@ -374,15 +704,11 @@ app.get('/api/loop-state', async (req, res) => {
     }
 
     let sent_today = 0;
-    try {
-      const r = await pool.query(
-        `SELECT COUNT(*)::int AS c
-           FROM "${slug}_totais"
-          WHERE mensagem_enviada = true
-            AND updated_at::date = CURRENT_DATE;`
-      );
-      sent_today = Number(r.rows?.[0]?.c || 0);
-    } catch {}
+    try { sent_today = await countSentToday(slug); } catch {}
+
+    // Envios ainda planejados na execução persistida (sobrevivem a reinícios)
+    let run = null;
+    try { run = await getActiveRun(slug); } catch {}
 
     const remaining_today = Math.max(0, cap - sent_today);
 
@@ -390,11 +716,13 @@ app.get('/api/loop-state', async (req, res) => {
       cap,
       sent_today,
       remaining_today,
-      window_start: DAILY_START_TIME,
-      window_end: DAILY_END_TIME,
+      ...describeSendDay(await loadSendConfig(slug, settings)),
       loop_status,                      // já normalizado
       actually_running: isActuallyRunning, // <<< NOVO: front pode usar
       last_run_at,
+      run_id: run?.id ?? null,
+      pending_jobs: run?.pending ?? 0,
+      next_planned_at: run?.next_planned_at ?? null,
       now: new Date().toISOString(),
     });
   } catch (err) {
@@ -420,83 +748,39 @@ app.get('/api/leads/search', async (req, res) => {
 });
 
 // Enviados hoje
-app.get('/api/sent-today', async (req, res) => {
-  const slug = req.query.client;
+app.get('/api/sent-today', canRead, async (req, res) => {
+  const slug = req.clientSlug;
   if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
 
-  const table = `${slug}_totais`;
-  const exists = await tableExists(table);
-  if (!exists) return res.json({ items: [], total: 0 });
-
   const limit  = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 500);
   const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
 
   try {
-    const itemsRes = await pool.query(`
-      SELECT name, phone, niche, updated_at
-        FROM "${table}"
-       WHERE mensagem_enviada = true
-         AND updated_at::date = CURRENT_DATE
-       ORDER BY updated_at DESC
-       LIMIT $1 OFFSET $2;`, [limit, offset]);
-
-    const countRes = await pool.query(`
-      SELECT COUNT(*)::int AS total
-        FROM "${table}"
-       WHERE mensagem_enviada = true
-         AND updated_at::date = CURRENT_DATE;`);
-
-    res.json({ items: itemsRes.rows, total: Number(countRes.rows?.[0]?.total || 0) });
+    res.json(await listSentToday(slug, { limit, offset }));
   } catch (err) {
     console.error('Erro em /api/sent-today', err);
     res.status(500).json({ error: 'Erro interno ao consultar enviados de hoje' });
   }
 });
 
-// Lista clientes
-app.get('/api/clients', async (_req, res) => {
+// Lista clientes (apenas os vinculados ao operador, exceto para admin)
+app.get('/api/clients', async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT t.table_name AS slug
-         FROM information_schema.tables t
-        WHERE t.table_schema = 'public'
-          AND t.table_type   = 'BASE TABLE'
-          AND t.table_name NOT LIKE '%\\_totais'
-          AND EXISTS (
-                SELECT 1
-                  FROM information_schema.tables t2
-                 WHERE t2.table_schema = 'public'
-                   AND t2.table_name   = t.table_name || '_totais'
-          )
-        ORDER BY t.table_name;`
-    );
-    const tables = result.rows.map((r) => r.slug);
-    const clients = [];
-    for (const slug of tables) {
-      try {
-        const [countRes, cfgRes] = await Promise.all([
-          pool.query(`SELECT COUNT(*) AS count FROM "${slug}";`),
-          pool.query(
-            `SELECT auto_run, ia_auto, instance_url, loop_status, last_run_at, daily_limit
-               FROM client_settings WHERE slug = $1;`,
-            [slug]
-          ),
-        ]);
-        clients.push({
-          slug,
-          queueCount: Number(countRes.rows[0].count),
-          autoRun:    !!cfgRes.rows[0]?.auto_run,
-          iaAuto:     !!cfgRes.rows[0]?.ia_auto,
-          instanceUrl: cfgRes.rows[0]?.instance_url || null,
-          loopStatus:  cfgRes.rows[0]?.loop_status || 'idle',
-          lastRunAt:   cfgRes.rows[0]?.last_run_at || null,
-          dailyLimit:  cfgRes.rows[0]?.daily_limit ?? DAILY_MESSAGE_COUNT,
-        });
-      } catch (innerErr) {
-        console.error('Erro ao contar fila para', slug, innerErr);
-        clients.push({ slug });
-      }
+    let rows = await listActiveClients();
+    if (req.auth.role !== 'admin') {
+      const allowed = new Set(await listOperatorSlugs(req.auth.operatorId));
+      rows = rows.filter((r) => allowed.has(r.slug));
     }
+    const clients = rows.map((r) => ({
+      slug:        r.slug,
+      queueCount:  Number(r.queue_count),
+      autoRun:     !!r.auto_run,
+      iaAuto:      !!r.ia_auto,
+      instanceUrl: r.instance_url || null,
+      loopStatus:  r.loop_status || 'idle',
+      lastRunAt:   r.last_run_at || null,
+      dailyLimit:  r.daily_limit ?? DAILY_MESSAGE_COUNT,
+    }));
     res.json(clients);
   } catch (err) {
     console.error('Erro ao listar clientes', err);
@@ -505,11 +789,19 @@ app.get('/api/clients', async (_req, res) => {
 });
 
 // Cria novo cliente
-app.post('/api/clients', async (req, res) => {
+app.post('/api/clients', requireRole('admin', 'operator'), async (req, res) => {
   const { slug } = req.body;
   if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Slug inválido' });
   try {
-    await pool.query('SELECT create_full_client_structure($1);', [slug]);
+    if (await isArchived(slug)) {
+      return res.status(409).json({ error: `${slug} está arquivado. Restaure-o ou aguarde a remoção definitiva.` });
+    }
+    if (!(await createClient(slug))) {
+      return res.status(409).json({ error: `${slug} já existe` });
+    }
+    // Quem cria o cliente passa a operá-lo; administradores já veem todos.
+    if (req.auth.role !== 'admin') await addOperatorClient(req.auth.operatorId, slug);
+    await audit(req, 'client.create', { slug });
     res.status(201).json({ message: 'Cliente criado com sucesso' });
   } catch (err) {
     console.error('Erro ao criar cliente', err);
@@ -517,54 +809,49 @@ app.post('/api/clients', async (req, res) => {
   }
 });
 
+// Proporção com 4 casas (0 quando a base é zero)
+function ratio(part, whole) {
+  return whole ? Number((part / whole).toFixed(4)) : 0;
+}
+
+// Taxas de entrega e leitura sobre os contatos com envio rastreado
+function deliverySummary(d) {
+  return {
+    rastreados: Number(d.rastreados || 0),
+    entregues: Number(d.entregues || 0),
+    lidos: Number(d.lidos || 0),
+    falhas_entrega: Number(d.falhas || 0),
+    taxa_entrega: ratio(Number(d.entregues || 0), Number(d.rastreados || 0)),
+    taxa_leitura: ratio(Number(d.lidos || 0), Number(d.rastreados || 0)),
+  };
+}
+
 // KPIs
-app.get('/api/stats', async (req, res) => {
-  const slug = req.query.client;
+app.get('/api/stats', canRead, async (req, res) => {
+  const slug = req.clientSlug;
   if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
 
-  const filaTable   = slug;
-  const totaisTable = `${slug}_totais`;
-
   try {
-    const [hasFila, hasTotais] = await Promise.all([tableExists(filaTable), tableExists(totaisTable)]);
-    let totais = 0, enviados = 0, fila = 0, lastSentAt = null, lastSentName = null, lastSentPhone = null;
-
-    if (hasTotais) {
-      const r = await pool.query(
-        `SELECT
-           (SELECT COUNT(*) FROM "${totaisTable}") AS totais,
-           (SELECT COUNT(*) FROM "${totaisTable}" WHERE mensagem_enviada = true) AS enviados;`
-      );
-      totais   = Number(r.rows[0].totais);
-      enviados = Number(r.rows[0].enviados);
-
-      const r3 = await pool.query(
-        `SELECT name, phone, updated_at
-           FROM "${totaisTable}"
-          WHERE mensagem_enviada = true
-          ORDER BY updated_at DESC
-          LIMIT 1;`
-      );
-      if (r3.rows[0]) {
-        lastSentAt   = r3.rows[0].updated_at;
-        lastSentName = r3.rows[0].name;
-        lastSentPhone= r3.rows[0].phone;
-      }
-    }
-
-    if (hasFila) {
-      const r2 = await pool.query(`SELECT COUNT(*) AS fila FROM "${filaTable}";`);
-      fila = Number(r2.rows[0].fila);
-    }
+    const st = await getClientStats(slug);
+    const delivery = await getDeliveryStats(slug);
+    const totais   = Number(st.totais || 0);
+    const enviados = Number(st.enviados || 0);
+    const respondidos = Number(st.respondidos || 0);
 
     res.json({
       totais,
       enviados,
       pendentes: totais - enviados,
-      fila,
-      last_sent_at:   lastSentAt,
-      last_sent_name: lastSentName,
-      last_sent_phone:lastSentPhone,
+      fila: Number(st.fila || 0),
+      respondidos,
+      taxa_resposta: ratio(respondidos, enviados),
+      ...deliverySummary(delivery),
+      last_sent_at:   st.last?.sent_at || null,
+      last_sent_name: st.last?.name || null,
+      last_sent_phone:st.last?.phone || null,
+      last_reply_at:  st.lastReply?.replied_at || null,
+      last_reply_name: st.lastReply?.name || null,
+      last_reply_phone: st.lastReply?.phone || null,
     });
   } catch (err) {
     console.error('Erro ao obter estatísticas', err);
@@ -573,34 +860,24 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // Quota diária
-app.get('/api/quota', async (req, res) => {
-  const slug = req.query.client;
+app.get('/api/quota', canRead, async (req, res) => {
+  const slug = req.clientSlug;
   if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
   try {
-    let cap = DAILY_MESSAGE_COUNT;
+    let cap = DAILY_MESSAGE_COUNT, settings = null;
     try {
-      const r0 = await pool.query(
-        `SELECT COALESCE(daily_limit, $2) AS cap FROM client_settings WHERE slug = $1;`,
-        [slug, DAILY_MESSAGE_COUNT]
-      );
-      if (r0.rows[0]) cap = Number(r0.rows[0].cap) || DAILY_MESSAGE_COUNT;
+      settings = await getClientSettings(slug);
+      cap = Number(settings.daily_limit) || DAILY_MESSAGE_COUNT;
     } catch {}
 
-    const r = await pool.query(
-      `SELECT COUNT(*)::int AS c
-         FROM "${slug}_totais"
-        WHERE mensagem_enviada = true
-          AND updated_at::date = CURRENT_DATE;`
-    );
-    const sent_today = Number(r.rows?.[0]?.c || 0);
+    const sent_today = await countSentToday(slug);
     const remaining  = Math.max(0, cap - sent_today);
 
     res.json({
       cap,
       sent_today,
       remaining,
-      window_start: DAILY_START_TIME,
-      window_end:   DAILY_END_TIME,
+      ...describeSendDay(await loadSendConfig(slug, settings)),
       now: new Date().toISOString()
     });
   } catch (err) {
@@ -610,37 +887,17 @@ app.get('/api/quota', async (req, res) => {
 });
 
 // Fila (listar)
-app.get('/api/queue', async (req, res) => {
-  const slug = req.query.client;
+app.get('/api/queue', canRead, async (req, res) => {
+  const slug = req.clientSlug;
   if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
 
-  const exists = await tableExists(slug);
-  if (!exists) return res.json({ items: [], total: 0 });
-
   const page     = parseInt(req.query.page) || 1;
   const pageSize = parseInt(req.query.pageSize) || 25;
   const search   = req.query.search || '';
   const offset   = (page - 1) * pageSize;
 
-  const values = [];
-  let whereClause = '';
-
-  if (search) {
-    values.push(`%${search}%`);
-    whereClause = `WHERE name ILIKE $1 OR phone ILIKE $1`;
-  }
-
   try {
-    const itemsRes = await pool.query(`
-      SELECT name, phone FROM "${slug}"
-      ${whereClause}
-      ORDER BY name
-      LIMIT $${values.length + 1} OFFSET $${values.length + 2};
-    `, [...values, pageSize, offset]);
-
-    const countRes = await pool.query(`SELECT COUNT(*) AS total FROM "${slug}" ${whereClause};`, values);
-
-    res.json({ items: itemsRes.rows, total: Number(countRes.rows[0].total) });
+    res.json(await listQueue(slug, { search, limit: pageSize, offset }));
   } catch (err) {
     console.error('Erro ao consultar fila', err);
     res.status(500).json({ error: 'Erro interno ao consultar fila' });
@@ -648,9 +905,9 @@ app.get('/api/queue', async (req, res) => {
 });
 
 // Remoção/Marcação manual a partir da Fila
-app.delete('/api/queue', async (req, res) => {
+app.delete('/api/queue', canWrite, async (req, res) => {
   try {
-    const client   = req.body?.client;
+    const client   = req.clientSlug;
     const phone    = req.body?.phone;
     const markSent = !!req.body?.markSent;
 
@@ -658,20 +915,7 @@ app.delete('/api/queue', async (req, res) => {
       return res.status(400).json({ error: 'Parâmetros inválidos' });
     }
 
-    await pool.query(`DELETE FROM "${client}" WHERE phone = $1;`, [phone]);
-
-    let name = null;
-    if (markSent) {
-      await pool.query(
-        `UPDATE "${client}_totais" SET mensagem_enviada = true, updated_at = NOW() WHERE phone = $1;`,
-        [phone]
-      );
-      const nm = await pool.query(
-        `SELECT name FROM "${client}_totais" WHERE phone = $1 ORDER BY updated_at DESC LIMIT 1;`,
-        [phone]
-      );
-      name = nm.rows[0]?.name || null;
-    }
+    const { name } = await removeFromQueue(client, phone, { markSent });
 
     const evt = {
       type: 'item',
@@ -681,8 +925,13 @@ app.delete('/api/queue', async (req, res) => {
       status: markSent ? 'success' : 'skipped',
       at: new Date().toISOString(),
     };
-    snapshotPush(client, evt);
-    getEmitter(client).emit('progress', evt);
+    await publishProgress(client, evt);
+
+    await audit(req, markSent ? 'queue.mark_sent' : 'queue.delete', {
+      slug: client,
+      before: { phone, name },
+      after: { removedFromQueue: true, markSent },
+    });
 
     res.json({ ok: true });
   } catch (err) {
@@ -692,47 +941,20 @@ app.delete('/api/queue', async (req, res) => {
 });
 
 // Totais (histórico)
-app.get('/api/totals', async (req, res) => {
-  const slug = req.query.client;
+app.get('/api/totals', canRead, async (req, res) => {
+  const slug = req.clientSlug;
   if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
 
-  const totaisTable = `${slug}_totais`;
-  const exists = await tableExists(totaisTable);
-  if (!exists) return res.json({ items: [], total: 0 });
-
   const page     = parseInt(req.query.page) || 1;
   const pageSize = parseInt(req.query.pageSize) || 25;
   const search   = req.query.search || '';
   const sent     = (req.query.sent || 'all').toLowerCase();
+  const replied  = (req.query.replied || 'all').toLowerCase();
   const offset   = (page - 1) * pageSize;
 
-  const conditions = [];
-  const params = [];
-
-  if (search) {
-    params.push(`%${search}%`);
-    conditions.push(`(name ILIKE $${params.length} OR phone ILIKE $${params.length} OR niche ILIKE $${params.length})`);
-  }
-
-  if (sent !== 'all') {
-    if (sent === 'sim') conditions.push('mensagem_enviada = true');
-    else if (sent === 'nao') conditions.push('mensagem_enviada = false');
-  }
-
-  const whereClause = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
-
   try {
-    const itemsRes = await pool.query(`
-      SELECT name, phone, niche, mensagem_enviada, updated_at
-        FROM "${totaisTable}"
-      ${whereClause}
-      ORDER BY updated_at DESC
-      LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
-      [...params, pageSize, offset]
-    );
-
-    const countRes = await pool.query(`SELECT COUNT(*) AS total FROM "${totaisTable}" ${whereClause};`, params);
-    res.json({ items: itemsRes.rows, total: Number(countRes.rows[0].total) });
+    const { items, total } = await listContacts(slug, { search, sent, replied, limit: pageSize, offset });
+    res.json({ items, total, delivery: deliverySummary(await getDeliveryStats(slug)) });
   } catch (err) {
     console.error('Erro ao consultar totais', err);
     res.status(500).json({ error: 'Erro interno ao consultar totais' });
@@ -740,8 +962,9 @@ app.get('/api/totals', async (req, res) => {
 });
 
 // Adiciona um contato
-app.post('/api/contacts', async (req, res) => {
-  const { client, name, phone, niche } = req.body;
+app.post('/api/contacts', canWrite, async (req, res) => {
+  const { name, phone, niche } = req.body;
+  const client = req.clientSlug;
   if (!client || !validateSlug(client)) return res.status(400).json({ error: 'Cliente inválido' });
   if (!phone) return res.status(400).json({ error: 'Telefone é obrigatório' });
 
@@ -754,6 +977,7 @@ app.post('/api/contacts', async (req, res) => {
       [client, finalName, phone, niche || null]
     );
     const status = result.rows[0]?.status || 'inserted';
+    await audit(req, 'contact.add', { slug: client, after: { name: finalName, phone, niche: niche || null, status } });
     res.json({ status });
   } catch (err) {
     if (err.code === '23505') return res.json({ status: 'skipped_conflict' });
@@ -763,9 +987,9 @@ app.post('/api/contacts', async (req, res) => {
 });
 
 // Importa CSV
-app.post('/api/import', upload.single('file'), async (req, res) => {
+app.post('/api/import', upload.single('file'), canWrite, async (req, res) => {
   try {
-    const slug = req.body?.client;
+    const slug = req.clientSlug;
     if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
     if (!req.file || !req.file.buffer) return res.status(400).json({ error: 'Arquivo não enviado' });
 
@@ -774,7 +998,7 @@ app.post('/api/import', upload.single('file'), async (req, res) => {
     const delim     = detectDelimiter(firstLine);
     const rows      = parseCSV(text, delim);
 
-    if (!rows.length) return res.json({ inserted: 0, skipped: 0, errors: 0 });
+    if (!rows.length) return res.json({ inserted: 0, skipped: 0, replied: 0, errors: 0 });
 
     const header = rows[0] || [];
     const idx    = mapHeader(header);
@@ -782,7 +1006,15 @@ app.post('/api/import', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'Cabeçalho inválido. Precisa conter coluna de telefone.' });
     }
 
-    let inserted = 0, skipped = 0, errors = 0;
+    // Demais colunas viram campos personalizados ({CIDADE}, {EMPRESA}...),
+    // exceto as que colidiriam com os campos padrão
+    const extras = [];
+    for (const col of extraColumns(header, idx)) {
+      const key = customFieldKey(col.header);
+      if (key && !TEMPLATE_FIELDS[key] && !extras.some((e) => e.key === key)) extras.push({ ...col, key });
+    }
+
+    let inserted = 0, skipped = 0, replied = 0, errors = 0;
 
     console.log(`[IMPORT] Iniciando importação para cliente: ${slug}`);
     console.log(`[IMPORT] Total de linhas no CSV: ${rows.length - 1}`);
@@ -794,6 +1026,12 @@ app.post('/api/import', upload.single('file'), async (req, res) => {
       const name  = (r[idx.name]  || '').toString().trim();
       const phone = (r[idx.phone] || '').toString().trim();
       const niche = idx.niche !== -1 ? (r[idx.niche] || '').toString().trim() : null;
+      const region = idx.region !== -1 ? (r[idx.region] || '').toString().trim() || null : null;
+      const customFields = {};
+      for (const e of extras) {
+        const value = (r[e.index] ?? '').toString().trim();
+        if (value) customFields[e.key] = value;
+      }
 
       if (!phone) { 
         console.log(`[IMPORT] Linha ${i}: Pulada (telefone vazio)`);
@@ -809,12 +1047,16 @@ app.post('/api/import', upload.single('file'), async (req, res) => {
         const q = await pool.query('SELECT client_add_contact($1, $2, $3, $4) AS status;', [slug, finalName, phone, niche]);
         const status = q.rows[0]?.status || 'inserted';
         console.log(`[IMPORT] Linha ${i}: Status retornado = ${status}`);
+        if (status !== 'skipped_replied' && (region || Object.keys(customFields).length)) {
+          await setContactFields(slug, phone, { region, customFields });
+        }
         
         if (status === 'inserted') {
           inserted++;
           console.log(`[IMPORT] Linha ${i}: ✓ Inserido com sucesso`);
         } else {
           skipped++;
+          if (status === 'skipped_replied') replied++;
           console.log(`[IMPORT] Linha ${i}: ⊘ Ignorado (motivo: ${status})`);
         }
       } catch (e) {
@@ -824,92 +1066,897 @@ app.post('/api/import', upload.single('file'), async (req, res) => {
       }
     }
 
-    console.log(`[IMPORT] Resultado final: ${inserted} inseridos, ${skipped} ignorados, ${errors} erros`);
+    console.log(`[IMPORT] Resultado final: ${inserted} inseridos, ${skipped} ignorados, ${errors} erros`);
+
+    await audit(req, 'contacts.import', {
+      slug,
+      after: { file: req.file.originalname || null, inserted, skipped, replied, errors, customFields: extras.map((e) => e.key) },
+    });
+
+    res.json({ inserted, skipped, replied, errors, customFields: extras.map((e) => e.key) });
+  } catch (err) {
+    console.error('Erro no import CSV', err);
+    res.status(500).json({ error: 'Erro interno ao importar CSV' });
+  }
+});
+
+// Config (get)
+app.get('/api/client-settings', canRead, async (req, res) => {
+  const slug = req.clientSlug;
+  if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+
+  try {
+    const cfg = await getClientSettings(slug);
+    res.json({
+      autoRun:           !!cfg.auto_run,
+      iaAuto:            !!cfg.ia_auto,
+      instanceUrl:        cfg.instance_url || null,
+      instanceToken:      cfg.instance_token ? SECRET_MASK : '',
+      hasInstanceToken:  !!cfg.instance_token,
+      instanceAuthHeader: cfg.instance_auth_header || 'token',
+      instanceAuthScheme: cfg.instance_auth_scheme || '',
+      loopStatus:         cfg.loop_status || 'idle',
+      lastRunAt:          cfg.last_run_at || null,
+      dailyLimit:         cfg.daily_limit ?? DAILY_MESSAGE_COUNT,
+      messageTemplate:    cfg.message_template || '',   // << novo
+      timezone:           cfg.timezone || null,
+      effectiveTimezone:  resolveSendConfig(cfg).timezone,
+      sendWindows:        cfg.send_windows || null,
+      excludedDates:      cfg.excluded_dates || [],
+      observeHolidays:    cfg.observe_holidays !== false,
+      autoRunSchedule:    cfg.auto_run_schedule || null,
+      effectiveAutoRunSchedule: resolveAutoRunCron(cfg).expr,
+      autoRunPausedUntil: cfg.auto_run_paused_until || null,
+      aiOpener:           !!cfg.ai_opener,
+      aiOpenerContext:    cfg.ai_opener_context || '',
+      aiOpenerAvailable:  !!process.env.OPENAI_API_KEY,
+      messageAttachmentId: cfg.message_attachment_id ?? null,
+      messageInteractive: cfg.message_interactive || null,
+    });
+  } catch (err) {
+    console.error('Erro ao obter configurações', err);
+    res.status(500).json({ error: 'Erro interno' });
+  }
+});
+
+// Config (save)
+app.post('/api/client-settings', canWrite, async (req, res) => {
+  const client = req.clientSlug;
+  const {
+    autoRun, iaAuto,
+    instanceUrl, instanceToken, instanceAuthHeader, instanceAuthScheme,
+    dailyLimit,
+    messageTemplate, // << novo
+    timezone, sendWindows, excludedDates, observeHolidays,
+    autoRunSchedule,
+    aiOpener, aiOpenerContext, messageAttachmentId, messageInteractive,
+  } = req.body || {};
+  if (!client || !validateSlug(client)) return res.status(400).json({ error: 'Cliente inválido' });
+  if (aiOpener !== undefined && typeof aiOpener !== 'boolean') {
+    return res.status(400).json({ error: 'aiOpener deve ser booleano' });
+  }
+  if (aiOpenerContext != null && (typeof aiOpenerContext !== 'string' || aiOpenerContext.length > 1500)) {
+    return res.status(400).json({ error: 'aiOpenerContext deve ser texto com até 1500 caracteres' });
+  }
+
+  try {
+    if (instanceUrl) {
+      try { new URL(instanceUrl); }
+      catch { return res.status(400).json({ error: 'instanceUrl inválida' }); }
+    }
+    // Erros de sintaxe do template (linha e coluna de cada um)
+    const templateErrors = typeof messageTemplate === 'string' ? validateTemplate(messageTemplate) : [];
+    if (templateErrors.length) {
+      const [first] = templateErrors;
+      return res.status(400).json({
+        error: `messageTemplate inválido: ${first.message} (linha ${first.line}, coluna ${first.column})`,
+        errors: templateErrors,
+      });
+    }
+    let attachmentId, interactive;
+    try {
+      attachmentId = messageAttachmentId === undefined ? undefined : normalizeAttachmentId(messageAttachmentId, 'messageAttachmentId');
+      interactive = messageInteractive === undefined ? undefined : normalizeInteractive(messageInteractive, 'messageInteractive');
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (attachmentId && (await findForeignAttachmentIds(client, [attachmentId])).length) {
+      return res.status(400).json({ error: 'messageAttachmentId não é um anexo deste cliente' });
+    }
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone inválido (use um fuso IANA, ex.: America/Sao_Paulo)' });
+    }
+    let windows, excluded;
+    try {
+      windows  = sendWindows === undefined ? undefined : normalizeSendWindows(sendWindows);
+      excluded = excludedDates === undefined ? undefined : normalizeExcludedDates(excludedDates);
+      if (autoRunSchedule) parseCron(autoRunSchedule);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const before = await getClientSettings(client);
+
+    await saveClientSettings(client, {
+      autoRun, iaAuto, instanceUrl, instanceToken, instanceAuthHeader, instanceAuthScheme, dailyLimit,
+      messageTemplate: typeof messageTemplate === 'string' ? messageTemplate : null,
+      timezone: timezone === undefined ? undefined : (timezone || null),
+      sendWindows: windows,
+      excludedDates: excluded,
+      observeHolidays: typeof observeHolidays === 'boolean' ? observeHolidays : undefined,
+      autoRunSchedule: autoRunSchedule === undefined ? undefined : (String(autoRunSchedule || '').trim() || null),
+      aiOpener,
+      aiOpenerContext: aiOpenerContext === undefined ? undefined : (aiOpenerContext || '').trim() || null,
+      messageAttachmentId: attachmentId,
+      messageInteractive: interactive,
+    });
+
+    const cfg = await getClientSettings(client);
+    await audit(req, 'client_settings.update', { slug: client, before, after: cfg });
+    res.json({ ok: true, settings: { ...cfg, instance_token: cfg.instance_token ? SECRET_MASK : null } });
+  } catch (err) {
+    if (err.code === 'ENCRYPTION_KEY_MISSING') return res.status(500).json({ error: err.message });
+    console.error('Erro ao salvar configurações', err);
+    res.status(500).json({ error: 'Erro interno ao salvar configurações' });
+  }
+});
+
+
+// Prévia de template: renderiza com um contato de exemplo (informado, pelo
+// telefone ou o primeiro da fila) e aponta campos desconhecidos/não usados
+// e problemas de tamanho e formatação
+app.post('/api/templates/preview', canRead, async (req, res) => {
+  const client = req.clientSlug;
+  const { contact, phone, at } = req.body || {};
+  if (!client || !validateSlug(client)) return res.status(400).json({ error: 'Cliente inválido' });
+  let { template } = req.body || {};
+  if (template != null && typeof template !== 'string') return res.status(400).json({ error: 'template deve ser texto' });
+  if (contact != null && (typeof contact !== 'object' || Array.isArray(contact))) {
+    return res.status(400).json({ error: 'contact deve ser um objeto { name, phone, niche, region, fields }' });
+  }
+  const when = at ? new Date(at) : new Date();
+  if (Number.isNaN(when.getTime())) return res.status(400).json({ error: 'at inválido' });
+
+  try {
+    if (!(await clientExists(client))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    if (template == null) template = (await getClientSettings(client)).message_template || '';
+
+    let sample = contact
+      ? { name: contact.name, phone: contact.phone, niche: contact.niche, region: contact.region, custom_fields: contact.fields }
+      : null;
+    let source = 'body';
+    if (!sample) {
+      sample = await findSampleContact(client, phone || null);
+      if (!sample && phone) return res.status(404).json({ error: 'Contato não encontrado' });
+      source = sample ? (phone ? 'phone' : 'queue') : 'none';
+    }
+    sample = sample || { name: '', phone: '', niche: '' };
+
+    const customFields = {};
+    for (const [k, v] of Object.entries(sample.custom_fields || {})) customFields[customFieldKey(k)] = v;
+    const vars = {
+      ...customFields,
+      NAME: sample.name || '',
+      CLIENT: client,
+      PHONE: sample.phone ? normalizePhoneE164BR(sample.phone) : '',
+      NICHO: normalizeNiche(sample.niche),
+      REGIAO: sample.region || '',
+    };
+    const rendered = fillTemplate(template, vars, when, (await loadSendConfig(client)).timezone);
+    const analysis = analyzeTemplate(template, { customFields: await listCustomFieldKeys(client) });
+    res.json({
+      rendered,
+      length: [...rendered].length,
+      variants: analysis.variants,
+      contact: { name: sample.name, phone: sample.phone, niche: sample.niche, region: sample.region || null, fields: customFields, source },
+      errors: analysis.errors,
+      fields: analysis.fields,
+      unknown: analysis.unknown,
+      unused: analysis.unused,
+      warnings: [...analysis.warnings, ...renderedWarnings(rendered, analysis.needsValue, vars)],
+    });
+  } catch (err) {
+    console.error('Erro na prévia de template', err);
+    res.status(500).json({ error: 'Erro interno na prévia de template' });
+  }
+});
+
+// Apagar cliente (arquiva o cliente; pode ser restaurado até a retenção expirar)
+app.delete('/api/delete-client', canWrite, async (req, res) => {
+  try {
+    const client = req.clientSlug;
+    if (!client || !validateSlug(client)) return res.status(400).json({ error: 'Cliente inválido' });
+
+    if (await isLoopActive(client)) {
+      return res.status(409).json({ error: 'Loop em execução para este cliente. Tente novamente em instantes.' });
+    }
+
+    const before = { settings: await getClientSettings(client), queue: null, totals: null };
+    try {
+      const st = await getClientStats(client);
+      before.queue = Number(st.fila || 0);
+      before.totals = Number(st.totais || 0);
+    } catch {}
+
+    const archived = await archiveClient(client, req.auth.username);
+    if (!archived) return res.status(404).json({ error: 'Cliente não encontrado' });
+    const { deletedAt } = archived;
+
+    runningClients.delete(client);
+    await audit(req, 'client.delete', { slug: client, before, after: { archived: true, deletedAt } });
+    res.json({ status: 'ok', deleted: client, archived: true, deletedAt, retentionDays: ARCHIVE_RETENTION_DAYS });
+  } catch (err) {
+    console.error('Erro ao apagar cliente', err);
+    res.status(500).json({ error: 'Erro interno ao apagar cliente' });
+  }
+});
+
+// Lista clientes arquivados (excluídos e ainda restauráveis)
+app.get('/api/clients/archived', async (req, res) => {
+  try {
+    let items = await listArchivedClients(ARCHIVE_RETENTION_DAYS);
+    if (req.auth.role !== 'admin') {
+      const allowed = new Set(await listOperatorSlugs(req.auth.operatorId));
+      items = items.filter((it) => allowed.has(it.slug));
+    }
+    res.json({ items, retentionDays: ARCHIVE_RETENTION_DAYS });
+  } catch (err) {
+    console.error('Erro em /api/clients/archived', err);
+    res.status(500).json({ error: 'Erro interno ao listar clientes arquivados' });
+  }
+});
+
+// Restaura um cliente arquivado
+app.post('/api/clients/:slug/restore', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  try {
+    const result = await restoreClient(slug);
+    if (!result) return res.status(404).json({ error: `Nenhum arquivo encontrado para ${slug}` });
+    await audit(req, 'client.restore', { slug, after: { archived: false } });
+    res.json({ ok: true, restored: slug });
+  } catch (err) {
+    console.error('Erro ao restaurar cliente', err);
+    res.status(500).json({ error: 'Erro interno ao restaurar cliente' });
+  }
+});
+
+/* ======================  Calendário de envio  ====================== */
+// Feriados nacionais (calculados localmente) de um ano
+app.get('/api/holidays', async (req, res) => {
+  const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+  if (year < 1900 || year > 2200) return res.status(400).json({ error: 'Ano inválido' });
+  res.json({ year, holidays: brazilianHolidays(year) });
+});
+
+// Bloqueios de envio do cliente (vigentes e futuros, ou todos com ?all=1)
+app.get('/api/clients/:slug/blackouts', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  try {
+    if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    const cfg = await loadSendConfig(slug);
+    const today = localDateKey(new Date(), cfg.timezone);
+    const items = req.query.all ? await listBlackouts(slug) : cfg.blackouts.filter((b) => b.end_date >= today);
+    const year = Number(today.slice(0, 4));
+    const upcomingHolidays = cfg.observeHolidays
+      ? [...brazilianHolidays(year), ...brazilianHolidays(year + 1)].filter((h) => h.date >= today).slice(0, 10)
+      : [];
+    res.json({ items, observeHolidays: cfg.observeHolidays, upcomingHolidays, today: describeSendDay(cfg) });
+  } catch (err) {
+    console.error('Erro ao listar bloqueios', err);
+    res.status(500).json({ error: 'Erro interno ao listar bloqueios' });
+  }
+});
+
+// Cadastra um bloqueio (um dia ou um período, datas no fuso do cliente)
+app.post('/api/clients/:slug/blackouts', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const { startDate, reason } = req.body || {};
+  const endDate = req.body?.endDate || startDate;
+  if (!isValidDateKey(startDate) || !isValidDateKey(endDate)) {
+    return res.status(400).json({ error: 'startDate/endDate devem estar no formato YYYY-MM-DD' });
+  }
+  if (endDate < startDate) return res.status(400).json({ error: 'endDate anterior a startDate' });
+  if (reason != null && (typeof reason !== 'string' || reason.length > 200)) {
+    return res.status(400).json({ error: 'reason deve ter até 200 caracteres' });
+  }
+  try {
+    const item = await createBlackout(slug, { startDate, endDate, reason: reason || null, createdBy: req.auth.username });
+    if (!item) return res.status(404).json({ error: 'Cliente não encontrado' });
+    await audit(req, 'blackout.create', { slug, after: item });
+    res.status(201).json({ ok: true, item });
+  } catch (err) {
+    console.error('Erro ao cadastrar bloqueio', err);
+    res.status(500).json({ error: 'Erro interno ao cadastrar bloqueio' });
+  }
+});
+
+// Remove um bloqueio
+app.delete('/api/clients/:slug/blackouts/:id', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  const id = parseInt(req.params.id, 10);
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Id inválido' });
+  try {
+    const removed = await deleteBlackout(slug, id);
+    if (!removed) return res.status(404).json({ error: 'Bloqueio não encontrado' });
+    await audit(req, 'blackout.delete', { slug, before: removed });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Erro ao remover bloqueio', err);
+    res.status(500).json({ error: 'Erro interno ao remover bloqueio' });
+  }
+});
+
+/* ======================  Agenda do loop automático  ====================== */
+// Próximas execuções automáticas (de um cliente com ?client= ou de todos
+// os clientes com auto_run visíveis ao operador)
+app.get('/api/schedules', canRead, async (req, res) => {
+  const slug = req.clientSlug;
+  if (slug && !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const count = Math.min(50, Math.max(1, parseInt(req.query.count, 10) || 5));
+
+  try {
+    let rows;
+    if (slug) {
+      if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+      rows = [{ ...(await getClientSettings(slug)), slug }];
+    } else {
+      rows = await listAutoRunSettings();
+      if (req.auth.role !== 'admin') {
+        const allowed = new Set(await listOperatorSlugs(req.auth.operatorId));
+        rows = rows.filter((r) => allowed.has(r.slug));
+      }
+    }
+
+    const items = [];
+    for (const settings of rows) {
+      const cfg = await loadSendConfig(settings.slug, settings);
+      const autoRun = settings.auto_run !== false;
+      items.push({
+        slug: settings.slug,
+        autoRun,
+        schedule: resolveAutoRunCron(settings).expr,
+        customSchedule: !!settings.auto_run_schedule,
+        timezone: cfg.timezone,
+        pausedUntil: settings.auto_run_paused_until || null,
+        lastTriggeredAt: settings.auto_run_last_at || null,
+        upcoming: autoRun ? upcomingAutoRuns(settings, cfg, { count }) : [],
+      });
+    }
+    res.json({ items, now: new Date().toISOString() });
+  } catch (err) {
+    console.error('Erro em /api/schedules', err);
+    res.status(500).json({ error: 'Erro interno ao calcular agendas' });
+  }
+});
+
+// Pausa o loop automático até uma data (YYYY-MM-DD, inclusive, no fuso do
+// cliente) ou um instante ISO; DELETE retoma
+app.post('/api/clients/:slug/auto-run/pause', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const raw = req.body?.until;
+
+  try {
+    const before = await getClientSettings(slug);
+    let until;
+    if (isValidDateKey(raw)) {
+      until = zonedTimeToDate(addDays(raw, 1), 0, resolveSendConfig(before).timezone);
+    } else {
+      until = raw ? new Date(raw) : null;
+      if (!until || Number.isNaN(until.getTime())) {
+        return res.status(400).json({ error: 'until deve ser uma data YYYY-MM-DD ou um instante ISO' });
+      }
+    }
+    if (until <= new Date()) return res.status(400).json({ error: 'until deve estar no futuro' });
+
+    if (!(await setAutoRunPause(slug, until))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    await audit(req, 'auto_run.pause', {
+      slug, before: { pausedUntil: before.auto_run_paused_until }, after: { pausedUntil: until.toISOString() },
+    });
+    res.json({ ok: true, pausedUntil: until.toISOString() });
+  } catch (err) {
+    console.error('Erro ao pausar loop automático', err);
+    res.status(500).json({ error: 'Erro interno ao pausar loop automático' });
+  }
+});
+
+app.delete('/api/clients/:slug/auto-run/pause', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  try {
+    const before = await getClientSettings(slug);
+    if (!(await setAutoRunPause(slug, null))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    await audit(req, 'auto_run.resume', {
+      slug, before: { pausedUntil: before.auto_run_paused_until }, after: { pausedUntil: null },
+    });
+    res.json({ ok: true, pausedUntil: null });
+  } catch (err) {
+    console.error('Erro ao retomar loop automático', err);
+    res.status(500).json({ error: 'Erro interno ao retomar loop automático' });
+  }
+});
+
+/* ======================  Anexos das mensagens  ====================== */
+// Recebe o arquivo do campo "file" respondendo 413/400 em JSON quando o
+// multer recusa o upload (tamanho acima de ATTACHMENT_MAX_MB, mais de um arquivo)
+function receiveAttachment(req, res, next) {
+  attachmentUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'Arquivo acima do tamanho máximo permitido' });
+    return res.status(400).json({ error: `Upload inválido: ${err.message}` });
+  });
+}
+
+// Anexos do cliente (sem o conteúdo) e onde cada um é usado
+app.get('/api/clients/:slug/attachments', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  try {
+    if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    res.json({ items: await listAttachments(slug) });
+  } catch (err) {
+    console.error('Erro ao listar anexos', err);
+    res.status(500).json({ error: 'Erro interno ao listar anexos' });
+  }
+});
+
+// Novo anexo (multipart: file e, opcional, name). O tipo é conferido
+// pelo conteúdo e o tamanho pelo limite de cada mídia no WhatsApp.
+app.post('/api/clients/:slug/attachments', authorizeClient({ write: true, pick: (req) => req.params.slug }), receiveAttachment, async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+
+  let meta;
+  try { meta = validateAttachment(req.file); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  const name = String(req.body?.name || meta.filename).trim().slice(0, 120);
+  if (!name) return res.status(400).json({ error: 'name inválido' });
+
+  try {
+    const item = await createAttachment(slug, { ...meta, name, data: req.file.buffer });
+    if (!item) return res.status(404).json({ error: 'Cliente não encontrado' });
+    await audit(req, 'attachments.create', { slug, after: item });
+    res.status(201).json({ ok: true, item });
+  } catch (err) {
+    if (err.code === 'duplicate_name') return res.status(409).json({ error: err.message });
+    console.error('Erro ao salvar anexo', err);
+    res.status(500).json({ error: 'Erro interno ao salvar anexo' });
+  }
+});
+
+// Conteúdo do anexo, com o tipo e o nome de arquivo originais
+app.get('/api/clients/:slug/attachments/:id/content', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  const id = Number(req.params.id);
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'id inválido' });
+  try {
+    const item = await getAttachment(slug, id, { withData: true });
+    if (!item) return res.status(404).json({ error: 'Anexo não encontrado' });
+    res.setHeader('Content-Type', item.mime_type);
+    const asciiName = item.filename.replace(/[^\x20-\x7e]/g, '_');
+    res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(item.filename)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.end(item.data);
+  } catch (err) {
+    console.error('Erro ao ler anexo', err);
+    res.status(500).json({ error: 'Erro interno ao ler anexo' });
+  }
+});
+
+// Remove um anexo; 409 se algum template (configurações, etapa ou
+// variante ativa) ainda o usa
+app.delete('/api/clients/:slug/attachments/:id', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  const id = Number(req.params.id);
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'id inválido' });
+  try {
+    const before = await getAttachment(slug, id);
+    const result = await deleteAttachment(slug, id);
+    if (result === 'not_found') return res.status(404).json({ error: 'Anexo não encontrado' });
+    if (result === 'in_use') return res.status(409).json({ error: 'Anexo em uso por um template; remova-o antes de excluir' });
+    await audit(req, 'attachments.delete', { slug, before });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Erro ao excluir anexo', err);
+    res.status(500).json({ error: 'Erro interno ao excluir anexo' });
+  }
+});
+
+/* ======================  Sequências de mensagens  ====================== */
+// Etapas da sequência do cliente e quantos contatos há em cada situação
+app.get('/api/clients/:slug/sequence', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  try {
+    if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    const steps = await getSequenceSteps(slug);
+    res.json({
+      steps: steps.map((s) => ({
+        step: s.step,
+        messageTemplate: s.message_template || '',
+        delayBusinessDays: s.delay_business_days,
+        stopIfReplied: s.stop_if_replied,
+        attachmentId: s.attachment_id ?? null,
+        interactive: s.interactive || null,
+      })),
+      contacts: await countContactSequences(slug),
+    });
+  } catch (err) {
+    console.error('Erro ao consultar sequência', err);
+    res.status(500).json({ error: 'Erro interno ao consultar sequência' });
+  }
+});
+
+// Substitui as etapas. A 1ª é a mensagem inicial (vazia = messageTemplate
+// das configurações); as demais saem delayBusinessDays dias úteis depois
+// da anterior. Lista vazia volta ao envio de mensagem única.
+app.put('/api/clients/:slug/sequence', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+
+  let steps;
+  try { steps = normalizeSequenceSteps(req.body?.steps); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+
+  try {
+    const foreign = await findForeignAttachmentIds(slug, steps.map((s) => s.attachmentId));
+    if (foreign.length) return res.status(400).json({ error: `Anexo(s) inexistente(s) para este cliente: ${foreign.join(', ')}` });
+    const before = await getSequenceSteps(slug);
+    const result = await replaceSequenceSteps(slug, steps);
+    if (!result) return res.status(404).json({ error: 'Cliente não encontrado' });
+    await audit(req, 'sequence.update', { slug, before: { steps: before }, after: { steps } });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Erro ao salvar sequência', err);
+    res.status(500).json({ error: 'Erro interno ao salvar sequência' });
+  }
+});
+
+// Situação da sequência por contato (?status=active|completed|stopped|replied)
+app.get('/api/clients/:slug/sequence/contacts', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const status = req.query.status || null;
+  if (status && !['active', 'completed', 'stopped', 'replied'].includes(status)) {
+    return res.status(400).json({ error: 'status inválido' });
+  }
+  const page     = parseInt(req.query.page) || 1;
+  const pageSize = Math.min(200, parseInt(req.query.pageSize) || 25);
+
+  try {
+    const { items, total } = await listContactSequences(slug, { status, limit: pageSize, offset: (page - 1) * pageSize });
+    res.json({ items, total, page, pageSize });
+  } catch (err) {
+    console.error('Erro ao listar sequências', err);
+    res.status(500).json({ error: 'Erro interno ao listar sequências' });
+  }
+});
+
+// Encerra manualmente a sequência de um contato
+app.post('/api/clients/:slug/sequence/contacts/:phone/stop', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const { slug, phone } = req.params;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  try {
+    const stopped = await stopContactSequence(slug, phone, 'manual');
+    if (!stopped) return res.status(404).json({ error: 'Nenhuma sequência ativa para este telefone' });
+    await audit(req, 'sequence.stop', { slug, before: { phone, lastStep: stopped.last_step }, after: { status: 'stopped' } });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Erro ao encerrar sequência', err);
+    res.status(500).json({ error: 'Erro interno ao encerrar sequência' });
+  }
+});
+
+/* ========== Webhook da UAZAPI ========== */
+// Recebe os eventos da instância. Rota pública (fora do requireAuth): a
+// origem é conferida pelo segredo compartilhado UAZAPI_WEBHOOK_SECRET,
+// enviado no cabeçalho X-Webhook-Secret. Não é aceito na query string,
+// que acaba em logs de proxy e de acesso.
+app.post('/api/webhooks/uazapi/:instance', async (req, res) => {
+  if (!UAZAPI_WEBHOOK_SECRET) return res.status(503).json({ error: 'Webhook desabilitado' });
+  const provided = req.get('x-webhook-secret') || '';
+  if (!verifyWebhookSecret(provided)) return res.status(401).json({ error: 'Segredo inválido' });
+
+  const instance = String(req.params.instance || '').trim();
+  if (!instance || instance.length > 200) return res.status(400).json({ error: 'Instância inválida' });
+
+  try {
+    const result = await ingestWebhook(instance, req.body || {});
+    if (!result.clients.length) console.warn(`[WEBHOOK] Instância ${instance} sem cliente correspondente.`);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Erro ao processar webhook da UAZAPI', err);
+    res.status(500).json({ error: 'Erro interno ao processar webhook' });
+  }
+});
+
+// SSE com os eventos de webhook do cliente (mensagens, status, conexão).
+// Com Last-Event-ID, reenvia os eventos perdidos desde então.
+app.get('/api/webhooks/events', canRead, (req, res) => {
+  try {
+    const client = req.clientSlug;
+    if (!client || !validateSlug(client)) return res.status(400).json({ error: 'Cliente inválido' });
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    res.write(`event: ping\ndata: {}\n\n`);
+
+    let lastId = parseInt(req.headers['last-event-id'] || req.query?.lastEventId || '0', 10) || 0;
+    let buffered = lastId ? [] : null;
+    const write = ({ id, event }) => {
+      if (id && id <= lastId) return;
+      if (id) lastId = id;
+      try { res.write(`${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(event)}\n\n`); } catch {}
+    };
+
+    const em = getWebhookEmitter(client);
+    const onEvent = (payload) => { if (buffered) buffered.push(payload); else write(payload); };
+    em.on('webhook', onEvent);
+
+    if (buffered) {
+      listWebhookEvents(client, { afterId: lastId, limit: 200 })
+        .then((rows) => {
+          for (const { id, created_at: createdAt, event_at: eventAt, ...rest } of rows) {
+            write({ id, event: { ...rest, at: (eventAt || createdAt).toISOString(), replay: true } });
+          }
+        })
+        .catch((err) => console.warn(`[${client}] Falha no replay de webhook`, err.message))
+        .finally(() => {
+          const pending = buffered || [];
+          buffered = null;
+          for (const it of pending) write(it);
+        });
+    }
+
+    const ka = setInterval(() => { try { res.write(`event: ping\ndata: {}\n\n`); } catch {} }, 15000);
+
+    req.on('close', () => {
+      em.off('webhook', onEvent);
+      clearInterval(ka);
+      try { res.end(); } catch {}
+    });
+  } catch {
+    try { res.end(); } catch {}
+  }
+});
 
-    res.json({ inserted, skipped, errors });
+// Últimos eventos de webhook do cliente (?type=message|status|connection|other)
+app.get('/api/clients/:slug/webhook-events', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const type = req.query.type || null;
+  if (type && !['message', 'status', 'connection', 'other'].includes(type)) {
+    return res.status(400).json({ error: 'type inválido' });
+  }
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  try {
+    res.json({ items: await listWebhookEvents(slug, { type, limit }) });
   } catch (err) {
-    console.error('Erro no import CSV', err);
-    res.status(500).json({ error: 'Erro interno ao importar CSV' });
+    console.error('Erro ao listar eventos de webhook', err);
+    res.status(500).json({ error: 'Erro interno ao listar eventos de webhook' });
   }
 });
 
-// Config (get)
-app.get('/api/client-settings', async (req, res) => {
-  const slug = req.query.client;
-  if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+/* ========== Respostas dos contatos ========== */
+// Verifica agora as conversas de um lote de contatos enviados (sem
+// esperar o rodízio periódico)
+app.post('/api/clients/:slug/replies/check', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const limit = Math.min(200, Math.max(1, parseInt(req.body?.limit, 10) || 50));
+  try {
+    const result = await checkRepliesForClient(slug, { limit, minIntervalMinutes: 0 });
+    if (result.skipped === 'no_token') return res.status(400).json({ error: 'Cliente sem token de instância' });
+    await audit(req, 'replies.check', { slug, after: { checked: result.checked, replied: result.replied.length, errors: result.errors } });
+    res.json(result);
+  } catch (err) {
+    console.error('Erro ao verificar respostas', err);
+    res.status(500).json({ error: 'Erro interno ao verificar respostas' });
+  }
+});
 
+// Marca manualmente que o contato respondeu: sai da fila e não recebe
+// mais envios
+app.post('/api/clients/:slug/contacts/:phone/replied', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const { slug, phone } = req.params;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const at = req.body?.at ? new Date(req.body.at) : new Date();
+  if (Number.isNaN(at.getTime())) return res.status(400).json({ error: 'at inválido' });
   try {
-    const cfg = await getClientSettings(slug);
-    res.json({
-      autoRun:           !!cfg.auto_run,
-      iaAuto:            !!cfg.ia_auto,
-      instanceUrl:        cfg.instance_url || null,
-      instanceToken:      cfg.instance_token || '',
-      instanceAuthHeader: cfg.instance_auth_header || 'token',
-      instanceAuthScheme: cfg.instance_auth_scheme || '',
-      loopStatus:         cfg.loop_status || 'idle',
-      lastRunAt:          cfg.last_run_at || null,
-      dailyLimit:         cfg.daily_limit ?? DAILY_MESSAGE_COUNT,
-      messageTemplate:    cfg.message_template || '',   // << novo
+    const marked = await markReplied(slug, phone, { at, source: 'manual' });
+    if (!marked.length) return res.status(404).json({ error: 'Contato não encontrado ou já marcado como respondido' });
+    await audit(req, 'contact.replied', {
+      slug,
+      after: { phones: marked.map((c) => c.phone), repliedAt: at.toISOString() },
     });
+    res.json({ ok: true, contacts: marked.map(({ name, phone: p, replied_at }) => ({ name, phone: p, replied_at })) });
   } catch (err) {
-    console.error('Erro ao obter configurações', err);
-    res.status(500).json({ error: 'Erro interno' });
+    console.error('Erro ao marcar resposta', err);
+    res.status(500).json({ error: 'Erro interno ao marcar resposta' });
   }
 });
 
-// Config (save)
-app.post('/api/client-settings', async (req, res) => {
-  const {
-    client, autoRun, iaAuto,
-    instanceUrl, instanceToken, instanceAuthHeader, instanceAuthScheme,
-    dailyLimit,
-    messageTemplate, // << novo
-  } = req.body || {};
-  if (!client || !validateSlug(client)) return res.status(400).json({ error: 'Cliente inválido' });
+/* ========== Teste A/B de templates ========== */
+// Variantes de template do cliente (inclusive as inativas)
+app.get('/api/clients/:slug/variants', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  try {
+    if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    res.json({ items: await listVariants(slug) });
+  } catch (err) {
+    console.error('Erro ao listar variantes', err);
+    res.status(500).json({ error: 'Erro interno ao listar variantes' });
+  }
+});
+
+// Substitui as variantes ativas (lista vazia encerra o teste)
+app.put('/api/clients/:slug/variants', authorizeClient({ write: true, pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+
+  let variants;
+  try { variants = normalizeVariants(req.body?.variants); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
 
   try {
-    if (instanceUrl) {
-      try { new URL(instanceUrl); }
-      catch { return res.status(400).json({ error: 'instanceUrl inválida' }); }
-    }
+    const foreign = await findForeignAttachmentIds(slug, variants.map((v) => v.attachmentId));
+    if (foreign.length) return res.status(400).json({ error: `Anexo(s) inexistente(s) para este cliente: ${foreign.join(', ')}` });
+    const before = await listVariants(slug, { activeOnly: true });
+    const result = await replaceVariants(slug, variants);
+    if (!result) return res.status(404).json({ error: 'Cliente não encontrado' });
+    await audit(req, 'variants.update', { slug, before: { variants: before }, after: { variants } });
+    res.json({ ok: true, ...result, items: await listVariants(slug) });
+  } catch (err) {
+    console.error('Erro ao salvar variantes', err);
+    res.status(500).json({ error: 'Erro interno ao salvar variantes' });
+  }
+});
 
-    await saveClientSettings(client, {
-      autoRun, iaAuto, instanceUrl, instanceToken, instanceAuthHeader, instanceAuthScheme, dailyLimit,
-      messageTemplate: typeof messageTemplate === 'string' ? messageTemplate : null,
+// Relatório do teste: envios, taxa de resposta e de entrega por variante,
+// com a significância da taxa de resposta em relação ao controle (a
+// primeira variante ativa)
+app.get('/api/experiments/:slug', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  try {
+    if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    const stats = await getVariantStats(slug);
+    const control = stats.find((v) => v.active) || stats[0] || null;
+    const totalWeight = stats.filter((v) => v.active).reduce((sum, v) => sum + v.weight, 0);
+
+    const items = stats.map((v) => {
+      const { significance, z, pValue } = compareToControl(control, v);
+      return {
+        id: v.id,
+        name: v.name,
+        active: v.active,
+        weight: v.weight,
+        traffic_share: v.active ? ratio(v.weight, totalWeight) : 0,
+        enviados: v.sent,
+        respondidos: v.replied,
+        taxa_resposta: ratio(v.replied, v.sent),
+        rastreados: v.tracked,
+        entregues: v.delivered,
+        lidos: v.read,
+        taxa_entrega: ratio(v.delivered, v.tracked),
+        taxa_leitura: ratio(v.read, v.tracked),
+        significance,
+        z: z == null ? null : Number(z.toFixed(3)),
+        p_value: pValue == null ? null : Number(pValue.toFixed(4)),
+      };
     });
+    const eligible = items.filter((v) => v.enviados >= MIN_SAMPLE);
+    const leader = eligible.length ? eligible.reduce((a, b) => (b.taxa_resposta > a.taxa_resposta ? b : a)) : null;
 
-    const cfg = await getClientSettings(client);
-    res.json({ ok: true, settings: cfg });
+    res.json({
+      running: stats.some((v) => v.active && v.weight > 0),
+      control: control ? control.name : null,
+      leader: leader ? leader.name : null,
+      minSample: MIN_SAMPLE,
+      items,
+    });
   } catch (err) {
-    console.error('Erro ao salvar configurações', err);
-    res.status(500).json({ error: 'Erro interno ao salvar configurações' });
+    console.error('Erro no relatório de experimentos', err);
+    res.status(500).json({ error: 'Erro interno no relatório de experimentos' });
   }
 });
 
-
-// Apagar cliente completo
-app.delete('/api/delete-client', async (req, res) => {
+// Cliques nos botões e listas das mensagens: total por etapa e opção e
+// os ?limit= mais recentes (padrão 50, até 200)
+app.get('/api/clients/:slug/interactive-replies', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
   try {
-    const client = req.body?.client || req.query?.client;
-    if (!client || !validateSlug(client)) return res.status(400).json({ error: 'Cliente inválido' });
+    if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    res.json(await getInteractiveReplies(slug, { limit }));
+  } catch (err) {
+    console.error('Erro ao listar cliques', err);
+    res.status(500).json({ error: 'Erro interno ao listar cliques' });
+  }
+});
 
-    if (runningClients.has(client)) {
-      return res.status(409).json({ error: 'Loop em execução para este cliente. Tente novamente em instantes.' });
+// Uso da abertura por IA nos últimos ?days= dias (padrão 30, até 90):
+// chamadas por resultado, tokens e custo estimado por dia e no total
+app.get('/api/clients/:slug/ai-openers/usage', authorizeClient({ pick: (req) => req.params.slug }), async (req, res) => {
+  const slug = req.params.slug;
+  if (!validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const days = Math.min(90, Math.max(1, parseInt(req.query.days) || 30));
+  try {
+    if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    const settings = await getClientSettings(slug);
+    const items = await getOpenerUsage(slug, { days });
+    const totals = { calls: 0, ok: 0, rejected: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 };
+    for (const d of items) {
+      for (const k of Object.keys(totals)) totals[k] += d[k] || 0;
     }
+    totals.cost_usd = Number(totals.cost_usd.toFixed(6));
+    res.json({
+      enabled: !!settings.ai_opener,
+      available: !!process.env.OPENAI_API_KEY,
+      model: AI_OPENER_MODEL,
+      dailyBudgetUsd: AI_OPENER_DAILY_BUDGET_USD || null,
+      days,
+      totals: { ...totals, taxa_aprovacao: ratio(totals.ok, totals.ok + totals.rejected) },
+      items,
+    });
+  } catch (err) {
+    console.error('Erro no uso da abertura por IA', err);
+    res.status(500).json({ error: 'Erro interno no uso da abertura por IA' });
+  }
+});
 
-    await pool.query('BEGIN');
-    await pool.query(`DROP TABLE IF EXISTS "${client}" CASCADE;`);
-    await pool.query(`DROP TABLE IF EXISTS "${client}_totais" CASCADE;`);
-    await pool.query(`DELETE FROM client_settings WHERE slug = $1;`, [client]);
-    await pool.query('COMMIT');
+/* ========== Falhas de envio ========== */
+// Falhas do cliente (?status=open|retrying|failed|requeued|resolved, ?category=)
+app.get('/api/failures', canRead, async (req, res) => {
+  const slug = req.clientSlug;
+  if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  const status = req.query.status || 'open';
+  if (!['open', 'retrying', 'failed', 'requeued', 'resolved'].includes(status)) {
+    return res.status(400).json({ error: 'status inválido' });
+  }
+  const category = req.query.category || null;
+  if (category && !FAILURE_CATEGORIES.includes(category)) return res.status(400).json({ error: 'category inválida' });
 
-    runningClients.delete(client);
-    res.json({ status: 'ok', deleted: client });
+  const page     = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize) || 25));
+  try {
+    const result = await listFailures(slug, { status, category, limit: pageSize, offset: (page - 1) * pageSize });
+    res.json({ ...result, page, pageSize });
   } catch (err) {
-    console.error('Erro ao apagar cliente', err);
-    try { await pool.query('ROLLBACK'); } catch {}
-    res.status(500).json({ error: 'Erro interno ao apagar cliente' });
+    console.error('Erro ao listar falhas', err);
+    res.status(500).json({ error: 'Erro interno ao listar falhas' });
+  }
+});
+
+// Recoloca na fila falhas definitivas (por ids, por categoria ou todas)
+app.post('/api/failures/requeue', canWrite, async (req, res) => {
+  const slug = req.clientSlug;
+  const { ids, category } = req.body || {};
+  if (!slug || !validateSlug(slug)) return res.status(400).json({ error: 'Cliente inválido' });
+  if (ids != null && (!Array.isArray(ids) || !ids.every((id) => Number.isInteger(id) && id > 0))) {
+    return res.status(400).json({ error: 'ids deve ser uma lista de ids numéricos' });
+  }
+  if (category != null && !FAILURE_CATEGORIES.includes(category)) return res.status(400).json({ error: 'category inválida' });
+  try {
+    if (!(await clientExists(slug))) return res.status(404).json({ error: 'Cliente não encontrado' });
+    const today = localDateKey(new Date(), (await loadSendConfig(slug)).timezone);
+    const result = await requeueFailures(slug, { ids: ids || null, category: category || null, today });
+    await audit(req, 'failures.requeue', { slug, after: { ids: ids || null, category: category || null, ...result } });
+    res.json(result);
+  } catch (err) {
+    console.error('Erro ao recolocar falhas na fila', err);
+    res.status(500).json({ error: 'Erro interno ao recolocar falhas na fila' });
   }
 });
 
@@ -926,36 +1973,36 @@ async function sleepAbortable(ms, slug) {
   }
   return 'ok';
 }
-app.post('/api/stop-loop', async (req, res) => {
-  const client = req.body?.client;
+app.post('/api/stop-loop', canWrite, async (req, res) => {
+  const client = req.clientSlug;
   if (!client || !validateSlug(client)) {
     return res.status(400).json({ ok: false, message: 'Cliente inválido' });
   }
-  if (!runningClients.has(client)) {
+  // Vale para loops desta ou de outra réplica (lease em loop_leases)
+  if (!(await requestLoopStop(client))) {
     return res.status(404).json({ ok: false, message: `Nenhum loop ativo para ${client}` });
   }
-  stopRequests.add(client);
   try { await pool.query(`UPDATE client_settings SET loop_status='stopping', last_run_at=NOW() WHERE slug=$1`, [client]); } catch {}
   console.log(`[STOP] Parada solicitada para ${client}`);
+  await audit(req, 'loop.stop', { slug: client });
   return res.json({ ok: true, message: `Parada solicitada para ${client}` });
 });
 
 /* ========== Buscar & salvar LEADS ========== */
-app.post('/api/leads', async (req, res) => {
+app.post('/api/leads', canWrite, async (req, res) => {
   try {
-    const { client, region, niche, limit } = req.body || {};
+    const client = req.clientSlug;
+    const { region, niche, limit } = req.body || {};
     if (!client || !validateSlug(client)) {
       return res.status(400).json({ error: 'Cliente inválido' });
     }
 
-    await ensureRegionColumns(client);
-
     console.log(`[LEADS] Buscando leads: region=${region}, niche=${niche}, limit=${limit}`);
     const raw = await searchLeads({ region, niche, limit });
     const results = Array.isArray(raw) ? raw : [];
     console.log(`[LEADS] Encontrados ${results.length} leads`);
 
-    let inserted = 0, skipped = 0, errors = 0;
+    let inserted = 0, skipped = 0, replied = 0, errors = 0;
 
     for (const item of results) {
       const name  = (item.name && String(item.name).trim()) || String(item.phone || '').trim();
@@ -981,6 +2028,7 @@ app.post('/api/leads', async (req, res) => {
           console.log(`[LEADS] ✓ Lead adicionado: ${phone}`);
         } else {
           skipped++;
+          if (status === 'skipped_replied') replied++;
           console.log(`[LEADS] ⊘ Lead ignorado: ${phone} (motivo: ${status})`);
         }
       } catch (e) {
@@ -992,7 +2040,12 @@ app.post('/api/leads', async (req, res) => {
 
     console.log(`[LEADS] Resultado final: ${inserted} inseridos, ${skipped} ignorados, ${errors} erros`);
 
-    res.json({ found: results.length, inserted, skipped, errors });
+    await audit(req, 'leads.import', {
+      slug: client,
+      after: { region: region || null, niche: niche || null, found: results.length, inserted, skipped, replied, errors },
+    });
+
+    res.json({ found: results.length, inserted, skipped, replied, errors });
   } catch (err) {
     console.error('Erro em /api/leads', err);
     res.status(500).json({ error: 'Erro interno na busca de leads' });
@@ -1000,7 +2053,7 @@ app.post('/api/leads', async (req, res) => {
 });
 
 /* ========== Renomear cliente (slug) ========== */
-app.post('/api/rename-client', async (req, res) => {
+app.post('/api/rename-client', authorizeClient({ write: true, pick: (req) => req.body?.oldSlug }), async (req, res) => {
   const oldSlug = req.body?.oldSlug;
   const newSlug = req.body?.newSlug;
 
@@ -1012,50 +2065,50 @@ app.post('/api/rename-client', async (req, res) => {
   }
 
   try {
-    if (runningClients.has(oldSlug)) {
+    if (await isLoopActive(oldSlug)) {
       return res.status(409).json({ error: `Loop em execução para ${oldSlug}. Pare antes de renomear.` });
     }
 
-    const oldExists    = await tableExists(oldSlug);
-    const oldTotExists = await tableExists(`${oldSlug}_totais`);
-    if (!oldExists || !oldTotExists) return res.status(404).json({ error: `Tabelas de ${oldSlug} não encontradas.` });
-
-    const newExists    = await tableExists(newSlug);
-    const newTotExists = await tableExists(`${newSlug}_totais`);
-    if (newExists || newTotExists) return res.status(409).json({ error: `Já existem tabelas para ${newSlug}.` });
+    if (await isArchived(newSlug)) return res.status(409).json({ error: `${newSlug} está arquivado.` });
 
-    await pool.query('BEGIN');
-    await pool.query(`ALTER TABLE "${oldSlug}" RENAME TO "${newSlug}";`);
-    await pool.query(`ALTER TABLE "${oldSlug}_totais" RENAME TO "${newSlug}_totais";`);
-
-    const cs = await pool.query(`SELECT 1 FROM client_settings WHERE slug = $1;`, [oldSlug]);
-    if (cs.rowCount) {
-      await pool.query(`UPDATE client_settings SET slug = $1 WHERE slug = $2;`, [newSlug, oldSlug]);
-    } else {
-      await pool.query(`INSERT INTO client_settings (slug, loop_status, last_run_at) VALUES ($1, 'idle', NOW());`, [newSlug]);
-    }
-    await pool.query('COMMIT');
+    const result = await renameClient(oldSlug, newSlug);
+    if (result === 'not_found') return res.status(404).json({ error: `Cliente ${oldSlug} não encontrado.` });
+    if (result === 'conflict')  return res.status(409).json({ error: `Já existe um cliente ${newSlug}.` });
 
     if (progressEmitters.has(oldSlug)) { progressEmitters.set(newSlug, progressEmitters.get(oldSlug)); progressEmitters.delete(oldSlug); }
-    if (progressStates.has(oldSlug))   { progressStates.set(newSlug,   progressStates.get(oldSlug));   progressStates.delete(oldSlug); }
     stopRequests.delete(oldSlug);
     runningClients.delete(oldSlug);
 
+    await audit(req, 'client.rename', { slug: newSlug, before: { slug: oldSlug }, after: { slug: newSlug } });
+
     return res.json({ ok: true, oldSlug, newSlug });
   } catch (err) {
     console.error('Erro em /api/rename-client', err);
-    try { await pool.query('ROLLBACK'); } catch {}
     return res.status(500).json({ error: 'Erro interno ao renomear cliente' });
   }
 });
 
 /* ========== Loop manual (envios) ========== */
-app.post('/api/loop', async (req, res) => {
-  const clientSlug = req.body?.client;
+app.post('/api/loop', canWrite, async (req, res) => {
+  const clientSlug = req.clientSlug;
   const iaAutoOverride = req.body?.iaAuto;
   if (!clientSlug || !validateSlug(clientSlug)) return res.status(400).json({ error: 'Cliente inválido' });
 
+  // dryRun: só a prévia dos envios, sem gravar nada
+  const dryRun = req.body?.dryRun === true || ['1', 'true'].includes(String(req.query?.dryRun));
+  if (dryRun) {
+    try {
+      const preview = await previewLoopForClient(clientSlug, { iaAutoOverride });
+      if (preview.status === 'not_found') return res.status(404).json({ error: 'Cliente não encontrado' });
+      return res.json(preview);
+    } catch (err) {
+      console.error('Erro na prévia do loop', err);
+      return res.status(500).json({ error: 'Erro interno na prévia do loop' });
+    }
+  }
+
   try {
+    await audit(req, 'loop.start', { slug: clientSlug, after: { iaAuto: typeof iaAutoOverride === 'boolean' ? iaAutoOverride : null } });
     const result = await runLoopForClient(clientSlug, { iaAutoOverride });
     res.json({ message: 'Loop executado', processed: result.processed, status: result.status || 'ok' });
   } catch (err) {
@@ -1065,9 +2118,9 @@ app.post('/api/loop', async (req, res) => {
 });
 
 /* ========== SSE de progresso por cliente ========== */
-app.get('/api/progress', (req, res) => {
+app.get('/api/progress', canRead, (req, res) => {
   try {
-    const client = req.query?.client;
+    const client = req.clientSlug;
     if (!client || !validateSlug(client)) return res.status(400).json({ error: 'Cliente inválido' });
 
     res.setHeader('Content-Type', 'text/event-stream');
@@ -1077,17 +2130,30 @@ app.get('/api/progress', (req, res) => {
 
     res.write(`event: ping\ndata: {}\n\n`);
 
-    try {
-      const st = progressStates.get(client);
-      if (st?.lastStart) res.write(`data: ${JSON.stringify(st.lastStart)}\n\n`);
-      if (st?.items?.length) for (const it of st.items) res.write(`data: ${JSON.stringify(it)}\n\n`);
-      if (st?.lastEnd) res.write(`data: ${JSON.stringify(st.lastEnd)}\n\n`);
-    } catch {}
+    // Eventos ao vivo chegam de qualquer réplica (NOTIFY). Enquanto o replay
+    // do log é enviado, os novos ficam em espera; ids repetidos são
+    // descartados.
+    let lastId = parseInt(req.headers['last-event-id'] || req.query?.lastEventId || '0', 10) || 0;
+    let buffered = [];
+    const write = ({ id, event }) => {
+      if (id && id <= lastId) return;
+      if (id) lastId = id;
+      try { res.write(`${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(event)}\n\n`); } catch {}
+    };
 
     const em = getEmitter(client);
-    const onProgress = (payload) => { try { res.write(`data: ${JSON.stringify(payload)}\n\n`); } catch {} };
+    const onProgress = (payload) => { if (buffered) buffered.push(payload); else write(payload); };
     em.on('progress', onProgress);
 
+    progressHistory(client, { afterId: lastId || undefined })
+      .then((items) => { for (const it of items) write(it); })
+      .catch((err) => console.warn(`[${client}] Falha no replay de progresso`, err.message))
+      .finally(() => {
+        const pending = buffered || [];
+        buffered = null;
+        for (const it of pending) write(it);
+      });
+
     const ka = setInterval(() => { try { res.write(`event: ping\ndata: {}\n\n`); } catch {} }, 15000);
 
     req.on('close', () => {
@@ -1101,22 +2167,20 @@ app.get('/api/progress', (req, res) => {
 });
 
 // Loop de processamento
+// Cada execução é persistida em send_runs/send_jobs (src/db/sendJobs.js):
+// runLoopForClient planeja os horários e cria a execução; executeRun
+// percorre os jobs pendentes, e resumeSendRuns retoma no boot as
+// execuções que um deploy ou queda interrompeu.
 async function runLoopForClient(clientSlug, opts = {}) {
   if (!validateSlug(clientSlug)) throw new Error('Slug inválido');
   if (runningClients.has(clientSlug)) return { processed: 0, status: 'already_running' };
 
   runningClients.add(clientSlug);
   const batchSize = parseInt(process.env.LOOP_BATCH_SIZE, 10) || opts.batchSize || DAILY_MESSAGE_COUNT;
+  let lock = null;
 
   try {
-    await pool.query(
-      `INSERT INTO client_settings (slug, loop_status, last_run_at)
-       VALUES ($1, 'running', NOW())
-       ON CONFLICT (slug) DO UPDATE SET loop_status = 'running', last_run_at = NOW()`,
-      [clientSlug]
-    );
-
-    const exists = await tableExists(clientSlug);
+    const exists = await clientExists(clientSlug);
     if (!exists) {
       await pool.query(
         `INSERT INTO client_settings (slug, loop_status, last_run_at)
@@ -1127,198 +2191,243 @@ async function runLoopForClient(clientSlug, opts = {}) {
       return { processed: 0, status: 'ok' };
     }
 
+    // Uma réplica por cliente: sem o lease, outro processo já está no loop
+    lock = await acquireLoopLock(clientSlug);
+    if (!lock) return { processed: 0, status: 'already_running' };
+    if (await getActiveRun(clientSlug)) return { processed: 0, status: 'already_running' };
+
+    await pool.query(
+      `INSERT INTO client_settings (slug, loop_status, last_run_at)
+       VALUES ($1, 'running', NOW())
+       ON CONFLICT (slug) DO UPDATE SET loop_status = 'running', last_run_at = NOW()`,
+      [clientSlug]
+    );
+
     // total na fila
     let totalCount = 0;
     try {
-      const _cnt = await pool.query(`SELECT COUNT(*) AS count FROM "${clientSlug}";`);
-      totalCount = Number(_cnt.rows?.[0]?.count || 0);
+      totalCount = await countQueue(clientSlug);
     } catch {}
 
-    // start snapshot
-    try {
-      snapshotStart(clientSlug, totalCount);
-      getEmitter(clientSlug).emit('progress', { type: 'start', total: totalCount, at: new Date().toISOString() });
-    } catch {}
+    // início da execução (também marca o ponto de replay do SSE)
+    await publishProgress(clientSlug, { type: 'start', total: totalCount });
 
     const settings   = await getClientSettings(clientSlug);
     const dailyLimit = Number(settings?.daily_limit) > 0 ? Math.floor(Number(settings.daily_limit)) : DAILY_MESSAGE_COUNT;
-
-    let processed = 0;
-    let manualStop = false;
     const useIA = typeof opts.iaAutoOverride === 'boolean' ? opts.iaAutoOverride : !!settings.ia_auto;
 
     // enviados hoje
     let alreadySentToday = 0;
     try {
-      const sentTodayRes = await pool.query(
-        `SELECT COUNT(*)::int AS c
-           FROM "${clientSlug}_totais"
-          WHERE mensagem_enviada = true
-            AND updated_at::date = CURRENT_DATE;`
-      );
-      alreadySentToday = Number(sentTodayRes.rows?.[0]?.c || 0);
+      alreadySentToday = await countSentToday(clientSlug);
       console.log(`[${clientSlug}] Enviadas hoje: ${alreadySentToday}/${dailyLimit}`);
     } catch (e) {
       console.warn(`[${clientSlug}] Falha ao contar envios de hoje`, e);
     }
 
-    if (stopRequests.has(clientSlug)) manualStop = true;
-
     const remainingToday = Math.max(0, dailyLimit - alreadySentToday);
-    if (!manualStop && remainingToday <= 0) {
-      console.log(`[${clientSlug}] Cota diária (${dailyLimit}) atingida. Encerrando.`);
-      try {
-        snapshotEnd(clientSlug, processed, { reason: 'daily_quota' });
-        getEmitter(clientSlug).emit('progress', { type: 'end', processed, at: new Date().toISOString(), reason: 'daily_quota' });
-      } catch {}
+    if (leaseLost.has(clientSlug)) return { processed: 0, status: 'lease_lost' };
+    const endReason = stopRequests.has(clientSlug) ? 'manual_stop' : (remainingToday <= 0 ? 'daily_quota' : null);
+    if (endReason) {
+      if (endReason === 'daily_quota') console.log(`[${clientSlug}] Cota diária (${dailyLimit}) atingida. Encerrando.`);
+      await publishProgress(clientSlug, { type: 'end', processed: 0, reason: endReason });
       await pool.query(`UPDATE client_settings SET loop_status='idle', last_run_at=NOW() WHERE slug=$1;`, [clientSlug]);
-      return { processed, status: 'quota_reached' };
+      return { processed: 0, status: endReason === 'daily_quota' ? 'quota_reached' : 'stopped' };
     }
 
-    const scheduleDelays = generateScheduleDelays(dailyLimit, DAILY_START_TIME, DAILY_END_TIME);
-    const messageLimit   = Math.min(batchSize, scheduleDelays.length);
+    // Feriado ou bloqueio hoje: não planeja nada
+    const sendCfg = await loadSendConfig(clientSlug, settings);
+    const blackout = await blackoutToday(clientSlug, sendCfg);
+    if (blackout) {
+      console.log(`[${clientSlug}] Sem envios hoje (${blackout.kind}${blackout.label ? `: ${blackout.label}` : ''}).`);
+      await publishProgress(clientSlug, { type: 'end', processed: 0, reason: 'blackout', blackout });
+      await pool.query(`UPDATE client_settings SET loop_status='idle', last_run_at=NOW() WHERE slug=$1;`, [clientSlug]);
+      return { processed: 0, status: 'blackout' };
+    }
 
-    const planCount = Math.min(messageLimit, remainingToday);
-    if (!manualStop) {
-      try {
-        let acc = 0;
-        const planned = [];
-        for (let i = 0; i < planCount; i++) { acc += scheduleDelays[i]; planned.push(new Date(Date.now() + acc * 1000).toISOString()); }
-        getEmitter(clientSlug).emit('progress', { type: 'schedule', planned, remainingToday, cap: dailyLimit });
-      } catch {}
+    // Horários sorteados no que resta das janelas de hoje, no fuso do cliente
+    const planned = generateSendPlan(Math.min(batchSize, remainingToday), sendCfg);
+    if (!planned.length) {
+      const day = describeSendDay(sendCfg);
+      console.log(`[${clientSlug}] Fora da janela de envio (${sendCfg.timezone}); próxima abertura: ${day.next_window_at || 'nenhuma'}.`);
+      await publishProgress(clientSlug, { type: 'end', processed: 0, reason: 'window_closed', next_window_at: day.next_window_at });
+      await pool.query(`UPDATE client_settings SET loop_status='idle', last_run_at=NOW() WHERE slug=$1;`, [clientSlug]);
+      return { processed: 0, status: 'window_closed' };
     }
 
-    const attemptedPhones = new Set();
+    const run = await createRun(clientSlug, { useIA, dailyLimit, plannedAt: planned });
+    if (!run) return { processed: 0, status: 'already_running' };
+
+    await publishProgress(clientSlug, {
+      type: 'schedule', planned: planned.map((d) => d.toISOString()), remainingToday, cap: dailyLimit,
+    }, { runId: run.id });
+
+    return await executeRun(clientSlug, run);
+  } catch (err) {
+    console.error('Erro no runLoopForClient', clientSlug, err);
+    try { await pool.query(`UPDATE client_settings SET loop_status='idle', last_run_at=NOW() WHERE slug=$1;`, [clientSlug]); } catch {}
+    return { processed: 0, status: 'error' };
+  } finally {
+    if (lock) await lock.release();
+    stopRequests.delete(clientSlug);
+    leaseLost.delete(clientSlug);
+    runningClients.delete(clientSlug);
+  }
+}
+
+// Opção do template do envio (anexo, botões): a da variante sorteada; sem
+// variante, a da etapa ou, na etapa 1, a das configurações.
+function templateOption({ variant, stepDef, step, settings }, key, settingsKey) {
+  if (variant) return variant[key] ?? null;
+  return stepDef?.[key] ?? (step === 1 ? settings[settingsKey] ?? null : null);
+}
+
+// Anexo do envio. Cada anexo é lido uma vez por execução (cache); um
+// anexo removido depois do planejamento é ignorado.
+async function resolveAttachment(clientSlug, cache, source) {
+  const id = templateOption(source, 'attachment_id', 'message_attachment_id');
+  if (!id) return null;
+  if (!cache.has(id)) cache.set(id, await getAttachment(clientSlug, id, { withData: true }));
+  return cache.get(id);
+}
+
+// Percorre os jobs pendentes de uma execução persistida, aguardando o
+// horário planejado de cada um. O chamador controla runningClients.
+async function executeRun(clientSlug, run) {
+  const settings = await getClientSettings(clientSlug);
+  // Etapas da sequência (vazia ou uma só = mensagem única) e calendário,
+  // usado para calcular em dias úteis quando vence a etapa seguinte
+  const steps = await getSequenceSteps(clientSlug);
+  const sendCfg = await loadSendConfig(clientSlug, settings);
+  // Variantes ativas do teste A/B da mensagem inicial (vazia = sem teste)
+  const variants = await listVariants(clientSlug, { activeOnly: true });
+  const attachments = new Map();
+  let manualStop = false;
+  let endReason = null;
+  let blackout = null;
+
+  try {
+    const jobs = await listPendingJobs(run.id);
 
-    for (let i = 0; i < messageLimit; i++) {
+    for (let i = 0; i < jobs.length; i++) {
+      const job = jobs[i];
       if (stopRequests.has(clientSlug)) { manualStop = true; break; }
-      if (i >= remainingToday) { console.log(`[${clientSlug}] Cota diária atingida durante o ciclo. Encerrando.`); break; }
 
-      const delaySec = scheduleDelays[i];
-      if (delaySec > 0) {
-        const when = new Date(Date.now() + delaySec * 1000);
-        console.log(`[${clientSlug}] Aguardando ${delaySec}s (${when.toTimeString().split(' ')[0]}) para enviar a mensagem ${i + 1}/${messageLimit}.`);
-        const slept = await sleepAbortable(delaySec * 1000, clientSlug);
+      const waitMs = new Date(job.planned_at).getTime() - Date.now();
+      if (waitMs > 0) {
+        const when = new Date(job.planned_at);
+        console.log(`[${clientSlug}] Aguardando ${Math.round(waitMs / 1000)}s (${when.toTimeString().split(' ')[0]}) para enviar a mensagem ${i + 1}/${jobs.length}.`);
+        const slept = await sleepAbortable(waitMs, clientSlug);
         if (slept === 'aborted') { manualStop = true; break; }
       }
 
       if (stopRequests.has(clientSlug)) { manualStop = true; break; }
 
-      let whereNotIn = '';
-      let params = [];
-      if (attemptedPhones.size) {
-        const arr = Array.from(attemptedPhones);
-        const ph  = arr.map((_, idx) => `$${idx + 1}`).join(',');
-        whereNotIn = `AND f.phone NOT IN (${ph})`;
-        params = arr;
+      // Bloqueio cadastrado depois do planejamento: encerra o restante do dia
+      blackout = await blackoutToday(clientSlug).catch(() => null);
+      if (blackout) { endReason = 'blackout'; break; }
+
+      // Reserva o próximo envio (etapa vencida de uma sequência ou contato
+      // da fila): sai da fila antes do envio, de modo que um reinício no
+      // meio do envio nunca o manda de novo
+      const today = localDateKey(new Date(), sendCfg.timezone);
+      const contact = await claimJob(job.id, clientSlug, { today: steps.length > 1 ? today : null });
+      if (!contact) {
+        // Só restam novas tentativas marcadas para mais tarde: pula este horário
+        if (await hasPendingRetries(clientSlug)) { await skipJob(job.id, 'retry_pending'); continue; }
+        endReason = 'queue_empty';
+        break;
       }
-
-      // Busca da fila APENAS registros que NÃO foram marcados como enviados na tabela totais
-      // Isso evita processar o mesmo número múltiplas vezes
-      let name, phone, niche;
-      try {
-        const next = await pool.query(`
-          SELECT f.name, f.phone, f.niche 
-          FROM "${clientSlug}" f
-          LEFT JOIN "${clientSlug}_totais" t ON f.phone = t.phone
-          WHERE (t.mensagem_enviada IS NOT TRUE OR t.phone IS NULL)
-            ${whereNotIn}
-          ORDER BY f.name 
-          LIMIT 1;
-        `, params);
-        if (!next.rows.length) break;
-        ({ name, phone, niche } = next.rows[0]);
-      } catch {
-        // Fallback caso a coluna niche não exista
-        const next = await pool.query(`
-          SELECT f.name, f.phone 
-          FROM "${clientSlug}" f
-          LEFT JOIN "${clientSlug}_totais" t ON f.phone = t.phone
-          WHERE (t.mensagem_enviada IS NOT TRUE OR t.phone IS NULL)
-            ${whereNotIn}
-          ORDER BY f.name 
-          LIMIT 1;
-        `, params);
-        if (!next.rows.length) break;
-        ({ name, phone } = next.rows[0]);
-        try {
-          const rN = await pool.query(
-            `SELECT niche FROM "${clientSlug}_totais" WHERE phone = $1 ORDER BY updated_at DESC LIMIT 1;`,
-            [phone]
-          );
-          niche = rN.rows?.[0]?.niche || null;
-        } catch { niche = null; }
-      }
-
-      attemptedPhones.add(phone);
+      const { name, phone, niche, region, custom_fields: customFields, step } = contact;
+      const stepDef = steps.find((s) => s.step === step);
+      // Mensagem inicial: abertura gerada por IA (se ligada no cliente) ou,
+      // na falta dela, o template — de uma variante sorteada no teste A/B
+      const opener = run.use_ia && step === 1 && settings.ai_opener
+        ? await generateOpener(clientSlug, { contactId: contact.id, name, niche, region, context: settings.ai_opener_context })
+        : null;
+      const variant = step === 1 && !opener?.text ? pickVariant(variants) : null;
 
       let sendRes = null;
       let status = 'skipped';
-      let shouldMark = false;
-
-      if (!manualStop) {
-        if (useIA) {
-          sendRes = await runIAForContact({
-            client: clientSlug, name, phone, niche,
-            instanceUrl: settings.instance_url,
-            instanceToken: settings.instance_token,
-            instanceAuthHeader: settings.instance_auth_header,
-            instanceAuthScheme: settings.instance_auth_scheme,
-            messageTemplate: settings.message_template || null, // << novo
-          });
-
-          status    = sendRes && sendRes.ok ? 'success' : 'error';
-          shouldMark = status === 'success';
-        } else {
-          status = 'skipped';
-          shouldMark = false;
-        }
+
+      if (run.use_ia && (step === 1 || stepDef)) {
+        const attachment = await resolveAttachment(clientSlug, attachments, { variant, stepDef, step, settings });
+        sendRes = await runIAForContact({
+          client: clientSlug, name, phone, niche, region, customFields,
+          instanceUrl: settings.instance_url,
+          instanceToken: settings.instance_token,
+          instanceAuthHeader: settings.instance_auth_header,
+          instanceAuthScheme: settings.instance_auth_scheme,
+          messageTemplate: variant?.message_template || stepDef?.message_template || settings.message_template || null, // << novo
+          messageText: opener?.text || null,
+          attachment,
+          interactive: templateOption({ variant, stepDef, step, settings }, 'interactive', 'message_interactive'),
+          timezone: sendCfg.timezone,
+        });
+        status = sendRes && sendRes.ok ? 'success' : 'error';
+      }
+      const sent = status === 'success';
+      const failure = status === 'error' ? classifySendFailure(sendRes) : null;
+
+      // Próxima etapa do contato, se o cliente usa sequência
+      let next;
+      if (steps.length > 1) {
+        const nextDef = steps.find((s) => s.step === step + 1);
+        next = nextDef ? { step: nextDef.step, dueOn: addBusinessDays(sendCfg, today, nextDef.delay_business_days) } : null;
       }
 
-      if (stopRequests.has(clientSlug)) { manualStop = true; }
-
-      // SEMPRE remove da fila após processar (sucesso ou erro), para evitar loops infinitos
-      // Usa transação para garantir consistência entre DELETE e UPDATE
-      if (!manualStop) {
-        try {
-          await pool.query('BEGIN');
-          
-          // Remove da fila
-          await pool.query(`DELETE FROM "${clientSlug}" WHERE phone = $1;`, [phone]);
-          
-          // Atualiza totais se envio foi bem-sucedido
-          if (shouldMark) {
-            await pool.query(
-              `INSERT INTO "${clientSlug}_totais" (name, phone, niche, mensagem_enviada, updated_at)
-               VALUES ($1, $2, $3, true, NOW())
-               ON CONFLICT (phone) 
-               DO UPDATE SET mensagem_enviada = true, updated_at = NOW();`,
-              [name, phone, niche]
-            );
-            processed++;
-          }
-          
-          await pool.query('COMMIT');
-          
-          if (!shouldMark) {
-            console.warn(`[${clientSlug}] Envio falhou ou foi pulado (${status}). Removido da fila: ${phone}`);
-          }
-        } catch (err) {
-          await pool.query('ROLLBACK');
-          console.error(`[${clientSlug}] Erro ao processar ${phone}:`, err.message);
-          // Mesmo com erro, adiciona ao attemptedPhones para não tentar novamente neste loop
+      let outcome = null;
+      try {
+        outcome = await completeJob(job.id, {
+          status: sent ? 'sent' : (status === 'error' ? 'failed' : 'skipped'),
+          detail: sendRes ? {
+            ok: !!sendRes.ok, status: sendRes.status ?? null, simulated: !!sendRes.simulated, error: sendRes.error ?? null,
+            ...(sendRes.partial ? { partial: true } : {}),
+            ...(opener ? { opener: opener.source, ...(opener.reason ? { openerReason: opener.reason } : {}) } : {}),
+          } : null,
+          next,
+          messageId: sent ? extractSentMessageId(sendRes?.body) : null,
+          variantId: sendRes ? variant?.id ?? null : null,
+          failure,
+        });
+        if (outcome?.retry) {
+          console.warn(`[${clientSlug}] Falha transitória (${failure.category}) para ${phone}; tentativa ${outcome.attempts}, nova em ${outcome.nextRetryAt.toISOString()}.`);
+        } else if (failure) {
+          console.warn(`[${clientSlug}] Falha definitiva (${failure.category}) para ${phone}: ${failure.reason}`);
+        } else if (!sent) {
+          console.warn(`[${clientSlug}] Envio pulado (${status}). Removido da fila: ${phone}`);
+        } else if (sendRes.partial) {
+          console.warn(`[${clientSlug}] Envio parcial para ${phone}: ${sendRes.error}`);
         }
+      } catch (err) {
+        console.error(`[${clientSlug}] Erro ao processar ${phone}:`, err.message);
       }
 
-      try {
-        const evt = { type: 'item', name, phone, ok: shouldMark && !manualStop, status: manualStop ? 'stopped' : status, at: new Date().toISOString() };
-        snapshotPush(clientSlug, evt);
-        getEmitter(clientSlug).emit('progress', evt);
-      } catch {}
+      await publishProgress(clientSlug, {
+        type: 'item', name, phone, ok: sent, status, step,
+        ...(sendRes?.partial ? { partial: true } : {}),
+        ...(variant && sendRes ? { variant: variant.name } : {}),
+        ...(opener ? { opener: opener.source } : {}),
+        ...(failure ? { failure: failure.category, retry: !!outcome?.retry, attempts: outcome?.attempts ?? null } : {}),
+      }, { runId: run.id });
+
+      // Instância fora do ar: as próximas tentativas falhariam do mesmo jeito
+      if (failure?.category === 'instance_disconnected') { endReason = 'instance_disconnected'; break; }
 
-      if (manualStop) break;
+      if (stopRequests.has(clientSlug)) { manualStop = true; break; }
+    }
+
+    // Outra réplica assumiu o lease e executa esta mesma execução: sai sem
+    // cancelar os jobs, encerrar a execução nem mexer em client_settings
+    if (leaseLost.has(clientSlug)) {
+      console.warn(`[${clientSlug}] Execução ${run.id} assumida por outra réplica; saindo.`);
+      return { processed: 0, status: 'lease_lost' };
     }
 
+    if (manualStop) endReason = 'manual_stop';
+    await cancelPendingJobs(run.id, endReason || 'done');
+    const { processed } = await finishRun(run.id, { status: manualStop ? 'stopped' : 'done', endReason });
+
     await pool.query(
       `INSERT INTO client_settings (slug, loop_status, last_run_at)
        VALUES ($1, 'idle', NOW())
@@ -1326,78 +2435,367 @@ async function runLoopForClient(clientSlug, opts = {}) {
       [clientSlug]
     );
 
-    try {
-      snapshotEnd(clientSlug, processed, manualStop ? { reason: 'manual_stop' } : {});
-      getEmitter(clientSlug).emit('progress', { type: 'end', processed, at: new Date().toISOString(), ...(manualStop ? { reason: 'manual_stop' } : {}) });
-    } catch {}
+    await publishProgress(clientSlug, {
+      type: 'end', processed,
+      ...(endReason && endReason !== 'queue_empty' ? { reason: endReason } : {}),
+      ...(blackout ? { blackout } : {}),
+    }, { runId: run.id });
 
     if (manualStop) console.log(`[${clientSlug}] Loop encerrado manualmente.`);
     return { processed, status: manualStop ? 'stopped' : 'ok' };
   } catch (err) {
-    console.error('Erro no runLoopForClient', clientSlug, err);
+    // Jobs pendentes continuam no banco e a execução é retomada por resumeSendRuns
+    console.error('Erro no executeRun', clientSlug, err);
+    if (leaseLost.has(clientSlug)) return { processed: 0, status: 'lease_lost' };
+    try { await pool.query(`UPDATE client_settings SET loop_status='idle', last_run_at=NOW() WHERE slug=$1;`, [clientSlug]); } catch {}
     return { processed: 0, status: 'error' };
-  } finally {
-    stopRequests.delete(clientSlug);
-    runningClients.delete(clientSlug);
   }
 }
 
-/* =====================  Scheduler: Auto-run diário  ===================== */
-function scheduleDailyAutoRun() {
+// Prévia (dry-run) do loop: os mesmos limites, calendário e horários
+// sorteados de runLoopForClient, com o texto de cada envio e a requisição
+// que iria à UAZAPI, sem reservar contatos nem gravar nada (fila,
+// contatos, execuções e progresso ficam intactos).
+async function previewLoopForClient(clientSlug, opts = {}) {
+  if (!validateSlug(clientSlug)) throw new Error('Slug inválido');
+  const batchSize = parseInt(process.env.LOOP_BATCH_SIZE, 10) || opts.batchSize || DAILY_MESSAGE_COUNT;
+  if (!(await clientExists(clientSlug))) return { status: 'not_found' };
+
+  const settings   = await getClientSettings(clientSlug);
+  const dailyLimit = Number(settings?.daily_limit) > 0 ? Math.floor(Number(settings.daily_limit)) : DAILY_MESSAGE_COUNT;
+  const useIA = typeof opts.iaAutoOverride === 'boolean' ? opts.iaAutoOverride : !!settings.ia_auto;
+  const remainingToday = Math.max(0, dailyLimit - await countSentToday(clientSlug));
+  const sendCfg = await loadSendConfig(clientSlug, settings);
+  const base = {
+    dryRun: true, useIA, queued: await countQueue(clientSlug), remainingToday, cap: dailyLimit,
+    today: describeSendDay(sendCfg), items: [],
+  };
+
+  if (remainingToday <= 0) return { ...base, status: 'quota_reached' };
+  const blackout = await blackoutToday(clientSlug, sendCfg);
+  if (blackout) return { ...base, status: 'blackout', blackout };
+  const planned = generateSendPlan(Math.min(batchSize, remainingToday), sendCfg);
+  if (!planned.length) return { ...base, status: 'window_closed' };
+
+  const steps = await getSequenceSteps(clientSlug);
+  const variants = await listVariants(clientSlug, { activeOnly: true });
+  const attachments = new Map();
+  const today = localDateKey(new Date(), sendCfg.timezone);
+  const contacts = await peekNextContacts(clientSlug, { limit: planned.length, today: steps.length > 1 ? today : null });
+
+  const items = [];
+  for (let i = 0; i < contacts.length; i++) {
+    const { id, name, phone, niche, region, custom_fields: customFields, step } = contacts[i];
+    const stepDef = steps.find((s) => s.step === step);
+    const item = { plannedAt: planned[i].toISOString(), name, phone, step, status: 'skipped' };
+    if (!useIA || !(step === 1 || stepDef)) { items.push(item); continue; }
+    // A prévia não chama a OpenAI: usa a abertura em cache ou mostra o template
+    const opener = step === 1 && settings.ai_opener
+      ? await generateOpener(clientSlug, { contactId: id, name, niche, region, context: settings.ai_opener_context, cacheOnly: true })
+      : null;
+    const variant = step === 1 && !opener?.text ? pickVariant(variants) : null;
+    const attachment = await resolveAttachment(clientSlug, attachments, { variant, stepDef, step, settings });
+    const preview = previewUazSend({
+      client: clientSlug, name, phone, niche, region, customFields,
+      instanceUrl: settings.instance_url,
+      instanceToken: settings.instance_token,
+      instanceAuthHeader: settings.instance_auth_header,
+      instanceAuthScheme: settings.instance_auth_scheme,
+      messageTemplate: variant?.message_template || stepDef?.message_template || settings.message_template || null,
+      messageText: opener?.text || null,
+      attachment,
+      interactive: templateOption({ variant, stepDef, step, settings }, 'interactive', 'message_interactive'),
+      timezone: sendCfg.timezone,
+    }, planned[i]);
+    items.push({
+      ...item, status: preview.wouldCall ? 'send' : 'simulated', variant: variant?.name ?? null,
+      attachment: attachment ? { id: attachment.id, name: attachment.name, kind: attachment.kind } : null,
+      ...(opener ? { opener: opener.text ? 'cache' : 'pending' } : {}),
+      ...preview,
+    });
+  }
+
+  return {
+    ...base,
+    status: items.length < planned.length ? 'queue_short' : 'ok',
+    planned: planned.map((d) => d.toISOString()),
+    items,
+  };
+}
+
+/* =====================  Retomada de envios  ===================== */
+// Jobs que ficaram no meio do envio viram 'interrupted'; execuções de dias
+// anteriores (no fuso do cliente) expiram; as de hoje têm os horários
+// vencidos redistribuídos pelo restante das janelas de hoje (respeitando
+// a cota) e voltam a rodar. Só são
+// retomadas execuções sem lease ativo, ou seja, cujo processo caiu; por
+// isso a rotina roda no boot e depois periodicamente, permitindo que uma
+// réplica assuma o loop de outra.
+async function resumeSendRuns() {
+  const interrupted = await recoverInterruptedJobs();
+  for (const { slug, phone } of interrupted) {
+    console.warn(`[${slug}] Envio para ${phone} interrompido por reinício; não será repetido.`);
+  }
+
+  for (const run of await listActiveRuns()) {
+    const slug = run.slug;
+    if (runningClients.has(slug)) continue;
+
+    const lock = await acquireLoopLock(slug).catch(() => null);
+    if (!lock) continue; // outra réplica está com o loop
+    let handedOff = false;
+    try {
+      const jobs = await listPendingJobs(run.id);
+      const sendCfg = await loadSendConfig(slug);
+      const today = localDateKey(new Date(), sendCfg.timezone);
+      const stale = !jobs.length || localDateKey(new Date(jobs[0].planned_at), sendCfg.timezone) < today;
+      if (stale) {
+        await cancelPendingJobs(run.id, 'expired');
+        await finishRun(run.id, { status: 'expired', endReason: 'expired' });
+        console.log(`[${slug}] Execução ${run.id} de outro dia encerrada.`);
+        continue;
+      }
+
+      const blackout = await blackoutToday(slug, sendCfg);
+      if (blackout) {
+        await cancelPendingJobs(run.id, 'blackout');
+        const { processed } = await finishRun(run.id, { status: 'done', endReason: 'blackout' });
+        await publishProgress(slug, { type: 'end', processed, reason: 'blackout', blackout }, { runId: run.id });
+        console.log(`[${slug}] Execução ${run.id} encerrada: hoje não há envios (${blackout.kind}).`);
+        continue;
+      }
+
+      const remainingToday = Math.max(0, run.daily_limit - await countSentToday(slug));
+      const now = Date.now();
+      if (jobs.some((j) => new Date(j.planned_at).getTime() <= now) || jobs.length > remainingToday) {
+        const count = Math.min(jobs.length, remainingToday);
+        const planned = generateSendPlan(count, sendCfg, new Date(now));
+        await replanPendingJobs(run.id, planned, remainingToday < jobs.length ? 'daily_quota' : 'window_closed');
+      }
+
+      runningClients.add(slug);
+      await pool.query(`UPDATE client_settings SET loop_status='running', last_run_at=NOW() WHERE slug=$1;`, [slug]);
+      const pending = await listPendingJobs(run.id);
+      await publishProgress(slug, { type: 'start', total: await countQueue(slug).catch(() => 0), resumed: true }, { runId: run.id });
+      await publishProgress(slug, {
+        type: 'schedule', planned: pending.map((j) => new Date(j.planned_at).toISOString()), remainingToday, cap: run.daily_limit,
+      }, { runId: run.id });
+      console.log(`[${slug}] Retomando execução ${run.id} com ${pending.length} envio(s) pendente(s).`);
+
+      handedOff = true;
+      executeRun(slug, run)
+        .catch((e) => console.error('Erro ao retomar execução', slug, e))
+        .finally(async () => {
+          await lock.release();
+          stopRequests.delete(slug);
+          leaseLost.delete(slug);
+          runningClients.delete(slug);
+        });
+    } catch (err) {
+      runningClients.delete(slug);
+      console.error('Erro ao retomar execução', slug, err);
+    } finally {
+      if (!handedOff) await lock.release();
+    }
+  }
+
+  // Qualquer outro cliente marcado como rodando ficou assim por uma queda
+  const leased = await listLeasedSlugs();
+  await pool.query(
+    `UPDATE client_settings SET loop_status = 'idle'
+      WHERE loop_status IN ('running', 'stopping')
+        AND slug <> ALL($1::text[]);`,
+    [Array.from(new Set([...runningClients, ...leased]))]
+  );
+}
+
+function scheduleSendRunRecovery() {
+  let busy = false;
+  const run = async () => {
+    if (busy) return;
+    busy = true;
+    try { await resumeSendRuns(); }
+    catch (e) { console.error('resumeSendRuns', e); }
+    finally { busy = false; }
+  };
+  run();
+  setInterval(run, LOOP_LEASE_TTL_SECONDS * 1000);
+}
+
+/* =====================  Scheduler: loop automático  ===================== */
+// A cada minuto, dispara o loop dos clientes com auto_run cuja agenda
+// (cron no fuso do cliente) teve uma ocorrência nos últimos
+// AUTO_RUN_GRACE_MS; a tolerância cobre um tick perdido ou um reinício.
+// A ocorrência é reservada em auto_run_last_at antes do disparo, então
+// só uma réplica a executa.
+const AUTO_RUN_TICK_MS = 60 * 1000;
+const AUTO_RUN_GRACE_MS = 5 * 60 * 1000;
+async function runDueAutoRuns() {
   const now = new Date();
-  const nextRun = new Date(now);
-  nextRun.setHours(8, 0, 0, 0);
-  if (now >= nextRun) nextRun.setDate(nextRun.getDate() + 1);
-  const msUntilNext = nextRun.getTime() - now.getTime();
+  for (const settings of await listAutoRunSettings()) {
+    const slug = settings.slug;
+    try {
+      const dueAt = dueAutoRun(settings, now, AUTO_RUN_GRACE_MS);
+      if (!dueAt || !(await claimAutoRun(slug, dueAt))) continue;
+
+      if (isAutoRunPaused(settings, dueAt)) {
+        console.log(`[AUTO] ${slug}: pausado até ${new Date(settings.auto_run_paused_until).toISOString()}.`);
+        continue;
+      }
+      if (await isLoopActive(slug)) continue;
+      const blackout = await blackoutToday(slug);
+      if (blackout) {
+        console.log(`[AUTO] ${slug}: sem envios hoje (${blackout.kind}${blackout.label ? `: ${blackout.label}` : ''}).`);
+        continue;
+      }
+      const queueCount = await countQueue(slug);
+      const dueFollowUps = queueCount > 0 ? 0 : await countDueFollowUps(slug, localDateKey(now, resolveSendConfig(settings).timezone));
+      if (queueCount > 0 || dueFollowUps > 0) {
+        runLoopForClient(slug).catch((e) => console.error('Auto-run erro', slug, e));
+      }
+    } catch (err) {
+      console.error('Erro ao executar loop automático para', slug, err);
+    }
+  }
+}
+function scheduleAutoRuns() {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try { await runDueAutoRuns(); }
+    catch (err) { console.error('Erro no scheduler de loop automático', err); }
+    finally { busy = false; }
+  };
+  // Alinha os ticks ao início de cada minuto
+  setTimeout(() => {
+    tick();
+    setInterval(tick, AUTO_RUN_TICK_MS);
+  }, AUTO_RUN_TICK_MS - (Date.now() % AUTO_RUN_TICK_MS));
+}
 
-  setTimeout(async () => {
+/* =====================  Scheduler: detecção de respostas  ===================== */
+// A cada REPLY_CHECK_INTERVAL_MINUTES consulta na UAZAPI as conversas de
+// um lote de contatos enviados de cada cliente (src/services/replies.js).
+// Os lotes são reservados no banco, então réplicas não repetem contatos.
+function scheduleReplyChecks() {
+  if (!REPLY_CHECK_INTERVAL_MINUTES) return;
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
     try {
-      const { rows } = await pool.query(`SELECT slug FROM client_settings WHERE auto_run = true;`);
-      for (const { slug } of rows) {
-        try {
-          if (runningClients.has(slug)) continue;
-          const exists = await tableExists(slug);
-          if (!exists) continue;
-          const cnt = await pool.query(`SELECT COUNT(*) AS count FROM "${slug}";`);
-          const queueCount = Number(cnt.rows[0].count);
-          if (queueCount > 0) {
-            runLoopForClient(slug).catch((e) => console.error('Auto-run erro', slug, e));
-          }
-        } catch (err) {
-          console.error('Erro ao executar loop automático para', slug, err);
-        }
+      for (const r of await runReplyChecks()) {
+        if (r.replied) console.log(`[REPLIES] ${r.slug}: ${r.replied} resposta(s) em ${r.checked} contato(s) verificados.`);
       }
     } catch (err) {
-      console.error('Erro no scheduler de loop automático', err);
+      console.error('Erro no scheduler de respostas', err);
     } finally {
-      scheduleDailyAutoRun();
+      busy = false;
     }
-  }, msUntilNext);
+  };
+  setInterval(tick, REPLY_CHECK_INTERVAL_MINUTES * 60 * 1000);
 }
-scheduleDailyAutoRun();
 
-/* =====================  Supervisão de Conversas (UAZAPI)  ===================== */
+/* =====================  Retenção (arquivos e logs de eventos)  ===================== */
+// Apaga definitivamente os clientes arquivados há mais de
+// ARCHIVE_RETENTION_DAYS, os eventos de progresso com mais de
+// PROGRESS_LOG_RETENTION_DAYS e os de webhook com mais de
+// WEBHOOK_EVENT_RETENTION_DAYS. Roda um minuto após o boot e depois a
+// cada 6 horas.
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+async function runRetention() {
+  try {
+    const removed = await pruneProgressEvents(PROGRESS_LOG_RETENTION_DAYS);
+    if (removed) console.log(`[PROGRESS] ${removed} evento(s) de progresso antigos removidos.`);
+  } catch (err) {
+    console.error('Erro ao limpar log de progresso', err);
+  }
 
-// Helper para extrair o systemName do endpoint salvo
-function systemNameFromInstanceUrl(u) {
   try {
-    const host = new URL(u).hostname || "";
-    return (host.split(".")[0] || "").toLowerCase();
-  } catch {
-    return "";
+    const removed = await pruneWebhookEvents(WEBHOOK_EVENT_RETENTION_DAYS);
+    if (removed) console.log(`[WEBHOOK] ${removed} evento(s) de webhook antigos removidos.`);
+  } catch (err) {
+    console.error('Erro ao limpar eventos de webhook', err);
+  }
+
+  try {
+    const purged = await purgeExpiredArchives(ARCHIVE_RETENTION_DAYS);
+    for (const slug of purged) {
+      console.log(`[ARCHIVE] Arquivo de ${slug} removido definitivamente.`);
+      await audit(null, 'client.purge', { slug, after: { retentionDays: ARCHIVE_RETENTION_DAYS } });
+    }
+  } catch (err) {
+    console.error('Erro na rotina de retenção de arquivos', err);
+  }
+}
+function scheduleRetention() {
+  setTimeout(() => {
+    runRetention();
+    setInterval(runRetention, RETENTION_INTERVAL_MS);
+  }, 60 * 1000);
+}
+
+/* =====================  Supervisão de Conversas (UAZAPI)  ===================== */
+
+// systemNameFromInstanceUrl (systemName a partir do endpoint salvo) fica
+// em src/services/webhooks.js.
+
+// Tokens das instâncias dos clientes vinculados ao operador. A
+// autorização é só por token: o systemName vem de instance_url, que o
+// próprio operador pode alterar.
+async function operatorInstanceTokens(auth) {
+  const tokens = new Set();
+  for (const slug of await listOperatorSlugs(auth.operatorId)) {
+    const cfg = await getClientSettings(slug);
+    if (!cfg) continue;
+    try {
+      const token = (decryptSecret(cfg.instance_token) || '').trim();
+      if (token) tokens.add(token);
+    } catch (e) { console.warn('instances: falha ao decifrar token de', slug, e.message); }
   }
+  return tokens;
+}
+
+function instanceAllowed(token, tokens) {
+  return !!token && tokens.has(String(token).trim());
+}
+
+// Autorização das rotas /api/instances/:id. Administradores acessam todas
+// as instâncias; os demais apenas as dos clientes vinculados. Com
+// write=true, recusa o papel viewer.
+function canUseInstance({ write = false } = {}) {
+  return async (req, res, next) => {
+    if (write && req.auth?.role === 'viewer') {
+      return res.status(403).json({ error: 'Perfil somente leitura' });
+    }
+    if (req.auth?.role === 'admin') return next();
+    try {
+      await refreshInstances(false);
+      const { id } = req.params;
+      if (instanceAllowed(resolveInstanceToken(id), await operatorInstanceTokens(req.auth))) {
+        return next();
+      }
+      return res.status(403).json({ error: 'Acesso negado a esta instância' });
+    } catch (err) {
+      console.error('Erro ao verificar acesso à instância', err);
+      return res.status(500).json({ error: 'Erro interno de autorização' });
+    }
+  };
 }
 
 // Resolve a instância correta do cliente (prioriza token, depois systemName)
-app.get('/api/instances/resolve', async (req, res) => {
+app.get('/api/instances/resolve', canRead, async (req, res) => {
   try {
-    const slug = req.query.client;
+    const slug = req.clientSlug;
     if (!slug || !validateSlug(slug)) {
       return res.status(400).json({ error: 'Cliente inválido' });
     }
 
     const cfg = await getClientSettings(slug);
-    const wantToken = (cfg?.instance_token || "").trim();
+    let wantToken = '';
+    try { wantToken = (decryptSecret(cfg?.instance_token) || '').trim(); }
+    catch (e) { console.warn('instances/resolve: falha ao decifrar token de', slug, e.message); }
     const wantSys   = systemNameFromInstanceUrl(cfg?.instance_url || "");
 
     await refreshInstances(true);
@@ -1445,11 +2843,15 @@ app.get('/api/instances/resolve', async (req, res) => {
   }
 });
 
-// Lista instâncias
-app.get('/api/instances', async (_req, res) => {
+// Lista instâncias (para quem não é admin, apenas as dos clientes vinculados)
+app.get('/api/instances', async (req, res) => {
   try {
     await refreshInstances(false);
-    const entries = Array.from(instanceCache.entries());
+    let entries = Array.from(instanceCache.entries());
+    if (req.auth.role !== 'admin') {
+      const tokens = await operatorInstanceTokens(req.auth);
+      entries = entries.filter(([, inst]) => instanceAllowed(inst.token || inst.instanceToken || inst.key, tokens));
+    }
     const results = await Promise.all(entries.map(async ([key, inst]) => {
       let status = { connected: false };
       const token = inst.token || inst.instanceToken;
@@ -1472,7 +2874,7 @@ app.get('/api/instances', async (_req, res) => {
 });
 
 // Chats
-app.get('/api/instances/:id/chats', async (req, res) => {
+app.get('/api/instances/:id/chats', canUseInstance(), async (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 50, offset = 0, q } = req.query;
@@ -1491,7 +2893,7 @@ app.get('/api/instances/:id/chats', async (req, res) => {
 });
 
 // Mensagens
-app.get('/api/instances/:id/messages', async (req, res) => {
+app.get('/api/instances/:id/messages', canUseInstance(), async (req, res) => {
   try {
     const { id } = req.params;
     let { chatId, limit = 100, all = '0', alts = '' } = req.query;
@@ -1586,7 +2988,7 @@ app.get('/api/media/proxy', async (req, res) => {
 });
 
 // Export TXT por instância
-app.get('/api/instances/:id/export.txt', async (req, res) => {
+app.get('/api/instances/:id/export.txt', canUseInstance(), async (req, res) => {
   try {
     const { id } = req.params;
     await refreshInstances(false);
@@ -1649,10 +3051,10 @@ app.get('/api/instances/:id/export.txt', async (req, res) => {
  */
 const { generateAnalysisPdf } = require('./src/services/exportAnalysis');
 
-app.post('/api/instances/:id/export-analysis', async (req, res) => {
+app.post('/api/instances/:id/export-analysis', canRead, canUseInstance(), async (req, res) => {
   try {
     const { id } = req.params;
-    const slug = (req.query?.client || req.body?.client || '').toString();
+    const slug = req.clientSlug || '';
     // Força por padrão, salvo se o query/body especificar explicitamente outro valor
     const forceRaw = req.query?.force ?? req.body?.force ?? '1';
     const force = ['1', 'true', 'yes', 'on'].includes(String(forceRaw).toLowerCase());
@@ -1676,7 +3078,7 @@ app.post('/api/instances/:id/export-analysis', async (req, res) => {
 
 
 // Button reply (Native Flow)
-app.post('/api/instances/:id/interactive/reply', async (req, res) => {
+app.post('/api/instances/:id/interactive/reply', canUseInstance({ write: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const body = req.body || {};
@@ -1707,7 +3109,7 @@ app.post('/api/instances/:id/interactive/reply', async (req, res) => {
  *
  * Exemplo de uso: GET /api/debug/ping-openai
  */
-app.get('/api/debug/ping-openai', async (req, res) => {
+app.get('/api/debug/ping-openai', requireRole('admin'), async (req, res) => {
   try {
     const openaiKey = process.env.OPENAI_API_KEY;
     const model = process.env.OPENAI_MODEL || ANALYSIS_MODEL;
@@ -1781,10 +3183,10 @@ app.get('/api/debug/ping-openai', async (req, res) => {
  * Parâmetros de consulta:
  *  - client: slug do cliente (obrigatório)
  */
-app.get('/api/instances/:id/export-analysis.pdf', async (req, res) => {
+app.get('/api/instances/:id/export-analysis.pdf', canRead, canUseInstance(), async (req, res) => {
   try {
     const { id } = req.params;
-    const slug = (req.query?.client || '').toString();
+    const slug = req.clientSlug || '';
     if (!slug || !validateSlug(slug)) {
       return res.status(400).json({ error: 'Cliente inválido' });
     }
@@ -1813,7 +3215,29 @@ app.get('*', (_req, res) => res.status(404).json({ error: 'Not found' }));
 if (process.env.PORT === '5432') {
   console.warn('[CONFIG] Você definiu PORT=5432 nas variáveis. Remova essa variável no Railway; a plataforma fornece PORT automaticamente.');
 }
+if (!currentKeyId() && !plaintextAllowed()) {
+  console.warn('[SECRETS] TOKEN_ENCRYPTION_KEY não definida: tokens de instância não poderão ser gravados (ALLOW_PLAINTEXT_TOKENS=true aceita texto puro).');
+}
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Servidor rodando na porta ${PORT}`);
-});
+// Recusa subir com o esquema desatualizado; os agendadores só começam
+// depois da verificação.
+assertSchemaUpToDate()
+  .then(() => {
+    // Operador inicial a partir do .env (src/services/auth.js)
+    ensureAuthBootstrap().catch((e) => console.error('ensureAuthBootstrap', e));
+    listenLoopStops().catch((e) => console.error('listenLoopStops', e));
+    listenProgress().catch((e) => console.error('listenProgress', e));
+    listenWebhookEvents().catch((e) => console.error('listenWebhookEvents', e));
+    scheduleSendRunRecovery();
+    scheduleAutoRuns();
+    scheduleReplyChecks();
+    scheduleRetention();
+    app.listen(PORT, () => {
+      console.log(`Servidor rodando na porta ${PORT}`);
+    });
+  })
+  .catch((err) => {
+    if (err.code === 'PENDING_MIGRATIONS') console.error(`[DB] ${err.message}`);
+    else console.error('[DB] Falha ao verificar migrações', err);
+    process.exit(1);
+  });
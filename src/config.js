@@ -45,6 +45,13 @@ const uaz = buildClient(UAZAPI_BASE_URL);
 // Instância global do multer para upload de arquivos na memória. Isso evita
 // recriar a configuração em cada endpoint que precisa lidar com uploads.
 const upload = multer({ storage: multer.memoryStorage() });
+// Anexos das mensagens (src/utils/attachments.js): um arquivo por envio,
+// até ATTACHMENT_MAX_MB (o limite de cada tipo de mídia pode ser menor).
+const ATTACHMENT_MAX_MB = Math.max(1, parseInt(process.env.ATTACHMENT_MAX_MB || '16', 10) || 16);
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_MB * 1024 * 1024, files: 1 },
+});
 
 // ========= Estado global =========
 // Conjuntos e mapas para rastrear o estado de execução de loops, progresso
@@ -52,8 +59,10 @@ const upload = multer({ storage: multer.memoryStorage() });
 // controladores e módulos para coordenar operações assíncronas.
 const runningClients = new Set();
 const progressEmitters = new Map();
-const progressStates = new Map();
 const stopRequests = new Set();
+// Clientes cujo lease do loop foi assumido por outra réplica: o loop local
+// sai sem mexer na execução, que agora pertence ao novo dono
+const leaseLost = new Set();
 
 // ========= Parâmetros de janela e cota diária =========
 // Valores padrão para a quantidade de mensagens diárias e janela de envio.
@@ -62,6 +71,14 @@ const stopRequests = new Set();
 const DAILY_MESSAGE_COUNT = 30;
 const DAILY_START_TIME = '08:00:00';
 const DAILY_END_TIME = '17:30:00';
+// Fuso usado para clientes sem timezone próprio em client_settings. Sem a
+// variável, vale o fuso do servidor (comportamento anterior).
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE
+  || Intl.DateTimeFormat().resolvedOptions().timeZone
+  || 'America/Sao_Paulo';
+// Agenda cron do loop automático para clientes sem auto_run_schedule
+// próprio (avaliada no fuso do cliente).
+const DEFAULT_AUTO_RUN_SCHEDULE = process.env.AUTO_RUN_SCHEDULE || '0 8 * * *';
 
 // ========= Parâmetros de análise de conversas =========
 // Definem limites e comportamentos para a função de exportação/análise de
@@ -84,6 +101,68 @@ const DEFAULT_SYSTEM_PROMPT =
   'Forneça exemplos de frases prontas e bullets acionáveis. Se houver poucas mensagens, adapte a análise.';
 const SYSTEM_PROMPT_OVERRIDE = process.env.OPENAI_SYSTEM_PROMPT || '';
 
+// ========= Autenticação =========
+// Validade (em horas) dos tokens de sessão emitidos por /api/auth/login.
+// Chaves de API criadas em /api/auth/keys não expiram até serem revogadas.
+const AUTH_SESSION_TTL_HOURS = Math.max(1, parseInt(process.env.AUTH_SESSION_TTL_HOURS || '12', 10) || 12);
+// Quantidade de proxies reversos à frente da aplicação (Railway/Vercel: 1).
+// Só esses saltos de X-Forwarded-For são considerados no IP da requisição
+// (req.ip, gravado na auditoria); com 0, vale o endereço da conexão.
+const TRUST_PROXY_HOPS = Math.max(0, parseInt(process.env.TRUST_PROXY_HOPS || '0', 10) || 0);
+
+// ========= Arquivo de clientes excluídos =========
+// Dias que um cliente excluído permanece arquivado (podendo ser restaurado)
+// antes de ser apagado definitivamente pela rotina de retenção.
+const ARCHIVE_RETENTION_DAYS = Math.max(1, parseInt(process.env.ARCHIVE_RETENTION_DAYS || '30', 10) || 30);
+
+// ========= Execução em várias réplicas =========
+// Identificador deste processo, gravado como dono do lease de loop de cada
+// cliente. O lease expira se não for renovado em LOOP_LEASE_TTL_SECONDS;
+// a renovação acontece a cada terço desse prazo.
+const INSTANCE_ID = process.env.INSTANCE_ID
+  || `${require('os').hostname()}:${process.pid}:${require('crypto').randomBytes(3).toString('hex')}`;
+const LOOP_LEASE_TTL_SECONDS = Math.max(15, parseInt(process.env.LOOP_LEASE_TTL_SECONDS || '60', 10) || 60);
+
+// Dias que os eventos de progresso (replay do SSE) ficam em progress_events.
+const PROGRESS_LOG_RETENTION_DAYS = Math.max(1, parseInt(process.env.PROGRESS_LOG_RETENTION_DAYS || '14', 10) || 14);
+
+// ========= Detecção de respostas =========
+// A cada REPLY_CHECK_INTERVAL_MINUTES (0 desliga), as conversas dos
+// contatos enviados nos últimos REPLY_CHECK_WINDOW_DAYS são consultadas na
+// UAZAPI, até REPLY_CHECK_BATCH contatos por cliente a cada rodada.
+const REPLY_CHECK_INTERVAL_MINUTES = Math.max(0, parseInt(process.env.REPLY_CHECK_INTERVAL_MINUTES || '15', 10) || 0);
+const REPLY_CHECK_WINDOW_DAYS = Math.max(1, parseInt(process.env.REPLY_CHECK_WINDOW_DAYS || '14', 10) || 14);
+const REPLY_CHECK_BATCH = Math.max(1, parseInt(process.env.REPLY_CHECK_BATCH || '50', 10) || 50);
+
+// ========= Novas tentativas de envio =========
+// Falhas transitórias (instância desconectada, 429, 5xx, rede) voltam
+// para a fila até SEND_MAX_ATTEMPTS tentativas, com espera de
+// SEND_RETRY_BASE_MINUTES dobrando a cada tentativa.
+const SEND_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.SEND_MAX_ATTEMPTS || '3', 10) || 3);
+const SEND_RETRY_BASE_MINUTES = Math.max(1, parseInt(process.env.SEND_RETRY_BASE_MINUTES || '5', 10) || 5);
+
+// ========= Webhook da UAZAPI =========
+// Segredo compartilhado exigido em POST /api/webhooks/uazapi/:instance
+// (cabeçalho X-Webhook-Secret). Sem ele o webhook fica
+// desabilitado. Os eventos recebidos ficam WEBHOOK_EVENT_RETENTION_DAYS.
+const UAZAPI_WEBHOOK_SECRET = process.env.UAZAPI_WEBHOOK_SECRET || '';
+const WEBHOOK_EVENT_RETENTION_DAYS = Math.max(1, parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS || '30', 10) || 30);
+
+// ========= Abertura personalizada por IA =========
+// Modelo usado para gerar a mensagem inicial de cada contato quando o
+// cliente liga ai_opener (padrão: o mesmo OPENAI_MODEL da análise).
+// Respostas maiores que AI_OPENER_MAX_CHARS são descartadas (vale o template).
+// Os preços, em US$ por milhão de tokens, servem à estimativa de custo; o
+// orçamento diário por cliente (0 = sem teto) interrompe a geração até o
+// dia seguinte. Uma abertura gerada vale por AI_OPENER_CACHE_DAYS.
+const AI_OPENER_MODEL = process.env.AI_OPENER_MODEL || ANALYSIS_MODEL;
+const AI_OPENER_MAX_CHARS = Math.max(80, parseInt(process.env.AI_OPENER_MAX_CHARS || '320', 10) || 320);
+const AI_OPENER_TIMEOUT_MS = Math.max(1000, parseInt(process.env.AI_OPENER_TIMEOUT_MS || '20000', 10) || 20000);
+const AI_OPENER_CACHE_DAYS = Math.max(1, parseInt(process.env.AI_OPENER_CACHE_DAYS || '30', 10) || 30);
+const AI_OPENER_PRICE_INPUT = Math.max(0, parseFloat(process.env.AI_OPENER_PRICE_INPUT || '0.5') || 0);
+const AI_OPENER_PRICE_OUTPUT = Math.max(0, parseFloat(process.env.AI_OPENER_PRICE_OUTPUT || '1.5') || 0);
+const AI_OPENER_DAILY_BUDGET_USD = Math.max(0, parseFloat(process.env.AI_OPENER_DAILY_BUDGET_USD || '0') || 0);
+
 module.exports = {
   pool,
   uaz,
@@ -91,13 +170,17 @@ module.exports = {
   searchLeads,
   appendLog,
   upload,
+  attachmentUpload,
+  ATTACHMENT_MAX_MB,
   runningClients,
   progressEmitters,
-  progressStates,
   stopRequests,
+  leaseLost,
   DAILY_MESSAGE_COUNT,
   DAILY_START_TIME,
   DAILY_END_TIME,
+  DEFAULT_TIMEZONE,
+  DEFAULT_AUTO_RUN_SCHEDULE,
   ANALYSIS_MODEL,
   ANALYSIS_MAX_CHATS,
   ANALYSIS_PER_CHAT_LIMIT,
@@ -106,4 +189,24 @@ module.exports = {
   DEFAULT_SYSTEM_PROMPT,
   SYSTEM_PROMPT_OVERRIDE,
   UAZAPI_ADMIN_TOKEN,
+  AUTH_SESSION_TTL_HOURS,
+  TRUST_PROXY_HOPS,
+  ARCHIVE_RETENTION_DAYS,
+  INSTANCE_ID,
+  LOOP_LEASE_TTL_SECONDS,
+  PROGRESS_LOG_RETENTION_DAYS,
+  REPLY_CHECK_INTERVAL_MINUTES,
+  REPLY_CHECK_WINDOW_DAYS,
+  REPLY_CHECK_BATCH,
+  UAZAPI_WEBHOOK_SECRET,
+  WEBHOOK_EVENT_RETENTION_DAYS,
+  SEND_MAX_ATTEMPTS,
+  SEND_RETRY_BASE_MINUTES,
+  AI_OPENER_MODEL,
+  AI_OPENER_MAX_CHARS,
+  AI_OPENER_TIMEOUT_MS,
+  AI_OPENER_CACHE_DAYS,
+  AI_OPENER_PRICE_INPUT,
+  AI_OPENER_PRICE_OUTPUT,
+  AI_OPENER_DAILY_BUDGET_USD,
 };
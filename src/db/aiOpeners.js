@@ -0,0 +1,117 @@
+/*
+ * src/db/aiOpeners.js
+ *
+ * Registro das aberturas geradas por IA (ai_openers): cada chamada à
+ * OpenAI, com o resultado, os tokens e o custo estimado. As bem-sucedidas
+ * são o cache por contato; a soma do custo alimenta o orçamento diário e
+ * o relatório de uso. A geração está em src/services/aiOpener.js.
+ */
+
+const { pool, DEFAULT_TIMEZONE } = require('../config');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+// Início de hoje no fuso do cliente (client_settings.timezone, ou o padrão em $2).
+const CLIENT_TZ = '(SELECT COALESCE((SELECT timezone FROM client_settings WHERE slug = $1), $2))';
+const START_OF_TODAY = `(date_trunc('day', NOW() AT TIME ZONE ${CLIENT_TZ}) AT TIME ZONE ${CLIENT_TZ})`;
+
+/**
+ * Abertura já gerada para o contato com os mesmos dados de entrada, se
+ * tiver no máximo `maxAgeDays` dias.
+ *
+ * @param {number} contactId
+ * @param {string} inputHash
+ * @param {number} maxAgeDays
+ * @returns {Promise<{text: string, model: string, created_at: Date}|null>}
+ */
+async function findCachedOpener(contactId, inputHash, maxAgeDays) {
+  const { rows } = await pool.query(
+    `SELECT text, model, created_at FROM ai_openers
+      WHERE contact_id = $1 AND input_hash = $2 AND status = 'ok'
+        AND created_at >= NOW() - make_interval(days => $3)
+      ORDER BY created_at DESC
+      LIMIT 1;`,
+    [contactId, inputHash, maxAgeDays]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Grava uma chamada à OpenAI (bem-sucedida, recusada pelas regras ou com
+ * erro). Chamadas com erro antes de qualquer resposta têm custo zero.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {number} param1.contactId
+ * @param {string} param1.inputHash
+ * @param {string} param1.model
+ * @param {'ok'|'rejected'|'error'} param1.status
+ * @param {string|null} [param1.text]
+ * @param {string|null} [param1.error]
+ * @param {number} [param1.promptTokens]
+ * @param {number} [param1.completionTokens]
+ * @param {number} [param1.costUsd]
+ * @returns {Promise<void>}
+ */
+async function recordOpener(slug, {
+  contactId, inputHash, model, status, text = null, error = null,
+  promptTokens = 0, completionTokens = 0, costUsd = 0,
+}) {
+  await pool.query(
+    `INSERT INTO ai_openers
+       (client_id, contact_id, input_hash, model, status, text, error, prompt_tokens, completion_tokens, cost_usd)
+     SELECT ${CLIENT_ID}, $2, $3, $4, $5, $6, $7, $8, $9, $10
+      WHERE ${CLIENT_ID} IS NOT NULL;`,
+    [slug, contactId, inputHash, model, status, text, error ? String(error).slice(0, 500) : null,
+      promptTokens, completionTokens, costUsd]
+  );
+}
+
+/**
+ * Custo estimado (US$) das aberturas geradas hoje, no fuso do cliente.
+ *
+ * @param {string} slug
+ * @returns {Promise<number>}
+ */
+async function openerCostToday(slug) {
+  const { rows } = await pool.query(
+    `SELECT COALESCE(SUM(cost_usd), 0)::float AS cost
+       FROM ai_openers
+      WHERE client_id = ${CLIENT_ID}
+        AND created_at >= ${START_OF_TODAY};`,
+    [slug, DEFAULT_TIMEZONE]
+  );
+  return rows[0].cost;
+}
+
+/**
+ * Uso diário da abertura por IA nos últimos `days` dias (fuso do
+ * cliente): chamadas por resultado, tokens e custo estimado.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {number} param1.days
+ * @returns {Promise<{day: string, calls: number, ok: number, rejected: number, errors: number, prompt_tokens: number, completion_tokens: number, cost_usd: number}[]>}
+ */
+async function getOpenerUsage(slug, { days }) {
+  const { rows } = await pool.query(
+    `SELECT to_char((created_at AT TIME ZONE ${CLIENT_TZ})::date, 'YYYY-MM-DD') AS day,
+            COUNT(*)::int AS calls,
+            COUNT(*) FILTER (WHERE status = 'ok')::int AS ok,
+            COUNT(*) FILTER (WHERE status = 'rejected')::int AS rejected,
+            COUNT(*) FILTER (WHERE status = 'error')::int AS errors,
+            SUM(prompt_tokens)::int AS prompt_tokens,
+            SUM(completion_tokens)::int AS completion_tokens,
+            SUM(cost_usd)::float AS cost_usd
+       FROM ai_openers
+      WHERE client_id = ${CLIENT_ID}
+        AND created_at >= ${START_OF_TODAY} - make_interval(days => $3 - 1)
+      GROUP BY 1
+      ORDER BY 1;`,
+    [slug, DEFAULT_TIMEZONE, days]
+  );
+  return rows;
+}
+
+module.exports = { findCachedOpener, recordOpener, openerCostToday, getOpenerUsage };
@@ -0,0 +1,138 @@
+/*
+ * src/db/archive.js
+ *
+ * Exclusão reversível de clientes. Em vez de apagar os dados, o cliente
+ * recebe deleted_at em clients e em client_settings; contatos, fila e
+ * histórico permanecem intactos nas tabelas compartilhadas, apenas
+ * invisíveis para as demais consultas. A restauração limpa a marca, e a
+ * rotina de retenção apaga definitivamente (em cascata) os clientes
+ * arquivados há mais tempo que o prazo configurado.
+ */
+
+const { pool } = require('../config');
+const { withTransaction } = require('./clients');
+
+/**
+ * Indica se o slug está arquivado.
+ *
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+async function isArchived(slug) {
+  const { rowCount } = await pool.query(
+    'SELECT 1 FROM clients WHERE slug = $1 AND deleted_at IS NOT NULL;',
+    [slug]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Arquiva um cliente ativo. Retorna null se não houver cliente ativo com
+ * o slug.
+ *
+ * @param {string} slug
+ * @param {string|null} actor nome do operador responsável
+ * @returns {Promise<{deletedAt: string}|null>}
+ */
+async function archiveClient(slug, actor) {
+  return withTransaction(async (conn) => {
+    const { rows } = await conn.query(
+      `UPDATE clients SET deleted_at = NOW()
+        WHERE slug = $1 AND deleted_at IS NULL
+        RETURNING deleted_at;`,
+      [slug]
+    );
+    if (!rows.length) return null;
+    await conn.query(
+      `INSERT INTO client_settings (slug, loop_status, deleted_at, deleted_by)
+       VALUES ($1, 'idle', $2, $3)
+       ON CONFLICT (slug) DO UPDATE SET deleted_at = $2, deleted_by = $3, loop_status = 'idle', auto_run = false;`,
+      [slug, rows[0].deleted_at, actor || null]
+    );
+    return { deletedAt: rows[0].deleted_at };
+  });
+}
+
+/**
+ * Restaura um cliente arquivado. Retorna null se o slug não estiver
+ * arquivado.
+ *
+ * @param {string} slug
+ * @returns {Promise<{restored: string}|null>}
+ */
+async function restoreClient(slug) {
+  return withTransaction(async (conn) => {
+    const r = await conn.query(
+      'UPDATE clients SET deleted_at = NULL WHERE slug = $1 AND deleted_at IS NOT NULL;',
+      [slug]
+    );
+    if (!r.rowCount) return null;
+    await conn.query(
+      `UPDATE client_settings SET deleted_at = NULL, deleted_by = NULL, loop_status = 'idle' WHERE slug = $1;`,
+      [slug]
+    );
+    return { restored: slug };
+  });
+}
+
+/**
+ * Lista os clientes arquivados com a contagem de linhas preservadas e a
+ * data prevista para a remoção definitiva.
+ *
+ * @param {number} retentionDays
+ * @returns {Promise<Object[]>}
+ */
+async function listArchivedClients(retentionDays) {
+  const { rows } = await pool.query(
+    `SELECT c.slug, c.deleted_at, s.deleted_by,
+            c.deleted_at + make_interval(days => $1) AS purge_at,
+            (SELECT COUNT(*) FROM queue_entries q WHERE q.client_id = c.id)::int AS "queueCount",
+            (SELECT COUNT(*) FROM contacts ct WHERE ct.client_id = c.id)::int AS "totalsCount"
+       FROM clients c
+       LEFT JOIN client_settings s ON s.slug = c.slug
+      WHERE c.deleted_at IS NOT NULL
+      ORDER BY c.deleted_at DESC;`,
+    [retentionDays]
+  );
+  return rows;
+}
+
+/**
+ * Remove definitivamente os clientes arquivados há mais de retentionDays
+ * dias: o registro em clients (contatos, fila e histórico caem em
+ * cascata), client_settings e vínculos de operadores. Retorna os slugs
+ * apagados.
+ *
+ * @param {number} retentionDays
+ * @returns {Promise<string[]>}
+ */
+async function purgeExpiredArchives(retentionDays) {
+  const { rows } = await pool.query(
+    `SELECT slug FROM clients
+      WHERE deleted_at IS NOT NULL
+        AND deleted_at < NOW() - make_interval(days => $1);`,
+    [retentionDays]
+  );
+  const purged = [];
+  for (const { slug } of rows) {
+    try {
+      await withTransaction(async (conn) => {
+        await conn.query('DELETE FROM clients WHERE slug = $1 AND deleted_at IS NOT NULL;', [slug]);
+        await conn.query('DELETE FROM client_settings WHERE slug = $1;', [slug]);
+        await conn.query('DELETE FROM operator_clients WHERE slug = $1;', [slug]);
+      });
+      purged.push(slug);
+    } catch (err) {
+      console.error('[ARCHIVE] Falha ao purgar', slug, err.message);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  isArchived,
+  archiveClient,
+  restoreClient,
+  listArchivedClients,
+  purgeExpiredArchives,
+};
@@ -0,0 +1,140 @@
+/*
+ * src/db/attachments.js
+ *
+ * Anexos dos clientes (client_attachments). O conteúdo só é lido no envio
+ * e no download; as listagens trazem apenas os metadados. A validação do
+ * arquivo está em src/utils/attachments.js.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../config');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+const META_COLUMNS = 'a.id, a.name, a.filename, a.mime_type, a.kind, a.size_bytes, a.sha256, a.created_at';
+
+const toItem = (r) => ({ ...r, id: Number(r.id) });
+
+/**
+ * Anexos do cliente (sem o conteúdo), com os templates que usam cada um.
+ *
+ * @param {string} slug
+ * @returns {Promise<Object[]>}
+ */
+async function listAttachments(slug) {
+  const { rows } = await pool.query(
+    `SELECT ${META_COLUMNS},
+            EXISTS (SELECT 1 FROM client_settings s WHERE s.slug = $1 AND s.message_attachment_id = a.id) AS used_by_settings,
+            ARRAY(SELECT q.step FROM sequence_steps q WHERE q.attachment_id = a.id ORDER BY q.step)::int[] AS used_by_steps,
+            ARRAY(SELECT v.name FROM template_variants v WHERE v.attachment_id = a.id AND v.active ORDER BY v.id) AS used_by_variants
+       FROM client_attachments a
+      WHERE a.client_id = ${CLIENT_ID}
+      ORDER BY a.id;`,
+    [slug]
+  );
+  return rows.map(toItem);
+}
+
+/**
+ * Um anexo do cliente; com `withData` inclui o conteúdo (Buffer).
+ *
+ * @param {string} slug
+ * @param {number} id
+ * @param {Object} [param2]
+ * @param {boolean} [param2.withData]
+ * @returns {Promise<Object|null>}
+ */
+async function getAttachment(slug, id, { withData = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${META_COLUMNS}${withData ? ', a.data' : ''}
+       FROM client_attachments a
+      WHERE a.client_id = ${CLIENT_ID} AND a.id = $2;`,
+    [slug, id]
+  );
+  return rows[0] ? toItem(rows[0]) : null;
+}
+
+/**
+ * Ids da lista que não são anexos do cliente (vazia = todos válidos).
+ *
+ * @param {string} slug
+ * @param {number[]} ids
+ * @returns {Promise<number[]>}
+ */
+async function findForeignAttachmentIds(slug, ids) {
+  const unique = [...new Set(ids.filter((id) => id != null))];
+  if (!unique.length) return [];
+  const { rows } = await pool.query(
+    `SELECT id FROM client_attachments WHERE client_id = ${CLIENT_ID} AND id = ANY($2::bigint[]);`,
+    [slug, unique]
+  );
+  const own = new Set(rows.map((r) => Number(r.id)));
+  return unique.filter((id) => !own.has(id));
+}
+
+/**
+ * Grava um anexo já validado. Retorna null se o cliente não existir;
+ * lança Error com code 'duplicate_name' se o nome já estiver em uso.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {string} param1.name
+ * @param {string} param1.filename
+ * @param {string} param1.mimeType
+ * @param {string} param1.kind
+ * @param {Buffer} param1.data
+ * @returns {Promise<Object|null>}
+ */
+async function createAttachment(slug, { name, filename, mimeType, kind, data }) {
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO client_attachments AS a (client_id, name, filename, mime_type, kind, size_bytes, sha256, data)
+       SELECT ${CLIENT_ID}, $2, $3, $4, $5, $6, $7, $8
+        WHERE ${CLIENT_ID} IS NOT NULL
+       RETURNING ${META_COLUMNS};`,
+      [slug, name, filename, mimeType, kind, data.length, sha256, data]
+    );
+    return rows[0] ? toItem(rows[0]) : null;
+  } catch (err) {
+    if (err.code === '23505') {
+      const e = new Error(`Já existe um anexo chamado "${name}"`);
+      e.code = 'duplicate_name';
+      throw e;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Remove um anexo que não esteja em uso por nenhum template. Retorna
+ * 'deleted', 'in_use' ou 'not_found'.
+ *
+ * @param {string} slug
+ * @param {number} id
+ * @returns {Promise<'deleted'|'in_use'|'not_found'>}
+ */
+async function deleteAttachment(slug, id) {
+  const { rows } = await pool.query(
+    `WITH target AS (
+       SELECT a.id,
+              EXISTS (SELECT 1 FROM client_settings s WHERE s.message_attachment_id = a.id)
+              OR EXISTS (SELECT 1 FROM sequence_steps q WHERE q.attachment_id = a.id)
+              OR EXISTS (SELECT 1 FROM template_variants v WHERE v.attachment_id = a.id AND v.active) AS in_use
+         FROM client_attachments a
+        WHERE a.client_id = ${CLIENT_ID} AND a.id = $2
+     ), deleted AS (
+       DELETE FROM client_attachments a USING target t
+        WHERE a.id = t.id AND NOT t.in_use
+       RETURNING a.id
+     )
+     SELECT (SELECT in_use FROM target) AS in_use, (SELECT COUNT(*) FROM deleted)::int AS deleted;`,
+    [slug, id]
+  );
+  const row = rows[0];
+  if (row.in_use == null) return 'not_found';
+  return row.deleted ? 'deleted' : 'in_use';
+}
+
+module.exports = { listAttachments, getAttachment, findForeignAttachmentIds, createAttachment, deleteAttachment };
@@ -0,0 +1,106 @@
+/*
+ * src/db/audit.js
+ *
+ * Persistência da trilha de auditoria. Cada linha registra quem executou
+ * uma ação administrativa, sobre qual cliente, o estado antes/depois
+ * (já com segredos mascarados pelo chamador), o IP de origem e o horário.
+ */
+
+const { pool } = require('../config');
+
+/**
+ * Insere um registro de auditoria.
+ *
+ * @param {Object} entry
+ * @param {number|null} entry.actorId
+ * @param {string|null} entry.actorUsername
+ * @param {string} entry.action
+ * @param {string|null} [entry.slug]
+ * @param {Object|null} [entry.before]
+ * @param {Object|null} [entry.after]
+ * @param {string|null} [entry.ip]
+ * @returns {Promise<void>}
+ */
+async function insertAuditEntry({ actorId, actorUsername, action, slug = null, before = null, after = null, ip = null }) {
+  await pool.query(
+    `INSERT INTO audit_log (actor_id, actor_username, action, slug, before, after, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7);`,
+    [
+      actorId ?? null,
+      actorUsername ?? null,
+      action,
+      slug,
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after),
+      ip,
+    ]
+  );
+}
+
+/**
+ * Consulta a trilha com filtros opcionais. Datas sem horário em `to` são
+ * tratadas como o dia inteiro (inclusive).
+ *
+ * @param {Object} param0
+ * @param {string} [param0.slug]
+ * @param {string[]} [param0.slugs] restringe a um conjunto de slugs
+ * @param {string} [param0.action] aceita prefixo terminado em "*" (ex.: "client.*")
+ * @param {string} [param0.actor]
+ * @param {string} [param0.from]
+ * @param {string} [param0.to]
+ * @param {number} [param0.limit]
+ * @param {number} [param0.offset]
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+async function listAuditEntries({ slug, slugs, action, actor, from, to, limit = 100, offset = 0 }) {
+  const conditions = [];
+  const params = [];
+
+  if (slug) {
+    params.push(slug);
+    conditions.push(`slug = $${params.length}`);
+  }
+  if (Array.isArray(slugs)) {
+    params.push(slugs);
+    conditions.push(`slug = ANY($${params.length}::text[])`);
+  }
+  if (action) {
+    if (action.endsWith('*')) {
+      params.push(action.slice(0, -1) + '%');
+      conditions.push(`action LIKE $${params.length}`);
+    } else {
+      params.push(action);
+      conditions.push(`action = $${params.length}`);
+    }
+  }
+  if (actor) {
+    params.push(actor);
+    conditions.push(`actor_username = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`created_at >= $${params.length}::timestamptz`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to)
+      ? `created_at < ($${params.length}::date + 1)`
+      : `created_at <= $${params.length}::timestamptz`);
+  }
+
+  const whereClause = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  const itemsRes = await pool.query(
+    `SELECT id, actor_id, actor_username, action, slug, before, after, ip, created_at
+       FROM audit_log
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+    [...params, limit, offset]
+  );
+  const countRes = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_log ${whereClause};`, params);
+
+  return { items: itemsRes.rows, total: Number(countRes.rows[0]?.total || 0) };
+}
+
+module.exports = { insertAuditEntry, listAuditEntries };
@@ -0,0 +1,284 @@
+/*
+ * src/db/auth.js
+ *
+ * Acesso ao banco para o subsistema de autenticação: contas de operadores
+ * e chaves de API (incluindo os tokens de sessão emitidos no login). Os
+ * tokens nunca são persistidos em texto puro; apenas o hash SHA-256 e um
+ * prefixo curto, usado para identificar a chave na listagem.
+ *
+ * Cada operador tem um papel (admin, operator ou viewer). Operadores e
+ * visualizadores só enxergam os clientes (slugs) vinculados a eles na
+ * tabela operator_clients; administradores enxergam todos.
+ */
+
+const { pool } = require('../config');
+
+const ROLES = ['admin', 'operator', 'viewer'];
+
+/**
+ * Conta quantos operadores existem. Usado no bootstrap para decidir se o
+ * administrador inicial definido no .env deve ser criado.
+ *
+ * @returns {Promise<number>}
+ */
+async function countOperators() {
+  const { rows } = await pool.query('SELECT COUNT(*)::int AS c FROM operators;');
+  return Number(rows[0]?.c || 0);
+}
+
+/**
+ * Cria um operador com a senha já transformada em hash.
+ *
+ * @param {string} username
+ * @param {string} passwordHash
+ * @param {'admin'|'operator'|'viewer'} [role]
+ * @returns {Promise<{id: number, username: string, role: string, active: boolean, created_at: string}>}
+ */
+async function createOperator(username, passwordHash, role = 'operator') {
+  const { rows } = await pool.query(
+    `INSERT INTO operators (username, password_hash, role)
+     VALUES ($1, $2, $3)
+     RETURNING id, username, role, active, created_at;`,
+    [username, passwordHash, role]
+  );
+  return rows[0];
+}
+
+/**
+ * Lista todos os operadores com os slugs vinculados a cada um.
+ *
+ * @returns {Promise<Object[]>}
+ */
+async function listOperators() {
+  const { rows } = await pool.query(
+    `SELECT o.id, o.username, o.role, o.active, o.created_at, o.last_login_at,
+            COALESCE(array_agg(oc.slug ORDER BY oc.slug) FILTER (WHERE oc.slug IS NOT NULL), '{}') AS clients
+       FROM operators o
+       LEFT JOIN operator_clients oc ON oc.operator_id = o.id
+      GROUP BY o.id
+      ORDER BY o.username;`
+  );
+  return rows;
+}
+
+/**
+ * Atualiza papel e/ou status de um operador. Campos undefined permanecem
+ * inalterados. Retorna o operador atualizado ou null se não existir.
+ *
+ * @param {number} operatorId
+ * @param {Object} param1
+ * @param {string} [param1.role]
+ * @param {boolean} [param1.active]
+ * @returns {Promise<Object|null>}
+ */
+async function updateOperator(operatorId, { role, active }) {
+  const { rows } = await pool.query(
+    `UPDATE operators
+        SET role   = COALESCE($2, role),
+            active = COALESCE($3, active)
+      WHERE id = $1
+      RETURNING id, username, role, active, created_at, last_login_at;`,
+    [operatorId, role ?? null, typeof active === 'boolean' ? active : null]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Substitui o conjunto de slugs vinculados a um operador.
+ *
+ * @param {number} operatorId
+ * @param {string[]} slugs
+ * @returns {Promise<void>}
+ */
+async function setOperatorClients(operatorId, slugs) {
+  const conn = await pool.connect();
+  try {
+    await conn.query('BEGIN');
+    await conn.query('DELETE FROM operator_clients WHERE operator_id = $1;', [operatorId]);
+    if (slugs.length) {
+      await conn.query(
+        `INSERT INTO operator_clients (operator_id, slug)
+         SELECT $1, unnest($2::text[])
+         ON CONFLICT DO NOTHING;`,
+        [operatorId, slugs]
+      );
+    }
+    await conn.query('COMMIT');
+  } catch (err) {
+    try { await conn.query('ROLLBACK'); } catch {}
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Vincula um único slug ao operador (usado quando ele cria um cliente).
+ *
+ * @param {number} operatorId
+ * @param {string} slug
+ */
+async function addOperatorClient(operatorId, slug) {
+  await pool.query(
+    `INSERT INTO operator_clients (operator_id, slug) VALUES ($1, $2) ON CONFLICT DO NOTHING;`,
+    [operatorId, slug]
+  );
+}
+
+/**
+ * Retorna os slugs vinculados a um operador.
+ *
+ * @param {number} operatorId
+ * @returns {Promise<string[]>}
+ */
+async function listOperatorSlugs(operatorId) {
+  const { rows } = await pool.query(
+    'SELECT slug FROM operator_clients WHERE operator_id = $1 ORDER BY slug;',
+    [operatorId]
+  );
+  return rows.map((r) => r.slug);
+}
+
+/**
+ * Indica se o operador está vinculado ao slug.
+ *
+ * @param {number} operatorId
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+async function hasClientAccess(operatorId, slug) {
+  const { rowCount } = await pool.query(
+    'SELECT 1 FROM operator_clients WHERE operator_id = $1 AND slug = $2;',
+    [operatorId, slug]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Busca um operador pelo nome de usuário (comparação sem diferenciar
+ * maiúsculas). Retorna null se não existir.
+ *
+ * @param {string} username
+ * @returns {Promise<Object|null>}
+ */
+async function findOperatorByUsername(username) {
+  const { rows } = await pool.query(
+    `SELECT id, username, password_hash, role, active
+       FROM operators
+      WHERE lower(username) = lower($1);`,
+    [username]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Registra o horário do último login bem-sucedido.
+ *
+ * @param {number} operatorId
+ */
+async function touchOperatorLogin(operatorId) {
+  await pool.query('UPDATE operators SET last_login_at = NOW() WHERE id = $1;', [operatorId]);
+}
+
+/**
+ * Persiste uma nova chave (de API ou de sessão) para o operador.
+ *
+ * @param {Object} param0
+ * @param {number} param0.operatorId
+ * @param {string} param0.name
+ * @param {'api'|'session'} param0.kind
+ * @param {string} param0.keyPrefix
+ * @param {string} param0.keyHash
+ * @param {Date|null} [param0.expiresAt]
+ * @returns {Promise<Object>}
+ */
+async function insertApiKey({ operatorId, name, kind, keyPrefix, keyHash, expiresAt = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO api_keys (operator_id, name, kind, key_prefix, key_hash, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, name, kind, key_prefix, expires_at, created_at;`,
+    [operatorId, name || null, kind, keyPrefix, keyHash, expiresAt]
+  );
+  return rows[0];
+}
+
+/**
+ * Localiza a chave pelo hash e devolve junto os dados do operador dono.
+ * Chaves revogadas ou expiradas não são retornadas.
+ *
+ * @param {string} keyHash
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveKeyByHash(keyHash) {
+  const { rows } = await pool.query(
+    `SELECT k.id AS key_id, k.kind, k.operator_id, o.username, o.role, o.active
+       FROM api_keys k
+       JOIN operators o ON o.id = k.operator_id
+      WHERE k.key_hash = $1
+        AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > NOW());`,
+    [keyHash]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Atualiza o carimbo de último uso de uma chave.
+ *
+ * @param {number} keyId
+ */
+async function touchApiKey(keyId) {
+  await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1;', [keyId]);
+}
+
+/**
+ * Lista as chaves de API (não inclui tokens de sessão) de um operador.
+ *
+ * @param {number} operatorId
+ * @returns {Promise<Object[]>}
+ */
+async function listApiKeys(operatorId) {
+  const { rows } = await pool.query(
+    `SELECT id, name, key_prefix, expires_at, revoked_at, last_used_at, created_at
+       FROM api_keys
+      WHERE operator_id = $1 AND kind = 'api'
+      ORDER BY created_at DESC;`,
+    [operatorId]
+  );
+  return rows;
+}
+
+/**
+ * Revoga uma chave do operador. Retorna true se alguma linha foi afetada.
+ *
+ * @param {number} operatorId
+ * @param {number} keyId
+ * @returns {Promise<boolean>}
+ */
+async function revokeApiKey(operatorId, keyId) {
+  const r = await pool.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+      WHERE id = $1 AND operator_id = $2 AND revoked_at IS NULL;`,
+    [keyId, operatorId]
+  );
+  return r.rowCount > 0;
+}
+
+module.exports = {
+  ROLES,
+  countOperators,
+  createOperator,
+  listOperators,
+  updateOperator,
+  setOperatorClients,
+  addOperatorClient,
+  listOperatorSlugs,
+  hasClientAccess,
+  findOperatorByUsername,
+  touchOperatorLogin,
+  insertApiKey,
+  findActiveKeyByHash,
+  touchApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,75 @@
+/*
+ * src/db/blackouts.js
+ *
+ * Períodos sem envio cadastrados para cada cliente (client_blackouts).
+ * As datas são locais ao fuso do cliente e voltam como YYYY-MM-DD.
+ */
+
+const { pool } = require('../config');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+const COLUMNS = `id, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+                 reason, created_by, created_at`;
+
+/**
+ * Bloqueios do cliente que terminam em `from` ou depois (todos, se
+ * omitido), em ordem de início.
+ *
+ * @param {string} slug
+ * @param {Object} [param1]
+ * @param {string} [param1.from] YYYY-MM-DD
+ * @returns {Promise<Object[]>}
+ */
+async function listBlackouts(slug, { from = null } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNS}
+       FROM client_blackouts
+      WHERE client_id = ${CLIENT_ID}
+        AND ($2::date IS NULL OR end_date >= $2::date)
+      ORDER BY start_date, id;`,
+    [slug, from]
+  );
+  return rows;
+}
+
+/**
+ * Cadastra um período de bloqueio. Retorna null se o cliente não existir.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {string} param1.startDate YYYY-MM-DD
+ * @param {string} param1.endDate YYYY-MM-DD
+ * @param {string|null} [param1.reason]
+ * @param {string|null} [param1.createdBy]
+ * @returns {Promise<Object|null>}
+ */
+async function createBlackout(slug, { startDate, endDate, reason = null, createdBy = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO client_blackouts (client_id, start_date, end_date, reason, created_by)
+     SELECT id, $2, $3, $4, $5 FROM clients WHERE slug = $1 AND deleted_at IS NULL
+     RETURNING ${COLUMNS};`,
+    [slug, startDate, endDate, reason, createdBy]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Remove um bloqueio do cliente. Retorna o registro removido ou null.
+ *
+ * @param {string} slug
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function deleteBlackout(slug, id) {
+  const { rows } = await pool.query(
+    `DELETE FROM client_blackouts
+      WHERE id = $2 AND client_id = ${CLIENT_ID}
+      RETURNING ${COLUMNS};`,
+    [slug, id]
+  );
+  return rows[0] || null;
+}
+
+module.exports = { listBlackouts, createBlackout, deleteBlackout };
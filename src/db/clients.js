@@ -0,0 +1,430 @@
+/*
+ * src/db/clients.js
+ *
+ * Esquema normalizado de clientes e contatos. Substitui as tabelas
+ * dinâmicas "<slug>" (fila) e "<slug>_totais" (histórico) por tabelas
+ * compartilhadas, chaveadas por client_id:
+ *
+ *   clients        – um registro por cliente (slug único)
+ *   contacts       – todos os contatos já importados do cliente
+ *   queue_entries  – contatos aguardando envio (um por contato)
+ *   send_history   – cada tentativa de envio/marcação, com o resultado
+ *
+ * Todas as consultas recebem o slug e resolvem o client_id internamente,
+ * ignorando clientes arquivados (deleted_at preenchido). Nenhum SQL aqui
+ * interpola o slug na query.
+ */
+
+const { pool, DEFAULT_TIMEZONE } = require('../config');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+// Início de hoje no fuso do cliente (client_settings.timezone, ou o padrão em $2).
+const CLIENT_TZ = '(SELECT COALESCE((SELECT timezone FROM client_settings WHERE slug = $1), $2))';
+const START_OF_TODAY = `(date_trunc('day', NOW() AT TIME ZONE ${CLIENT_TZ}) AT TIME ZONE ${CLIENT_TZ})`;
+
+/**
+ * Indica se existe um cliente ativo com o slug.
+ *
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+async function clientExists(slug) {
+  const { rowCount } = await pool.query(
+    'SELECT 1 FROM clients WHERE slug = $1 AND deleted_at IS NULL;',
+    [slug]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Cria o cliente e suas configurações iniciais. Retorna false, sem
+ * alterar nada, se o slug já estiver em uso (ativo ou arquivado).
+ *
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+async function createClient(slug) {
+  return withTransaction(async (conn) => {
+    const { rowCount } = await conn.query(
+      'INSERT INTO clients (slug) VALUES ($1) ON CONFLICT (slug) DO NOTHING RETURNING id;',
+      [slug]
+    );
+    if (!rowCount) return false;
+    // Completa a estrutura (client_settings); o INSERT em clients acima
+    // faz o da função virar no-op
+    await conn.query('SELECT create_full_client_structure($1);', [slug]);
+    return true;
+  });
+}
+
+/**
+ * Lista os clientes ativos com o tamanho da fila e as configurações
+ * usadas na listagem do painel.
+ *
+ * @returns {Promise<Object[]>}
+ */
+async function listActiveClients() {
+  const { rows } = await pool.query(`
+    SELECT c.slug,
+           (SELECT COUNT(*) FROM queue_entries q WHERE q.client_id = c.id)::int AS queue_count,
+           s.auto_run, s.ia_auto, s.instance_url, s.loop_status, s.last_run_at, s.daily_limit
+      FROM clients c
+      LEFT JOIN client_settings s ON s.slug = c.slug
+     WHERE c.deleted_at IS NULL
+     ORDER BY c.slug;`);
+  return rows;
+}
+
+/**
+ * Quantidade de contatos na fila do cliente.
+ *
+ * @param {string} slug
+ * @returns {Promise<number>}
+ */
+async function countQueue(slug) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS c FROM queue_entries WHERE client_id = ${CLIENT_ID};`,
+    [slug]
+  );
+  return Number(rows[0]?.c || 0);
+}
+
+/**
+ * Quantidade de mensagens enviadas hoje (no fuso do cliente), contando a
+ * mensagem inicial, as etapas de sequência e as marcações manuais.
+ *
+ * @param {string} slug
+ * @returns {Promise<number>}
+ */
+async function countSentToday(slug) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS c
+       FROM send_history
+      WHERE client_id = ${CLIENT_ID}
+        AND status = 'sent'
+        AND created_at >= ${START_OF_TODAY};`,
+    [slug, DEFAULT_TIMEZONE]
+  );
+  return Number(rows[0]?.c || 0);
+}
+
+/**
+ * Lista paginada das mensagens enviadas hoje.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {number} param1.limit
+ * @param {number} param1.offset
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+async function listSentToday(slug, { limit, offset }) {
+  const itemsRes = await pool.query(
+    `SELECT c.name, c.phone, c.niche, h.created_at AS updated_at, COALESCE(h.step, 1) AS step
+       FROM send_history h
+       JOIN contacts c ON c.id = h.contact_id
+      WHERE h.client_id = ${CLIENT_ID}
+        AND h.status = 'sent'
+        AND h.created_at >= ${START_OF_TODAY}
+      ORDER BY h.created_at DESC
+      LIMIT $3 OFFSET $4;`,
+    [slug, DEFAULT_TIMEZONE, limit, offset]
+  );
+  return { items: itemsRes.rows, total: await countSentToday(slug) };
+}
+
+/**
+ * KPIs do cliente: total de contatos, enviados, respondidos, tamanho da
+ * fila, o último envio e a última resposta.
+ *
+ * @param {string} slug
+ * @returns {Promise<Object>}
+ */
+async function getClientStats(slug) {
+  const { rows } = await pool.query(
+    `WITH cl AS (SELECT ${CLIENT_ID} AS id)
+     SELECT
+       (SELECT COUNT(*) FROM contacts WHERE client_id = cl.id)::int AS totais,
+       (SELECT COUNT(*) FROM contacts WHERE client_id = cl.id AND mensagem_enviada = true)::int AS enviados,
+       (SELECT COUNT(*) FROM contacts WHERE client_id = cl.id AND replied_at IS NOT NULL)::int AS respondidos,
+       (SELECT COUNT(*) FROM queue_entries WHERE client_id = cl.id)::int AS fila
+       FROM cl;`,
+    [slug]
+  );
+  const last = await pool.query(
+    `SELECT name, phone, sent_at
+       FROM contacts
+      WHERE client_id = ${CLIENT_ID} AND mensagem_enviada = true
+      ORDER BY sent_at DESC NULLS LAST
+      LIMIT 1;`,
+    [slug]
+  );
+  const lastReply = await pool.query(
+    `SELECT name, phone, replied_at
+       FROM contacts
+      WHERE client_id = ${CLIENT_ID} AND replied_at IS NOT NULL
+      ORDER BY replied_at DESC
+      LIMIT 1;`,
+    [slug]
+  );
+  return { ...rows[0], last: last.rows[0] || null, lastReply: lastReply.rows[0] || null };
+}
+
+/**
+ * Lista paginada da fila, com busca opcional por nome ou telefone.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {string} [param1.search]
+ * @param {number} param1.limit
+ * @param {number} param1.offset
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+async function listQueue(slug, { search, limit, offset }) {
+  const params = [slug];
+  let filter = '';
+  if (search) {
+    params.push(`%${search}%`);
+    filter = `AND (c.name ILIKE $2 OR c.phone ILIKE $2)`;
+  }
+  const itemsRes = await pool.query(
+    `SELECT c.name, c.phone
+       FROM queue_entries q
+       JOIN contacts c ON c.id = q.contact_id
+      WHERE q.client_id = ${CLIENT_ID} ${filter}
+      ORDER BY c.name
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+    [...params, limit, offset]
+  );
+  const countRes = await pool.query(
+    `SELECT COUNT(*)::int AS total
+       FROM queue_entries q
+       JOIN contacts c ON c.id = q.contact_id
+      WHERE q.client_id = ${CLIENT_ID} ${filter};`,
+    params
+  );
+  return { items: itemsRes.rows, total: Number(countRes.rows[0]?.total || 0) };
+}
+
+/**
+ * Contato de exemplo para a prévia de templates: o do telefone informado
+ * (comparado por phone_key, como na detecção de respostas) ou, sem
+ * telefone, o primeiro da fila.
+ *
+ * @param {string} slug
+ * @param {string|null} phone
+ * @returns {Promise<{name: string, phone: string, niche: string|null, region: string|null, custom_fields: Object, queued: boolean}|null>}
+ */
+async function findSampleContact(slug, phone) {
+  const { rows } = phone
+    ? await pool.query(
+      `SELECT c.name, c.phone, c.niche, c.region, c.custom_fields,
+              EXISTS (SELECT 1 FROM queue_entries q WHERE q.contact_id = c.id) AS queued
+         FROM contacts c
+        WHERE c.client_id = ${CLIENT_ID} AND phone_key(c.phone) = phone_key($2)
+        ORDER BY c.id DESC
+        LIMIT 1;`,
+      [slug, phone]
+    )
+    : await pool.query(
+      `SELECT c.name, c.phone, c.niche, c.region, c.custom_fields, TRUE AS queued
+         FROM queue_entries q
+         JOIN contacts c ON c.id = q.contact_id
+        WHERE q.client_id = ${CLIENT_ID}
+        ORDER BY c.name
+        LIMIT 1;`,
+      [slug]
+    );
+  return rows[0] || null;
+}
+
+/**
+ * Nomes dos campos personalizados já importados para o cliente.
+ *
+ * @param {string} slug
+ * @returns {Promise<string[]>}
+ */
+async function listCustomFieldKeys(slug) {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT k.key
+       FROM contacts c, jsonb_object_keys(c.custom_fields) AS k(key)
+      WHERE c.client_id = ${CLIENT_ID}
+      ORDER BY k.key
+      LIMIT 200;`,
+    [slug]
+  );
+  return rows.map((r) => r.key);
+}
+
+/**
+ * Grava a região e acrescenta campos personalizados a um contato do
+ * cliente (import de CSV). Campos já existentes com a mesma chave são
+ * substituídos.
+ *
+ * @param {string} slug
+ * @param {string} phone
+ * @param {Object} param2
+ * @param {string|null} [param2.region]
+ * @param {Object} [param2.customFields]
+ * @returns {Promise<void>}
+ */
+async function setContactFields(slug, phone, { region = null, customFields = {} }) {
+  await pool.query(
+    `UPDATE contacts
+        SET custom_fields = custom_fields || $4::jsonb, region = COALESCE($3, region), updated_at = NOW()
+      WHERE client_id = ${CLIENT_ID} AND phone = $2;`,
+    [slug, phone, region, JSON.stringify(customFields || {})]
+  );
+}
+
+/**
+ * Lista paginada de todos os contatos (antiga tabela _totais), com busca
+ * e filtros de enviados e de respondidos ('sim' | 'nao' | 'all').
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {string} [param1.search]
+ * @param {string} [param1.sent]
+ * @param {string} [param1.replied]
+ * @param {number} param1.limit
+ * @param {number} param1.offset
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+async function listContacts(slug, { search, sent, replied, limit, offset }) {
+  const conditions = [`client_id = ${CLIENT_ID}`];
+  const params = [slug];
+
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(name ILIKE $${params.length} OR phone ILIKE $${params.length} OR niche ILIKE $${params.length})`);
+  }
+  if (sent === 'sim') conditions.push('mensagem_enviada = true');
+  else if (sent === 'nao') conditions.push('mensagem_enviada = false');
+  if (replied === 'sim') conditions.push('replied_at IS NOT NULL');
+  else if (replied === 'nao') conditions.push('replied_at IS NULL');
+
+  const whereClause = 'WHERE ' + conditions.join(' AND ');
+  const itemsRes = await pool.query(
+    `SELECT name, phone, niche, mensagem_enviada, replied_at IS NOT NULL AS respondido, replied_at,
+            delivery_status, delivered_at, read_at, updated_at,
+            (SELECT v.name FROM template_variants v WHERE v.id = contacts.variant_id) AS variant
+       FROM contacts
+      ${whereClause}
+      ORDER BY updated_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+    [...params, limit, offset]
+  );
+  const countRes = await pool.query(`SELECT COUNT(*)::int AS total FROM contacts ${whereClause};`, params);
+  return { items: itemsRes.rows, total: Number(countRes.rows[0]?.total || 0) };
+}
+
+/**
+ * Executa fn dentro de uma transação em uma conexão dedicada do pool.
+ *
+ * @template T
+ * @param {(conn: import('pg').PoolClient) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withTransaction(fn) {
+  const conn = await pool.connect();
+  try {
+    await conn.query('BEGIN');
+    const result = await fn(conn);
+    await conn.query('COMMIT');
+    return result;
+  } catch (err) {
+    try { await conn.query('ROLLBACK'); } catch {}
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Remoção manual de um telefone da fila. Com markSent, o contato também é
+ * marcado como enviado (contando na cota de hoje) e a marcação fica em
+ * send_history com source='manual'.
+ *
+ * @param {string} slug
+ * @param {string} phone
+ * @param {Object} param2
+ * @param {boolean} param2.markSent
+ * @returns {Promise<{name: string|null}>}
+ */
+async function removeFromQueue(slug, phone, { markSent }) {
+  return withTransaction(async (conn) => {
+    const { rows } = await conn.query(
+      `SELECT id, name FROM contacts WHERE client_id = ${CLIENT_ID} AND phone = $2;`,
+      [slug, phone]
+    );
+    const contact = rows[0];
+    if (!contact) return { name: null };
+
+    await conn.query('DELETE FROM queue_entries WHERE contact_id = $1;', [contact.id]);
+    if (markSent) {
+      await conn.query(
+        `UPDATE contacts SET mensagem_enviada = true, sent_at = NOW(), updated_at = NOW() WHERE id = $1;`,
+        [contact.id]
+      );
+      await conn.query(
+        `INSERT INTO send_history (client_id, contact_id, status, source)
+         VALUES (${CLIENT_ID}, $2, 'sent', 'manual');`,
+        [slug, contact.id]
+      );
+    }
+    return { name: markSent ? contact.name : null };
+  });
+}
+
+/**
+ * Renomeia o slug de um cliente em clients, client_settings e nos
+ * vínculos de operadores. Retorna 'not_found', 'conflict' ou 'ok'.
+ *
+ * @param {string} oldSlug
+ * @param {string} newSlug
+ * @returns {Promise<'not_found'|'conflict'|'ok'>}
+ */
+async function renameClient(oldSlug, newSlug) {
+  return withTransaction(async (conn) => {
+    const old = await conn.query(
+      'SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL FOR UPDATE;',
+      [oldSlug]
+    );
+    if (!old.rowCount) return 'not_found';
+    const taken = await conn.query(
+      'SELECT 1 FROM clients WHERE slug = $1 UNION ALL SELECT 1 FROM client_settings WHERE slug = $1;',
+      [newSlug]
+    );
+    if (taken.rowCount) return 'conflict';
+
+    await conn.query('UPDATE clients SET slug = $1 WHERE id = $2;', [newSlug, old.rows[0].id]);
+    const cs = await conn.query('UPDATE client_settings SET slug = $1 WHERE slug = $2;', [newSlug, oldSlug]);
+    if (!cs.rowCount) {
+      await conn.query(
+        `INSERT INTO client_settings (slug, loop_status, last_run_at) VALUES ($1, 'idle', NOW());`,
+        [newSlug]
+      );
+    }
+    await conn.query('UPDATE operator_clients SET slug = $1 WHERE slug = $2;', [newSlug, oldSlug]);
+    return 'ok';
+  });
+}
+
+module.exports = {
+  withTransaction,
+  clientExists,
+  createClient,
+  listActiveClients,
+  countQueue,
+  countSentToday,
+  listSentToday,
+  getClientStats,
+  listQueue,
+  findSampleContact,
+  listCustomFieldKeys,
+  setContactFields,
+  listContacts,
+  removeFromQueue,
+  renameClient,
+};
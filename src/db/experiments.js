@@ -0,0 +1,137 @@
+/*
+ * src/db/experiments.js
+ *
+ * Variantes de template do teste A/B (template_variants) e os números de
+ * cada uma. Quando o cliente tem variantes ativas com peso, a mensagem
+ * inicial (etapa 1) sai de uma delas, sorteada a cada envio, em vez do
+ * message_template; a variante usada fica no contato (variant_id).
+ */
+
+const { pool } = require('../config');
+const { withTransaction } = require('./clients');
+const { describeTemplateError } = require('../utils/templates');
+const { normalizeAttachmentId } = require('../utils/attachments');
+const { normalizeInteractive } = require('../utils/interactive');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+const MAX_VARIANTS = 10;
+const MAX_TEMPLATE_LENGTH = 4096;
+const MAX_WEIGHT = 1000;
+
+/**
+ * Valida e normaliza a lista de variantes recebida pela API. Lança Error
+ * com mensagem legível se for inválida.
+ *
+ * @param {any} raw
+ * @returns {{name: string, messageTemplate: string, weight: number, attachmentId: number|null, interactive: Object|null}[]}
+ */
+function normalizeVariants(raw) {
+  if (!Array.isArray(raw)) throw new Error('variants deve ser uma lista');
+  if (raw.length > MAX_VARIANTS) throw new Error(`No máximo ${MAX_VARIANTS} variantes`);
+  const names = new Set();
+  return raw.map((v, i) => {
+    const name = typeof v?.name === 'string' ? v.name.trim() : '';
+    if (!name || name.length > 60) throw new Error(`Variante ${i + 1}: name deve ter de 1 a 60 caracteres`);
+    if (names.has(name.toLowerCase())) throw new Error(`Variante ${i + 1}: nome "${name}" repetido`);
+    names.add(name.toLowerCase());
+
+    const template = v?.messageTemplate;
+    if (typeof template !== 'string' || !template.trim() || template.length > MAX_TEMPLATE_LENGTH) {
+      throw new Error(`Variante ${i + 1}: messageTemplate deve ser texto com até ${MAX_TEMPLATE_LENGTH} caracteres`);
+    }
+    const templateError = describeTemplateError(template);
+    if (templateError) throw new Error(`Variante ${i + 1}: messageTemplate inválido: ${templateError}`);
+
+    const weight = v?.weight == null ? 1 : Number(v.weight);
+    if (!Number.isInteger(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      throw new Error(`Variante ${i + 1}: weight deve ser um inteiro entre 0 e ${MAX_WEIGHT}`);
+    }
+    const attachmentId = normalizeAttachmentId(v?.attachmentId, `Variante ${i + 1}: attachmentId`);
+    const interactive = normalizeInteractive(v?.interactive, `Variante ${i + 1}: interactive`);
+    return { name, messageTemplate: template, weight, attachmentId, interactive };
+  });
+}
+
+/**
+ * Variantes do cliente, em ordem de criação (a primeira é o controle).
+ *
+ * @param {string} slug
+ * @param {Object} [param1]
+ * @param {boolean} [param1.activeOnly]
+ * @returns {Promise<{id: number, name: string, message_template: string, weight: number, active: boolean, attachment_id: number|null, interactive: Object|null}[]>}
+ */
+async function listVariants(slug, { activeOnly = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id, name, message_template, weight, active, attachment_id::int, interactive, created_at, updated_at
+       FROM template_variants
+      WHERE client_id = ${CLIENT_ID} AND ($2::boolean IS FALSE OR active)
+      ORDER BY id;`,
+    [slug, activeOnly]
+  );
+  return rows.map((r) => ({ ...r, id: Number(r.id) }));
+}
+
+/**
+ * Substitui as variantes ativas do cliente. Variantes com o mesmo nome
+ * são atualizadas; as que saíram da lista ficam inativas. Retorna null
+ * se o cliente não existir.
+ *
+ * @param {string} slug
+ * @param {ReturnType<typeof normalizeVariants>} variants
+ * @returns {Promise<{active: number, deactivated: number}|null>}
+ */
+async function replaceVariants(slug, variants) {
+  return withTransaction(async (conn) => {
+    const client = await conn.query(`SELECT ${CLIENT_ID} AS id;`, [slug]);
+    const clientId = client.rows[0]?.id;
+    if (!clientId) return null;
+
+    for (const v of variants) {
+      await conn.query(
+        `INSERT INTO template_variants (client_id, name, message_template, weight, attachment_id, interactive)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (client_id, name) DO UPDATE
+            SET message_template = EXCLUDED.message_template, weight = EXCLUDED.weight,
+                attachment_id = EXCLUDED.attachment_id, interactive = EXCLUDED.interactive,
+                active = true, updated_at = NOW();`,
+        [clientId, v.name, v.messageTemplate, v.weight, v.attachmentId ?? null,
+          v.interactive ? JSON.stringify(v.interactive) : null]
+      );
+    }
+    const { rowCount } = await conn.query(
+      `UPDATE template_variants SET active = false, updated_at = NOW()
+        WHERE client_id = $1 AND active AND NOT (name = ANY($2::text[]));`,
+      [clientId, variants.map((v) => v.name)]
+    );
+    return { active: variants.length, deactivated: rowCount };
+  });
+}
+
+/**
+ * Números de cada variante (inclusive as inativas): contatos enviados,
+ * respondidos e, entre os com envio rastreado, entregues e lidos.
+ *
+ * @param {string} slug
+ * @returns {Promise<{id: number, name: string, weight: number, active: boolean, sent: number, replied: number, tracked: number, delivered: number, read: number}[]>}
+ */
+async function getVariantStats(slug) {
+  const { rows } = await pool.query(
+    `SELECT v.id, v.name, v.weight, v.active, v.created_at,
+            COUNT(c.id)::int AS sent,
+            COUNT(c.id) FILTER (WHERE c.replied_at IS NOT NULL)::int AS replied,
+            COUNT(c.id) FILTER (WHERE c.message_id IS NOT NULL)::int AS tracked,
+            COUNT(c.id) FILTER (WHERE c.delivery_status IN ('delivered', 'read'))::int AS delivered,
+            COUNT(c.id) FILTER (WHERE c.delivery_status = 'read')::int AS read
+       FROM template_variants v
+       LEFT JOIN contacts c ON c.variant_id = v.id AND c.mensagem_enviada
+      WHERE v.client_id = ${CLIENT_ID}
+      GROUP BY v.id
+      ORDER BY v.id;`,
+    [slug]
+  );
+  return rows.map((r) => ({ ...r, id: Number(r.id) }));
+}
+
+module.exports = { normalizeVariants, listVariants, replaceVariants, getVariantStats };
@@ -0,0 +1,201 @@
+/*
+ * src/db/failures.js
+ *
+ * Falhas de envio (send_failures). Uma falha transitória devolve o
+ * contato à fila (ou mantém a etapa da sequência) com retry_after até
+ * SEND_MAX_ATTEMPTS tentativas; uma permanente, ou a última tentativa,
+ * fica como 'failed' e pode ser recolocada na fila pela API. A
+ * classificação está em src/utils/sendErrors.js.
+ */
+
+const { pool, SEND_MAX_ATTEMPTS, SEND_RETRY_BASE_MINUTES } = require('../config');
+const { withTransaction } = require('./clients');
+const { retryDelayMs } = require('../utils/sendErrors');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+/**
+ * Registra a falha de um envio e decide se haverá nova tentativa.
+ * Chamado dentro da transação de completeJob.
+ *
+ * @param {import('pg').PoolClient} conn
+ * @param {{contact_id: number, step: number}} job
+ * @param {ReturnType<import('../utils/sendErrors').classifySendFailure>} failure
+ * @returns {Promise<{retry: boolean, attempts: number, nextRetryAt: Date|null}>}
+ */
+async function recordFailure(conn, job, failure) {
+  const { rows } = await conn.query(
+    `INSERT INTO send_failures (client_id, contact_id, step, category, permanent, reason, http_status)
+     SELECT client_id, id, $2, $3, $4, $5, $6 FROM contacts WHERE id = $1
+     ON CONFLICT (contact_id, step) WHERE status IN ('retrying', 'failed') DO UPDATE
+        SET attempts = send_failures.attempts + 1, category = EXCLUDED.category,
+            permanent = EXCLUDED.permanent, reason = EXCLUDED.reason,
+            http_status = EXCLUDED.http_status, last_failed_at = NOW()
+     RETURNING id, client_id, attempts;`,
+    [job.contact_id, job.step, failure.category, failure.permanent, failure.reason, failure.httpStatus]
+  );
+  const row = rows[0];
+  const retry = !failure.permanent && row.attempts < SEND_MAX_ATTEMPTS;
+  const nextRetryAt = retry ? new Date(Date.now() + retryDelayMs(row.attempts, SEND_RETRY_BASE_MINUTES)) : null;
+
+  await conn.query(
+    `UPDATE send_failures
+        SET status = $2, next_retry_at = $3, closed_at = CASE WHEN $2 = 'failed' THEN NOW() ELSE NULL END
+      WHERE id = $1;`,
+    [row.id, retry ? 'retrying' : 'failed', nextRetryAt ? nextRetryAt.toISOString() : null]
+  );
+
+  if (job.step === 1) {
+    if (retry) {
+      await conn.query(
+        `INSERT INTO queue_entries (client_id, contact_id, retry_after) VALUES ($1, $2, $3)
+         ON CONFLICT (contact_id) DO UPDATE SET retry_after = EXCLUDED.retry_after;`,
+        [row.client_id, job.contact_id, nextRetryAt.toISOString()]
+      );
+    }
+  } else {
+    await conn.query(
+      retry
+        ? `UPDATE contact_sequences SET retry_after = $2, updated_at = NOW()
+            WHERE contact_id = $1 AND status = 'active';`
+        : `UPDATE contact_sequences
+              SET status = 'stopped', stop_reason = $2, next_step = NULL, next_due_on = NULL,
+                  retry_after = NULL, updated_at = NOW()
+            WHERE contact_id = $1 AND status = 'active';`,
+      [job.contact_id, retry ? nextRetryAt.toISOString() : failure.category]
+    );
+  }
+  return { retry, attempts: row.attempts, nextRetryAt };
+}
+
+/**
+ * Fecha a falha em aberto de uma etapa que acabou de ser enviada.
+ *
+ * @param {import('pg').PoolClient} conn
+ * @param {number} contactId
+ * @param {number} step
+ * @returns {Promise<void>}
+ */
+async function resolveFailure(conn, contactId, step) {
+  await conn.query(
+    `UPDATE send_failures SET status = 'resolved', next_retry_at = NULL, closed_at = NOW()
+      WHERE contact_id = $1 AND step = $2 AND status = 'retrying';`,
+    [contactId, step]
+  );
+}
+
+/**
+ * Indica se há novas tentativas aguardando o horário (retry_after
+ * futuro), na fila ou nas sequências.
+ *
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+async function hasPendingRetries(slug) {
+  const { rows } = await pool.query(
+    `SELECT EXISTS (
+              SELECT 1 FROM queue_entries
+               WHERE client_id = ${CLIENT_ID} AND retry_after > NOW()
+            ) OR EXISTS (
+              SELECT 1 FROM contact_sequences
+               WHERE client_id = ${CLIENT_ID} AND status = 'active' AND retry_after > NOW()
+            ) AS pending;`,
+    [slug]
+  );
+  return !!rows[0]?.pending;
+}
+
+/**
+ * Lista paginada das falhas do cliente. status 'open' (padrão) reúne
+ * 'retrying' e 'failed'.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {string} [param1.status]
+ * @param {string} [param1.category]
+ * @param {number} param1.limit
+ * @param {number} param1.offset
+ * @returns {Promise<{items: Object[], total: number, byCategory: Object<string, number>}>}
+ */
+async function listFailures(slug, { status = 'open', category = null, limit, offset }) {
+  const statuses = status === 'open' ? ['retrying', 'failed'] : [status];
+  const where = `f.client_id = ${CLIENT_ID} AND f.status = ANY($2::text[]) AND ($3::text IS NULL OR f.category = $3)`;
+  const itemsRes = await pool.query(
+    `SELECT f.id, c.name, c.phone, f.step, f.category, f.permanent, f.reason, f.http_status,
+            f.attempts, f.status, f.next_retry_at, f.first_failed_at, f.last_failed_at, f.closed_at
+       FROM send_failures f
+       JOIN contacts c ON c.id = f.contact_id
+      WHERE ${where}
+      ORDER BY f.last_failed_at DESC
+      LIMIT $4 OFFSET $5;`,
+    [slug, statuses, category, limit, offset]
+  );
+  const countRes = await pool.query(
+    `SELECT f.category, COUNT(*)::int AS c FROM send_failures f
+      WHERE f.client_id = ${CLIENT_ID} AND f.status = ANY($2::text[])
+      GROUP BY f.category;`,
+    [slug, statuses]
+  );
+  const byCategory = {};
+  let total = 0;
+  for (const r of countRes.rows) {
+    byCategory[r.category] = r.c;
+    if (!category || r.category === category) total += r.c;
+  }
+  return { items: itemsRes.rows.map((r) => ({ ...r, id: Number(r.id) })), total, byCategory };
+}
+
+/**
+ * Recoloca na fila os contatos de falhas definitivas ('failed'): a etapa
+ * 1 volta para a fila e as seguintes reativam a sequência, vencendo em
+ * `today`. Contatos que já responderam ou que já receberam a etapa ficam
+ * de fora. Sem ids nem categoria, recoloca todas.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {number[]} [param1.ids]
+ * @param {string} [param1.category]
+ * @param {string} param1.today YYYY-MM-DD no fuso do cliente
+ * @returns {Promise<{requeued: number, skipped: number}>}
+ */
+async function requeueFailures(slug, { ids = null, category = null, today }) {
+  return withTransaction(async (conn) => {
+    const { rows } = await conn.query(
+      `UPDATE send_failures f SET status = 'requeued', closed_at = NOW()
+         FROM contacts c
+        WHERE c.id = f.contact_id
+          AND f.client_id = ${CLIENT_ID}
+          AND f.status = 'failed'
+          AND ($2::bigint[] IS NULL OR f.id = ANY($2::bigint[]))
+          AND ($3::text IS NULL OR f.category = $3)
+        RETURNING f.contact_id, f.step, f.client_id, c.replied_at IS NOT NULL AS replied,
+                  (f.step = 1 AND c.mensagem_enviada) AS already_sent;`,
+      [slug, ids && ids.length ? ids : null, category]
+    );
+    let requeued = 0;
+    for (const r of rows) {
+      if (r.replied || r.already_sent) continue;
+      if (r.step === 1) {
+        await conn.query(
+          `INSERT INTO queue_entries (client_id, contact_id) VALUES ($1, $2)
+           ON CONFLICT (contact_id) DO UPDATE SET retry_after = NULL;`,
+          [r.client_id, r.contact_id]
+        );
+      } else {
+        const { rowCount } = await conn.query(
+          `UPDATE contact_sequences
+              SET status = 'active', stop_reason = NULL, next_step = $2, next_due_on = $3::date,
+                  retry_after = NULL, updated_at = NOW()
+            WHERE contact_id = $1 AND status IN ('active', 'stopped');`,
+          [r.contact_id, r.step, today]
+        );
+        if (!rowCount) continue;
+      }
+      requeued++;
+    }
+    return { requeued, skipped: rows.length - requeued };
+  });
+}
+
+module.exports = { recordFailure, resolveFailure, hasPendingRetries, listFailures, requeueFailures };
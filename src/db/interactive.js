@@ -0,0 +1,110 @@
+/*
+ * src/db/interactive.js
+ *
+ * Cliques nos botões e listas das mensagens enviadas (interactive_replies).
+ * O clique é ligado ao envio pelo id da mensagem citada (o message_id
+ * gravado em send_history); sem ele, ao último envio para o telefone. A
+ * marcação como resposta fica com markReplied (src/db/replies.js).
+ */
+
+const { pool } = require('../config');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+/**
+ * Registra o clique de um contato. Retorna o contato e a etapa do envio
+ * correspondente, ou null se nenhum envio do cliente casar com a
+ * mensagem citada nem com o telefone. Um clique já registrado (mesmo id
+ * de mensagem) é devolvido com duplicate = true.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {string} param1.phone
+ * @param {string} param1.optionId
+ * @param {string|null} [param1.optionText]
+ * @param {string|null} [param1.messageId] id da mensagem do clique
+ * @param {string|null} [param1.quotedId] id da mensagem enviada que foi respondida
+ * @param {Date} [param1.at]
+ * @returns {Promise<{contactId: number, name: string, phone: string, step: number|null, matchedBy: string, duplicate: boolean}|null>}
+ */
+async function recordInteractiveReply(slug, { phone, optionId, optionText = null, messageId = null, quotedId = null, at = new Date() }) {
+  let target = null;
+  let matchedBy = 'quoted';
+  if (quotedId) {
+    const { rows } = await pool.query(
+      `SELECT sh.id AS history_id, sh.step, c.id AS contact_id, c.name, c.phone
+         FROM send_history sh
+         JOIN contacts c ON c.id = sh.contact_id
+        WHERE sh.client_id = ${CLIENT_ID} AND sh.message_id = $2
+        ORDER BY sh.id DESC
+        LIMIT 1;`,
+      [slug, quotedId]
+    );
+    target = rows[0] || null;
+  }
+  if (!target && phone) {
+    matchedBy = 'phone';
+    const { rows } = await pool.query(
+      `SELECT sh.id AS history_id, sh.step, c.id AS contact_id, c.name, c.phone
+         FROM contacts c
+         JOIN send_history sh ON sh.contact_id = c.id AND sh.status = 'sent'
+        WHERE c.client_id = ${CLIENT_ID} AND phone_key(c.phone) = phone_key($2)
+        ORDER BY sh.id DESC
+        LIMIT 1;`,
+      [slug, phone]
+    );
+    target = rows[0] || null;
+  }
+  if (!target) return null;
+
+  const { rowCount } = await pool.query(
+    `INSERT INTO interactive_replies
+       (client_id, contact_id, send_history_id, step, option_id, option_text, message_id, quoted_message_id, matched_by, received_at)
+     VALUES (${CLIENT_ID}, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (client_id, message_id) WHERE message_id IS NOT NULL DO NOTHING;`,
+    [slug, target.contact_id, target.history_id, target.step, String(optionId).slice(0, 100),
+      optionText ? String(optionText).slice(0, 200) : null, messageId, quotedId, matchedBy, new Date(at).toISOString()]
+  );
+  return {
+    contactId: Number(target.contact_id),
+    name: target.name,
+    phone: target.phone,
+    step: target.step,
+    matchedBy,
+    duplicate: rowCount === 0,
+  };
+}
+
+/**
+ * Cliques por etapa e opção e os mais recentes.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {number} param1.limit quantidade de cliques recentes
+ * @returns {Promise<{options: Object[], recent: Object[]}>}
+ */
+async function getInteractiveReplies(slug, { limit }) {
+  const options = await pool.query(
+    `SELECT step, option_id, MAX(option_text) AS option_text,
+            COUNT(*)::int AS clicks, COUNT(DISTINCT contact_id)::int AS contacts,
+            MAX(received_at) AS last_at
+       FROM interactive_replies
+      WHERE client_id = ${CLIENT_ID}
+      GROUP BY step, option_id
+      ORDER BY step NULLS LAST, clicks DESC;`,
+    [slug]
+  );
+  const recent = await pool.query(
+    `SELECT r.id, c.name, c.phone, r.step, r.option_id, r.option_text, r.matched_by, r.received_at
+       FROM interactive_replies r
+       JOIN contacts c ON c.id = r.contact_id
+      WHERE r.client_id = ${CLIENT_ID}
+      ORDER BY r.received_at DESC
+      LIMIT $2;`,
+    [slug, limit]
+  );
+  return { options: options.rows, recent: recent.rows.map((r) => ({ ...r, id: Number(r.id) })) };
+}
+
+module.exports = { recordInteractiveReply, getInteractiveReplies };
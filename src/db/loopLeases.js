@@ -0,0 +1,127 @@
+/*
+ * src/db/loopLeases.js
+ *
+ * Lease (com heartbeat) do loop de envio por cliente, em loop_leases. Um
+ * processo só executa o loop de um cliente enquanto for o dono de um lease
+ * não expirado; se ele cair, o lease expira e outra réplica pode assumir.
+ * O pedido de parada também fica aqui (stop_requested_at), para que
+ * /api/stop-loop funcione em qualquer réplica.
+ */
+
+const { pool } = require('../config');
+
+/**
+ * Tenta obter o lease do cliente. Sucede se não houver lease, se o atual
+ * estiver expirado ou se já pertencer ao mesmo dono.
+ *
+ * @param {string} slug
+ * @param {string} owner
+ * @param {number} ttlSeconds
+ * @returns {Promise<{clientId: number}|null>} null se outro processo detém o lease
+ */
+async function acquireLease(slug, owner, ttlSeconds) {
+  const { rows } = await pool.query(
+    `INSERT INTO loop_leases (client_id, owner, expires_at)
+     SELECT id, $2, NOW() + make_interval(secs => $3)
+       FROM clients WHERE slug = $1 AND deleted_at IS NULL
+     ON CONFLICT (client_id) DO UPDATE
+        SET owner = EXCLUDED.owner,
+            acquired_at = NOW(),
+            heartbeat_at = NOW(),
+            expires_at = EXCLUDED.expires_at,
+            stop_requested_at = NULL
+      WHERE loop_leases.expires_at < NOW() OR loop_leases.owner = EXCLUDED.owner
+     RETURNING client_id;`,
+    [slug, owner, ttlSeconds]
+  );
+  return rows[0] ? { clientId: rows[0].client_id } : null;
+}
+
+/**
+ * Renova o lease. Retorna held=false se o lease foi perdido (expirou e
+ * outro processo assumiu) e stopRequested=true se alguém pediu a parada.
+ *
+ * @param {number} clientId
+ * @param {string} owner
+ * @param {number} ttlSeconds
+ * @returns {Promise<{held: boolean, stopRequested: boolean}>}
+ */
+async function renewLease(clientId, owner, ttlSeconds) {
+  const { rows } = await pool.query(
+    `UPDATE loop_leases
+        SET heartbeat_at = NOW(), expires_at = NOW() + make_interval(secs => $3)
+      WHERE client_id = $1 AND owner = $2
+      RETURNING stop_requested_at;`,
+    [clientId, owner, ttlSeconds]
+  );
+  if (!rows.length) return { held: false, stopRequested: false };
+  return { held: true, stopRequested: !!rows[0].stop_requested_at };
+}
+
+/**
+ * Libera o lease, se ainda pertencer ao dono informado.
+ *
+ * @param {number} clientId
+ * @param {string} owner
+ * @returns {Promise<void>}
+ */
+async function releaseLease(clientId, owner) {
+  await pool.query('DELETE FROM loop_leases WHERE client_id = $1 AND owner = $2;', [clientId, owner]);
+}
+
+/**
+ * Lease ativo (não expirado) do cliente, se houver.
+ *
+ * @param {string} slug
+ * @returns {Promise<{owner: string, acquired_at: string, heartbeat_at: string, expires_at: string, stop_requested_at: string|null}|null>}
+ */
+async function getActiveLease(slug) {
+  const { rows } = await pool.query(
+    `SELECT l.owner, l.acquired_at, l.heartbeat_at, l.expires_at, l.stop_requested_at
+       FROM loop_leases l
+       JOIN clients c ON c.id = l.client_id
+      WHERE c.slug = $1 AND l.expires_at > NOW();`,
+    [slug]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Marca o pedido de parada no lease ativo do cliente.
+ *
+ * @param {string} slug
+ * @returns {Promise<{owner: string}|null>} null se nenhum loop estiver ativo
+ */
+async function markStopRequested(slug) {
+  const { rows } = await pool.query(
+    `UPDATE loop_leases l
+        SET stop_requested_at = COALESCE(l.stop_requested_at, NOW())
+       FROM clients c
+      WHERE c.id = l.client_id AND c.slug = $1 AND l.expires_at > NOW()
+      RETURNING l.owner;`,
+    [slug]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Slugs com lease ativo em qualquer processo.
+ *
+ * @returns {Promise<string[]>}
+ */
+async function listLeasedSlugs() {
+  const { rows } = await pool.query(
+    `SELECT c.slug FROM loop_leases l JOIN clients c ON c.id = l.client_id
+      WHERE l.expires_at > NOW();`
+  );
+  return rows.map((r) => r.slug);
+}
+
+module.exports = {
+  acquireLease,
+  renewLease,
+  releaseLease,
+  getActiveLease,
+  markStopRequested,
+  listLeasedSlugs,
+};
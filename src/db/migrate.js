@@ -0,0 +1,218 @@
+/*
+ * src/db/migrate.js
+ *
+ * Sistema de migrações versionadas do esquema. Cada arquivo em
+ * src/db/migrations segue o padrão NNN_descricao.js e exporta up(db) e,
+ * opcionalmente, down(db), que recebem a conexão da transação. As versões
+ * aplicadas ficam em schema_migrations. Cada migração roda em sua própria
+ * transação, e a execução inteira é protegida por um advisory lock para
+ * que duas instâncias não migrem ao mesmo tempo.
+ *
+ * O servidor não aplica migrações sozinho: no boot ele apenas verifica
+ * (assertSchemaUpToDate) e se recusa a subir se houver pendências.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d+)_([a-z0-9_]+)\.js$/;
+// Chave arbitrária, fixa, do advisory lock de migrações
+const LOCK_KEY = 727001;
+
+/**
+ * Lê os arquivos de migração, ordenados pela versão. Lança erro se houver
+ * duas migrações com o mesmo número.
+ *
+ * @returns {{version: number, name: string, file: string, up: Function, down: Function|null}[]}
+ */
+function loadMigrations() {
+  const seen = new Map();
+  const list = [];
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const m = FILE_RE.exec(file);
+    if (!m) continue;
+    const version = Number(m[1]);
+    if (seen.has(version)) {
+      throw new Error(`Migrações com a mesma versão ${version}: ${seen.get(version)} e ${file}`);
+    }
+    seen.set(version, file);
+    const mod = require(path.join(MIGRATIONS_DIR, file));
+    if (typeof mod.up !== 'function') throw new Error(`Migração ${file} não exporta up()`);
+    list.push({
+      version,
+      name: m[2],
+      file,
+      up: mod.up,
+      down: typeof mod.down === 'function' ? mod.down : null,
+    });
+  }
+  return list.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Garante a tabela de controle schema_migrations.
+ *
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(db) {
+  await db.query(`
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+`);
+}
+
+/**
+ * Versões já aplicadas, em ordem crescente.
+ *
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @returns {Promise<{version: number, name: string, applied_at: string}[]>}
+ */
+async function listApplied(db) {
+  const { rows } = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version;');
+  return rows;
+}
+
+/**
+ * Executa fn com uma conexão dedicada segurando o advisory lock de
+ * migrações.
+ *
+ * @template T
+ * @param {(conn: import('pg').PoolClient) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withMigrationLock(fn) {
+  const conn = await pool.connect();
+  try {
+    await conn.query('SELECT pg_advisory_lock($1);', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(conn);
+      return await fn(conn);
+    } finally {
+      await conn.query('SELECT pg_advisory_unlock($1);', [LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Situação de cada migração conhecida, mais as versões aplicadas no banco
+ * cujo arquivo não existe mais.
+ *
+ * @returns {Promise<{items: {version: number, name: string, applied: boolean, appliedAt: string|null}[], missing: {version: number, name: string}[]}>}
+ */
+async function migrationStatus() {
+  const migrations = loadMigrations();
+  await ensureMigrationsTable(pool);
+  const applied = new Map((await listApplied(pool)).map((r) => [r.version, r]));
+  const items = migrations.map((m) => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+    appliedAt: applied.get(m.version)?.applied_at || null,
+  }));
+  const known = new Set(migrations.map((m) => m.version));
+  const missing = [...applied.values()]
+    .filter((r) => !known.has(r.version))
+    .map((r) => ({ version: r.version, name: r.name }));
+  return { items, missing };
+}
+
+/**
+ * Aplica as migrações pendentes, em ordem, até a versão informada
+ * (inclusive) ou até a última.
+ *
+ * @param {Object} [param0]
+ * @param {number} [param0.to]
+ * @returns {Promise<{version: number, name: string}[]>} migrações aplicadas
+ */
+async function migrateUp({ to } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (conn) => {
+    const applied = new Set((await listApplied(conn)).map((r) => r.version));
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      if (to != null && m.version > to) break;
+      try {
+        await conn.query('BEGIN');
+        await m.up(conn);
+        await conn.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2);', [m.version, m.name]);
+        await conn.query('COMMIT');
+      } catch (err) {
+        await conn.query('ROLLBACK').catch(() => {});
+        err.message = `Migração ${m.file} falhou: ${err.message}`;
+        throw err;
+      }
+      done.push({ version: m.version, name: m.name });
+    }
+    return done;
+  });
+}
+
+/**
+ * Reverte as últimas migrações aplicadas, da mais recente para a mais
+ * antiga. Lança erro se alguma delas não tiver down() ou não tiver mais
+ * arquivo correspondente.
+ *
+ * @param {Object} [param0]
+ * @param {number} [param0.steps] quantidade de migrações a reverter (padrão 1)
+ * @returns {Promise<{version: number, name: string}[]>} migrações revertidas
+ */
+async function migrateDown({ steps = 1 } = {}) {
+  const byVersion = new Map(loadMigrations().map((m) => [m.version, m]));
+  return withMigrationLock(async (conn) => {
+    const targets = (await listApplied(conn)).reverse().slice(0, Math.max(0, steps));
+    const done = [];
+    for (const row of targets) {
+      const m = byVersion.get(row.version);
+      if (!m) throw new Error(`Arquivo da migração ${row.version}_${row.name} não encontrado`);
+      if (!m.down) throw new Error(`Migração ${m.file} não pode ser revertida (sem down)`);
+      try {
+        await conn.query('BEGIN');
+        await m.down(conn);
+        await conn.query('DELETE FROM schema_migrations WHERE version = $1;', [m.version]);
+        await conn.query('COMMIT');
+      } catch (err) {
+        await conn.query('ROLLBACK').catch(() => {});
+        err.message = `Reversão de ${m.file} falhou: ${err.message}`;
+        throw err;
+      }
+      done.push({ version: m.version, name: m.name });
+    }
+    return done;
+  });
+}
+
+/**
+ * Verifica se todas as migrações foram aplicadas. Lança erro com
+ * code='PENDING_MIGRATIONS' e a lista em err.pending caso contrário.
+ *
+ * @returns {Promise<void>}
+ */
+async function assertSchemaUpToDate() {
+  const { items } = await migrationStatus();
+  const pending = items.filter((m) => !m.applied);
+  if (!pending.length) return;
+  const err = new Error(
+    `Migrações pendentes: ${pending.map((m) => `${m.version}_${m.name}`).join(', ')}. Execute "npm run migrate".`
+  );
+  err.code = 'PENDING_MIGRATIONS';
+  err.pending = pending;
+  throw err;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaUpToDate,
+};
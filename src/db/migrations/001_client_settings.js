@@ -0,0 +1,44 @@
+/*
+ * src/db/migrations/001_client_settings.js
+ *
+ * Tabela client_settings com as configurações de cada cliente.
+ *
+ * Migração de base: usa IF NOT EXISTS para que bancos criados antes do
+ * sistema de migrações (quando o servidor criava o esquema no boot) sejam
+ * adotados sem erro.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE IF NOT EXISTS client_settings (
+  slug TEXT PRIMARY KEY,
+  auto_run BOOLEAN DEFAULT false,
+  ia_auto BOOLEAN DEFAULT false,
+  instance_url TEXT,
+  instance_token TEXT,
+  instance_auth_header TEXT,
+  instance_auth_scheme TEXT,
+  loop_status TEXT DEFAULT 'idle',
+  last_run_at TIMESTAMPTZ,
+  daily_limit INTEGER DEFAULT 30,
+  message_template TEXT
+);
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS instance_token TEXT;
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS instance_auth_header TEXT;
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS instance_auth_scheme TEXT;
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS loop_status TEXT DEFAULT 'idle';
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS last_run_at TIMESTAMPTZ;
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS daily_limit INTEGER DEFAULT 30;
+  -- Armazena a data/hora da última análise de conversas enviada ao ChatGPT para cada cliente.
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS analysis_last_msg_ts TIMESTAMPTZ;
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS message_template TEXT;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS client_settings;
+`);
+  },
+};
@@ -0,0 +1,54 @@
+/*
+ * src/db/migrations/002_auth.js
+ *
+ * Operadores, chaves de API/sessão e vínculos operador–cliente. Se ainda
+ * não houver administrador, o operador mais antigo é promovido.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE IF NOT EXISTS operators (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_login_at TIMESTAMPTZ
+);
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  operator_id INTEGER NOT NULL REFERENCES operators(id) ON DELETE CASCADE,
+  name TEXT,
+  kind TEXT NOT NULL DEFAULT 'api',
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_api_keys_operator ON api_keys(operator_id);
+ALTER TABLE operators ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'operator'
+  CHECK (role IN ('admin', 'operator', 'viewer'));
+CREATE TABLE IF NOT EXISTS operator_clients (
+  operator_id INTEGER NOT NULL REFERENCES operators(id) ON DELETE CASCADE,
+  slug TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (operator_id, slug)
+);
+CREATE INDEX IF NOT EXISTS idx_operator_clients_slug ON operator_clients(slug);
+UPDATE operators SET role = 'admin'
+ WHERE id = (SELECT MIN(id) FROM operators)
+   AND NOT EXISTS (SELECT 1 FROM operators WHERE role = 'admin');
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS operator_clients;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS operators;
+`);
+  },
+};
@@ -0,0 +1,32 @@
+/*
+ * src/db/migrations/003_audit_log.js
+ *
+ * Trilha de auditoria das ações administrativas.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id INTEGER,
+  actor_username TEXT,
+  action TEXT NOT NULL,
+  slug TEXT,
+  before JSONB,
+  after JSONB,
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_slug ON audit_log(slug, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS audit_log;
+`);
+  },
+};
@@ -0,0 +1,63 @@
+/*
+ * src/db/migrations/004_clients_contacts.js
+ *
+ * Esquema normalizado de clientes: clients, contacts, queue_entries e
+ * send_history. Dados do modelo antigo (tabelas por cliente) são
+ * convertidos à parte com npm run migrate:legacy.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE IF NOT EXISTS clients (
+  id SERIAL PRIMARY KEY,
+  slug TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  deleted_at TIMESTAMPTZ
+);
+CREATE TABLE IF NOT EXISTS contacts (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  niche TEXT,
+  region TEXT,
+  mensagem_enviada BOOLEAN NOT NULL DEFAULT false,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (client_id, phone)
+);
+CREATE INDEX IF NOT EXISTS idx_contacts_client_sent ON contacts(client_id, mensagem_enviada);
+CREATE INDEX IF NOT EXISTS idx_contacts_client_sent_at ON contacts(client_id, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_contacts_client_updated ON contacts(client_id, updated_at DESC);
+CREATE TABLE IF NOT EXISTS queue_entries (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  contact_id BIGINT NOT NULL UNIQUE REFERENCES contacts(id) ON DELETE CASCADE,
+  enqueued_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_queue_entries_client ON queue_entries(client_id);
+CREATE TABLE IF NOT EXISTS send_history (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  contact_id BIGINT NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'loop',
+  detail JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_send_history_client_created ON send_history(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_send_history_contact ON send_history(contact_id);
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS send_history;
+DROP TABLE IF EXISTS queue_entries;
+DROP TABLE IF EXISTS contacts;
+DROP TABLE IF EXISTS clients;
+`);
+  },
+};
@@ -0,0 +1,21 @@
+/*
+ * src/db/migrations/005_client_archive.js
+ *
+ * Colunas de exclusão reversível em client_settings.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+ALTER TABLE client_settings DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE client_settings DROP COLUMN IF EXISTS deleted_at;
+`);
+  },
+};
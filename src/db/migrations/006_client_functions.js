@@ -0,0 +1,141 @@
+/*
+ * src/db/migrations/006_client_functions.js
+ *
+ * Funções SQL usadas na criação de clientes e na inclusão de contatos
+ * (create_full_client_structure, client_add_contact e client_add_lead),
+ * operando sobre o esquema normalizado.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE OR REPLACE FUNCTION create_full_client_structure(client_slug TEXT)
+RETURNS void AS $$
+BEGIN
+  -- Registra o cliente (fila e histórico vivem nas tabelas compartilhadas)
+  INSERT INTO clients (slug) VALUES (client_slug)
+  ON CONFLICT (slug) DO NOTHING;
+
+  -- Insere registro inicial em client_settings
+  INSERT INTO client_settings (slug, loop_status, last_run_at)
+  VALUES (client_slug, 'idle', NOW())
+  ON CONFLICT (slug) DO NOTHING;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION client_add_contact(
+  client_slug TEXT,
+  contact_name TEXT,
+  contact_phone TEXT,
+  contact_niche TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+  cid INTEGER;
+  ctid BIGINT;
+  already_sent BOOLEAN;
+BEGIN
+  SELECT id INTO cid FROM clients WHERE slug = client_slug AND deleted_at IS NULL;
+  IF cid IS NULL THEN
+    RAISE EXCEPTION 'Cliente % não encontrado', client_slug;
+  END IF;
+
+  -- Verifica se já foi enviado
+  SELECT id, mensagem_enviada INTO ctid, already_sent
+    FROM contacts WHERE client_id = cid AND phone = contact_phone;
+
+  -- Se já foi enviado, retorna
+  IF already_sent = true THEN
+    RETURN 'skipped_already_sent';
+  END IF;
+
+  -- Registra o contato
+  IF ctid IS NULL THEN
+    INSERT INTO contacts (client_id, name, phone, niche)
+    VALUES (cid, contact_name, contact_phone, contact_niche)
+    RETURNING id INTO ctid;
+  END IF;
+
+  -- Insere na fila
+  INSERT INTO queue_entries (client_id, contact_id)
+  VALUES (cid, ctid)
+  ON CONFLICT (contact_id) DO NOTHING;
+
+  RETURN 'inserted';
+EXCEPTION
+  WHEN unique_violation THEN
+    RETURN 'skipped_conflict';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION client_add_lead(
+  client_slug TEXT,
+  lead_name TEXT,
+  lead_phone TEXT,
+  lead_region TEXT DEFAULT NULL,
+  lead_niche TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+  cid INTEGER;
+  ctid BIGINT;
+  already_sent BOOLEAN;
+  queue_exists BOOLEAN;
+BEGIN
+  SELECT id INTO cid FROM clients WHERE slug = client_slug AND deleted_at IS NULL;
+  IF cid IS NULL THEN
+    RAISE EXCEPTION 'Cliente % não encontrado', client_slug;
+  END IF;
+
+  -- Verifica se já foi enviado
+  SELECT id, mensagem_enviada INTO ctid, already_sent
+    FROM contacts WHERE client_id = cid AND phone = lead_phone;
+
+  -- Se já foi enviado, retorna
+  IF already_sent = true THEN
+    RETURN 'skipped_already_sent';
+  END IF;
+
+  -- Registra o contato ou completa região/nicho
+  IF ctid IS NULL THEN
+    INSERT INTO contacts (client_id, name, phone, region, niche)
+    VALUES (cid, lead_name, lead_phone, lead_region, lead_niche)
+    RETURNING id INTO ctid;
+  ELSE
+    UPDATE contacts
+       SET region = COALESCE(lead_region, region),
+           niche = COALESCE(lead_niche, niche),
+           updated_at = NOW()
+     WHERE id = ctid;
+  END IF;
+
+  -- Verifica se já está na fila
+  SELECT EXISTS(SELECT 1 FROM queue_entries WHERE contact_id = ctid) INTO queue_exists;
+
+  IF queue_exists THEN
+    RETURN 'queued_existing';
+  END IF;
+
+  -- Insere na fila
+  INSERT INTO queue_entries (client_id, contact_id) VALUES (cid, ctid);
+  RETURN 'inserted';
+
+EXCEPTION
+  WHEN unique_violation THEN
+    RETURN 'skipped_conflict';
+  WHEN others THEN
+    RAISE WARNING 'Erro ao adicionar lead: %', SQLERRM;
+    RETURN 'error';
+END;
+$$ LANGUAGE plpgsql;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP FUNCTION IF EXISTS client_add_lead(TEXT, TEXT, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS client_add_contact(TEXT, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS create_full_client_structure(TEXT);
+`);
+  },
+};
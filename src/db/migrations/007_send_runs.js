@@ -0,0 +1,52 @@
+/*
+ * src/db/migrations/007_send_runs.js
+ *
+ * Execuções do loop de envio (send_runs) e os envios planejados de cada
+ * uma (send_jobs), para que o agendamento sobreviva a reinícios. O índice
+ * único parcial em send_jobs.contact_id impede que um mesmo contato seja
+ * reservado ou enviado por dois jobs.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE send_runs (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'done', 'stopped', 'expired', 'error')),
+  use_ia BOOLEAN NOT NULL DEFAULT false,
+  daily_limit INTEGER NOT NULL,
+  processed INTEGER NOT NULL DEFAULT 0,
+  end_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX idx_send_runs_active ON send_runs(client_id) WHERE status = 'running';
+CREATE INDEX idx_send_runs_client_created ON send_runs(client_id, created_at DESC);
+
+CREATE TABLE send_jobs (
+  id BIGSERIAL PRIMARY KEY,
+  run_id BIGINT NOT NULL REFERENCES send_runs(id) ON DELETE CASCADE,
+  seq INTEGER NOT NULL,
+  planned_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped', 'interrupted', 'cancelled')),
+  contact_id BIGINT REFERENCES contacts(id) ON DELETE SET NULL,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  detail JSONB,
+  UNIQUE (run_id, seq)
+);
+CREATE INDEX idx_send_jobs_pending ON send_jobs(run_id, seq) WHERE status = 'pending';
+CREATE UNIQUE INDEX idx_send_jobs_contact_once ON send_jobs(contact_id) WHERE status IN ('sending', 'sent');
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS send_jobs;
+DROP TABLE IF EXISTS send_runs;
+`);
+  },
+};
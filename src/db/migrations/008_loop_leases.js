@@ -0,0 +1,28 @@
+/*
+ * src/db/migrations/008_loop_leases.js
+ *
+ * Lease do loop de envio por cliente. Garante que apenas uma réplica
+ * execute o loop de um cliente por vez e carrega o pedido de parada
+ * (stop_requested_at) entre processos.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE loop_leases (
+  client_id INTEGER PRIMARY KEY REFERENCES clients(id) ON DELETE CASCADE,
+  owner TEXT NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  stop_requested_at TIMESTAMPTZ
+);
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS loop_leases;
+`);
+  },
+};
@@ -0,0 +1,30 @@
+/*
+ * src/db/migrations/009_progress_events.js
+ *
+ * Log dos eventos de progresso do loop (start, schedule, item, end), usado
+ * para o replay do SSE em qualquer réplica.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE progress_events (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  run_id BIGINT REFERENCES send_runs(id) ON DELETE SET NULL,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX idx_progress_events_client ON progress_events(client_id, id);
+CREATE INDEX idx_progress_events_client_start ON progress_events(client_id, id) WHERE type = 'start';
+CREATE INDEX idx_progress_events_created ON progress_events(created_at);
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS progress_events;
+`);
+  },
+};
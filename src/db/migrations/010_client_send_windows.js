@@ -0,0 +1,27 @@
+/*
+ * src/db/migrations/010_client_send_windows.js
+ *
+ * Fuso horário, janelas de envio por dia da semana e datas sem envio de
+ * cada cliente. Colunas nulas mantêm o comportamento anterior: fuso
+ * padrão e a janela DAILY_START_TIME–DAILY_END_TIME todos os dias.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+ALTER TABLE client_settings
+  ADD COLUMN timezone TEXT,
+  ADD COLUMN send_windows JSONB,
+  ADD COLUMN excluded_dates JSONB NOT NULL DEFAULT '[]'::jsonb;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+ALTER TABLE client_settings
+  DROP COLUMN IF EXISTS excluded_dates,
+  DROP COLUMN IF EXISTS send_windows,
+  DROP COLUMN IF EXISTS timezone;
+`);
+  },
+};
@@ -0,0 +1,34 @@
+/*
+ * src/db/migrations/011_client_blackouts.js
+ *
+ * Períodos de bloqueio de envio por cliente (férias coletivas, datas
+ * locais) e a opção de respeitar ou não os feriados nacionais.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE client_blackouts (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+CREATE INDEX idx_client_blackouts_client ON client_blackouts(client_id, end_date);
+
+ALTER TABLE client_settings
+  ADD COLUMN observe_holidays BOOLEAN NOT NULL DEFAULT true;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+ALTER TABLE client_settings DROP COLUMN IF EXISTS observe_holidays;
+DROP TABLE IF EXISTS client_blackouts;
+`);
+  },
+};
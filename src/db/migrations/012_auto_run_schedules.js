@@ -0,0 +1,27 @@
+/*
+ * src/db/migrations/012_auto_run_schedules.js
+ *
+ * Agenda do loop automático por cliente: expressão cron (nula = padrão
+ * AUTO_RUN_SCHEDULE), pausa até uma data e a última ocorrência já
+ * disparada, que evita que duas réplicas disparem a mesma.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+ALTER TABLE client_settings
+  ADD COLUMN auto_run_schedule TEXT,
+  ADD COLUMN auto_run_paused_until TIMESTAMPTZ,
+  ADD COLUMN auto_run_last_at TIMESTAMPTZ;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+ALTER TABLE client_settings
+  DROP COLUMN IF EXISTS auto_run_last_at,
+  DROP COLUMN IF EXISTS auto_run_paused_until,
+  DROP COLUMN IF EXISTS auto_run_schedule;
+`);
+  },
+};
@@ -0,0 +1,63 @@
+/*
+ * src/db/migrations/013_sequences.js
+ *
+ * Sequências de mensagens (cadências) por cliente. sequence_steps guarda
+ * as etapas (a 1ª é a mensagem inicial); contact_sequences guarda em que
+ * etapa cada contato está e quando vence a próxima. Um contato passa a
+ * poder receber um envio por etapa, então o índice único de send_jobs
+ * passa a ser por (contato, etapa).
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE sequence_steps (
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  step SMALLINT NOT NULL CHECK (step >= 1),
+  message_template TEXT,
+  delay_business_days SMALLINT NOT NULL DEFAULT 0 CHECK (delay_business_days >= 0),
+  stop_if_replied BOOLEAN NOT NULL DEFAULT true,
+  PRIMARY KEY (client_id, step)
+);
+
+CREATE TABLE contact_sequences (
+  contact_id BIGINT PRIMARY KEY REFERENCES contacts(id) ON DELETE CASCADE,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  last_step SMALLINT NOT NULL,
+  last_sent_at TIMESTAMPTZ NOT NULL,
+  next_step SMALLINT,
+  next_due_on DATE,
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'completed', 'stopped', 'replied')),
+  stop_reason TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX idx_contact_sequences_due ON contact_sequences(client_id, next_due_on) WHERE status = 'active';
+CREATE INDEX idx_contact_sequences_client_status ON contact_sequences(client_id, status);
+
+-- Preenchido pela detecção de respostas; usado por stop_if_replied
+ALTER TABLE contacts ADD COLUMN replied_at TIMESTAMPTZ;
+
+ALTER TABLE send_jobs ADD COLUMN step SMALLINT NOT NULL DEFAULT 1;
+DROP INDEX idx_send_jobs_contact_once;
+CREATE UNIQUE INDEX idx_send_jobs_contact_step_once ON send_jobs(contact_id, step) WHERE status IN ('sending', 'sent');
+
+ALTER TABLE send_history ADD COLUMN step SMALLINT;
+CREATE INDEX idx_send_history_client_sent ON send_history(client_id, created_at) WHERE status = 'sent';
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP INDEX IF EXISTS idx_send_history_client_sent;
+ALTER TABLE send_history DROP COLUMN IF EXISTS step;
+DROP INDEX IF EXISTS idx_send_jobs_contact_step_once;
+DELETE FROM send_jobs WHERE step > 1;
+ALTER TABLE send_jobs DROP COLUMN IF EXISTS step;
+CREATE UNIQUE INDEX idx_send_jobs_contact_once ON send_jobs(contact_id) WHERE status IN ('sending', 'sent');
+ALTER TABLE contacts DROP COLUMN IF EXISTS replied_at;
+DROP TABLE IF EXISTS contact_sequences;
+DROP TABLE IF EXISTS sequence_steps;
+`);
+  },
+};
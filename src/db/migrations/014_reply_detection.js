@@ -0,0 +1,173 @@
+/*
+ * src/db/migrations/014_reply_detection.js
+ *
+ * Detecção de respostas. contacts.replied_at (migração 013) passa a ser
+ * preenchido pela verificação de mensagens recebidas, com a origem da
+ * detecção e a última verificação. phone_key compara telefones em
+ * formatos diferentes (mesma regra de src/utils/phone.js), e
+ * client_add_contact / client_add_lead deixam de recolocar na fila quem
+ * já respondeu, mesmo que o número volte com outra formatação.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+ALTER TABLE contacts
+  ADD COLUMN reply_source TEXT,
+  ADD COLUMN reply_checked_at TIMESTAMPTZ;
+
+-- DDD + últimos 8 dígitos para números brasileiros (ignora DDI e nono dígito)
+CREATE OR REPLACE FUNCTION phone_key(raw TEXT)
+RETURNS TEXT AS $$
+DECLARE
+  d TEXT := regexp_replace(split_part(COALESCE(raw, ''), '@', 1), '\\D', '', 'g');
+BEGIN
+  IF d LIKE '55%' AND length(d) IN (12, 13) THEN
+    d := substr(d, 3);
+  END IF;
+  IF length(d) IN (10, 11) THEN
+    RETURN substr(d, 1, 2) || right(d, 8);
+  END IF;
+  RETURN d;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE INDEX idx_contacts_client_replied_key ON contacts(client_id, phone_key(phone)) WHERE replied_at IS NOT NULL;
+CREATE INDEX idx_contacts_reply_check ON contacts(client_id, reply_checked_at NULLS FIRST)
+  WHERE mensagem_enviada = true AND replied_at IS NULL;
+
+CREATE OR REPLACE FUNCTION client_add_contact(
+  client_slug TEXT,
+  contact_name TEXT,
+  contact_phone TEXT,
+  contact_niche TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+  cid INTEGER;
+  ctid BIGINT;
+  already_sent BOOLEAN;
+BEGIN
+  SELECT id INTO cid FROM clients WHERE slug = client_slug AND deleted_at IS NULL;
+  IF cid IS NULL THEN
+    RAISE EXCEPTION 'Cliente % não encontrado', client_slug;
+  END IF;
+
+  -- Quem já respondeu não volta para a fila, qualquer que seja o formato do número
+  IF EXISTS (SELECT 1 FROM contacts
+              WHERE client_id = cid AND replied_at IS NOT NULL
+                AND phone_key(phone) = phone_key(contact_phone)) THEN
+    RETURN 'skipped_replied';
+  END IF;
+
+  -- Verifica se já foi enviado
+  SELECT id, mensagem_enviada INTO ctid, already_sent
+    FROM contacts WHERE client_id = cid AND phone = contact_phone;
+
+  -- Se já foi enviado, retorna
+  IF already_sent = true THEN
+    RETURN 'skipped_already_sent';
+  END IF;
+
+  -- Registra o contato
+  IF ctid IS NULL THEN
+    INSERT INTO contacts (client_id, name, phone, niche)
+    VALUES (cid, contact_name, contact_phone, contact_niche)
+    RETURNING id INTO ctid;
+  END IF;
+
+  -- Insere na fila
+  INSERT INTO queue_entries (client_id, contact_id)
+  VALUES (cid, ctid)
+  ON CONFLICT (contact_id) DO NOTHING;
+
+  RETURN 'inserted';
+EXCEPTION
+  WHEN unique_violation THEN
+    RETURN 'skipped_conflict';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION client_add_lead(
+  client_slug TEXT,
+  lead_name TEXT,
+  lead_phone TEXT,
+  lead_region TEXT DEFAULT NULL,
+  lead_niche TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+  cid INTEGER;
+  ctid BIGINT;
+  already_sent BOOLEAN;
+  queue_exists BOOLEAN;
+BEGIN
+  SELECT id INTO cid FROM clients WHERE slug = client_slug AND deleted_at IS NULL;
+  IF cid IS NULL THEN
+    RAISE EXCEPTION 'Cliente % não encontrado', client_slug;
+  END IF;
+
+  -- Quem já respondeu não volta para a fila, qualquer que seja o formato do número
+  IF EXISTS (SELECT 1 FROM contacts
+              WHERE client_id = cid AND replied_at IS NOT NULL
+                AND phone_key(phone) = phone_key(lead_phone)) THEN
+    RETURN 'skipped_replied';
+  END IF;
+
+  -- Verifica se já foi enviado
+  SELECT id, mensagem_enviada INTO ctid, already_sent
+    FROM contacts WHERE client_id = cid AND phone = lead_phone;
+
+  -- Se já foi enviado, retorna
+  IF already_sent = true THEN
+    RETURN 'skipped_already_sent';
+  END IF;
+
+  -- Registra o contato ou completa região/nicho
+  IF ctid IS NULL THEN
+    INSERT INTO contacts (client_id, name, phone, region, niche)
+    VALUES (cid, lead_name, lead_phone, lead_region, lead_niche)
+    RETURNING id INTO ctid;
+  ELSE
+    UPDATE contacts
+       SET region = COALESCE(lead_region, region),
+           niche = COALESCE(lead_niche, niche),
+           updated_at = NOW()
+     WHERE id = ctid;
+  END IF;
+
+  -- Verifica se já está na fila
+  SELECT EXISTS(SELECT 1 FROM queue_entries WHERE contact_id = ctid) INTO queue_exists;
+
+  IF queue_exists THEN
+    RETURN 'queued_existing';
+  END IF;
+
+  -- Insere na fila
+  INSERT INTO queue_entries (client_id, contact_id) VALUES (cid, ctid);
+  RETURN 'inserted';
+
+EXCEPTION
+  WHEN unique_violation THEN
+    RETURN 'skipped_conflict';
+  WHEN others THEN
+    RAISE WARNING 'Erro ao adicionar lead: %', SQLERRM;
+    RETURN 'error';
+END;
+$$ LANGUAGE plpgsql;
+`);
+  },
+
+  async down(db) {
+    // Restaura as versões de client_add_contact / client_add_lead da 006
+    await require('./006_client_functions').up(db);
+    await db.query(`
+DROP INDEX IF EXISTS idx_contacts_reply_check;
+DROP INDEX IF EXISTS idx_contacts_client_replied_key;
+DROP FUNCTION IF EXISTS phone_key(TEXT);
+ALTER TABLE contacts
+  DROP COLUMN IF EXISTS reply_checked_at,
+  DROP COLUMN IF EXISTS reply_source;
+`);
+  },
+};
@@ -0,0 +1,37 @@
+/*
+ * src/db/migrations/015_webhook_events.js
+ *
+ * Eventos recebidos pelo webhook da UAZAPI (mensagens, confirmações de
+ * entrega/leitura e estado da conexão), já normalizados, com o corpo
+ * original em payload. client_id fica nulo quando a instância não
+ * corresponde a nenhum cliente.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE webhook_events (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  instance TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('message', 'status', 'connection', 'other')),
+  message_id TEXT,
+  phone TEXT,
+  from_me BOOLEAN,
+  status TEXT,
+  event_at TIMESTAMPTZ,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX idx_webhook_events_client ON webhook_events(client_id, id);
+CREATE INDEX idx_webhook_events_message ON webhook_events(message_id) WHERE message_id IS NOT NULL;
+CREATE INDEX idx_webhook_events_created ON webhook_events(created_at);
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS webhook_events;
+`);
+  },
+};
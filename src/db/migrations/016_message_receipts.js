@@ -0,0 +1,45 @@
+/*
+ * src/db/migrations/016_message_receipts.js
+ *
+ * Confirmações de entrega e leitura. Cada envio em send_history guarda o
+ * id da mensagem devolvido pela UAZAPI e o status mais avançado já
+ * confirmado (sent → delivered → read, ou failed); contacts guarda o id
+ * do último envio e o melhor status entre as mensagens do contato.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+ALTER TABLE send_history
+  ADD COLUMN message_id TEXT,
+  ADD COLUMN delivery_status TEXT CHECK (delivery_status IN ('sent', 'delivered', 'read', 'failed')),
+  ADD COLUMN delivered_at TIMESTAMPTZ,
+  ADD COLUMN read_at TIMESTAMPTZ;
+CREATE INDEX idx_send_history_message ON send_history(message_id) WHERE message_id IS NOT NULL;
+
+ALTER TABLE contacts
+  ADD COLUMN message_id TEXT,
+  ADD COLUMN delivery_status TEXT CHECK (delivery_status IN ('sent', 'delivered', 'read', 'failed')),
+  ADD COLUMN delivered_at TIMESTAMPTZ,
+  ADD COLUMN read_at TIMESTAMPTZ;
+CREATE INDEX idx_contacts_client_delivery ON contacts(client_id, delivery_status) WHERE message_id IS NOT NULL;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP INDEX IF EXISTS idx_contacts_client_delivery;
+ALTER TABLE contacts
+  DROP COLUMN IF EXISTS read_at,
+  DROP COLUMN IF EXISTS delivered_at,
+  DROP COLUMN IF EXISTS delivery_status,
+  DROP COLUMN IF EXISTS message_id;
+DROP INDEX IF EXISTS idx_send_history_message;
+ALTER TABLE send_history
+  DROP COLUMN IF EXISTS read_at,
+  DROP COLUMN IF EXISTS delivered_at,
+  DROP COLUMN IF EXISTS delivery_status,
+  DROP COLUMN IF EXISTS message_id;
+`);
+  },
+};
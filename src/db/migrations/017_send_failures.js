@@ -0,0 +1,46 @@
+/*
+ * src/db/migrations/017_send_failures.js
+ *
+ * Falhas de envio classificadas. Cada (contato, etapa) tem no máximo uma
+ * falha em aberto ('retrying' enquanto houver novas tentativas, 'failed'
+ * quando desistimos); 'requeued' e 'resolved' ficam como histórico.
+ * retry_after em queue_entries e contact_sequences adia a próxima
+ * tentativa.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE send_failures (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  contact_id BIGINT NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  step SMALLINT NOT NULL DEFAULT 1,
+  category TEXT NOT NULL,
+  permanent BOOLEAN NOT NULL DEFAULT false,
+  reason TEXT,
+  http_status INTEGER,
+  attempts SMALLINT NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'retrying'
+    CHECK (status IN ('retrying', 'failed', 'requeued', 'resolved')),
+  next_retry_at TIMESTAMPTZ,
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX idx_send_failures_open ON send_failures(contact_id, step) WHERE status IN ('retrying', 'failed');
+CREATE INDEX idx_send_failures_client ON send_failures(client_id, status, last_failed_at DESC);
+
+ALTER TABLE queue_entries ADD COLUMN retry_after TIMESTAMPTZ;
+ALTER TABLE contact_sequences ADD COLUMN retry_after TIMESTAMPTZ;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+ALTER TABLE contact_sequences DROP COLUMN IF EXISTS retry_after;
+ALTER TABLE queue_entries DROP COLUMN IF EXISTS retry_after;
+DROP TABLE IF EXISTS send_failures;
+`);
+  },
+};
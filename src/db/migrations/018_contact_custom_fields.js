@@ -0,0 +1,21 @@
+/*
+ * src/db/migrations/018_contact_custom_fields.js
+ *
+ * Campos personalizados dos contatos: as colunas do CSV importado que não
+ * são nome, telefone, nicho nem região ficam em custom_fields, com a
+ * chave normalizada (customFieldKey), e podem ser usadas nos templates.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+ALTER TABLE contacts ADD COLUMN custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+ALTER TABLE contacts DROP COLUMN IF EXISTS custom_fields;
+`);
+  },
+};
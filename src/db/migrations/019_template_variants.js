@@ -0,0 +1,39 @@
+/*
+ * src/db/migrations/019_template_variants.js
+ *
+ * Testes A/B da mensagem inicial. Cada cliente pode ter variantes de
+ * template nomeadas, com peso no sorteio; variantes removidas da lista
+ * ficam inativas (active = false) para não perder o histórico. O
+ * contato e o send_history guardam a variante usada no envio.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE template_variants (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  message_template TEXT NOT NULL,
+  weight INTEGER NOT NULL DEFAULT 1 CHECK (weight BETWEEN 0 AND 1000),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (client_id, name)
+);
+
+ALTER TABLE contacts ADD COLUMN variant_id BIGINT REFERENCES template_variants(id);
+CREATE INDEX idx_contacts_variant ON contacts(variant_id) WHERE variant_id IS NOT NULL;
+ALTER TABLE send_history ADD COLUMN variant_id BIGINT REFERENCES template_variants(id);
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+ALTER TABLE send_history DROP COLUMN IF EXISTS variant_id;
+DROP INDEX IF EXISTS idx_contacts_variant;
+ALTER TABLE contacts DROP COLUMN IF EXISTS variant_id;
+DROP TABLE IF EXISTS template_variants;
+`);
+  },
+};
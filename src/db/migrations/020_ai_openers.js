@@ -0,0 +1,46 @@
+/*
+ * src/db/migrations/020_ai_openers.js
+ *
+ * Abertura personalizada por IA. O cliente liga o modo em
+ * client_settings (ai_opener) e descreve o próprio negócio em
+ * ai_opener_context. Cada chamada à OpenAI fica em ai_openers, com os
+ * tokens e o custo estimado; as bem-sucedidas servem de cache por contato
+ * (input_hash identifica os dados usados no prompt).
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+ALTER TABLE client_settings
+  ADD COLUMN ai_opener BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN ai_opener_context TEXT;
+
+CREATE TABLE ai_openers (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  contact_id BIGINT NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  input_hash TEXT NOT NULL,
+  model TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('ok', 'rejected', 'error')),
+  text TEXT,
+  error TEXT,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_openers_contact ON ai_openers(contact_id, input_hash, created_at DESC) WHERE status = 'ok';
+CREATE INDEX idx_ai_openers_client_created ON ai_openers(client_id, created_at);
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS ai_openers;
+ALTER TABLE client_settings
+  DROP COLUMN IF EXISTS ai_opener_context,
+  DROP COLUMN IF EXISTS ai_opener;
+`);
+  },
+};
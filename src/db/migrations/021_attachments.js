@@ -0,0 +1,41 @@
+/*
+ * src/db/migrations/021_attachments.js
+ *
+ * Anexos das mensagens (imagem, vídeo, áudio ou documento), guardados no
+ * próprio banco (BYTEA) para não depender de disco persistente. O
+ * template de cada origem — configurações do cliente, etapa da sequência
+ * ou variante do teste A/B — pode apontar para um anexo do cliente.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE TABLE client_attachments (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filename TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'video', 'audio', 'document')),
+  size_bytes INTEGER NOT NULL,
+  sha256 TEXT NOT NULL,
+  data BYTEA NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (client_id, name)
+);
+
+ALTER TABLE client_settings ADD COLUMN message_attachment_id BIGINT REFERENCES client_attachments(id) ON DELETE SET NULL;
+ALTER TABLE sequence_steps ADD COLUMN attachment_id BIGINT REFERENCES client_attachments(id) ON DELETE SET NULL;
+ALTER TABLE template_variants ADD COLUMN attachment_id BIGINT REFERENCES client_attachments(id) ON DELETE SET NULL;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+ALTER TABLE template_variants DROP COLUMN IF EXISTS attachment_id;
+ALTER TABLE sequence_steps DROP COLUMN IF EXISTS attachment_id;
+ALTER TABLE client_settings DROP COLUMN IF EXISTS message_attachment_id;
+DROP TABLE IF EXISTS client_attachments;
+`);
+  },
+};
@@ -0,0 +1,44 @@
+/*
+ * src/db/migrations/022_interactive_messages.js
+ *
+ * Botões e listas nas mensagens enviadas. Cada origem de template
+ * (configurações, etapa da sequência e variante) pode declarar um menu
+ * (JSON validado por src/utils/interactive.js). Os cliques recebidos
+ * pelo webhook ficam em interactive_replies, ligados ao envio que os
+ * originou (send_history) pelo id da mensagem citada.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+ALTER TABLE client_settings ADD COLUMN message_interactive JSONB;
+ALTER TABLE sequence_steps ADD COLUMN interactive JSONB;
+ALTER TABLE template_variants ADD COLUMN interactive JSONB;
+
+CREATE TABLE interactive_replies (
+  id BIGSERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  contact_id BIGINT NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  send_history_id BIGINT REFERENCES send_history(id) ON DELETE SET NULL,
+  step SMALLINT,
+  option_id TEXT NOT NULL,
+  option_text TEXT,
+  message_id TEXT,
+  quoted_message_id TEXT,
+  matched_by TEXT NOT NULL CHECK (matched_by IN ('quoted', 'phone')),
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX idx_interactive_replies_message ON interactive_replies(client_id, message_id) WHERE message_id IS NOT NULL;
+CREATE INDEX idx_interactive_replies_client ON interactive_replies(client_id, received_at DESC);
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+DROP TABLE IF EXISTS interactive_replies;
+ALTER TABLE template_variants DROP COLUMN IF EXISTS interactive;
+ALTER TABLE sequence_steps DROP COLUMN IF EXISTS interactive;
+ALTER TABLE client_settings DROP COLUMN IF EXISTS message_interactive;
+`);
+  },
+};
@@ -0,0 +1,25 @@
+/*
+ * src/db/migrations/023_contacts_phone_key_index.js
+ *
+ * Índice de telefone normalizado (phone_key) para todos os contatos.
+ * markReplied, chamado a cada mensagem recebida pelo webhook, e o
+ * fallback por telefone de recordInteractiveReply procuram contatos ainda
+ * não respondidos, que o índice parcial da 014 (só respondidos) não
+ * cobre. O novo índice atende os dois casos e substitui o parcial.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+CREATE INDEX idx_contacts_client_phone_key ON contacts(client_id, phone_key(phone));
+DROP INDEX IF EXISTS idx_contacts_client_replied_key;
+`);
+  },
+
+  async down(db) {
+    await db.query(`
+CREATE INDEX IF NOT EXISTS idx_contacts_client_replied_key ON contacts(client_id, phone_key(phone)) WHERE replied_at IS NOT NULL;
+DROP INDEX IF EXISTS idx_contacts_client_phone_key;
+`);
+  },
+};
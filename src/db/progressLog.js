@@ -0,0 +1,111 @@
+/*
+ * src/db/progressLog.js
+ *
+ * Persistência dos eventos de progresso do loop em progress_events. O log
+ * permite que o SSE de qualquer réplica reproduza a execução atual (ou
+ * continue de onde o navegador parou, via Last-Event-ID).
+ */
+
+const { pool } = require('../config');
+
+// Quantidade máxima de eventos devolvidos em um replay
+const REPLAY_LIMIT = 200;
+
+/**
+ * Grava um evento de progresso. Retorna o id, usado como id do evento SSE.
+ *
+ * @param {string} slug
+ * @param {Object} event deve conter ao menos type
+ * @param {number|null} [runId]
+ * @returns {Promise<number|null>} null se o cliente não existir
+ */
+async function insertProgressEvent(slug, event, runId = null) {
+  const { rows } = await pool.query(
+    `INSERT INTO progress_events (client_id, run_id, type, payload)
+     SELECT id, $2, $3, $4 FROM clients WHERE slug = $1
+     RETURNING id;`,
+    [slug, runId, String(event.type || 'item'), JSON.stringify(event)]
+  );
+  return rows[0] ? Number(rows[0].id) : null;
+}
+
+/**
+ * Um evento pelo id (usado pelas réplicas avisadas por NOTIFY).
+ *
+ * @param {number} id
+ * @returns {Promise<{id: number, slug: string, event: Object}|null>}
+ */
+async function getProgressEvent(id) {
+  const { rows } = await pool.query(
+    `SELECT e.id, c.slug, e.payload
+       FROM progress_events e
+       JOIN clients c ON c.id = e.client_id
+      WHERE e.id = $1;`,
+    [id]
+  );
+  return rows[0] ? { id: Number(rows[0].id), slug: rows[0].slug, event: rows[0].payload } : null;
+}
+
+/**
+ * Eventos para replay. Com afterId, devolve os posteriores a ele; sem,
+ * devolve a execução mais recente a partir do último 'start' (o próprio
+ * start e os REPLAY_LIMIT eventos mais novos).
+ *
+ * @param {string} slug
+ * @param {Object} [param1]
+ * @param {number} [param1.afterId]
+ * @returns {Promise<{id: number, event: Object}[]>}
+ */
+async function listProgressEvents(slug, { afterId } = {}) {
+  if (afterId) {
+    const { rows } = await pool.query(
+      `SELECT e.id, e.payload
+         FROM progress_events e
+         JOIN clients c ON c.id = e.client_id
+        WHERE c.slug = $1 AND e.id > $2
+        ORDER BY e.id
+        LIMIT $3;`,
+      [slug, afterId, REPLAY_LIMIT]
+    );
+    return rows.map((r) => ({ id: Number(r.id), event: r.payload }));
+  }
+
+  const { rows: [start] } = await pool.query(
+    `SELECT e.id, e.payload
+       FROM progress_events e
+       JOIN clients c ON c.id = e.client_id
+      WHERE c.slug = $1 AND e.type = 'start'
+      ORDER BY e.id DESC
+      LIMIT 1;`,
+    [slug]
+  );
+  if (!start) return [];
+  const { rows } = await pool.query(
+    `SELECT id, payload FROM (
+       SELECT e.id, e.payload
+         FROM progress_events e
+         JOIN clients c ON c.id = e.client_id
+        WHERE c.slug = $1 AND e.id > $2
+        ORDER BY e.id DESC
+        LIMIT $3
+     ) t ORDER BY id;`,
+    [slug, start.id, REPLAY_LIMIT]
+  );
+  return [start, ...rows].map((r) => ({ id: Number(r.id), event: r.payload }));
+}
+
+/**
+ * Apaga eventos mais antigos que o prazo informado.
+ *
+ * @param {number} days
+ * @returns {Promise<number>} quantidade apagada
+ */
+async function pruneProgressEvents(days) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM progress_events WHERE created_at < NOW() - make_interval(days => $1);',
+    [days]
+  );
+  return rowCount;
+}
+
+module.exports = { insertProgressEvent, getProgressEvent, listProgressEvents, pruneProgressEvents };
@@ -0,0 +1,109 @@
+/*
+ * src/db/receipts.js
+ *
+ * Confirmações de entrega e leitura das mensagens enviadas. O status só
+ * avança (sent → delivered → read); failed só substitui sent. Como a
+ * confirmação pode chegar pelo webhook antes de o envio ser gravado,
+ * recordSentMessage reaplica as que já estiverem em webhook_events.
+ */
+
+const { pool } = require('../config');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+const TRACKED_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+const RANK = (col) => `(CASE ${col} WHEN 'failed' THEN 0 WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2 WHEN 'read' THEN 3 ELSE -1 END)`;
+// Condição para aplicar o status $2 sobre a coluna atual
+const ADVANCES = (col) =>
+  `(CASE WHEN $2::text = 'failed' THEN ${col} IS NULL OR ${col} = 'sent' ELSE ${RANK('$2::text')} > ${RANK(col)} END)`;
+const SET_STATUS = (alias) => `
+  delivery_status = $2::text,
+  delivered_at = CASE WHEN $2::text IN ('delivered', 'read') THEN COALESCE(${alias}.delivered_at, $3) ELSE ${alias}.delivered_at END,
+  read_at = CASE WHEN $2::text = 'read' THEN COALESCE(${alias}.read_at, $3) ELSE ${alias}.read_at END`;
+
+/**
+ * Aplica uma confirmação ao envio com o id informado e ao contato
+ * correspondente. Retorna o contato atualizado, ou null se a mensagem
+ * não for conhecida ou o status não avançar.
+ *
+ * @param {string} messageId
+ * @param {string} status sent | delivered | read | failed (outros são ignorados)
+ * @param {Date} [at]
+ * @param {Object} [opts]
+ * @param {string|null} [opts.slug] restringe ao cliente
+ * @param {import('pg').Pool|import('pg').PoolClient} [opts.db]
+ * @returns {Promise<{id: number, name: string, phone: string, delivery_status: string}|null>}
+ */
+async function applyMessageStatus(messageId, status, at = new Date(), { slug = null, db = pool } = {}) {
+  if (!messageId || !TRACKED_STATUSES.includes(status)) return null;
+  const { rows } = await db.query(
+    `WITH h AS (
+       UPDATE send_history sh SET ${SET_STATUS('sh')}
+        WHERE sh.message_id = $1
+          AND ($4::text IS NULL OR sh.client_id = (SELECT id FROM clients WHERE slug = $4 AND deleted_at IS NULL))
+          AND ${ADVANCES('sh.delivery_status')}
+        RETURNING sh.contact_id
+     )
+     UPDATE contacts c SET ${SET_STATUS('c')}
+       FROM h
+      WHERE c.id = h.contact_id AND ${ADVANCES('c.delivery_status')}
+      RETURNING c.id, c.name, c.phone, c.delivery_status;`,
+    [messageId, status, new Date(at).toISOString(), slug]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Registra o id da mensagem enviada no último send_history do contato e
+ * no próprio contato, e aplica as confirmações que chegaram antes.
+ * Chamado dentro da transação de completeJob.
+ *
+ * @param {import('pg').PoolClient} conn
+ * @param {number} historyId
+ * @param {number} contactId
+ * @param {string} messageId
+ * @returns {Promise<void>}
+ */
+async function recordSentMessage(conn, historyId, contactId, messageId) {
+  await conn.query(
+    `UPDATE send_history SET message_id = $2, delivery_status = 'sent' WHERE id = $1;`,
+    [historyId, messageId]
+  );
+  await conn.query(
+    `UPDATE contacts SET message_id = $2, delivery_status = COALESCE(delivery_status, 'sent') WHERE id = $1;`,
+    [contactId, messageId]
+  );
+  const early = await conn.query(
+    `SELECT status, COALESCE(event_at, created_at) AS at
+       FROM webhook_events
+      WHERE message_id = $1 AND type = 'status' AND status IS NOT NULL
+      ORDER BY id;`,
+    [messageId]
+  );
+  for (const r of early.rows) await applyMessageStatus(messageId, r.status, r.at, { db: conn });
+}
+
+/**
+ * Contagem de entregas e leituras do cliente, por contato. As taxas usam
+ * como base os contatos rastreados (envio com id de mensagem), já que
+ * envios simulados ou sem resposta da UAZAPI não recebem confirmação.
+ *
+ * @param {string} slug
+ * @returns {Promise<{rastreados: number, entregues: number, lidos: number, falhas: number}>}
+ */
+async function getDeliveryStats(slug) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS rastreados,
+            COUNT(*) FILTER (WHERE delivery_status IN ('delivered', 'read'))::int AS entregues,
+            COUNT(*) FILTER (WHERE delivery_status = 'read')::int AS lidos,
+            COUNT(*) FILTER (WHERE delivery_status = 'failed')::int AS falhas
+       FROM contacts
+      WHERE client_id = ${CLIENT_ID} AND message_id IS NOT NULL;`,
+    [slug]
+  );
+  return rows[0] || { rastreados: 0, entregues: 0, lidos: 0, falhas: 0 };
+}
+
+module.exports = { TRACKED_STATUSES, applyMessageStatus, recordSentMessage, getDeliveryStats };
@@ -0,0 +1,112 @@
+/*
+ * src/db/replies.js
+ *
+ * Respostas dos contatos. Um contato que respondeu fica com replied_at
+ * preenchido, sai da fila e tem a sequência encerrada nas etapas com
+ * stop_if_replied; client_add_contact / client_add_lead não o recolocam
+ * na fila (migração 014). A comparação de telefones usa phone_key, então
+ * um número em outro formato ainda é reconhecido.
+ */
+
+const { pool } = require('../config');
+const { withTransaction } = require('./clients');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+/**
+ * Reserva um lote de contatos para a verificação de respostas: já
+ * enviados há no máximo windowDays, ainda sem resposta e não verificados
+ * nos últimos minIntervalMinutes, começando pelos verificados há mais
+ * tempo. A reserva grava reply_checked_at, então réplicas em paralelo
+ * recebem lotes diferentes.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {number} param1.windowDays
+ * @param {number} param1.minIntervalMinutes
+ * @param {number} param1.limit
+ * @returns {Promise<{id: number, name: string, phone: string, sent_at: Date}[]>}
+ */
+async function claimReplyChecks(slug, { windowDays, minIntervalMinutes, limit }) {
+  const { rows } = await pool.query(
+    `UPDATE contacts c SET reply_checked_at = NOW()
+      WHERE c.id IN (
+              SELECT id FROM contacts
+               WHERE client_id = ${CLIENT_ID}
+                 AND mensagem_enviada = true AND replied_at IS NULL
+                 AND sent_at >= NOW() - make_interval(days => $2)
+                 AND (reply_checked_at IS NULL OR reply_checked_at < NOW() - make_interval(mins => $3))
+               ORDER BY reply_checked_at NULLS FIRST, sent_at DESC
+               LIMIT $4
+               FOR UPDATE SKIP LOCKED
+            )
+      RETURNING c.id, c.name, c.phone, c.sent_at;`,
+    [slug, windowDays, minIntervalMinutes, limit]
+  );
+  return rows;
+}
+
+/**
+ * Marca como respondido(s) o(s) contato(s) do cliente com o telefone
+ * informado (em qualquer formato): grava replied_at, retira da fila e
+ * encerra a sequência ativa cuja próxima etapa tenha stop_if_replied.
+ * Retorna os contatos marcados agora (vazio se não houver contato com o
+ * número ou se ele já constava como respondido).
+ *
+ * @param {string} slug
+ * @param {string} phone
+ * @param {Object} [param2]
+ * @param {Date} [param2.at] momento da resposta
+ * @param {'poll'|'webhook'|'button'|'manual'} [param2.source]
+ * @returns {Promise<{id: number, name: string, phone: string, replied_at: Date}[]>}
+ */
+async function markReplied(slug, phone, { at = new Date(), source = 'manual' } = {}) {
+  return withTransaction(async (conn) => {
+    const { rows } = await conn.query(
+      `UPDATE contacts
+          SET replied_at = $3, reply_source = $4, updated_at = NOW()
+        WHERE client_id = ${CLIENT_ID}
+          AND phone_key(phone) = phone_key($2)
+          AND replied_at IS NULL
+        RETURNING id, name, phone, replied_at;`,
+      [slug, phone, at.toISOString(), source]
+    );
+    if (!rows.length) return [];
+
+    const ids = rows.map((r) => r.id);
+    await conn.query('DELETE FROM queue_entries WHERE contact_id = ANY($1::bigint[]);', [ids]);
+    await conn.query(
+      `UPDATE contact_sequences cs
+          SET status = 'replied', stop_reason = 'replied', next_step = NULL, next_due_on = NULL, updated_at = NOW()
+        WHERE cs.contact_id = ANY($1::bigint[])
+          AND cs.status = 'active'
+          AND NOT EXISTS (
+                SELECT 1 FROM sequence_steps st
+                 WHERE st.client_id = cs.client_id AND st.step = cs.next_step AND st.stop_if_replied = false
+              );`,
+      [ids]
+    );
+    return rows;
+  });
+}
+
+/**
+ * Slugs dos clientes ativos com token de instância, cujas conversas
+ * podem ser consultadas na UAZAPI.
+ *
+ * @returns {Promise<string[]>}
+ */
+async function listReplyCheckSlugs() {
+  const { rows } = await pool.query(
+    `SELECT c.slug
+       FROM clients c
+       JOIN client_settings s ON s.slug = c.slug
+      WHERE c.deleted_at IS NULL
+        AND s.instance_token IS NOT NULL AND s.instance_token <> ''
+      ORDER BY c.slug;`
+  );
+  return rows.map((r) => r.slug);
+}
+
+module.exports = { claimReplyChecks, markReplied, listReplyCheckSlugs };
@@ -0,0 +1,490 @@
+/*
+ * src/db/sendJobs.js
+ *
+ * Persistência do loop de envio. Cada execução do loop gera um registro
+ * em send_runs e um send_job por mensagem planejada, com o horário
+ * (planned_at) já sorteado. Assim, depois de um deploy ou queda, o worker
+ * retoma os jobs pendentes em vez de perder o restante do dia.
+ *
+ * Idempotência: o contato só é escolhido na hora do envio (claimJob), na
+ * mesma transação que o retira da fila e grava o job como 'sending'. Um
+ * job que ficou em 'sending' quando o processo caiu vira 'interrupted' no
+ * boot e o contato não volta para a fila, pois não há como saber se a
+ * mensagem saiu. Nenhum contato recebe duas mensagens por causa de um
+ * reinício.
+ *
+ * Com sequências (src/db/sequences.js), cada job envia uma etapa: a 1ª a
+ * um contato da fila ou uma etapa seguinte já vencida, que tem
+ * prioridade. A unicidade passa a ser por (contato, etapa).
+ */
+
+const { pool } = require('../config');
+const { withTransaction } = require('./clients');
+const { recordSentMessage } = require('./receipts');
+const { recordFailure, resolveFailure } = require('./failures');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+/**
+ * Cria uma execução com os jobs planejados. Retorna null se o cliente já
+ * tiver uma execução ativa (índice único parcial em send_runs).
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {boolean} param1.useIA
+ * @param {number} param1.dailyLimit
+ * @param {Date[]} param1.plannedAt horários planejados, em ordem
+ * @returns {Promise<{id: number, use_ia: boolean, daily_limit: number, processed: number}|null>}
+ */
+async function createRun(slug, { useIA, dailyLimit, plannedAt }) {
+  try {
+    return await withTransaction(async (conn) => {
+      const { rows } = await conn.query(
+        `INSERT INTO send_runs (client_id, use_ia, daily_limit)
+         VALUES (${CLIENT_ID}, $2, $3)
+         RETURNING id, use_ia, daily_limit, processed;`,
+        [slug, !!useIA, dailyLimit]
+      );
+      const run = rows[0];
+      if (plannedAt.length) {
+        await conn.query(
+          `INSERT INTO send_jobs (run_id, seq, planned_at)
+           SELECT $1, s.seq, s.planned_at
+             FROM unnest($2::timestamptz[]) WITH ORDINALITY AS s(planned_at, seq);`,
+          [run.id, plannedAt.map((d) => new Date(d).toISOString())]
+        );
+      }
+      return run;
+    });
+  } catch (err) {
+    if (err.code === '23505') return null;
+    throw err;
+  }
+}
+
+/**
+ * Execução ativa do cliente, se houver.
+ *
+ * @param {string} slug
+ * @returns {Promise<Object|null>}
+ */
+async function getActiveRun(slug) {
+  const { rows } = await pool.query(
+    `SELECT r.id, r.use_ia, r.daily_limit, r.processed, r.created_at,
+            (SELECT COUNT(*) FROM send_jobs j WHERE j.run_id = r.id AND j.status = 'pending')::int AS pending,
+            (SELECT MIN(planned_at) FROM send_jobs j WHERE j.run_id = r.id AND j.status = 'pending') AS next_planned_at
+       FROM send_runs r
+      WHERE r.client_id = ${CLIENT_ID} AND r.status = 'running';`,
+    [slug]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Execuções ativas de clientes não arquivados, usadas na retomada do boot.
+ *
+ * @returns {Promise<{id: number, slug: string, use_ia: boolean, daily_limit: number, processed: number}[]>}
+ */
+async function listActiveRuns() {
+  const { rows } = await pool.query(
+    `SELECT r.id, c.slug, r.use_ia, r.daily_limit, r.processed
+       FROM send_runs r
+       JOIN clients c ON c.id = r.client_id
+      WHERE r.status = 'running' AND c.deleted_at IS NULL
+      ORDER BY r.id;`
+  );
+  return rows;
+}
+
+/**
+ * Jobs pendentes de uma execução, na ordem planejada.
+ *
+ * @param {number} runId
+ * @returns {Promise<{id: number, seq: number, planned_at: string}[]>}
+ */
+async function listPendingJobs(runId) {
+  const { rows } = await pool.query(
+    `SELECT id, seq, planned_at FROM send_jobs
+      WHERE run_id = $1 AND status = 'pending'
+      ORDER BY seq;`,
+    [runId]
+  );
+  return rows;
+}
+
+/**
+ * Redistribui os horários dos jobs pendentes: o i-ésimo pendente recebe
+ * plannedAt[i]; os que sobrarem são cancelados com o motivo informado.
+ *
+ * @param {number} runId
+ * @param {Date[]} plannedAt
+ * @param {string} reason
+ * @returns {Promise<{replanned: number, cancelled: number}>}
+ */
+async function replanPendingJobs(runId, plannedAt, reason) {
+  return withTransaction(async (conn) => {
+    const { rows } = await conn.query(
+      `SELECT id FROM send_jobs WHERE run_id = $1 AND status = 'pending' ORDER BY seq FOR UPDATE;`,
+      [runId]
+    );
+    let replanned = 0, cancelled = 0;
+    for (let i = 0; i < rows.length; i++) {
+      if (i < plannedAt.length) {
+        await conn.query('UPDATE send_jobs SET planned_at = $2 WHERE id = $1;', [rows[i].id, new Date(plannedAt[i]).toISOString()]);
+        replanned++;
+      } else {
+        await conn.query(
+          `UPDATE send_jobs SET status = 'cancelled', finished_at = NOW(), detail = $2 WHERE id = $1;`,
+          [rows[i].id, JSON.stringify({ reason })]
+        );
+        cancelled++;
+      }
+    }
+    return { replanned, cancelled };
+  });
+}
+
+/**
+ * Reserva o próximo envio para o job e grava o job como 'sending' na
+ * mesma transação. Com `today` (data local do cliente), uma etapa de
+ * sequência vencida até essa data tem prioridade; senão, o próximo
+ * contato da fila recebe a etapa 1 e sai da fila. Retorna null se não
+ * houver nada a enviar ou se o job não estiver mais pendente.
+ *
+ * @param {number} jobId
+ * @param {string} slug
+ * @param {Object} [param2]
+ * @param {string} [param2.today] YYYY-MM-DD
+ * @returns {Promise<{id: number, name: string, phone: string, niche: string|null, region: string|null, custom_fields: Object, step: number}|null>}
+ */
+async function claimJob(jobId, slug, { today = null } = {}) {
+  return withTransaction(async (conn) => {
+    let followUp = null;
+    if (today) {
+      // Quem respondeu não recebe etapas marcadas com stop_if_replied
+      await conn.query(
+        `UPDATE contact_sequences cs
+            SET status = 'replied', stop_reason = 'replied', next_step = NULL, next_due_on = NULL, updated_at = NOW()
+           FROM contacts c, sequence_steps st
+          WHERE cs.client_id = ${CLIENT_ID}
+            AND cs.status = 'active'
+            AND c.id = cs.contact_id AND c.replied_at IS NOT NULL
+            AND st.client_id = cs.client_id AND st.step = cs.next_step AND st.stop_if_replied;`,
+        [slug]
+      );
+      const due = await conn.query(
+        `SELECT c.id, c.name, c.phone, c.niche, c.region, c.custom_fields, cs.next_step AS step
+           FROM contact_sequences cs
+           JOIN contacts c ON c.id = cs.contact_id
+          WHERE cs.client_id = ${CLIENT_ID}
+            AND cs.status = 'active'
+            AND cs.next_due_on <= $2::date
+            AND (cs.retry_after IS NULL OR cs.retry_after <= NOW())
+            AND NOT EXISTS (
+                  SELECT 1 FROM send_jobs j
+                   WHERE j.contact_id = c.id AND j.step = cs.next_step AND j.status IN ('sending', 'sent')
+                )
+          ORDER BY cs.next_due_on, cs.contact_id
+          LIMIT 1
+          FOR UPDATE OF cs SKIP LOCKED;`,
+        [slug, today]
+      );
+      followUp = due.rows[0] || null;
+    }
+    if (followUp) {
+      const upd = await conn.query(
+        `UPDATE send_jobs SET status = 'sending', contact_id = $2, step = $3, started_at = NOW()
+          WHERE id = $1 AND status = 'pending';`,
+        [jobId, followUp.id, followUp.step]
+      );
+      return upd.rowCount ? followUp : null;
+    }
+
+    const { rows } = await conn.query(
+      `SELECT c.id, c.name, c.phone, c.niche, c.region, c.custom_fields, 1 AS step
+         FROM queue_entries q
+         JOIN contacts c ON c.id = q.contact_id
+        WHERE q.client_id = ${CLIENT_ID}
+          AND c.mensagem_enviada IS NOT TRUE
+          AND c.replied_at IS NULL
+          AND (q.retry_after IS NULL OR q.retry_after <= NOW())
+          AND NOT EXISTS (
+                SELECT 1 FROM send_jobs j
+                 WHERE j.contact_id = c.id AND j.status IN ('sending', 'sent')
+              )
+        ORDER BY c.name
+        LIMIT 1
+        FOR UPDATE OF q SKIP LOCKED;`,
+      [slug]
+    );
+    const contact = rows[0];
+    if (!contact) return null;
+
+    const upd = await conn.query(
+      `UPDATE send_jobs SET status = 'sending', contact_id = $2, step = 1, started_at = NOW()
+        WHERE id = $1 AND status = 'pending';`,
+      [jobId, contact.id]
+    );
+    if (!upd.rowCount) return null;
+    await conn.query('DELETE FROM queue_entries WHERE contact_id = $1;', [contact.id]);
+    return contact;
+  });
+}
+
+/**
+ * Os próximos `limit` envios que claimJob escolheria, na mesma ordem
+ * (etapas vencidas primeiro, depois a fila), sem reservar nem alterar
+ * nada. Usado pela prévia do loop (dry-run).
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {number} param1.limit
+ * @param {string} [param1.today] YYYY-MM-DD; sem ele, só a fila
+ * @returns {Promise<{id: number, name: string, phone: string, niche: string|null, region: string|null, custom_fields: Object, step: number}[]>}
+ */
+async function peekNextContacts(slug, { limit, today = null }) {
+  if (limit <= 0) return [];
+  let followUps = [];
+  if (today) {
+    const due = await pool.query(
+      `SELECT c.id, c.name, c.phone, c.niche, c.region, c.custom_fields, cs.next_step AS step
+         FROM contact_sequences cs
+         JOIN contacts c ON c.id = cs.contact_id
+         LEFT JOIN sequence_steps st ON st.client_id = cs.client_id AND st.step = cs.next_step
+        WHERE cs.client_id = ${CLIENT_ID}
+          AND cs.status = 'active'
+          AND cs.next_due_on <= $2::date
+          AND (cs.retry_after IS NULL OR cs.retry_after <= NOW())
+          AND NOT (c.replied_at IS NOT NULL AND COALESCE(st.stop_if_replied, FALSE))
+          AND NOT EXISTS (
+                SELECT 1 FROM send_jobs j
+                 WHERE j.contact_id = c.id AND j.step = cs.next_step AND j.status IN ('sending', 'sent')
+              )
+        ORDER BY cs.next_due_on, cs.contact_id
+        LIMIT $3;`,
+      [slug, today, limit]
+    );
+    followUps = due.rows;
+  }
+  if (followUps.length >= limit) return followUps;
+
+  const { rows } = await pool.query(
+    `SELECT c.id, c.name, c.phone, c.niche, c.region, c.custom_fields, 1 AS step
+       FROM queue_entries q
+       JOIN contacts c ON c.id = q.contact_id
+      WHERE q.client_id = ${CLIENT_ID}
+        AND c.mensagem_enviada IS NOT TRUE
+        AND c.replied_at IS NULL
+        AND (q.retry_after IS NULL OR q.retry_after <= NOW())
+        AND NOT EXISTS (
+              SELECT 1 FROM send_jobs j
+               WHERE j.contact_id = c.id AND j.status IN ('sending', 'sent')
+            )
+      ORDER BY c.name
+      LIMIT $2;`,
+    [slug, limit - followUps.length]
+  );
+  return [...followUps, ...rows];
+}
+
+/**
+ * Conclui um job reservado: grava o resultado, marca o contato como
+ * enviado quando a etapa 1 sai, incrementa o contador da execução e
+ * registra a tentativa em send_history.
+ *
+ * `next` só é informado para clientes com sequência: { step, dueOn } grava
+ * a próxima etapa do contato; null conclui a sequência. Uma etapa
+ * seguinte que falhe (ou seja pulada) encerra a sequência do contato.
+ *
+ * `messageId` é o id devolvido pela UAZAPI no envio, usado para casar as
+ * confirmações de entrega e leitura (src/db/receipts.js). `variantId` é a
+ * variante de template sorteada (src/db/experiments.js), gravada no
+ * histórico e, quando a etapa 1 sai, no contato.
+ *
+ * Uma falha classificada (`failure`, src/utils/sendErrors.js) é
+ * registrada em send_failures e, se for transitória, o contato volta
+ * para a fila (ou a etapa fica pendente) com retry_after. Retorna o
+ * resultado dessa decisão, ou null.
+ *
+ * @param {number} jobId
+ * @param {Object} param1
+ * @param {'sent'|'failed'|'skipped'} param1.status
+ * @param {Object} [param1.detail]
+ * @param {{step: number, dueOn: string}|null} [param1.next]
+ * @param {string|null} [param1.messageId]
+ * @param {number|null} [param1.variantId]
+ * @param {Object|null} [param1.failure]
+ * @returns {Promise<{retry: boolean, attempts: number, nextRetryAt: Date|null}|null>}
+ */
+async function completeJob(jobId, { status, detail = null, next = undefined, messageId = null, variantId = null, failure = null }) {
+  return withTransaction(async (conn) => {
+    const { rows } = await conn.query(
+      `UPDATE send_jobs SET status = $2, finished_at = NOW(), detail = $3
+        WHERE id = $1 AND status = 'sending'
+        RETURNING run_id, contact_id, step;`,
+      [jobId, status, detail == null ? null : JSON.stringify(detail)]
+    );
+    const job = rows[0];
+    if (!job || !job.contact_id) return null;
+    let outcome = null;
+
+    if (status === 'sent') {
+      if (job.step === 1) {
+        await conn.query(
+          `UPDATE contacts SET mensagem_enviada = true, sent_at = NOW(), variant_id = $2, updated_at = NOW() WHERE id = $1;`,
+          [job.contact_id, variantId]
+        );
+      } else {
+        await conn.query('UPDATE contacts SET updated_at = NOW() WHERE id = $1;', [job.contact_id]);
+      }
+      await conn.query('UPDATE send_runs SET processed = processed + 1 WHERE id = $1;', [job.run_id]);
+
+      if (next !== undefined) {
+        await conn.query(
+          `INSERT INTO contact_sequences (contact_id, client_id, last_step, last_sent_at, next_step, next_due_on, status)
+           SELECT id, client_id, $2, NOW(), $3, $4, $5 FROM contacts WHERE id = $1
+           ON CONFLICT (contact_id) DO UPDATE
+              SET last_step = EXCLUDED.last_step, last_sent_at = EXCLUDED.last_sent_at,
+                  next_step = EXCLUDED.next_step, next_due_on = EXCLUDED.next_due_on,
+                  status = EXCLUDED.status, stop_reason = NULL, retry_after = NULL, updated_at = NOW();`,
+          [job.contact_id, job.step, next?.step ?? null, next?.dueOn ?? null, next ? 'active' : 'completed']
+        );
+      }
+      await resolveFailure(conn, job.contact_id, job.step);
+    } else if (status === 'failed' && failure) {
+      outcome = await recordFailure(conn, job, failure);
+    } else if (job.step > 1) {
+      await conn.query(
+        `UPDATE contact_sequences
+            SET status = 'stopped', stop_reason = $2, next_step = NULL, next_due_on = NULL, updated_at = NOW()
+          WHERE contact_id = $1 AND status = 'active';`,
+        [job.contact_id, status]
+      );
+    }
+    const history = await conn.query(
+      `INSERT INTO send_history (client_id, contact_id, status, source, detail, step, variant_id)
+       SELECT client_id, id, $2, 'loop', $3, $4, $5 FROM contacts WHERE id = $1
+       RETURNING id;`,
+      [job.contact_id, status, detail == null ? null : JSON.stringify(detail), job.step, variantId]
+    );
+    if (status === 'sent' && messageId && history.rows[0]) {
+      await recordSentMessage(conn, history.rows[0].id, job.contact_id, messageId);
+    }
+    return outcome;
+  });
+}
+
+/**
+ * Pula um job pendente sem reservar contato (p. ex. quando só restam
+ * novas tentativas marcadas para mais tarde).
+ *
+ * @param {number} jobId
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+async function skipJob(jobId, reason) {
+  await pool.query(
+    `UPDATE send_jobs SET status = 'skipped', finished_at = NOW(), detail = $2
+      WHERE id = $1 AND status = 'pending';`,
+    [jobId, JSON.stringify({ reason })]
+  );
+}
+
+/**
+ * Cancela os jobs ainda pendentes de uma execução.
+ *
+ * @param {number} runId
+ * @param {string} reason
+ * @returns {Promise<number>} quantidade cancelada
+ */
+async function cancelPendingJobs(runId, reason) {
+  const { rowCount } = await pool.query(
+    `UPDATE send_jobs SET status = 'cancelled', finished_at = NOW(), detail = $2
+      WHERE run_id = $1 AND status = 'pending';`,
+    [runId, JSON.stringify({ reason })]
+  );
+  return rowCount;
+}
+
+/**
+ * Encerra uma execução.
+ *
+ * @param {number} runId
+ * @param {Object} param1
+ * @param {'done'|'stopped'|'expired'|'error'} param1.status
+ * @param {string|null} [param1.endReason]
+ * @returns {Promise<{processed: number}>}
+ */
+async function finishRun(runId, { status, endReason = null }) {
+  const { rows } = await pool.query(
+    `UPDATE send_runs SET status = $2, end_reason = $3, finished_at = NOW()
+      WHERE id = $1 AND status = 'running'
+      RETURNING processed;`,
+    [runId, status, endReason]
+  );
+  return { processed: Number(rows[0]?.processed || 0) };
+}
+
+/**
+ * Marca como 'interrupted' os jobs que ficaram em 'sending' (o processo
+ * caiu entre a reserva e a conclusão). Jobs de clientes cujo loop ainda
+ * tem lease ativo pertencem a uma réplica viva e são ignorados. O contato
+ * já saiu da fila e não é marcado como enviado; a ocorrência fica em
+ * send_history para conferência manual. Se era uma etapa de sequência, a
+ * sequência do contato é encerrada, para a etapa não ser repetida.
+ *
+ * @returns {Promise<{slug: string, phone: string}[]>}
+ */
+async function recoverInterruptedJobs() {
+  return withTransaction(async (conn) => {
+    const { rows } = await conn.query(
+      `UPDATE send_jobs j SET status = 'interrupted', finished_at = NOW()
+         FROM send_runs r
+        WHERE r.id = j.run_id
+          AND j.status = 'sending'
+          AND NOT EXISTS (
+                SELECT 1 FROM loop_leases l
+                 WHERE l.client_id = r.client_id AND l.expires_at > NOW()
+              )
+        RETURNING j.contact_id, j.step;`
+    );
+    const jobs = rows.filter((r) => r.contact_id);
+    const ids = jobs.map((r) => r.contact_id);
+    if (!ids.length) return [];
+    await conn.query(
+      `INSERT INTO send_history (client_id, contact_id, status, source, step)
+       SELECT c.client_id, c.id, 'interrupted', 'loop', r.step
+         FROM contacts c
+         JOIN unnest($1::bigint[], $2::smallint[]) AS r(contact_id, step) ON r.contact_id = c.id;`,
+      [ids, jobs.map((r) => r.step)]
+    );
+    await conn.query(
+      `UPDATE contact_sequences
+          SET status = 'stopped', stop_reason = 'interrupted', next_step = NULL, next_due_on = NULL, updated_at = NOW()
+        WHERE contact_id = ANY($1::bigint[]) AND status = 'active';`,
+      [jobs.filter((r) => r.step > 1).map((r) => r.contact_id)]
+    );
+    const { rows: info } = await conn.query(
+      `SELECT cl.slug, c.phone FROM contacts c JOIN clients cl ON cl.id = c.client_id
+        WHERE c.id = ANY($1::bigint[]);`,
+      [ids]
+    );
+    return info;
+  });
+}
+
+module.exports = {
+  createRun,
+  getActiveRun,
+  listActiveRuns,
+  listPendingJobs,
+  replanPendingJobs,
+  claimJob,
+  peekNextContacts,
+  completeJob,
+  skipJob,
+  cancelPendingJobs,
+  finishRun,
+  recoverInterruptedJobs,
+};
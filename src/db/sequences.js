@@ -0,0 +1,204 @@
+/*
+ * src/db/sequences.js
+ *
+ * Sequências de mensagens (cadências) por cliente. A etapa 1 é a
+ * mensagem inicial, enviada a quem sai da fila; as seguintes são
+ * enviadas pelo loop quando vencem (next_due_on, data local do cliente),
+ * com prioridade sobre a fila. Cliente sem etapas cadastradas mantém o
+ * comportamento de mensagem única (message_template).
+ */
+
+const { pool } = require('../config');
+const { withTransaction } = require('./clients');
+const { describeTemplateError } = require('../utils/templates');
+const { normalizeAttachmentId } = require('../utils/attachments');
+const { normalizeInteractive } = require('../utils/interactive');
+
+// Resolve o id de um cliente ativo a partir do slug passado em $1.
+const CLIENT_ID = '(SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL)';
+
+const MAX_STEPS = 10;
+const MAX_DELAY_DAYS = 90;
+const MAX_TEMPLATE_LENGTH = 4096;
+
+/**
+ * Valida e normaliza a lista de etapas recebida pela API. Lança Error com
+ * mensagem legível se for inválida.
+ *
+ * @param {any} raw
+ * @returns {{step: number, messageTemplate: string|null, delayBusinessDays: number, stopIfReplied: boolean, attachmentId: number|null, interactive: Object|null}[]}
+ */
+function normalizeSequenceSteps(raw) {
+  if (!Array.isArray(raw)) throw new Error('steps deve ser uma lista');
+  if (raw.length > MAX_STEPS) throw new Error(`No máximo ${MAX_STEPS} etapas`);
+  return raw.map((s, i) => {
+    const template = s?.messageTemplate == null ? '' : s.messageTemplate;
+    if (typeof template !== 'string' || template.length > MAX_TEMPLATE_LENGTH) {
+      throw new Error(`Etapa ${i + 1}: messageTemplate deve ser texto com até ${MAX_TEMPLATE_LENGTH} caracteres`);
+    }
+    if (i > 0 && !template.trim()) throw new Error(`Etapa ${i + 1}: messageTemplate é obrigatório`);
+    const templateError = describeTemplateError(template);
+    if (templateError) throw new Error(`Etapa ${i + 1}: messageTemplate inválido: ${templateError}`);
+    const delay = i === 0 ? 0 : Number(s?.delayBusinessDays);
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY_DAYS) {
+      throw new Error(`Etapa ${i + 1}: delayBusinessDays deve ser um inteiro entre 0 e ${MAX_DELAY_DAYS}`);
+    }
+    return {
+      step: i + 1,
+      messageTemplate: template.trim() ? template : null,
+      delayBusinessDays: delay,
+      stopIfReplied: s?.stopIfReplied !== false,
+      attachmentId: normalizeAttachmentId(s?.attachmentId, `Etapa ${i + 1}: attachmentId`),
+      interactive: normalizeInteractive(s?.interactive, `Etapa ${i + 1}: interactive`),
+    };
+  });
+}
+
+/**
+ * Etapas do cliente, em ordem. Lista vazia = mensagem única.
+ *
+ * @param {string} slug
+ * @returns {Promise<{step: number, message_template: string|null, delay_business_days: number, stop_if_replied: boolean, attachment_id: number|null, interactive: Object|null}[]>}
+ */
+async function getSequenceSteps(slug) {
+  const { rows } = await pool.query(
+    `SELECT step, message_template, delay_business_days, stop_if_replied, attachment_id::int, interactive
+       FROM sequence_steps
+      WHERE client_id = ${CLIENT_ID}
+      ORDER BY step;`,
+    [slug]
+  );
+  return rows;
+}
+
+/**
+ * Substitui as etapas do cliente. Contatos que aguardavam uma etapa que
+ * deixou de existir têm a sequência concluída. Retorna null se o cliente
+ * não existir.
+ *
+ * @param {string} slug
+ * @param {ReturnType<typeof normalizeSequenceSteps>} steps
+ * @returns {Promise<{steps: number, completed: number}|null>}
+ */
+async function replaceSequenceSteps(slug, steps) {
+  return withTransaction(async (conn) => {
+    const { rows } = await conn.query(`SELECT ${CLIENT_ID} AS id;`, [slug]);
+    const clientId = rows[0]?.id;
+    if (!clientId) return null;
+
+    await conn.query('DELETE FROM sequence_steps WHERE client_id = $1;', [clientId]);
+    for (const s of steps) {
+      await conn.query(
+        `INSERT INTO sequence_steps (client_id, step, message_template, delay_business_days, stop_if_replied, attachment_id, interactive)
+         VALUES ($1, $2, $3, $4, $5, $6, $7);`,
+        [clientId, s.step, s.messageTemplate, s.delayBusinessDays, s.stopIfReplied, s.attachmentId ?? null,
+          s.interactive ? JSON.stringify(s.interactive) : null]
+      );
+    }
+    const { rowCount } = await conn.query(
+      `UPDATE contact_sequences
+          SET status = 'completed', next_step = NULL, next_due_on = NULL, updated_at = NOW()
+        WHERE client_id = $1 AND status = 'active' AND next_step > $2;`,
+      [clientId, steps.length]
+    );
+    return { steps: steps.length, completed: rowCount };
+  });
+}
+
+/**
+ * Quantidade de contatos por situação da sequência.
+ *
+ * @param {string} slug
+ * @returns {Promise<{active: number, completed: number, stopped: number, replied: number}>}
+ */
+async function countContactSequences(slug) {
+  const { rows } = await pool.query(
+    `SELECT status, COUNT(*)::int AS c
+       FROM contact_sequences
+      WHERE client_id = ${CLIENT_ID}
+      GROUP BY status;`,
+    [slug]
+  );
+  const out = { active: 0, completed: 0, stopped: 0, replied: 0 };
+  for (const r of rows) out[r.status] = r.c;
+  return out;
+}
+
+/**
+ * Lista paginada do estado da sequência de cada contato.
+ *
+ * @param {string} slug
+ * @param {Object} param1
+ * @param {string} [param1.status]
+ * @param {number} param1.limit
+ * @param {number} param1.offset
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+async function listContactSequences(slug, { status = null, limit, offset }) {
+  const where = `cs.client_id = ${CLIENT_ID} AND ($2::text IS NULL OR cs.status = $2)`;
+  const itemsRes = await pool.query(
+    `SELECT c.name, c.phone, cs.status, cs.last_step, cs.last_sent_at, cs.next_step,
+            to_char(cs.next_due_on, 'YYYY-MM-DD') AS next_due_on, cs.stop_reason, c.replied_at
+       FROM contact_sequences cs
+       JOIN contacts c ON c.id = cs.contact_id
+      WHERE ${where}
+      ORDER BY cs.next_due_on NULLS LAST, cs.updated_at DESC
+      LIMIT $3 OFFSET $4;`,
+    [slug, status, limit, offset]
+  );
+  const totalRes = await pool.query(
+    `SELECT COUNT(*)::int AS c FROM contact_sequences cs WHERE ${where};`,
+    [slug, status]
+  );
+  return { items: itemsRes.rows, total: Number(totalRes.rows[0]?.c || 0) };
+}
+
+/**
+ * Encerra a sequência ativa de um contato. Retorna null se não houver.
+ *
+ * @param {string} slug
+ * @param {string} phone
+ * @param {string} reason
+ * @returns {Promise<{name: string, last_step: number}|null>}
+ */
+async function stopContactSequence(slug, phone, reason) {
+  const { rows } = await pool.query(
+    `UPDATE contact_sequences cs
+        SET status = 'stopped', stop_reason = $3, next_step = NULL, next_due_on = NULL, updated_at = NOW()
+       FROM contacts c
+      WHERE c.id = cs.contact_id
+        AND cs.client_id = ${CLIENT_ID}
+        AND c.phone = $2
+        AND cs.status = 'active'
+      RETURNING c.name, cs.last_step;`,
+    [slug, phone, reason]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Quantidade de etapas de acompanhamento vencidas até a data local.
+ *
+ * @param {string} slug
+ * @param {string} today YYYY-MM-DD
+ * @returns {Promise<number>}
+ */
+async function countDueFollowUps(slug, today) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS c
+       FROM contact_sequences
+      WHERE client_id = ${CLIENT_ID} AND status = 'active' AND next_due_on <= $2::date;`,
+    [slug, today]
+  );
+  return Number(rows[0]?.c || 0);
+}
+
+module.exports = {
+  normalizeSequenceSteps,
+  getSequenceSteps,
+  replaceSequenceSteps,
+  countContactSequences,
+  listContactSequences,
+  stopContactSequence,
+  countDueFollowUps,
+};
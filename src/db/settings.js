@@ -2,47 +2,21 @@
  * src/db/settings.js
  *
  * Este módulo contém funções de acesso ao banco de dados relacionadas à
- * configuração de clientes. Ao extrair a criação de tabela e as
- * operações de leitura/gravação para este local, mantemos server.js
- * organizado e separamos preocupações de persistência.
+ * configuração de clientes. Ao extrair as operações de leitura/gravação
+ * para este local, mantemos server.js organizado e separamos
+ * preocupações de persistência. A tabela é criada pelas migrações em
+ * src/db/migrations.
  */
 
 const { pool } = require('../config');
-
-/**
- * Garante que a tabela client_settings exista e contenha todas as
- * colunas necessárias. As colunas existentes são criadas apenas se
- * estiverem ausentes. Este método é idempotente e pode ser chamado
- * repetidamente sem efeitos adversos.
- *
- * @returns {Promise<void>}
- */
-async function ensureSettingsTable() {
-  await pool.query(`
-CREATE TABLE IF NOT EXISTS client_settings (
-  slug TEXT PRIMARY KEY,
-  auto_run BOOLEAN DEFAULT false,
-  ia_auto BOOLEAN DEFAULT false,
-  instance_url TEXT,
-  instance_token TEXT,
-  instance_auth_header TEXT,
-  instance_auth_scheme TEXT,
-  loop_status TEXT DEFAULT 'idle',
-  last_run_at TIMESTAMPTZ,
-  daily_limit INTEGER DEFAULT 30,
-  message_template TEXT
-);
-ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS instance_token TEXT;
-ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS instance_auth_header TEXT;
-ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS instance_auth_scheme TEXT;
-ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS loop_status TEXT DEFAULT 'idle';
-ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS last_run_at TIMESTAMPTZ;
-ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS daily_limit INTEGER DEFAULT 30;
-  -- Armazena a data/hora da última análise de conversas enviada ao ChatGPT para cada cliente.
-ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS analysis_last_msg_ts TIMESTAMPTZ;
-ALTER TABLE client_settings ADD COLUMN IF NOT EXISTS message_template TEXT;
-`);
-}
+const {
+  SECRET_MASK,
+  isEncrypted,
+  encryptedKeyId,
+  encryptSecret,
+  decryptSecret,
+  currentKeyId,
+} = require('../utils/secrets');
 
 /**
  * Recupera as configurações de um cliente específico. Se o cliente ainda
@@ -57,7 +31,10 @@ async function getClientSettings(slug) {
   const { rows } = await pool.query(
     `SELECT auto_run, ia_auto, instance_url, loop_status, last_run_at,
             instance_token, instance_auth_header, instance_auth_scheme,
-            daily_limit, message_template, analysis_last_msg_ts
+            daily_limit, message_template, analysis_last_msg_ts,
+            timezone, send_windows, excluded_dates, observe_holidays,
+            auto_run_schedule, auto_run_paused_until, auto_run_last_at,
+            ai_opener, ai_opener_context, message_attachment_id::int, message_interactive
        FROM client_settings
       WHERE slug = $1`,
     [slug]
@@ -74,6 +51,17 @@ async function getClientSettings(slug) {
       last_run_at: null,
       daily_limit: null,
       message_template: null,
+      timezone: null,
+      send_windows: null,
+      excluded_dates: [],
+      observe_holidays: true,
+      auto_run_schedule: null,
+      auto_run_paused_until: null,
+      auto_run_last_at: null,
+      ai_opener: false,
+      ai_opener_context: null,
+      message_attachment_id: null,
+      message_interactive: null,
     };
   }
   return rows[0];
@@ -86,6 +74,17 @@ async function getClientSettings(slug) {
  * anteriores. A função também saneia o cabeçalho de autenticação e
  * aplica um limite superior à cota diária.
  *
+ * O instance_token é cifrado (src/utils/secrets.js) antes de ser gravado.
+ * Se vier undefined ou igual à máscara devolvida pela API, o token já
+ * armazenado é preservado; string vazia remove o token.
+ *
+ * timezone, sendWindows, excludedDates, observeHolidays e autoRunSchedule
+ * seguem a mesma regra: undefined preserva o valor gravado. Devem chegar
+ * já validados (src/utils/schedule.js e src/utils/cron.js). aiOpener e
+ * aiOpenerContext (abertura por IA, src/services/aiOpener.js) e
+ * messageAttachmentId (anexo da mensagem, já conferido como do cliente)
+ * e messageInteractive (botões ou lista, src/utils/interactive.js) também.
+ *
  * @param {string} slug
  * @param {Object} param1
  * @param {boolean} param1.autoRun
@@ -96,6 +95,15 @@ async function getClientSettings(slug) {
  * @param {string} param1.instanceAuthScheme
  * @param {number} param1.dailyLimit
  * @param {string} param1.messageTemplate
+ * @param {string|null} [param1.timezone]
+ * @param {Object|null} [param1.sendWindows]
+ * @param {string[]} [param1.excludedDates]
+ * @param {boolean} [param1.observeHolidays]
+ * @param {string|null} [param1.autoRunSchedule] expressão cron; null usa o padrão
+ * @param {boolean} [param1.aiOpener]
+ * @param {string|null} [param1.aiOpenerContext]
+ * @param {number|null} [param1.messageAttachmentId]
+ * @param {Object|null} [param1.messageInteractive]
  * @returns {Promise<void>}
  */
 async function saveClientSettings(
@@ -109,6 +117,15 @@ async function saveClientSettings(
     instanceAuthScheme,
     dailyLimit,
     messageTemplate,
+    timezone,
+    sendWindows,
+    excludedDates,
+    observeHolidays,
+    autoRunSchedule,
+    aiOpener,
+    aiOpenerContext,
+    messageAttachmentId,
+    messageInteractive,
   }
 ) {
   const safeDaily =
@@ -123,32 +140,168 @@ async function saveClientSettings(
   let authScheme = instanceAuthScheme;
   if (authScheme == null) authScheme = '';
 
+  const keepToken = instanceToken === undefined || instanceToken === SECRET_MASK;
+  const storedToken = keepToken ? null : encryptSecret(instanceToken || null);
+
   await pool.query(
     `INSERT INTO client_settings
-       (slug, auto_run, ia_auto, instance_url, instance_token, instance_auth_header, instance_auth_scheme, daily_limit, message_template)
-     VALUES ($1,   $2,       $3,     $4,           $5,             $6,                   $7,             $8,           $9)
+       (slug, auto_run, ia_auto, instance_url, instance_token, instance_auth_header, instance_auth_scheme, daily_limit, message_template,
+        timezone, send_windows, excluded_dates, observe_holidays, auto_run_schedule,
+        ai_opener, ai_opener_context, message_attachment_id, message_interactive)
+     VALUES ($1,   $2,       $3,     $4,           $5,             $6,                   $7,             $8,           $9,
+             $11,      $12,          COALESCE($13, '[]'::jsonb), COALESCE($17, true), $18,
+             COALESCE($20, false), $21, $23, $25)
      ON CONFLICT (slug)
      DO UPDATE SET
        auto_run = EXCLUDED.auto_run,
        ia_auto = EXCLUDED.ia_auto,
        instance_url = EXCLUDED.instance_url,
-       instance_token = EXCLUDED.instance_token,
+       instance_token = CASE WHEN $10 THEN client_settings.instance_token ELSE EXCLUDED.instance_token END,
        instance_auth_header = EXCLUDED.instance_auth_header,
        instance_auth_scheme = EXCLUDED.instance_auth_scheme,
        daily_limit = COALESCE(EXCLUDED.daily_limit, client_settings.daily_limit),
-       message_template = EXCLUDED.message_template`,
+       message_template = EXCLUDED.message_template,
+       timezone = CASE WHEN $14 THEN client_settings.timezone ELSE EXCLUDED.timezone END,
+       send_windows = CASE WHEN $15 THEN client_settings.send_windows ELSE EXCLUDED.send_windows END,
+       excluded_dates = CASE WHEN $16 THEN client_settings.excluded_dates ELSE EXCLUDED.excluded_dates END,
+       observe_holidays = CASE WHEN $17 IS NULL THEN client_settings.observe_holidays ELSE EXCLUDED.observe_holidays END,
+       auto_run_schedule = CASE WHEN $19 THEN client_settings.auto_run_schedule ELSE EXCLUDED.auto_run_schedule END,
+       ai_opener = CASE WHEN $20 IS NULL THEN client_settings.ai_opener ELSE EXCLUDED.ai_opener END,
+       ai_opener_context = CASE WHEN $22 THEN client_settings.ai_opener_context ELSE EXCLUDED.ai_opener_context END,
+       message_attachment_id = CASE WHEN $24 THEN client_settings.message_attachment_id ELSE EXCLUDED.message_attachment_id END,
+       message_interactive = CASE WHEN $26 THEN client_settings.message_interactive ELSE EXCLUDED.message_interactive END`,
     [
       slug,
       !!autoRun,
       !!iaAuto,
       instanceUrl || null,
-      instanceToken || null,
+      storedToken,
       headerName,
       authScheme,
       safeDaily,
       messageTemplate ?? null,
+      keepToken,
+      timezone || null,
+      sendWindows == null ? null : JSON.stringify(sendWindows),
+      excludedDates == null ? null : JSON.stringify(excludedDates),
+      timezone === undefined,
+      sendWindows === undefined,
+      excludedDates === undefined,
+      observeHolidays === undefined ? null : !!observeHolidays,
+      autoRunSchedule || null,
+      autoRunSchedule === undefined,
+      aiOpener === undefined ? null : !!aiOpener,
+      aiOpenerContext || null,
+      aiOpenerContext === undefined,
+      messageAttachmentId ?? null,
+      messageAttachmentId === undefined,
+      messageInteractive == null ? null : JSON.stringify(messageInteractive),
+      messageInteractive === undefined,
     ]
   );
 }
 
-module.exports = { ensureSettingsTable, getClientSettings, saveClientSettings };
\ No newline at end of file
+/**
+ * Pausa o loop automático do cliente até o instante informado (null
+ * retoma). Retorna false se o cliente não tiver configurações.
+ *
+ * @param {string} slug
+ * @param {Date|null} until
+ * @returns {Promise<boolean>}
+ */
+async function setAutoRunPause(slug, until) {
+  const { rowCount } = await pool.query(
+    'UPDATE client_settings SET auto_run_paused_until = $2 WHERE slug = $1;',
+    [slug, until ? until.toISOString() : null]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Configurações de agenda dos clientes ativos com loop automático.
+ *
+ * @returns {Promise<Object[]>}
+ */
+async function listAutoRunSettings() {
+  const { rows } = await pool.query(
+    `SELECT s.slug, s.timezone, s.send_windows, s.excluded_dates, s.observe_holidays,
+            s.auto_run_schedule, s.auto_run_paused_until, s.auto_run_last_at
+       FROM client_settings s
+       JOIN clients c ON c.slug = s.slug AND c.deleted_at IS NULL
+      WHERE s.auto_run = true AND s.deleted_at IS NULL
+      ORDER BY s.slug;`
+  );
+  return rows;
+}
+
+/**
+ * Reserva a ocorrência da agenda para este processo: grava
+ * auto_run_last_at se ela ainda não tiver sido disparada (por esta ou
+ * outra réplica).
+ *
+ * @param {string} slug
+ * @param {Date} dueAt
+ * @returns {Promise<boolean>}
+ */
+async function claimAutoRun(slug, dueAt) {
+  const { rowCount } = await pool.query(
+    `UPDATE client_settings SET auto_run_last_at = $2
+      WHERE slug = $1 AND (auto_run_last_at IS NULL OR auto_run_last_at < $2);`,
+    [slug, dueAt.toISOString()]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Cifra os instance_token ainda em texto puro e, com rotate=true, também
+ * recifra com a chave atual os que foram cifrados com chaves antigas
+ * (TOKEN_ENCRYPTION_KEYS_OLD). Usado por scripts/tokens.js.
+ *
+ * @param {Object} [param0]
+ * @param {boolean} [param0.rotate]
+ * @returns {Promise<{total: number, encrypted: number, rotated: number, unchanged: number, failed: string[]}>}
+ */
+async function reencryptInstanceTokens({ rotate = false } = {}) {
+  const keyId = currentKeyId();
+  if (!keyId) throw new Error('TOKEN_ENCRYPTION_KEY não definida');
+
+  const { rows } = await pool.query(
+    `SELECT slug, instance_token FROM client_settings
+      WHERE instance_token IS NOT NULL AND instance_token <> '';`
+  );
+  const result = { total: rows.length, encrypted: 0, rotated: 0, unchanged: 0, failed: [] };
+
+  for (const { slug, instance_token: stored } of rows) {
+    try {
+      let next = null;
+      if (!isEncrypted(stored)) {
+        next = encryptSecret(stored);
+        result.encrypted++;
+      } else if (rotate && encryptedKeyId(stored) !== keyId) {
+        next = encryptSecret(decryptSecret(stored));
+        result.rotated++;
+      } else {
+        result.unchanged++;
+        continue;
+      }
+      // A condição no WHERE evita sobrescrever um token salvo em paralelo.
+      await pool.query(
+        'UPDATE client_settings SET instance_token = $1 WHERE slug = $2 AND instance_token = $3;',
+        [next, slug, stored]
+      );
+    } catch (err) {
+      console.error(`[SECRETS] Falha ao processar token de ${slug}:`, err.message);
+      result.failed.push(slug);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  getClientSettings,
+  saveClientSettings,
+  setAutoRunPause,
+  listAutoRunSettings,
+  claimAutoRun,
+  reencryptInstanceTokens,
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+/*
+ * src/db/webhookEvents.js
+ *
+ * Persistência dos eventos do webhook da UAZAPI (webhook_events) e a
+ * lista de instâncias configuradas nos clientes, usada para descobrir a
+ * qual cliente um evento pertence.
+ */
+
+const { pool } = require('../config');
+
+// Quantidade máxima de eventos devolvidos em um replay ou listagem
+const LIST_LIMIT = 200;
+
+/**
+ * Grava um evento normalizado (src/utils/uazapiEvents.js). Retorna o id,
+ * usado como id do evento SSE.
+ *
+ * @param {Object} param0
+ * @param {string|null} param0.slug cliente (null se a instância não corresponder a nenhum)
+ * @param {string} param0.instance
+ * @param {Object} param0.event
+ * @param {Object} param0.payload corpo original do webhook
+ * @returns {Promise<number>}
+ */
+async function insertWebhookEvent({ slug, instance, event, payload }) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_events (client_id, instance, type, message_id, phone, from_me, status, event_at, payload)
+     VALUES ((SELECT id FROM clients WHERE slug = $1 AND deleted_at IS NULL), $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id;`,
+    [
+      slug,
+      instance,
+      event.type,
+      event.messageId || null,
+      event.phone || null,
+      event.type === 'message' ? !!event.fromMe : null,
+      event.status || event.state || null,
+      event.at ? new Date(event.at).toISOString() : null,
+      JSON.stringify(payload ?? null),
+    ]
+  );
+  return Number(rows[0].id);
+}
+
+/**
+ * Eventos do cliente, do mais novo para o mais antigo, ou (com afterId)
+ * os posteriores a um id em ordem crescente, para o replay do SSE.
+ *
+ * @param {string} slug
+ * @param {Object} [param1]
+ * @param {number} [param1.afterId]
+ * @param {string} [param1.type]
+ * @param {number} [param1.limit]
+ * @returns {Promise<Object[]>}
+ */
+async function listWebhookEvents(slug, { afterId = null, type = null, limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT e.id, e.instance, e.type, e.message_id, e.phone, e.from_me, e.status, e.event_at, e.created_at
+       FROM webhook_events e
+       JOIN clients c ON c.id = e.client_id
+      WHERE c.slug = $1
+        AND ($2::bigint IS NULL OR e.id > $2)
+        AND ($3::text IS NULL OR e.type = $3)
+      ORDER BY e.id ${afterId ? 'ASC' : 'DESC'}
+      LIMIT $4;`,
+    [slug, afterId, type, Math.min(LIST_LIMIT, limit)]
+  );
+  return rows.map((r) => ({ ...r, id: Number(r.id) }));
+}
+
+/**
+ * Apaga eventos mais antigos que o prazo informado.
+ *
+ * @param {number} days
+ * @returns {Promise<number>} quantidade apagada
+ */
+async function pruneWebhookEvents(days) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM webhook_events WHERE created_at < NOW() - make_interval(days => $1);',
+    [days]
+  );
+  return rowCount;
+}
+
+/**
+ * Clientes ativos com instância configurada (token ainda cifrado).
+ *
+ * @returns {Promise<{slug: string, instance_url: string|null, instance_token: string|null}[]>}
+ */
+async function listInstanceClients() {
+  const { rows } = await pool.query(
+    `SELECT s.slug, s.instance_url, s.instance_token
+       FROM client_settings s
+       JOIN clients c ON c.slug = s.slug AND c.deleted_at IS NULL
+      WHERE (s.instance_token IS NOT NULL AND s.instance_token <> '')
+         OR s.instance_url IS NOT NULL;`
+  );
+  return rows;
+}
+
+module.exports = { insertWebhookEvent, listWebhookEvents, pruneWebhookEvents, listInstanceClients };
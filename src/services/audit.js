@@ -0,0 +1,85 @@
+/*
+ * src/services/audit.js
+ *
+ * Ponto único para registrar ações administrativas na trilha de
+ * auditoria. Extrai o operador e o IP da requisição Express e mascara
+ * tokens, senhas e segredos antes de gravar o antes/depois. Falhas ao
+ * gravar são apenas logadas: a auditoria nunca derruba a ação principal.
+ */
+
+const { insertAuditEntry } = require('../db/audit');
+
+const SECRET_KEY_RE = /token|password|senha|secret|authorization|api[_-]?key/i;
+
+/**
+ * Mascara um valor secreto preservando os 4 últimos caracteres, o
+ * suficiente para identificar qual credencial mudou sem expô-la.
+ *
+ * @param {any} value
+ * @returns {string|null}
+ */
+function maskValue(value) {
+  if (value == null || value === '') return value ?? null;
+  const s = String(value);
+  return s.length <= 8 ? '***' : `***${s.slice(-4)}`;
+}
+
+/**
+ * Percorre um objeto (ou array) e devolve uma cópia com os campos cujo nome
+ * sugere conter segredo mascarados.
+ *
+ * @param {any} obj
+ * @returns {any}
+ */
+function maskSecrets(obj) {
+  if (Array.isArray(obj)) return obj.map(maskSecrets);
+  if (!obj || typeof obj !== 'object' || obj instanceof Date) return obj;
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    out[k] = SECRET_KEY_RE.test(k) && (typeof v === 'string' || typeof v === 'number')
+      ? maskValue(v)
+      : maskSecrets(v);
+  }
+  return out;
+}
+
+/**
+ * Resolve o IP de origem. Usa req.ip, que só considera X-Forwarded-For
+ * até o número de proxies configurado em TRUST_PROXY_HOPS (trust proxy
+ * do Express); o primeiro valor do cabeçalho pode ser forjado.
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Registra uma ação administrativa executada na requisição.
+ *
+ * @param {import('express').Request|null} req requisição (null para ações do sistema)
+ * @param {string} action identificador no formato "entidade.verbo" (ex.: client.delete)
+ * @param {Object} [param2]
+ * @param {string} [param2.slug]
+ * @param {Object} [param2.before]
+ * @param {Object} [param2.after]
+ * @returns {Promise<void>}
+ */
+async function audit(req, action, { slug = null, before = null, after = null } = {}) {
+  try {
+    await insertAuditEntry({
+      actorId: req?.auth?.operatorId ?? null,
+      actorUsername: req?.auth?.username ?? (req ? null : 'system'),
+      action,
+      slug,
+      before: maskSecrets(before),
+      after: maskSecrets(after),
+      ip: req ? clientIp(req) : null,
+    });
+  } catch (err) {
+    console.error('[AUDIT] Falha ao registrar', action, slug, err?.message);
+  }
+}
+
+module.exports = { audit, maskSecrets, maskValue, clientIp };
@@ -0,0 +1,298 @@
+/*
+ * src/services/auth.js
+ *
+ * Regras de autenticação dos operadores: hash de senha (scrypt, do módulo
+ * crypto nativo), emissão de tokens opacos e o middleware que protege as
+ * rotas da API. Os tokens de sessão (emitidos em /api/auth/login) e as
+ * chaves de API permanentes compartilham o mesmo formato e a mesma
+ * tabela; a diferença é apenas a expiração.
+ *
+ * A autorização por papel (admin, operator, viewer) e por slug de cliente
+ * também vive aqui, em middlewares aplicados rota a rota no server.js.
+ */
+
+const crypto = require('crypto');
+const {
+  countOperators,
+  createOperator,
+  findOperatorByUsername,
+  touchOperatorLogin,
+  insertApiKey,
+  findActiveKeyByHash,
+  touchApiKey,
+  hasClientAccess,
+} = require('../db/auth');
+const { AUTH_SESSION_TTL_HOURS } = require('../config');
+
+const TOKEN_PREFIX = 'luna_';
+
+/**
+ * Gera o hash de uma senha no formato "scrypt$<salt>$<hash>".
+ *
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(String(password), salt, 64, (err, derived) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Compara uma senha com o hash armazenado em tempo constante.
+ *
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, stored) {
+  return new Promise((resolve) => {
+    const [scheme, salt, hex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hex) return resolve(false);
+    const expected = Buffer.from(hex, 'hex');
+    crypto.scrypt(String(password), salt, expected.length, (err, derived) => {
+      if (err) return resolve(false);
+      resolve(crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+/**
+ * Calcula o hash SHA-256 (hex) de um token. É o valor gravado no banco.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Gera um novo token opaco e o persiste para o operador. O token em texto
+ * puro só existe no retorno desta função.
+ *
+ * @param {number} operatorId
+ * @param {Object} [opts]
+ * @param {'api'|'session'} [opts.kind]
+ * @param {string} [opts.name]
+ * @param {Date|null} [opts.expiresAt]
+ * @returns {Promise<{token: string, key: Object}>}
+ */
+async function issueToken(operatorId, { kind = 'api', name = null, expiresAt = null } = {}) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const key = await insertApiKey({
+    operatorId,
+    name,
+    kind,
+    keyPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    keyHash: hashToken(token),
+    expiresAt,
+  });
+  return { token, key };
+}
+
+/**
+ * Valida usuário e senha e, se corretos, emite um token de sessão com a
+ * validade definida em AUTH_SESSION_TTL_HOURS. Retorna null quando as
+ * credenciais são inválidas e { disabled: true } para operadores inativos.
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object|null>}
+ */
+async function login(username, password) {
+  const op = await findOperatorByUsername(username);
+  if (!op) {
+    // Executa um hash mesmo assim para não revelar, pelo tempo de resposta,
+    // se o usuário existe.
+    await hashPassword(password);
+    return null;
+  }
+  if (!(await verifyPassword(password, op.password_hash))) return null;
+  if (!op.active) return { disabled: true };
+
+  const expiresAt = new Date(Date.now() + AUTH_SESSION_TTL_HOURS * 3600 * 1000);
+  const { token } = await issueToken(op.id, { kind: 'session', name: 'login', expiresAt });
+  await touchOperatorLogin(op.id);
+  return { token, expiresAt, operator: { id: op.id, username: op.username, role: op.role } };
+}
+
+/**
+ * Extrai o token da requisição. Aceita "Authorization: Bearer <token>",
+ * o cabeçalho X-API-Key e, para o EventSource do navegador (que não envia
+ * cabeçalhos customizados), o parâmetro de query access_token.
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function extractToken(req) {
+  const auth = req.headers.authorization || '';
+  const m = /^Bearer\s+(.+)$/i.exec(auth);
+  if (m) return m[1].trim();
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) return String(apiKey).trim();
+  if (req.query && typeof req.query.access_token === 'string') return req.query.access_token.trim();
+  return null;
+}
+
+/**
+ * Cria o operador administrador inicial a partir de AUTH_ADMIN_USER e
+ * AUTH_ADMIN_PASSWORD quando a tabela de operadores está vazia. Sem essas
+ * variáveis nenhuma conta é criada e toda a API responde 401.
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureAuthBootstrap() {
+  const user = process.env.AUTH_ADMIN_USER;
+  const pass = process.env.AUTH_ADMIN_PASSWORD;
+  if (await countOperators() > 0) return;
+  if (!user || !pass) {
+    console.warn('[AUTH] Nenhum operador cadastrado. Defina AUTH_ADMIN_USER e AUTH_ADMIN_PASSWORD para criar o primeiro.');
+    return;
+  }
+  await createOperator(user, await hashPassword(pass), 'admin');
+  console.log(`[AUTH] Administrador inicial "${user}" criado.`);
+}
+
+/**
+ * Middleware que exige um token válido. Deve ser montado ANTES da
+ * reescrita de compatibilidade (rotas sem /api), por isso recebe o
+ * conjunto de endpoints legados para decidir se o caminho é protegido.
+ * Caminhos fora da API (arquivos estáticos) e os listados em publicPaths
+ * passam direto; uma entrada terminada em "/" libera o prefixo inteiro.
+ * Em caso de sucesso, preenche req.auth.
+ *
+ * @param {Object} param0
+ * @param {Set<string>} param0.compatEndpoints
+ * @param {string[]} [param0.publicPaths]
+ * @returns {import('express').RequestHandler}
+ */
+function requireAuth({ compatEndpoints, publicPaths = [] }) {
+  const isPublic = (p) => publicPaths.some((pub) => (pub.endsWith('/')
+    ? p.startsWith(pub)
+    : p === pub || p === pub.replace(/^\/api/, '')));
+
+  return async (req, res, next) => {
+    // As rotas do Express não diferenciam maiúsculas (/API/x casa com
+    // /api/x), então a comparação também não pode diferenciar.
+    const p = (req.path || '').toLowerCase();
+    const seg = p.replace(/^\/+/, '').split('/')[0];
+    const isApi = p.startsWith('/api/') || compatEndpoints.has(seg);
+    if (!isApi || isPublic(p)) return next();
+
+    const token = extractToken(req);
+    if (!token) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Autenticação necessária' });
+    }
+
+    try {
+      const key = await findActiveKeyByHash(hashToken(token));
+      if (!key) {
+        res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Token inválido ou expirado' });
+      }
+      if (!key.active) return res.status(403).json({ error: 'Operador desativado' });
+
+      req.auth = {
+        operatorId: key.operator_id,
+        username: key.username,
+        role: key.role,
+        keyId: key.key_id,
+        kind: key.kind,
+      };
+      touchApiKey(key.key_id).catch(() => {});
+      next();
+    } catch (err) {
+      console.error('Erro ao validar token', err);
+      res.status(500).json({ error: 'Erro interno de autenticação' });
+    }
+  };
+}
+
+/**
+ * Middleware que só deixa passar operadores com um dos papéis informados.
+ *
+ * @param {...string} roles
+ * @returns {import('express').RequestHandler}
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.auth && roles.includes(req.auth.role)) return next();
+    return res.status(403).json({ error: 'Permissão insuficiente' });
+  };
+}
+
+/**
+ * Indica se o operador autenticado pode acessar o slug. Administradores
+ * acessam todos os clientes; os demais apenas os vinculados.
+ *
+ * @param {Object} auth req.auth
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+async function canAccessClient(auth, slug) {
+  if (!auth) return false;
+  if (auth.role === 'admin') return true;
+  return hasClientAccess(auth.operatorId, slug);
+}
+
+/**
+ * Middleware de autorização por cliente. Com write=true, recusa o papel
+ * viewer. O slug é lido por padrão de req.query.client e req.body.client;
+ * se os dois vierem com clientes diferentes, a requisição é recusada
+ * (400). Rotas com outro formato informam a função pick. O slug
+ * autorizado fica em req.clientSlug, e é dele que as rotas devem ler o
+ * cliente. Se não houver slug, a validação fica a cargo da própria rota
+ * (que responde 400).
+ *
+ * @param {Object} [param0]
+ * @param {boolean} [param0.write]
+ * @param {(req: import('express').Request) => string} [param0.pick]
+ * @returns {import('express').RequestHandler}
+ */
+function authorizeClient({ write = false, pick } = {}) {
+  return async (req, res, next) => {
+    if (write && req.auth?.role === 'viewer') {
+      return res.status(403).json({ error: 'Perfil somente leitura' });
+    }
+    let slug;
+    if (pick) {
+      slug = pick(req);
+    } else {
+      const fromQuery = req.query?.client;
+      const fromBody = req.body?.client;
+      if (fromQuery && fromBody && String(fromQuery) !== String(fromBody)) {
+        return res.status(400).json({ error: 'Clientes diferentes na query e no corpo da requisição' });
+      }
+      slug = fromQuery || fromBody;
+    }
+    req.clientSlug = slug ? String(slug) : null;
+    if (!slug) return next();
+    try {
+      if (await canAccessClient(req.auth, req.clientSlug)) return next();
+      return res.status(403).json({ error: 'Acesso negado a este cliente' });
+    } catch (err) {
+      console.error('Erro ao verificar acesso ao cliente', err);
+      return res.status(500).json({ error: 'Erro interno de autorização' });
+    }
+  };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  issueToken,
+  login,
+  extractToken,
+  ensureAuthBootstrap,
+  requireAuth,
+  requireRole,
+  canAccessClient,
+  authorizeClient,
+};
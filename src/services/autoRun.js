@@ -0,0 +1,81 @@
+/*
+ * src/services/autoRun.js
+ *
+ * Agenda do loop automático de cada cliente: expressão cron em
+ * client_settings.auto_run_schedule (ou DEFAULT_AUTO_RUN_SCHEDULE),
+ * avaliada no fuso do cliente, com pausa opcional até uma data. O
+ * disparo em si fica no scheduler de server.js.
+ */
+
+const { DEFAULT_AUTO_RUN_SCHEDULE } = require('../config');
+const { parseCron, nextOccurrences } = require('../utils/cron');
+const { resolveSendConfig, localDateKey, blackoutFor } = require('../utils/schedule');
+
+/**
+ * Agenda cron efetiva do cliente. Uma expressão gravada que não seja
+ * mais válida cai no padrão (com aviso no log).
+ *
+ * @param {Object} settings linha de client_settings
+ * @returns {ReturnType<typeof parseCron>}
+ */
+function resolveAutoRunCron(settings) {
+  if (settings?.auto_run_schedule) {
+    try {
+      return parseCron(settings.auto_run_schedule);
+    } catch (err) {
+      console.warn(`[AUTO] Agenda inválida para ${settings.slug || '?'}: ${err.message}; usando ${DEFAULT_AUTO_RUN_SCHEDULE}`);
+    }
+  }
+  return parseCron(DEFAULT_AUTO_RUN_SCHEDULE);
+}
+
+/**
+ * Ocorrência da agenda que venceu há no máximo graceMs e ainda não foi
+ * disparada (posterior a auto_run_last_at), ou null.
+ *
+ * @param {Object} settings
+ * @param {Date} now
+ * @param {number} graceMs
+ * @returns {Date|null}
+ */
+function dueAutoRun(settings, now, graceMs) {
+  const { timezone } = resolveSendConfig(settings);
+  let from = new Date(now.getTime() - graceMs);
+  const last = settings.auto_run_last_at ? new Date(settings.auto_run_last_at) : null;
+  if (last && last > from) from = last;
+  const [next] = nextOccurrences(resolveAutoRunCron(settings), timezone, from, 1);
+  return next && next <= now ? next : null;
+}
+
+/**
+ * Indica se o loop automático está pausado no instante informado.
+ *
+ * @param {Object} settings
+ * @param {Date} at
+ * @returns {boolean}
+ */
+function isAutoRunPaused(settings, at) {
+  return !!settings.auto_run_paused_until && new Date(settings.auto_run_paused_until) > at;
+}
+
+/**
+ * Próximas execuções agendadas, marcando as que serão puladas por pausa
+ * ou por bloqueio no calendário (feriado, data excluída, período
+ * cadastrado).
+ *
+ * @param {Object} settings
+ * @param {Object} cfg resultado de loadSendConfig
+ * @param {Object} [param2]
+ * @param {number} [param2.count]
+ * @param {Date} [param2.now]
+ * @returns {{at: string, skipped: 'paused'|'blackout'|null, blackout: Object|null}[]}
+ */
+function upcomingAutoRuns(settings, cfg, { count = 5, now = new Date() } = {}) {
+  return nextOccurrences(resolveAutoRunCron(settings), cfg.timezone, now, count).map((at) => {
+    const blackout = blackoutFor(cfg, localDateKey(at, cfg.timezone));
+    const skipped = isAutoRunPaused(settings, at) ? 'paused' : (blackout ? 'blackout' : null);
+    return { at: at.toISOString(), skipped, blackout };
+  });
+}
+
+module.exports = { resolveAutoRunCron, dueAutoRun, isAutoRunPaused, upcomingAutoRuns };
@@ -0,0 +1,41 @@
+/*
+ * src/services/calendar.js
+ *
+ * Calendário de envio de um cliente: junta client_settings (fuso,
+ * janelas, datas excluídas, feriados) com os bloqueios cadastrados em
+ * client_blackouts. O resultado é o cfg usado pelas funções de
+ * src/utils/schedule.js.
+ */
+
+const { getClientSettings } = require('../db/settings');
+const { listBlackouts } = require('../db/blackouts');
+const { resolveSendConfig, localDateKey, addDays, blackoutFor } = require('../utils/schedule');
+
+/**
+ * Configuração de envio do cliente com os bloqueios vigentes ou futuros.
+ *
+ * @param {string} slug
+ * @param {Object} [settings] linha de client_settings, se já carregada
+ * @returns {Promise<Object>}
+ */
+async function loadSendConfig(slug, settings) {
+  const s = settings || await getClientSettings(slug);
+  const base = resolveSendConfig(s);
+  const from = addDays(localDateKey(new Date(), base.timezone), -1);
+  return resolveSendConfig(s, await listBlackouts(slug, { from }));
+}
+
+/**
+ * Bloqueio que impede envios hoje (feriado, data excluída ou período
+ * cadastrado), ou null.
+ *
+ * @param {string} slug
+ * @param {Object} [cfg] resultado de loadSendConfig, se já carregado
+ * @returns {Promise<{kind: string, label: string|null}|null>}
+ */
+async function blackoutToday(slug, cfg) {
+  const c = cfg || await loadSendConfig(slug);
+  return blackoutFor(c, localDateKey(new Date(), c.timezone));
+}
+
+module.exports = { loadSendConfig, blackoutToday };
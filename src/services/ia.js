@@ -10,6 +10,10 @@
  */
 
 const { URLSearchParams } = require('url');
+const { decryptSecret } = require('../utils/secrets');
+const { renderTemplate } = require('../utils/templates');
+const { localHour } = require('../utils/schedule');
+const { menuChoices } = require('../utils/interactive');
 
 // Conjunto de variáveis de configuração relacionadas à UAZAPI. É lido das
 // variáveis de ambiente no momento da importação. Este objeto agrupa
@@ -28,6 +32,15 @@ const UAZ = {
     catch { return {}; }
   })(),
   template: process.env.MESSAGE_TEMPLATE || 'Olá {NAME}, aqui é do {CLIENT}.',
+  // Envio de anexos: endpoint de mídia (caminho relativo à URL da
+  // instância ou URL completa) e os campos do payload JSON
+  mediaPath: process.env.UAZAPI_MEDIA_PATH || '/send/media',
+  mediaTypeField: process.env.UAZAPI_MEDIA_TYPE_FIELD || 'type',
+  mediaFileField: process.env.UAZAPI_MEDIA_FILE_FIELD || 'file',
+  mediaCaptionField: process.env.UAZAPI_MEDIA_CAPTION_FIELD || 'text',
+  mediaNameField: process.env.UAZAPI_MEDIA_NAME_FIELD || 'docName',
+  // Botões e listas (src/utils/interactive.js): endpoint de menu
+  menuPath: process.env.UAZAPI_MENU_PATH || '/send/menu',
 };
 
 /**
@@ -48,18 +61,22 @@ function normalizePhoneE164BR(phone) {
 }
 
 /**
- * Substitui campos do template por variáveis fornecidas. Aceita chaves em
- * português e inglês, converte para maiúsculas e mapeia variantes para
- * chaves padrão (NAME, CLIENT, PHONE, NICHO).
+ * Renderiza o template com as variáveis fornecidas e a saudação do
+ * horário. Os campos aceitam apelidos em português e inglês (NAME/NOME,
+ * CLIENT/CLIENTE, ...), valores padrão, condicionais, spintax e campos
+ * personalizados; a linguagem está em src/utils/templates.js.
  *
  * @param {string} tpl
- * @param {Object} vars
+ * @param {Object} vars valores por campo padrão (NAME, CLIENT, PHONE,
+ *   NICHO, REGIAO) e campos personalizados
+ * @param {Date} [now] momento do envio, usado na saudação (padrão: agora)
+ * @param {string} [timezone] fuso do cliente; sem ele vale o do servidor
  * @returns {string}
  */
-function fillTemplate(tpl, vars) {
-  // Gera saudação automática conforme horário atual (Bom dia / Boa tarde / Boa noite)
-  const now = new Date();
-  const hour = now.getHours();
+function fillTemplate(tpl, vars, now = new Date(), timezone = null) {
+  // Gera saudação automática conforme horário do envio no fuso do cliente
+  // (Bom dia / Boa tarde / Boa noite)
+  const hour = timezone ? localHour(now, timezone) : now.getHours();
   let saudacao;
   if (hour >= 5 && hour < 12) saudacao = 'Bom dia \u2600\uFE0F';
   else if (hour >= 12 && hour < 18) saudacao = 'Boa tarde \uD83C\uDF24\uFE0F';
@@ -68,18 +85,7 @@ function fillTemplate(tpl, vars) {
   // Adiciona a saudação às variáveis
   vars = { ...vars, SAUDACAO: saudacao };
 
-  return String(tpl || '').replace(/\{(NAME|NOME|CLIENT|CLIENTE|PHONE|TELEFONE|NICHO|NICHE|SAUDACAO|GREETING)\}/gi, (_, k) => {
-    const key = k.toUpperCase();
-    const map = {
-      NOME: 'NAME',
-      CLIENTE: 'CLIENT',
-      TELEFONE: 'PHONE',
-      NICHE: 'NICHO',
-      GREETING: 'SAUDACAO',
-    };
-    const finalKey = map[key] || key;
-    return vars[finalKey] ?? '';
-  });
+  return renderTemplate(tpl, vars);
 }
 
 /**
@@ -163,6 +169,81 @@ function buildUazRequest(instanceUrl, { e164, digits, text }) {
   return { url: instanceUrl, method: 'POST', headers: j.headers, body: j.body };
 }
 
+/**
+ * URL de outro endpoint de envio (mídia, menu) a partir da URL de envio
+ * de texto da instância: o trecho final /send/<tipo> vira o caminho
+ * informado; sem esse trecho, o caminho é aplicado à origem (ou usado
+ * como está, se for uma URL completa). Query string e marcadores são
+ * descartados.
+ *
+ * @param {string} instanceUrl
+ * @param {string} target caminho (UAZ.mediaPath, UAZ.menuPath) ou URL
+ * @returns {string}
+ */
+function sendEndpoint(instanceUrl, target) {
+  if (/^https?:\/\//i.test(target)) return target;
+  const path = target.startsWith('/') ? target : `/${target}`;
+  const u = new URL(instanceUrl);
+  const sendRe = /\/send\/[^/]*\/?$/;
+  return sendRe.test(u.pathname) ? u.origin + u.pathname.replace(sendRe, '') + path : u.origin + path;
+}
+
+/**
+ * Requisição de envio de um anexo (sempre POST JSON no endpoint de
+ * mídia, com o arquivo em base64). A legenda vai em caption; áudio não
+ * aceita legenda.
+ *
+ * @param {string} instanceUrl
+ * @param {Object} param1
+ * @param {string} param1.e164
+ * @param {string} param1.digits
+ * @param {string} [param1.caption]
+ * @param {{kind: string, filename: string, data: Buffer}} param1.attachment
+ * @returns {Object}
+ */
+function buildUazMediaRequest(instanceUrl, { e164, digits, caption, attachment }) {
+  const payload = { ...UAZ.extra };
+  payload[UAZ.phoneField] = UAZ.digitsOnly ? digits : e164;
+  payload[UAZ.mediaTypeField] = attachment.kind;
+  payload[UAZ.mediaFileField] = Buffer.from(attachment.data).toString('base64');
+  if (caption && attachment.kind !== 'audio') payload[UAZ.mediaCaptionField] = caption;
+  if (attachment.kind === 'document') payload[UAZ.mediaNameField] = attachment.filename;
+  return {
+    url: sendEndpoint(instanceUrl, UAZ.mediaPath),
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  };
+}
+
+/**
+ * Requisição de envio do texto com botões ou lista (POST JSON no
+ * endpoint de menu). As opções seguem o formato "choices" da UAZAPI.
+ *
+ * @param {string} instanceUrl
+ * @param {Object} param1
+ * @param {string} param1.e164
+ * @param {string} param1.digits
+ * @param {string} param1.text
+ * @param {Object} param1.interactive declaração normalizada (src/utils/interactive.js)
+ * @returns {Object}
+ */
+function buildUazMenuRequest(instanceUrl, { e164, digits, text, interactive }) {
+  const payload = { ...UAZ.extra };
+  payload[UAZ.phoneField] = UAZ.digitsOnly ? digits : e164;
+  payload.type = interactive.type;
+  payload.text = text;
+  payload.choices = menuChoices(interactive);
+  if (interactive.type === 'list') payload.listButton = interactive.listButton;
+  if (interactive.footer) payload.footerText = interactive.footer;
+  return {
+    url: sendEndpoint(instanceUrl, UAZ.menuPath),
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  };
+}
+
 /**
  * Envia uma requisição HTTP genérica, utilizando fetch se estiver disponível
  * globalmente ou node-fetch como fallback. Também oferece uma implementação
@@ -233,84 +314,188 @@ function normalizeNiche(n) {
 }
 
 /**
- * Função principal para enviar uma mensagem via UAZAPI usando IA. Ela recebe
- * os dados do contato e as credenciais da instância e constrói uma
- * requisição conforme as configurações do projeto. Caso IA_CALL não esteja
- * habilitado ou não haja URL de instância, simula um envio bem-sucedido.
+ * Monta o texto e as requisições de envio de um contato, exatamente como
+ * runIAForContact os envia (reqs vazia sem URL de instância). Sem anexo
+ * há uma requisição de texto; com anexo, o texto vai como legenda da
+ * mídia, exceto no áudio, enviado depois do texto. Com botões ou lista,
+ * o texto sai no menu e o anexo, se houver, vem depois, sem legenda.
  *
- * @param {Object} param0
- * @param {string} param0.client
- * @param {string} param0.name
- * @param {string} param0.phone
- * @param {string} [param0.niche]
- * @param {string} [param0.instanceUrl]
- * @param {string} [param0.instanceToken]
- * @param {string} [param0.instanceAuthHeader]
- * @param {string} [param0.instanceAuthScheme]
- * @param {string} [param0.messageTemplate]
+ * @param {Object} params mesmos parâmetros de runIAForContact
+ * @param {Date} [now] momento do envio (saudação)
+ * @returns {{text: string, reqs: Object[]}}
  */
-async function runIAForContact({
+function prepareUazSend({
   client,
   name,
   phone,
   niche,
+  region,
+  customFields,
   instanceUrl,
   instanceToken,
   instanceAuthHeader,
   instanceAuthScheme,
   messageTemplate,
-}) {
-  const SHOULD_CALL = process.env.IA_CALL === 'true';
-  if (!SHOULD_CALL || !instanceUrl) return { ok: true, simulated: true };
-
-  try {
-    const e164 = normalizePhoneE164BR(phone);
-    const digits = String(e164).replace(/\D/g, '');
-    const prettyNiche = normalizeNiche(niche);
+  messageText,
+  attachment,
+  interactive,
+  timezone,
+}, now = new Date()) {
+  const e164 = normalizePhoneE164BR(phone);
+  const digits = String(e164).replace(/\D/g, '');
+  const prettyNiche = normalizeNiche(niche);
 
-    // Pega o template do cliente ou cai no global (.env)
-    const tpl = typeof messageTemplate === 'string' && messageTemplate.trim()
-      ? messageTemplate
-      : UAZ.template;
+  // Pega o template do cliente ou cai no global (.env)
+  const tpl = typeof messageTemplate === 'string' && messageTemplate.trim()
+    ? messageTemplate
+    : UAZ.template;
 
-    const text = fillTemplate(tpl, {
+  // Texto pronto (abertura gerada por IA) dispensa o template
+  const text = typeof messageText === 'string' && messageText.trim()
+    ? messageText
+    : fillTemplate(tpl, {
+      ...(customFields || {}),
       NAME: name,
       CLIENT: client,
       PHONE: e164,
       NICHO: prettyNiche,
-    });
+      REGIAO: region || '',
+    }, now, timezone);
 
-    const req = buildUazRequest(instanceUrl, { e164, digits, text });
+  if (!instanceUrl) return { text, reqs: [] };
+  const reqs = [];
+  if (interactive) {
+    reqs.push(buildUazMenuRequest(instanceUrl, { e164, digits, text, interactive }));
+    if (attachment) reqs.push(buildUazMediaRequest(instanceUrl, { e164, digits, attachment }));
+  } else {
+    if (!attachment || attachment.kind === 'audio') reqs.push(buildUazRequest(instanceUrl, { e164, digits, text }));
+    if (attachment) reqs.push(buildUazMediaRequest(instanceUrl, { e164, digits, caption: text, attachment }));
+  }
 
-    let hdrName   = (instanceAuthHeader && instanceAuthHeader.trim()) || UAZ.authHeader || 'token';
-    const hdrScheme = instanceAuthScheme !== undefined ? instanceAuthScheme : UAZ.authScheme || '';
-    const tokenVal  = (instanceToken && String(instanceToken)) || UAZ.token || '';
-    // Se o nome do header foi salvo erroneamente com o próprio token (ou ficou muito longo), saneie para "token"
-    if (hdrName === tokenVal || hdrName.length > 50) {
-      hdrName = UAZ.authHeader || 'token';
-    }
-    if (tokenVal) {
+  let hdrName   = (instanceAuthHeader && instanceAuthHeader.trim()) || UAZ.authHeader || 'token';
+  const hdrScheme = instanceAuthScheme !== undefined ? instanceAuthScheme : UAZ.authScheme || '';
+  const tokenVal  = (instanceToken && decryptSecret(String(instanceToken))) || UAZ.token || '';
+  // Se o nome do header foi salvo erroneamente com o próprio token (ou ficou muito longo), saneie para "token"
+  if (hdrName === tokenVal || hdrName.length > 50) {
+    hdrName = UAZ.authHeader || 'token';
+  }
+  if (tokenVal) {
+    for (const req of reqs) {
       req.headers = req.headers || {};
       req.headers[hdrName] = `${hdrScheme}${tokenVal}`;
     }
+  }
+  return { text, reqs };
+}
 
-    if (process.env.DEBUG === 'true') {
-      const maskedHeaders = Object.fromEntries(
-        Object.entries(req.headers || {}).map(([k, v]) => [
-          k,
-          /token|authorization/i.test(k) ? '***' : v,
-        ])
-      );
-      console.log('[UAZAPI] request', { url: req.url, method: req.method, headers: maskedHeaders, hasBody: !!req.body });
-    }
+// Cabeçalhos com token/authorization mascarados, para log e prévia
+function maskHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([k, v]) => [
+      k,
+      /token|authorization/i.test(k) ? '***' : v,
+    ])
+  );
+}
+
+// Corpo JSON com o arquivo em base64 resumido, para log e prévia
+function summarizeBody(body) {
+  if (typeof body !== 'string') return body;
+  let parsed;
+  try { parsed = JSON.parse(body); }
+  catch { return body; }
+  const file = parsed?.[UAZ.mediaFileField];
+  if (typeof file !== 'string' || file.length <= 200) return body;
+  return JSON.stringify({ ...parsed, [UAZ.mediaFileField]: `[base64, ${file.length} caracteres]` });
+}
+
+/**
+ * Prévia de um envio: o texto renderizado e as requisições que seriam
+ * feitas à UAZAPI (token mascarado e anexo resumido), sem enviar nada.
+ * `request` é a primeira delas. `wouldCall` indica se, fora do modo de
+ * prévia, a requisição sairia de fato (IA_CALL=true e instância
+ * configurada) ou o envio seria apenas simulado.
+ *
+ * @param {Object} params mesmos parâmetros de runIAForContact
+ * @param {Date} [now] horário planejado do envio
+ * @returns {{text: string, request: Object|null, requests: Object[], wouldCall: boolean}}
+ */
+function previewUazSend(params, now = new Date()) {
+  const { text, reqs } = prepareUazSend(params, now);
+  const requests = reqs.map((req) => ({ ...req, headers: maskHeaders(req.headers), body: summarizeBody(req.body) }));
+  return { text, request: requests[0] || null, requests, wouldCall: process.env.IA_CALL === 'true' && !!params.instanceUrl };
+}
+
+// Resultado de um envio em que a primeira requisição saiu e uma seguinte
+// (o anexo) falhou
+function partialSend(first, error) {
+  return { ...first, partial: true, error: `Envio parcial: ${error}`.slice(0, 500) };
+}
+
+/**
+ * Função principal para enviar uma mensagem via UAZAPI usando IA. Ela recebe
+ * os dados do contato e as credenciais da instância e constrói uma
+ * requisição conforme as configurações do projeto. Caso IA_CALL não esteja
+ * habilitado ou não haja URL de instância, simula um envio bem-sucedido.
+ *
+ * @param {Object} param0
+ * @param {string} param0.client
+ * @param {string} param0.name
+ * @param {string} param0.phone
+ * @param {string} [param0.niche]
+ * @param {string} [param0.region]
+ * @param {Object} [param0.customFields] campos personalizados do contato
+ * @param {string} [param0.instanceUrl]
+ * @param {string} [param0.instanceToken] token como armazenado (cifrado ou não)
+ * @param {string} [param0.instanceAuthHeader]
+ * @param {string} [param0.instanceAuthScheme]
+ * @param {string} [param0.messageTemplate]
+ * @param {string} [param0.messageText] texto final, enviado sem passar pelo template
+ * @param {{kind: string, filename: string, data: Buffer}} [param0.attachment] anexo
+ *   (src/db/attachments.js); com ele o envio usa o endpoint de mídia
+ * @param {Object} [param0.interactive] botões ou lista (src/utils/interactive.js);
+ *   com eles o texto vai pelo endpoint de menu
+ * @param {string} [param0.timezone] fuso do cliente, usado na saudação
+ */
+async function runIAForContact(params) {
+  const { instanceUrl } = params;
+  const SHOULD_CALL = process.env.IA_CALL === 'true';
+  if (!SHOULD_CALL || !instanceUrl) return { ok: true, simulated: true };
 
-    const resp = await httpSend(req);
-    let body;
-    try { body = await resp.json(); }
-    catch { body = await resp.text(); }
-    if (!resp.ok) console.error('UAZAPI FAIL', { status: resp.status, body });
+  try {
+    const { reqs } = prepareUazSend(params);
 
-    return { ok: resp.ok, status: resp.status, body };
+    // Texto e anexo saem em sequência; a primeira falha interrompe e o
+    // resultado de sucesso é o da primeira requisição (id da mensagem).
+    // Se a primeira já saiu, a falha de uma seguinte não vira nova
+    // tentativa (que repetiria o texto): o envio conta como feito, com
+    // partial = true e o erro registrado.
+    let first = null;
+    for (const req of reqs) {
+      if (process.env.DEBUG === 'true') {
+        console.log('[UAZAPI] request', { url: req.url, method: req.method, headers: maskHeaders(req.headers), hasBody: !!req.body });
+      }
+
+      let resp;
+      try { resp = await httpSend(req); }
+      catch (err) {
+        if (!first) throw err;
+        console.error('UAZAPI ERROR (envio parcial)', instanceUrl, err);
+        return partialSend(first, String(err));
+      }
+      // O corpo é lido uma única vez (json() consome o stream). Uma falha
+      // na leitura não pode virar erro de rede: com 2xx a mensagem já saiu.
+      const raw = await resp.text().catch(() => '');
+      let body = raw;
+      try { body = JSON.parse(raw); } catch { /* corpo em texto */ }
+      if (!resp.ok) {
+        console.error('UAZAPI FAIL', { status: resp.status, body });
+        if (first) return partialSend(first, `HTTP ${resp.status}: ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+        return { ok: false, status: resp.status, body };
+      }
+      if (!first) first = { ok: true, status: resp.status, body };
+    }
+    return first;
   } catch (err) {
     console.error('UAZAPI ERROR', instanceUrl, err);
     return { ok: false, error: String(err) };
@@ -319,6 +504,7 @@ async function runIAForContact({
 
 module.exports = {
   runIAForContact,
+  previewUazSend,
   normalizePhoneE164BR,
   fillTemplate,
   normalizeNiche,
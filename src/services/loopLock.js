@@ -0,0 +1,112 @@
+/*
+ * src/services/loopLock.js
+ *
+ * Exclusão mútua do loop de envio entre réplicas. Antes de rodar o loop
+ * de um cliente, o processo obtém o lease em loop_leases e o renova
+ * periodicamente. A parada pedida em qualquer réplica é gravada no lease
+ * e avisada por NOTIFY; o dono do loop a recebe na hora (NOTIFY) ou, no
+ * pior caso, na próxima renovação, e a repassa para o stopRequests local
+ * que o loop já consulta. A perda do lease é sinalizada à parte, em
+ * leaseLost: o loop para, mas não encerra a execução do novo dono.
+ */
+
+const {
+  runningClients,
+  stopRequests,
+  leaseLost,
+  INSTANCE_ID,
+  LOOP_LEASE_TTL_SECONDS,
+} = require('../config');
+const {
+  acquireLease,
+  renewLease,
+  releaseLease,
+  getActiveLease,
+  markStopRequested,
+} = require('../db/loopLeases');
+const { subscribe, publish } = require('./pgEvents');
+
+const STOP_CHANNEL = 'luna_loop_stop';
+
+/**
+ * Obtém o lease do loop do cliente e inicia o heartbeat. Retorna null se
+ * outra réplica (ou este processo) já estiver rodando o loop.
+ *
+ * @param {string} slug
+ * @returns {Promise<{release: () => Promise<void>}|null>}
+ */
+async function acquireLoopLock(slug) {
+  const lease = await acquireLease(slug, INSTANCE_ID, LOOP_LEASE_TTL_SECONDS);
+  if (!lease) return null;
+
+  const beat = setInterval(async () => {
+    try {
+      const { held, stopRequested } = await renewLease(lease.clientId, INSTANCE_ID, LOOP_LEASE_TTL_SECONDS);
+      if (!held) {
+        // Outro processo assumiu (renovação atrasou além do TTL): para já
+        // para não enviar em dobro
+        console.warn(`[${slug}] Lease do loop perdido; interrompendo.`);
+        clearInterval(beat);
+        leaseLost.add(slug);
+        stopRequests.add(slug);
+      } else if (stopRequested) {
+        stopRequests.add(slug);
+      }
+    } catch (err) {
+      console.warn(`[${slug}] Falha ao renovar lease do loop`, err.message);
+    }
+  }, Math.floor((LOOP_LEASE_TTL_SECONDS * 1000) / 3));
+  beat.unref?.();
+
+  return {
+    async release() {
+      clearInterval(beat);
+      try { await releaseLease(lease.clientId, INSTANCE_ID); }
+      catch (err) { console.warn(`[${slug}] Falha ao liberar lease do loop`, err.message); }
+    },
+  };
+}
+
+/**
+ * Pede a parada do loop do cliente, esteja ele nesta ou em outra réplica.
+ *
+ * @param {string} slug
+ * @returns {Promise<boolean>} false se nenhum loop estiver ativo
+ */
+async function requestLoopStop(slug) {
+  const local = runningClients.has(slug);
+  if (local) stopRequests.add(slug);
+  const lease = await markStopRequested(slug);
+  if (lease && lease.owner !== INSTANCE_ID) {
+    await publish(STOP_CHANNEL, { slug }).catch((err) => console.warn('[LOOP] Falha no NOTIFY de parada', err.message));
+  }
+  return local || !!lease;
+}
+
+/**
+ * Indica se o loop do cliente está rodando em alguma réplica.
+ *
+ * @param {string} slug
+ * @returns {Promise<boolean>}
+ */
+async function isLoopActive(slug) {
+  if (runningClients.has(slug)) return true;
+  return !!(await getActiveLease(slug));
+}
+
+/**
+ * Passa a receber pedidos de parada feitos em outras réplicas.
+ *
+ * @returns {Promise<void>}
+ */
+async function listenLoopStops() {
+  await subscribe(STOP_CHANNEL, (payload) => {
+    const slug = payload?.slug;
+    if (slug && runningClients.has(slug)) {
+      console.log(`[STOP] Parada recebida de outra réplica para ${slug}`);
+      stopRequests.add(slug);
+    }
+  });
+}
+
+module.exports = { acquireLoopLock, requestLoopStop, isLoopActive, listenLoopStops };
@@ -0,0 +1,108 @@
+/*
+ * src/services/pgEvents.js
+ *
+ * Publicação e assinatura de eventos entre processos via LISTEN/NOTIFY do
+ * PostgreSQL. Mantém uma única conexão dedicada do pool para os LISTEN e
+ * a recria (refazendo as assinaturas) se ela cair. Os payloads são JSON;
+ * o NOTIFY limita cada um a ~8 KB.
+ */
+
+const { pool } = require('../config');
+
+const RECONNECT_MS = 5000;
+
+const handlers = new Map(); // canal -> Set<(payload) => void>
+let conn = null;
+let connecting = null;
+
+function quoteChannel(channel) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(channel)) throw new Error(`Canal inválido: ${channel}`);
+  return `"${channel}"`;
+}
+
+function dispatch({ channel, payload }) {
+  const set = handlers.get(channel);
+  if (!set) return;
+  let data = null;
+  try { data = payload ? JSON.parse(payload) : null; } catch { return; }
+  for (const fn of set) {
+    try { fn(data); } catch (err) { console.error('[PG-EVENTS] Handler falhou', channel, err.message); }
+  }
+}
+
+function onConnectionLost(err) {
+  if (!conn) return;
+  console.warn('[PG-EVENTS] Conexão de LISTEN perdida', err?.message || '');
+  const dead = conn;
+  conn = null;
+  try { dead.release(true); } catch {}
+  setTimeout(() => { ensureConnection().catch(() => {}); }, RECONNECT_MS);
+}
+
+/**
+ * Abre (uma vez) a conexão de LISTEN e assina todos os canais registrados.
+ *
+ * @returns {Promise<import('pg').PoolClient>}
+ */
+async function ensureConnection() {
+  if (conn) return conn;
+  if (connecting) return connecting;
+  connecting = (async () => {
+    try {
+      const c = await pool.connect();
+      c.on('notification', dispatch);
+      c.on('error', onConnectionLost);
+      c.on('end', onConnectionLost);
+      for (const channel of handlers.keys()) await c.query(`LISTEN ${quoteChannel(channel)};`);
+      conn = c;
+      return c;
+    } catch (err) {
+      console.warn('[PG-EVENTS] Falha ao conectar; nova tentativa em breve', err.message);
+      setTimeout(() => { ensureConnection().catch(() => {}); }, RECONNECT_MS);
+      throw err;
+    } finally {
+      connecting = null;
+    }
+  })();
+  return connecting;
+}
+
+/**
+ * Assina um canal. Retorna a função que cancela a assinatura.
+ *
+ * @param {string} channel
+ * @param {(payload: any) => void} handler
+ * @returns {Promise<() => void>}
+ */
+async function subscribe(channel, handler) {
+  quoteChannel(channel);
+  const isNew = !handlers.has(channel);
+  if (isNew) handlers.set(channel, new Set());
+  handlers.get(channel).add(handler);
+  if (isNew && conn) await conn.query(`LISTEN ${quoteChannel(channel)};`);
+  else if (!conn) await ensureConnection().catch(() => {});
+
+  return () => {
+    const set = handlers.get(channel);
+    if (!set) return;
+    set.delete(handler);
+    if (!set.size) {
+      handlers.delete(channel);
+      if (conn) conn.query(`UNLISTEN ${quoteChannel(channel)};`).catch(() => {});
+    }
+  };
+}
+
+/**
+ * Publica um evento para todos os processos que assinam o canal
+ * (inclusive este).
+ *
+ * @param {string} channel
+ * @param {any} payload
+ * @returns {Promise<void>}
+ */
+async function publish(channel, payload) {
+  await pool.query('SELECT pg_notify($1, $2);', [channel, JSON.stringify(payload ?? null)]);
+}
+
+module.exports = { subscribe, publish };
@@ -0,0 +1,89 @@
+/*
+ * src/services/progress.js
+ *
+ * Eventos de progresso de loops por cliente, entregues por SSE em
+ * /api/progress. Cada evento é gravado em progress_events (para replay) e
+ * publicado via NOTIFY, de modo que o navegador pode estar conectado a
+ * qualquer réplica, não apenas àquela que roda o loop. Localmente, os
+ * eventos chegam às conexões SSE por um EventEmitter por slug.
+ *
+ * O NOTIFY leva só o id do evento (o payload do pg_notify tem limite de
+ * ~8 KB, que um 'schedule' com centenas de horários ultrapassa); as
+ * outras réplicas o leem de progress_events.
+ */
+
+const EventEmitter = require('events');
+const { progressEmitters, INSTANCE_ID } = require('../config');
+const { insertProgressEvent, getProgressEvent, listProgressEvents } = require('../db/progressLog');
+const { subscribe, publish } = require('./pgEvents');
+
+const PROGRESS_CHANNEL = 'luna_progress';
+
+/**
+ * Obtém (ou cria, se necessário) um EventEmitter para um slug de
+ * cliente. Os listeners recebem { id, event }.
+ *
+ * @param {string} slug
+ * @returns {EventEmitter}
+ */
+function getEmitter(slug) {
+  if (!progressEmitters.has(slug)) progressEmitters.set(slug, new EventEmitter());
+  return progressEmitters.get(slug);
+}
+
+/**
+ * Registra e distribui um evento de progresso. Entrega imediatamente às
+ * conexões deste processo e avisa as demais réplicas por NOTIFY. Nunca
+ * lança: falhas de banco apenas degradam para a entrega local.
+ *
+ * @param {string} slug
+ * @param {Object} event evento com type ('start', 'schedule', 'item', 'end')
+ * @param {Object} [param2]
+ * @param {number|null} [param2.runId]
+ * @returns {Promise<void>}
+ */
+async function publishProgress(slug, event, { runId = null } = {}) {
+  const evt = { ...event, at: event.at || new Date().toISOString() };
+  let id = null;
+  try { id = await insertProgressEvent(slug, evt, runId); }
+  catch (err) { console.warn(`[${slug}] Falha ao gravar evento de progresso`, err.message); }
+
+  getEmitter(slug).emit('progress', { id, event: evt });
+
+  // Sem id (falha ao gravar), não há o que as outras réplicas lerem
+  if (id == null) return;
+  try { await publish(PROGRESS_CHANNEL, { origin: INSTANCE_ID, slug, id }); }
+  catch (err) { console.warn(`[${slug}] Falha no NOTIFY de progresso`, err.message); }
+}
+
+/**
+ * Eventos anteriores para o replay de uma nova conexão SSE.
+ *
+ * @param {string} slug
+ * @param {Object} [opts]
+ * @param {number} [opts.afterId] último id recebido (Last-Event-ID)
+ * @returns {Promise<{id: number, event: Object}[]>}
+ */
+async function progressHistory(slug, opts = {}) {
+  return listProgressEvents(slug, opts);
+}
+
+/**
+ * Passa a receber os eventos publicados por outras réplicas.
+ *
+ * @returns {Promise<void>}
+ */
+async function listenProgress() {
+  // As leituras são encadeadas para os eventos saírem na ordem do NOTIFY
+  let delivery = Promise.resolve();
+  await subscribe(PROGRESS_CHANNEL, (payload) => {
+    if (!payload?.slug || !payload.id || payload.origin === INSTANCE_ID) return;
+    if (!progressEmitters.has(payload.slug)) return; // ninguém conectado aqui
+    delivery = delivery
+      .then(() => getProgressEvent(payload.id))
+      .then((row) => { if (row) getEmitter(row.slug).emit('progress', { id: row.id, event: row.event }); })
+      .catch((err) => console.warn(`[${payload.slug}] Falha ao ler evento de progresso ${payload.id}`, err.message));
+  });
+}
+
+module.exports = { getEmitter, publishProgress, progressHistory, listenProgress };
@@ -0,0 +1,131 @@
+/*
+ * src/services/replies.js
+ *
+ * Detecção de respostas por consulta à UAZAPI (uaz.findMessages): para
+ * cada contato enviado recentemente, procura na conversa uma mensagem do
+ * contato posterior ao primeiro envio. O rodízio periódico fica no
+ * scheduler de server.js; markReplied (src/db/replies.js) também serve a
+ * outras origens, como um webhook de mensagens recebidas.
+ */
+
+const {
+  uaz,
+  helpers,
+  REPLY_CHECK_INTERVAL_MINUTES,
+  REPLY_CHECK_WINDOW_DAYS,
+  REPLY_CHECK_BATCH,
+} = require('../config');
+const { getClientSettings } = require('../db/settings');
+const { claimReplyChecks, markReplied, listReplyCheckSlugs } = require('../db/replies');
+const { decryptSecret } = require('../utils/secrets');
+const { chatIdCandidates } = require('../utils/phone');
+
+// Mensagens mais recentes lidas de cada conversa
+const MESSAGES_PER_CHAT = 30;
+
+function isFromMe(msg) {
+  return (
+    msg?.fromMe === true ||
+    msg?.sender?.fromMe === true ||
+    msg?.me === true ||
+    (msg?.key && msg.key.fromMe === true)
+  );
+}
+
+/**
+ * Instante da mensagem (aceita segundos, milissegundos ou data ISO).
+ *
+ * @param {Object} msg
+ * @returns {number|null} epoch em ms
+ */
+function messageTime(msg) {
+  const raw = msg?.messageTimestamp || msg?.timestamp || msg?.wa_timestamp || msg?.createdAt || msg?.date || null;
+  if (raw == null) return null;
+  const n = Number(raw);
+  if (Number.isFinite(n) && n > 0) return n < 1e12 ? n * 1000 : n;
+  const parsed = Date.parse(raw);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Primeira mensagem recebida do contato depois de `since`, ou null.
+ *
+ * @param {Object[]} messages
+ * @param {Date} since
+ * @returns {Date|null}
+ */
+function findReplyAt(messages, since) {
+  const sinceMs = since ? new Date(since).getTime() : 0;
+  let first = null;
+  for (const msg of messages) {
+    if (isFromMe(msg)) continue;
+    const t = messageTime(msg);
+    if (t && t > sinceMs && (first === null || t < first)) first = t;
+  }
+  return first === null ? null : new Date(first);
+}
+
+/**
+ * Verifica um lote de contatos do cliente e marca os que responderam.
+ * Sem token de instância não há o que consultar.
+ *
+ * @param {string} slug
+ * @param {Object} [param1]
+ * @param {number} [param1.limit]
+ * @param {number} [param1.minIntervalMinutes] intervalo mínimo entre verificações do mesmo contato
+ * @returns {Promise<{checked: number, replied: {name: string, phone: string, at: string}[], errors: number, skipped?: string}>}
+ */
+async function checkRepliesForClient(slug, { limit = REPLY_CHECK_BATCH, minIntervalMinutes = REPLY_CHECK_INTERVAL_MINUTES } = {}) {
+  const settings = await getClientSettings(slug);
+  let token = '';
+  try { token = (decryptSecret(settings.instance_token) || '').trim(); }
+  catch (err) { console.warn(`[REPLIES] Falha ao decifrar token de ${slug}:`, err.message); }
+  if (!token) return { checked: 0, replied: [], errors: 0, skipped: 'no_token' };
+
+  const contacts = await claimReplyChecks(slug, {
+    windowDays: REPLY_CHECK_WINDOW_DAYS,
+    minIntervalMinutes,
+    limit,
+  });
+  const result = { checked: contacts.length, replied: [], errors: 0 };
+
+  for (const contact of contacts) {
+    try {
+      let at = null;
+      for (const chatid of chatIdCandidates(contact.phone)) {
+        const data = await uaz.findMessages(token, { chatid, limit: MESSAGES_PER_CHAT });
+        const messages = helpers.pickArrayList(data);
+        if (!messages.length) continue;
+        at = findReplyAt(messages, contact.sent_at);
+        break;
+      }
+      if (!at) continue;
+      const marked = await markReplied(slug, contact.phone, { at, source: 'poll' });
+      if (marked.length) result.replied.push({ name: contact.name, phone: contact.phone, at: at.toISOString() });
+    } catch (err) {
+      result.errors++;
+      console.warn(`[REPLIES] ${slug}: falha ao consultar ${contact.phone}:`, err.message);
+    }
+  }
+  return result;
+}
+
+/**
+ * Rodada periódica: verifica um lote de cada cliente com instância.
+ *
+ * @returns {Promise<{slug: string, checked: number, replied: number, errors: number}[]>}
+ */
+async function runReplyChecks() {
+  const out = [];
+  for (const slug of await listReplyCheckSlugs()) {
+    try {
+      const r = await checkRepliesForClient(slug);
+      if (r.checked) out.push({ slug, checked: r.checked, replied: r.replied.length, errors: r.errors });
+    } catch (err) {
+      console.error('Erro ao verificar respostas de', slug, err);
+    }
+  }
+  return out;
+}
+
+module.exports = { isFromMe, messageTime, findReplyAt, checkRepliesForClient, runReplyChecks };
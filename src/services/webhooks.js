@@ -0,0 +1,190 @@
+/*
+ * src/services/webhooks.js
+ *
+ * Recepção do webhook da UAZAPI (POST /api/webhooks/uazapi/:instance).
+ * Cada corpo é normalizado (src/utils/uazapiEvents.js), atribuído ao(s)
+ * cliente(s) que usam a instância, gravado em webhook_events e
+ * distribuído às conexões SSE de /api/webhooks/events, localmente por um
+ * EventEmitter por slug e às demais réplicas via NOTIFY. Mensagens
+ * recebidas de contatos marcam a resposta (src/db/replies.js), o que
+ * dispensa a consulta periódica quando o webhook está configurado, e as
+ * confirmações atualizam entrega e leitura (src/db/receipts.js). Cliques
+ * em botões e listas são ligados ao envio que os originou
+ * (src/db/interactive.js) e também contam como resposta.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { INSTANCE_ID, UAZAPI_WEBHOOK_SECRET } = require('../config');
+const { insertWebhookEvent, listInstanceClients } = require('../db/webhookEvents');
+const { markReplied } = require('../db/replies');
+const { applyMessageStatus } = require('../db/receipts');
+const { recordInteractiveReply } = require('../db/interactive');
+const { decryptSecret } = require('../utils/secrets');
+const { parseUazapiWebhook } = require('../utils/uazapiEvents');
+const { subscribe, publish } = require('./pgEvents');
+
+const WEBHOOK_CHANNEL = 'luna_webhook';
+const CLIENT_CACHE_TTL_MS = 60 * 1000;
+
+const emitters = new Map(); // slug -> EventEmitter
+let clientCache = { at: 0, list: [] };
+
+/**
+ * systemName (primeiro rótulo do host) de uma URL de instância.
+ *
+ * @param {string} u
+ * @returns {string}
+ */
+function systemNameFromInstanceUrl(u) {
+  try {
+    const host = new URL(u).hostname || '';
+    return (host.split('.')[0] || '').toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Compara o segredo recebido com UAZAPI_WEBHOOK_SECRET em tempo
+ * constante. Sem segredo configurado, nada é aceito.
+ *
+ * @param {string} provided
+ * @returns {boolean}
+ */
+function verifyWebhookSecret(provided) {
+  if (!UAZAPI_WEBHOOK_SECRET || !provided) return false;
+  const a = crypto.createHash('sha256').update(String(provided)).digest();
+  const b = crypto.createHash('sha256').update(UAZAPI_WEBHOOK_SECRET).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+async function loadInstanceClients() {
+  if (Date.now() - clientCache.at < CLIENT_CACHE_TTL_MS) return clientCache.list;
+  const list = [];
+  for (const row of await listInstanceClients()) {
+    let token = '';
+    try { token = (decryptSecret(row.instance_token) || '').trim(); }
+    catch (err) { console.warn(`[WEBHOOK] Falha ao decifrar token de ${row.slug}:`, err.message); }
+    list.push({ slug: row.slug, token, systemName: systemNameFromInstanceUrl(row.instance_url || '') });
+  }
+  clientCache = { at: Date.now(), list };
+  return list;
+}
+
+/**
+ * Clientes que usam a instância do webhook: pelo token enviado no corpo
+ * (ou usado como :instance) e, na falta dele, pelo systemName.
+ *
+ * @param {string} instance parâmetro :instance da rota
+ * @param {Object} body
+ * @returns {Promise<string[]>}
+ */
+async function resolveInstanceClients(instance, body) {
+  const list = await loadInstanceClients();
+  const tokens = [body?.token, instance].filter(Boolean).map(String);
+  const byToken = list.filter((c) => c.token && tokens.includes(c.token));
+  if (byToken.length) return byToken.map((c) => c.slug);
+
+  const names = [instance, body?.instanceName, body?.instance?.name, body?.instance?.systemName]
+    .filter((n) => typeof n === 'string' && n)
+    .map((n) => n.toLowerCase());
+  return list.filter((c) => c.systemName && names.includes(c.systemName)).map((c) => c.slug);
+}
+
+/**
+ * EventEmitter dos eventos de webhook de um cliente. Os listeners
+ * recebem { id, event }.
+ *
+ * @param {string} slug
+ * @returns {EventEmitter}
+ */
+function getWebhookEmitter(slug) {
+  if (!emitters.has(slug)) emitters.set(slug, new EventEmitter());
+  return emitters.get(slug);
+}
+
+// Versão enxuta do evento para o SSE (o NOTIFY limita o payload a ~8 KB)
+function toSseEvent(event, extra) {
+  const { text, ...rest } = event;
+  return { ...rest, ...(text ? { text: text.slice(0, 280) } : {}), ...extra, at: new Date(event.at || Date.now()).toISOString() };
+}
+
+/**
+ * Processa o corpo de um webhook recebido da instância.
+ *
+ * @param {string} instance
+ * @param {Object} body
+ * @returns {Promise<{events: number, clients: string[], replied: number, receipts: number, clicks: number}>}
+ */
+async function ingestWebhook(instance, body) {
+  const events = parseUazapiWebhook(body);
+  const slugs = await resolveInstanceClients(instance, body);
+  let replied = 0;
+  let receipts = 0;
+  let clicks = 0;
+
+  for (const event of events) {
+    for (const slug of slugs.length ? slugs : [null]) {
+      // Gravado antes de aplicar o status: se o envio ainda não tiver sido
+      // registrado, recordSentMessage encontra a confirmação aqui
+      const id = await insertWebhookEvent({ slug, instance, event, payload: body });
+      if (!slug) continue;
+
+      const extra = {};
+      if (event.type === 'message' && !event.fromMe && !event.isGroup && event.phone) {
+        let source = 'webhook';
+        if (event.interactive) {
+          const click = await recordInteractiveReply(slug, {
+            phone: event.phone,
+            ...event.interactive,
+            messageId: event.messageId,
+            at: event.at,
+          });
+          if (click) {
+            if (!click.duplicate) clicks++;
+            source = 'button';
+            Object.assign(extra, { name: click.name, step: click.step, option: event.interactive.optionId });
+          }
+        }
+        const marked = await markReplied(slug, event.phone, { at: event.at, source });
+        replied += marked.length;
+        if (marked.length) extra.replied = true;
+      } else if (event.type === 'status') {
+        const contact = await applyMessageStatus(event.messageId, event.status, event.at, { slug });
+        if (contact) {
+          receipts++;
+          Object.assign(extra, { name: contact.name, phone: contact.phone, deliveryStatus: contact.delivery_status });
+        }
+      }
+
+      const evt = toSseEvent(event, extra);
+      getWebhookEmitter(slug).emit('webhook', { id, event: evt });
+      try { await publish(WEBHOOK_CHANNEL, { origin: INSTANCE_ID, slug, id, event: evt }); }
+      catch (err) { console.warn(`[${slug}] Falha no NOTIFY de webhook`, err.message); }
+    }
+  }
+  return { events: events.length, clients: slugs, replied, receipts, clicks };
+}
+
+/**
+ * Passa a receber os eventos de webhook recebidos por outras réplicas.
+ *
+ * @returns {Promise<void>}
+ */
+async function listenWebhookEvents() {
+  await subscribe(WEBHOOK_CHANNEL, (payload) => {
+    if (!payload?.slug || payload.origin === INSTANCE_ID) return;
+    if (!emitters.has(payload.slug)) return; // ninguém conectado aqui
+    getWebhookEmitter(payload.slug).emit('webhook', { id: payload.id, event: payload.event });
+  });
+}
+
+module.exports = {
+  systemNameFromInstanceUrl,
+  verifyWebhookSecret,
+  resolveInstanceClients,
+  getWebhookEmitter,
+  ingestWebhook,
+  listenWebhookEvents,
+};
@@ -0,0 +1,121 @@
+/*
+ * src/utils/attachments.js
+ *
+ * Validação dos anexos enviados com a mensagem (imagem, vídeo, áudio ou
+ * documento). O tipo declarado no upload é conferido com a assinatura do
+ * arquivo (primeiros bytes), e cada tipo tem o limite de tamanho aceito
+ * pelo WhatsApp, nunca acima de ATTACHMENT_MAX_MB.
+ */
+
+const { ATTACHMENT_MAX_MB } = require('../config');
+
+const MB = 1024 * 1024;
+
+// Limite do WhatsApp por tipo de mídia
+const KIND_LIMITS = { image: 5 * MB, video: 16 * MB, audio: 16 * MB, document: 100 * MB };
+
+// Tipos aceitos e o tipo de mídia correspondente
+const ALLOWED_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/webp': 'image',
+  'video/mp4': 'video',
+  'audio/mpeg': 'audio',
+  'audio/ogg': 'audio',
+  'audio/mp4': 'audio',
+  'application/pdf': 'document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'document',
+};
+
+// Extensões usadas quando o navegador manda application/octet-stream
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp',
+  mp4: 'video/mp4', mp3: 'audio/mpeg', ogg: 'audio/ogg', opus: 'audio/ogg', m4a: 'audio/mp4',
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+/**
+ * Tipo sugerido pela assinatura do arquivo, ou null se desconhecida.
+ * Arquivos do Office (zip) devolvem 'zip'.
+ *
+ * @param {Buffer} buf
+ * @returns {string|null}
+ */
+function sniffType(buf) {
+  if (!buf || buf.length < 12) return null;
+  const ascii = (start, end) => buf.toString('latin1', start, end);
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 3) === 'ID3' || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (ascii(4, 8) === 'ftyp') return /^M4A|^M4B/.test(ascii(8, 12)) ? 'audio/mp4' : 'video/mp4';
+  if (buf.readUInt32BE(0) === 0x504b0304) return 'zip';
+  return null;
+}
+
+/**
+ * Tamanho máximo aceito para um tipo de mídia, em bytes.
+ *
+ * @param {string} kind
+ * @returns {number}
+ */
+function maxBytesFor(kind) {
+  return Math.min(KIND_LIMITS[kind] || 0, ATTACHMENT_MAX_MB * MB);
+}
+
+/**
+ * Confere o arquivo recebido pelo multer. Lança Error com mensagem
+ * legível se o tipo não for aceito, não bater com o conteúdo ou o
+ * tamanho passar do limite.
+ *
+ * @param {{buffer: Buffer, mimetype?: string, originalname?: string, size?: number}} file
+ * @returns {{mimeType: string, kind: string, filename: string, size: number}}
+ */
+function validateAttachment(file) {
+  if (!file || !file.buffer || !file.buffer.length) throw new Error('Arquivo vazio ou ausente (campo "file")');
+  const filename = String(file.originalname || 'arquivo').replace(/[\\/\r\n"]/g, '_').slice(0, 200);
+  const ext = (filename.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+
+  let mimeType = String(file.mimetype || '').toLowerCase().split(';')[0].trim();
+  if (mimeType === 'audio/mp3') mimeType = 'audio/mpeg';
+  if (!ALLOWED_TYPES[mimeType]) mimeType = (ext && EXTENSION_TYPES[ext]) || mimeType;
+  const kind = ALLOWED_TYPES[mimeType];
+  if (!kind) {
+    throw new Error(`Tipo de arquivo não aceito (${file.mimetype || 'desconhecido'}). Aceitos: ${Object.keys(ALLOWED_TYPES).join(', ')}`);
+  }
+
+  const sniffed = sniffType(file.buffer);
+  const matches = mimeType.startsWith('application/vnd.openxmlformats') ? sniffed === 'zip'
+    : mimeType === 'video/mp4' || mimeType === 'audio/mp4' ? sniffed === 'video/mp4' || sniffed === 'audio/mp4'
+      : sniffed === mimeType;
+  if (!matches) throw new Error(`O conteúdo do arquivo não corresponde ao tipo ${mimeType}`);
+
+  const size = file.buffer.length;
+  const max = maxBytesFor(kind);
+  if (size > max) throw new Error(`Arquivo grande demais para ${kind}: máximo de ${Math.floor(max / MB)} MB`);
+  return { mimeType, kind, filename, size };
+}
+
+/**
+ * attachmentId recebido pela API: inteiro positivo ou null (sem anexo).
+ * Lança Error se for outro valor; a posse do anexo é conferida à parte.
+ *
+ * @param {any} raw
+ * @param {string} [label] prefixo da mensagem de erro
+ * @returns {number|null}
+ */
+function normalizeAttachmentId(raw, label = 'attachmentId') {
+  if (raw == null || raw === '') return null;
+  const id = Number(raw);
+  if (!Number.isInteger(id) || id <= 0) throw new Error(`${label} deve ser o id de um anexo ou null`);
+  return id;
+}
+
+module.exports = { ALLOWED_TYPES, KIND_LIMITS, sniffType, maxBytesFor, validateAttachment, normalizeAttachmentId };
@@ -0,0 +1,124 @@
+/*
+ * src/utils/cron.js
+ *
+ * Expressões cron de 5 campos (minuto hora dia-do-mês mês dia-da-semana)
+ * para o loop automático, avaliadas no fuso do cliente. Aceita `*`,
+ * listas (`1,15`), intervalos (`8-17`), passos (`*\/15`, `8-18/2`) e os
+ * nomes em inglês de meses e dias (`jan`, `mon-fri`). Como no cron
+ * tradicional, se dia-do-mês e dia-da-semana forem ambos restritos, basta
+ * um deles coincidir. Domingo é 0 ou 7.
+ */
+
+const { localDateKey, addDays, zonedTimeToDate } = require('./schedule');
+
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'dia do mês', min: 1, max: 31 },
+  { name: 'mês', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], base: 1 },
+  { name: 'dia da semana', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], base: 0 },
+];
+
+// Até onde procurar ocorrências (cobre expressões como "0 8 29 2 *").
+const MAX_LOOKAHEAD_DAYS = 366 * 4 + 1;
+
+function parseValue(raw, field) {
+  const v = raw.toLowerCase();
+  if (field.names) {
+    const idx = field.names.indexOf(v);
+    if (idx >= 0) return idx + field.base;
+  }
+  if (!/^\d+$/.test(v)) throw new Error(`Valor inválido no campo ${field.name}: ${raw}`);
+  const n = Number(v);
+  if (n < field.min || n > field.max) throw new Error(`Valor fora do intervalo no campo ${field.name}: ${raw}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Passo inválido no campo ${field.name}: ${part}`);
+
+    let from, to;
+    if (range === '*') {
+      from = field.min; to = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      from = parseValue(a, field); to = parseValue(b, field);
+      if (to < from) throw new Error(`Intervalo invertido no campo ${field.name}: ${range}`);
+    } else {
+      from = parseValue(range, field);
+      to = stepRaw === undefined ? from : field.max;
+    }
+    for (let n = from; n <= to; n += step) values.add(n);
+  }
+  return values;
+}
+
+/**
+ * Interpreta uma expressão cron. Lança Error com mensagem legível se
+ * ela for inválida.
+ *
+ * @param {string} expr
+ * @returns {{expr: string, minutes: number[], hours: number[], days: Set<number>, months: Set<number>, weekdays: Set<number>, dayRestricted: boolean, weekdayRestricted: boolean}}
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('A expressão cron deve ter 5 campos: minuto hora dia mês dia-da-semana');
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) { weekdays.delete(7); weekdays.add(0); }
+  return {
+    expr: parts.join(' '),
+    minutes: Array.from(minutes).sort((a, b) => a - b),
+    hours: Array.from(hours).sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*',
+  };
+}
+
+function matchesDate(cron, dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  if (!cron.months.has(m)) return false;
+  const dayOk = cron.days.has(d);
+  const weekdayOk = cron.weekdays.has(new Date(Date.UTC(y, m - 1, d)).getUTCDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) return dayOk || weekdayOk;
+  if (cron.dayRestricted) return dayOk;
+  if (cron.weekdayRestricted) return weekdayOk;
+  return true;
+}
+
+/**
+ * Próximas ocorrências (estritamente depois de `after`) da expressão no
+ * fuso informado, em ordem.
+ *
+ * @param {ReturnType<typeof parseCron>} cron
+ * @param {string} tz
+ * @param {Date} after
+ * @param {number} [count]
+ * @returns {Date[]}
+ */
+function nextOccurrences(cron, tz, after, count = 1) {
+  const out = [];
+  const start = localDateKey(after, tz);
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS && out.length < count; i++) {
+    const dateKey = addDays(start, i);
+    if (!matchesDate(cron, dateKey)) continue;
+    for (const h of cron.hours) {
+      for (const min of cron.minutes) {
+        const at = zonedTimeToDate(dateKey, h * 3600 + min * 60, tz);
+        if (at > after && localDateKey(at, tz) === dateKey) {
+          out.push(at);
+          if (out.length >= count) return out;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+module.exports = { parseCron, nextOccurrences };
@@ -84,27 +84,45 @@ function parseCSV(text, delim) {
 
 /**
  * Mapeia as posições dos campos de interesse em um array de cabeçalhos
- * normalizados. Procura por variações de "nome", "telefone" e
- * "nicho" (incluindo inglês e abreviações) e retorna seus índices.
+ * normalizados. Procura por variações de "nome", "telefone", "nicho" e
+ * "região" (incluindo inglês e abreviações) e retorna seus índices.
  * Se um campo não for encontrado, permanece -1.
  *
  * @param {string[]} headerCells
- * @returns {{ name: number, phone: number, niche: number }}
+ * @returns {{ name: number, phone: number, niche: number, region: number }}
  */
 function mapHeader(headerCells) {
-  const idx = { name: -1, phone: -1, niche: -1 };
+  const idx = { name: -1, phone: -1, niche: -1, region: -1 };
   const names = headerCells.map((h) => norm(h));
   const isId = (h) => ['id', 'identificador', 'codigo', 'código'].includes(h);
   const nameKeys  = new Set(['nome','name','full_name','fullname','contato','empresa','nomefantasia','razaosocial']);
   const phoneKeys = new Set(['telefone','numero','número','phone','whatsapp','celular','mobile','telemovel']);
   const nicheKeys = new Set(['nicho','niche','segmento','categoria','industry']);
+  const regionKeys = new Set(['regiao','region','regional']);
   names.forEach((h, i) => {
     if (isId(h)) return;
     if (idx.name  === -1 && nameKeys.has(h))  idx.name  = i;
     if (idx.phone === -1 && phoneKeys.has(h)) idx.phone = i;
     if (idx.niche === -1 && nicheKeys.has(h)) idx.niche = i;
+    if (idx.region === -1 && regionKeys.has(h)) idx.region = i;
   });
   return idx;
 }
 
-module.exports = { norm, detectDelimiter, parseCSV, mapHeader };
\ No newline at end of file
+/**
+ * Colunas que não foram mapeadas por mapHeader (nem são identificadores),
+ * candidatas a campos personalizados.
+ *
+ * @param {string[]} headerCells
+ * @param {Object<string, number>} idx resultado de mapHeader
+ * @returns {{ index: number, header: string }[]}
+ */
+function extraColumns(headerCells, idx) {
+  const mapped = new Set(Object.values(idx));
+  const isId = (h) => ['id', 'identificador', 'codigo'].includes(norm(h));
+  return headerCells
+    .map((header, index) => ({ index, header: (header ?? '').toString().trim() }))
+    .filter((c) => c.header && !mapped.has(c.index) && !isId(c.header));
+}
+
+module.exports = { norm, detectDelimiter, parseCSV, mapHeader, extraColumns };
\ No newline at end of file
@@ -0,0 +1,82 @@
+/*
+ * src/utils/experiments.js
+ *
+ * Sorteio das variantes de template (teste A/B) e a comparação das taxas
+ * de resposta entre elas. A significância usa o teste z de duas
+ * proporções, suficiente para o volume de um cliente; abaixo de
+ * MIN_SAMPLE envios por variante o resultado é tratado como inconclusivo.
+ */
+
+const MIN_SAMPLE = 30;
+const ALPHA = 0.05;
+
+/**
+ * Sorteia uma variante proporcionalmente ao peso. Variantes com peso 0
+ * nunca saem; retorna null se nenhuma tiver peso.
+ *
+ * @template {{weight: number}} T
+ * @param {T[]} variants
+ * @param {() => number} [random]
+ * @returns {T|null}
+ */
+function pickVariant(variants, random = Math.random) {
+  const pool = (variants || []).filter((v) => Number(v.weight) > 0);
+  const total = pool.reduce((sum, v) => sum + Number(v.weight), 0);
+  if (!total) return null;
+  let r = random() * total;
+  for (const v of pool) {
+    r -= Number(v.weight);
+    if (r < 0) return v;
+  }
+  return pool[pool.length - 1];
+}
+
+// Função de distribuição da normal padrão (aproximação de Abramowitz e Stegun 7.1.26)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Compara duas proporções (sucessos/total) com o teste z bicaudal.
+ *
+ * @param {{successes: number, total: number}} a
+ * @param {{successes: number, total: number}} b
+ * @returns {{z: number|null, pValue: number|null}}
+ */
+function twoProportionTest(a, b) {
+  if (!a.total || !b.total) return { z: null, pValue: null };
+  const p1 = a.successes / a.total;
+  const p2 = b.successes / b.total;
+  const pooled = (a.successes + b.successes) / (a.total + b.total);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / a.total + 1 / b.total));
+  if (!se) return { z: 0, pValue: 1 };
+  const z = (p2 - p1) / se;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+/**
+ * Indicador de significância da taxa de resposta de uma variante em
+ * relação à de controle: 'control', 'insufficient_data', 'better',
+ * 'worse' ou 'no_difference'.
+ *
+ * @param {{sent: number, replied: number}} control
+ * @param {{sent: number, replied: number}} variant
+ * @returns {{significance: string, z: number|null, pValue: number|null}}
+ */
+function compareToControl(control, variant) {
+  if (control === variant) return { significance: 'control', z: null, pValue: null };
+  const { z, pValue } = twoProportionTest(
+    { successes: control.replied, total: control.sent },
+    { successes: variant.replied, total: variant.sent }
+  );
+  if (control.sent < MIN_SAMPLE || variant.sent < MIN_SAMPLE || pValue == null) {
+    return { significance: 'insufficient_data', z, pValue };
+  }
+  if (pValue >= ALPHA) return { significance: 'no_difference', z, pValue };
+  return { significance: z > 0 ? 'better' : 'worse', z, pValue };
+}
+
+module.exports = { MIN_SAMPLE, ALPHA, pickVariant, twoProportionTest, compareToControl };
@@ -0,0 +1,85 @@
+/*
+ * src/utils/holidays.js
+ *
+ * Feriados nacionais do Brasil, calculados localmente. As datas móveis
+ * (Carnaval, Sexta-feira Santa e Corpus Christi) derivam da Páscoa,
+ * obtida pelo algoritmo de Meeus/Jones/Butcher. Carnaval e Corpus
+ * Christi são pontos facultativos, mas entram na lista porque quase
+ * ninguém atende mensagens comerciais nesses dias.
+ */
+
+const FIXED = [
+  ['01-01', 'Confraternização Universal'],
+  ['04-21', 'Tiradentes'],
+  ['05-01', 'Dia do Trabalho'],
+  ['09-07', 'Independência do Brasil'],
+  ['10-12', 'Nossa Senhora Aparecida'],
+  ['11-02', 'Finados'],
+  ['11-15', 'Proclamação da República'],
+  ['12-25', 'Natal'],
+];
+
+const cache = new Map(); // ano -> Map<YYYY-MM-DD, nome>
+
+/**
+ * Domingo de Páscoa (calendário gregoriano) do ano informado.
+ *
+ * @param {number} year
+ * @returns {{month: number, day: number}}
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+function fromEaster(year, offsetDays) {
+  const { month, day } = easterSunday(year);
+  return new Date(Date.UTC(year, month - 1, day + offsetDays)).toISOString().slice(0, 10);
+}
+
+/**
+ * Feriados nacionais do ano, em ordem de data.
+ *
+ * @param {number} year
+ * @returns {{date: string, name: string}[]}
+ */
+function brazilianHolidays(year) {
+  const list = FIXED.map(([md, name]) => ({ date: `${year}-${md}`, name }));
+  // Consciência Negra é feriado nacional desde a Lei 14.759/2023
+  if (year >= 2024) list.push({ date: `${year}-11-20`, name: 'Dia Nacional de Zumbi e da Consciência Negra' });
+  list.push(
+    { date: fromEaster(year, -48), name: 'Carnaval (segunda-feira)' },
+    { date: fromEaster(year, -47), name: 'Carnaval (terça-feira)' },
+    { date: fromEaster(year, -2),  name: 'Sexta-feira Santa' },
+    { date: fromEaster(year, 60),  name: 'Corpus Christi' },
+  );
+  return list.sort((x, y) => x.date.localeCompare(y.date));
+}
+
+/**
+ * Nome do feriado nacional na data (YYYY-MM-DD), ou null.
+ *
+ * @param {string} dateKey
+ * @returns {string|null}
+ */
+function holidayOn(dateKey) {
+  const year = Number(String(dateKey).slice(0, 4));
+  if (!Number.isInteger(year)) return null;
+  if (!cache.has(year)) cache.set(year, new Map(brazilianHolidays(year).map((h) => [h.date, h.name])));
+  return cache.get(year).get(dateKey) || null;
+}
+
+module.exports = { easterSunday, brazilianHolidays, holidayOn };
@@ -0,0 +1,122 @@
+/*
+ * src/utils/interactive.js
+ *
+ * Botões de resposta rápida e menus de lista da mensagem. Cada template
+ * (configurações, etapa da sequência ou variante) pode declarar um deles;
+ * o envio vai ao endpoint de menu da UAZAPI, que recebe as opções como
+ * "texto|id" (botões) ou "[seção]" seguida de "título|id|descrição"
+ * (lista). Os limites são os do WhatsApp.
+ *
+ *   { type: 'button', buttons: [{ id?, text }], footer? }
+ *   { type: 'list', listButton, sections: [{ title, rows: [{ id?, title, description? }] }], footer? }
+ */
+
+const MAX_BUTTONS = 3;
+const MAX_ROWS = 10;
+const MAX_SECTIONS = 10;
+const LIMITS = { button: 20, listButton: 20, section: 24, row: 24, description: 72, footer: 60, id: 100 };
+
+// Id derivado do texto quando não informado ("Quero saber mais" → quero_saber_mais)
+function idFromText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, LIMITS.id);
+}
+
+/**
+ * Lê um texto obrigatório (ou opcional) com limite de tamanho. O "|" é
+ * separador no formato da UAZAPI e não pode aparecer.
+ */
+function readText(raw, label, max, { required = true } = {}) {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  if (!text) {
+    if (required) throw new Error(`${label} é obrigatório`);
+    return null;
+  }
+  if (text.length > max) throw new Error(`${label} deve ter até ${max} caracteres`);
+  if (text.includes('|')) throw new Error(`${label} não pode conter "|"`);
+  return text;
+}
+
+/**
+ * Valida e normaliza a declaração de botões/lista recebida pela API.
+ * null ou undefined = sem botões. Lança Error com mensagem legível se for
+ * inválida; os ids (informados ou derivados do texto) são únicos.
+ *
+ * @param {any} raw
+ * @param {string} [label] prefixo das mensagens de erro
+ * @returns {Object|null}
+ */
+function normalizeInteractive(raw, label = 'interactive') {
+  if (raw == null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${label} deve ser um objeto { type, ... }`);
+  const ids = new Set();
+  const takeId = (rawId, text, where) => {
+    const id = rawId == null || rawId === '' ? idFromText(text) : readText(String(rawId), `${where}: id`, LIMITS.id);
+    if (!id) throw new Error(`${where}: informe um id`);
+    if (ids.has(id)) throw new Error(`${where}: id "${id}" repetido`);
+    ids.add(id);
+    return id;
+  };
+  const footer = readText(raw.footer, `${label}: footer`, LIMITS.footer, { required: false });
+
+  if (raw.type === 'button') {
+    if (!Array.isArray(raw.buttons) || !raw.buttons.length || raw.buttons.length > MAX_BUTTONS) {
+      throw new Error(`${label}: buttons deve ter de 1 a ${MAX_BUTTONS} botões`);
+    }
+    const buttons = raw.buttons.map((b, i) => {
+      const where = `${label}: botão ${i + 1}`;
+      const text = readText(b?.text, `${where}: text`, LIMITS.button);
+      return { id: takeId(b?.id, text, where), text };
+    });
+    return { type: 'button', buttons, ...(footer ? { footer } : {}) };
+  }
+
+  if (raw.type === 'list') {
+    const listButton = readText(raw.listButton, `${label}: listButton`, LIMITS.listButton);
+    if (!Array.isArray(raw.sections) || !raw.sections.length || raw.sections.length > MAX_SECTIONS) {
+      throw new Error(`${label}: sections deve ter de 1 a ${MAX_SECTIONS} seções`);
+    }
+    let total = 0;
+    const sections = raw.sections.map((s, i) => {
+      const where = `${label}: seção ${i + 1}`;
+      const title = readText(s?.title, `${where}: title`, LIMITS.section);
+      if (!Array.isArray(s?.rows) || !s.rows.length) throw new Error(`${where}: rows deve ter ao menos uma opção`);
+      total += s.rows.length;
+      const rows = s.rows.map((r, j) => {
+        const rowWhere = `${where}, opção ${j + 1}`;
+        const rowTitle = readText(r?.title, `${rowWhere}: title`, LIMITS.row);
+        if (rowTitle.startsWith('[')) throw new Error(`${rowWhere}: title não pode começar com "["`);
+        const description = readText(r?.description, `${rowWhere}: description`, LIMITS.description, { required: false });
+        return { id: takeId(r?.id, rowTitle, rowWhere), title: rowTitle, ...(description ? { description } : {}) };
+      });
+      return { title, rows };
+    });
+    if (total > MAX_ROWS) throw new Error(`${label}: a lista aceita no máximo ${MAX_ROWS} opções no total`);
+    return { type: 'list', listButton, sections, ...(footer ? { footer } : {}) };
+  }
+
+  throw new Error(`${label}: type deve ser "button" ou "list"`);
+}
+
+/**
+ * Opções no formato "choices" do endpoint de menu da UAZAPI.
+ *
+ * @param {Object} spec resultado de normalizeInteractive
+ * @returns {string[]}
+ */
+function menuChoices(spec) {
+  if (spec.type === 'button') return spec.buttons.map((b) => `${b.text}|${b.id}`);
+  const choices = [];
+  for (const s of spec.sections) {
+    choices.push(`[${s.title}]`);
+    for (const r of s.rows) choices.push(r.description ? `${r.title}|${r.id}|${r.description}` : `${r.title}|${r.id}`);
+  }
+  return choices;
+}
+
+module.exports = { MAX_BUTTONS, MAX_ROWS, normalizeInteractive, menuChoices };
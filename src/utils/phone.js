@@ -0,0 +1,46 @@
+/*
+ * src/utils/phone.js
+ *
+ * Comparação de telefones entre formatos diferentes. O mesmo número pode
+ * chegar como "(11) 98765-4321" numa importação, "5511987654321" num
+ * envio e "551187654321@s.whatsapp.net" numa mensagem do WhatsApp (que
+ * costuma omitir o nono dígito). A chave abaixo ignora o DDI 55 e o nono
+ * dígito; a mesma regra existe em SQL (phone_key, migração 014).
+ */
+
+function digitsOf(phone) {
+  return String(phone || '').replace(/@.*$/, '').replace(/\D/g, '');
+}
+
+/**
+ * Chave de comparação: DDD + últimos 8 dígitos para números brasileiros;
+ * demais números ficam com todos os dígitos.
+ *
+ * @param {string} phone
+ * @returns {string}
+ */
+function phoneKey(phone) {
+  let d = digitsOf(phone);
+  if (d.startsWith('55') && (d.length === 12 || d.length === 13)) d = d.slice(2);
+  if (d.length === 10 || d.length === 11) return d.slice(0, 2) + d.slice(-8);
+  return d;
+}
+
+/**
+ * chatids do WhatsApp em que a conversa com o número pode estar (com e
+ * sem o nono dígito), na ordem em que devem ser tentados.
+ *
+ * @param {string} phone
+ * @returns {string[]}
+ */
+function chatIdCandidates(phone) {
+  let d = digitsOf(phone);
+  if (!d) return [];
+  if (d.length === 10 || d.length === 11) d = '55' + d;
+  const out = [d];
+  if (d.startsWith('55') && d.length === 13 && d[4] === '9') out.push(d.slice(0, 4) + d.slice(5));
+  else if (d.startsWith('55') && d.length === 12 && /[6-9]/.test(d[4])) out.push(d.slice(0, 4) + '9' + d.slice(4));
+  return out.map((n) => `${n}@s.whatsapp.net`);
+}
+
+module.exports = { phoneKey, chatIdCandidates };
@@ -2,11 +2,32 @@
  * src/utils/schedule.js
  *
  * Funções de apoio para cálculo de horários e distribuição de mensagens
- * ao longo de uma janela de tempo. Separar esse código em um módulo
- * próprio permite reutilizar a lógica de forma isolada e reduz o
- * tamanho de server.js.
+ * ao longo das janelas de envio de um cliente. Os horários das janelas
+ * são locais ao fuso do cliente (timezone em client_settings); as
+ * conversões usam apenas Intl, sem dependências externas.
+ *
+ * Formato das janelas (send_windows), por dia da semana:
+ *
+ *   { "mon": [{ "start": "08:00", "end": "12:00" }, { "start": "13:30", "end": "17:30" }],
+ *     "sat": [{ "start": "09:00", "end": "12:00" }] }
+ *
+ * Dias ausentes não têm envio. send_windows nulo equivale à janela
+ * DAILY_START_TIME–DAILY_END_TIME em todos os dias. Também não há envio
+ * nas datas bloqueadas: excluded_dates, períodos de client_blackouts e,
+ * com observe_holidays, os feriados nacionais (src/utils/holidays.js).
  */
 
+const { DAILY_START_TIME, DAILY_END_TIME, DEFAULT_TIMEZONE } = require('../config');
+const { holidayOn } = require('./holidays');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$|^24:00(:00)?$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_WINDOWS_PER_DAY = 6;
+const MAX_EXCLUDED_DATES = 366;
+
+const formatters = new Map();
+
 /**
  * Converte uma string no formato HH:MM:SS para segundos desde o início
  * do dia. Valores ausentes ou inválidos resultam em 0.
@@ -20,37 +41,350 @@ function hmsToSeconds(hms) {
   return h * 3600 + m * 60 + s;
 }
 
+function secondsToHm(sec) {
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Indica se o nome é um fuso IANA reconhecido (ex.: America/Sao_Paulo).
+ *
+ * @param {string} tz
+ * @returns {boolean}
+ */
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function formatterFor(tz) {
+  let f = formatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    formatters.set(tz, f);
+  }
+  return f;
+}
+
+function zonedParts(date, tz) {
+  const p = {};
+  for (const { type, value } of formatterFor(tz).formatToParts(date)) p[type] = value;
+  return {
+    year: Number(p.year), month: Number(p.month), day: Number(p.day),
+    hour: Number(p.hour) % 24, minute: Number(p.minute), second: Number(p.second),
+  };
+}
+
+function tzOffsetMs(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Data local (YYYY-MM-DD) de um instante no fuso informado.
+ *
+ * @param {Date} date
+ * @param {string} tz
+ * @returns {string}
+ */
+function localDateKey(date, tz) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Hora local (0–23) de um instante no fuso informado.
+ *
+ * @param {Date} date
+ * @param {string} tz
+ * @returns {number}
+ */
+function localHour(date, tz) {
+  return zonedParts(date, tz).hour;
+}
+
+/**
+ * Soma dias a uma data local YYYY-MM-DD.
+ *
+ * @param {string} dateKey
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(dateKey, days) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+/**
+ * Instante correspondente a um horário local (segundos desde a meia-noite)
+ * de uma data no fuso informado. Na virada do horário de verão, horários
+ * inexistentes são deslocados pelo tamanho do salto.
+ *
+ * @param {string} dateKey
+ * @param {number} seconds
+ * @param {string} tz
+ * @returns {Date}
+ */
+function zonedTimeToDate(dateKey, seconds, tz) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d) + seconds * 1000;
+  const first = wall - tzOffsetMs(new Date(wall), tz);
+  const offset = tzOffsetMs(new Date(first), tz);
+  const second = wall - offset;
+  if (tzOffsetMs(new Date(second), tz) === offset) return new Date(second);
+  return new Date(Math.max(first, second));
+}
+
+/**
+ * Valida e normaliza as janelas por dia da semana. Retorna null para
+ * valor vazio (usar a janela padrão). Lança Error com mensagem legível se
+ * o formato for inválido.
+ *
+ * @param {Object|null|undefined} raw
+ * @returns {Object|null}
+ */
+function normalizeSendWindows(raw) {
+  if (raw == null || raw === '') return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('sendWindows deve ser um objeto por dia da semana');
+
+  const out = {};
+  for (const [key, list] of Object.entries(raw)) {
+    const day = String(key).toLowerCase();
+    if (!WEEKDAYS.includes(day)) throw new Error(`Dia da semana inválido em sendWindows: ${key}`);
+    if (!Array.isArray(list)) throw new Error(`sendWindows.${day} deve ser uma lista`);
+    if (list.length > MAX_WINDOWS_PER_DAY) throw new Error(`sendWindows.${day}: no máximo ${MAX_WINDOWS_PER_DAY} janelas`);
+
+    const windows = list.map((w) => {
+      const start = Array.isArray(w) ? w[0] : w?.start;
+      const end   = Array.isArray(w) ? w[1] : w?.end;
+      if (!TIME_RE.test(String(start)) || !TIME_RE.test(String(end))) {
+        throw new Error(`sendWindows.${day}: horários devem estar no formato HH:MM`);
+      }
+      if (hmsToSeconds(end) <= hmsToSeconds(start)) {
+        throw new Error(`sendWindows.${day}: ${start}–${end} termina antes de começar`);
+      }
+      return { start: String(start).slice(0, 5), end: String(end).slice(0, 5) };
+    }).sort((a, b) => hmsToSeconds(a.start) - hmsToSeconds(b.start));
+
+    for (let i = 1; i < windows.length; i++) {
+      if (hmsToSeconds(windows[i].start) < hmsToSeconds(windows[i - 1].end)) {
+        throw new Error(`sendWindows.${day}: janelas sobrepostas`);
+      }
+    }
+    if (windows.length) out[day] = windows;
+  }
+  return out;
+}
+
+/**
+ * Indica se a string é uma data válida no formato YYYY-MM-DD.
+ *
+ * @param {string} s
+ * @returns {boolean}
+ */
+function isValidDateKey(s) {
+  if (!DATE_RE.test(String(s))) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === String(s);
+}
+
+/**
+ * Valida e normaliza a lista de datas sem envio (YYYY-MM-DD), sem
+ * repetições e em ordem.
+ *
+ * @param {string[]|null|undefined} raw
+ * @returns {string[]}
+ */
+function normalizeExcludedDates(raw) {
+  if (raw == null || raw === '') return [];
+  if (!Array.isArray(raw)) throw new Error('excludedDates deve ser uma lista de datas YYYY-MM-DD');
+  if (raw.length > MAX_EXCLUDED_DATES) throw new Error(`excludedDates: no máximo ${MAX_EXCLUDED_DATES} datas`);
+  for (const d of raw) {
+    if (!isValidDateKey(d)) throw new Error(`Data inválida em excludedDates: ${d}`);
+  }
+  return Array.from(new Set(raw.map(String))).sort();
+}
+
+/**
+ * Configuração de envio efetiva de um cliente a partir da linha de
+ * client_settings (e, opcionalmente, dos bloqueios de client_blackouts),
+ * com os padrões aplicados.
+ *
+ * @param {Object} settings
+ * @param {{start_date: string, end_date: string, reason: string|null}[]} [blackouts]
+ * @returns {{timezone: string, windows: Object|null, excludedDates: Set<string>, observeHolidays: boolean, blackouts: Object[]}}
+ */
+function resolveSendConfig(settings, blackouts = []) {
+  const tz = settings?.timezone && isValidTimeZone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE;
+  return {
+    timezone: tz,
+    windows: settings?.send_windows || null,
+    excludedDates: new Set(Array.isArray(settings?.excluded_dates) ? settings.excluded_dates : []),
+    observeHolidays: settings?.observe_holidays !== false,
+    blackouts,
+  };
+}
+
+/**
+ * Motivo de a data local não ter envio, ou null se for um dia comum.
+ *
+ * @param {Object} cfg resultado de resolveSendConfig
+ * @param {string} dateKey
+ * @returns {{kind: 'blackout'|'excluded'|'holiday', label: string|null, id?: number}|null}
+ */
+function blackoutFor(cfg, dateKey) {
+  const b = cfg.blackouts?.find((x) => x.start_date <= dateKey && dateKey <= x.end_date);
+  if (b) return { kind: 'blackout', label: b.reason || null, id: Number(b.id) };
+  if (cfg.excludedDates.has(dateKey)) return { kind: 'excluded', label: null };
+  if (cfg.observeHolidays) {
+    const name = holidayOn(dateKey);
+    if (name) return { kind: 'holiday', label: name };
+  }
+  return null;
+}
+
+/**
+ * Data local que fica N dias úteis depois de dateKey. Dia útil é de
+ * segunda a sexta, sem bloqueio no calendário do cliente (feriado, data
+ * excluída, período cadastrado). Com N = 0, retorna a própria data.
+ *
+ * @param {Object} cfg resultado de resolveSendConfig
+ * @param {string} dateKey
+ * @param {number} days
+ * @returns {string}
+ */
+function addBusinessDays(cfg, dateKey, days) {
+  let d = dateKey;
+  for (let left = Math.max(0, Math.floor(days)); left > 0;) {
+    d = addDays(d, 1);
+    const wd = weekdayOf(d);
+    if (wd !== 'sat' && wd !== 'sun' && !blackoutFor(cfg, d)) left--;
+  }
+  return d;
+}
+
+/**
+ * Janelas de envio de uma data local, com os instantes de início e fim.
+ *
+ * @param {Object} cfg resultado de resolveSendConfig
+ * @param {string} dateKey
+ * @returns {{date: string, weekday: string, excluded: boolean, blackout: Object|null, windows: {start: string, end: string, startAt: Date, endAt: Date}[]}}
+ */
+function windowsForDate(cfg, dateKey) {
+  const weekday = weekdayOf(dateKey);
+  const blackout = blackoutFor(cfg, dateKey);
+  const excluded = !!blackout;
+  const list = cfg.windows
+    ? (cfg.windows[weekday] || [])
+    : [{ start: DAILY_START_TIME, end: DAILY_END_TIME }];
+  const windows = excluded ? [] : list.map((w) => {
+    const startSec = hmsToSeconds(w.start);
+    const endSec = hmsToSeconds(w.end);
+    return {
+      start: secondsToHm(startSec),
+      end: secondsToHm(endSec),
+      startAt: zonedTimeToDate(dateKey, startSec, cfg.timezone),
+      endAt: zonedTimeToDate(dateKey, endSec, cfg.timezone),
+    };
+  });
+  return { date: dateKey, weekday, excluded, blackout, windows };
+}
+
 /**
- * Gera um array de atrasos (em segundos) para distribuir N mensagens
- * uniformemente aleatórias dentro do intervalo definido pelos horários
- * de início e fim. Caso a janela já tenha passado, retorna um array
- * vazio. O primeiro atraso é relativo ao horário atual.
+ * Sorteia até N horários uniformemente distribuídos pelo que resta das
+ * janelas de hoje (no fuso do cliente). Retorna os instantes em ordem;
+ * se as janelas de hoje já passaram, a lista é vazia.
  *
  * @param {number} count
- * @param {string} startStr
- * @param {string} endStr
- * @returns {number[]}
- */
-function generateScheduleDelays(count, startStr, endStr) {
-  const now = new Date();
-  const nowSec   = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
-  const startSec = hmsToSeconds(startStr);
-  const endSec   = hmsToSeconds(endStr);
-  const effectiveStart = Math.max(nowSec, startSec);
-  if (endSec <= effectiveStart) return [];
-  const span = endSec - effectiveStart;
-  const msgCount = Math.min(count, span);
+ * @param {Object} cfg resultado de resolveSendConfig
+ * @param {Date} [now]
+ * @returns {Date[]}
+ */
+function generateSendPlan(count, cfg, now = new Date()) {
+  const nowSec = Math.ceil(now.getTime() / 1000);
+  const spans = windowsForDate(cfg, localDateKey(now, cfg.timezone)).windows
+    .map((w) => ({ from: Math.max(nowSec, Math.floor(w.startAt.getTime() / 1000)), to: Math.floor(w.endAt.getTime() / 1000) }))
+    .filter((s) => s.to > s.from);
+
+  const total = spans.reduce((acc, s) => acc + (s.to - s.from), 0);
+  const msgCount = Math.min(Math.max(0, count), total);
   const offsets = new Set();
-  while (offsets.size < msgCount) offsets.add(Math.floor(Math.random() * (span + 1)));
-  const sortedOffsets = Array.from(offsets).sort((a, b) => a - b);
-  const delays = [];
-  let prev = 0;
-  for (let i = 0; i < sortedOffsets.length; i++) {
-    const off = sortedOffsets[i];
-    delays.push(i === 0 ? (effectiveStart - nowSec) + off : off - prev);
-    prev = off;
+  while (offsets.size < msgCount) offsets.add(Math.floor(Math.random() * total));
+
+  return Array.from(offsets).sort((a, b) => a - b).map((off) => {
+    for (const s of spans) {
+      const len = s.to - s.from;
+      if (off < len) return new Date((s.from + off) * 1000);
+      off -= len;
+    }
+    return null;
+  }).filter(Boolean);
+}
+
+/**
+ * Resumo da janela de hoje para a API: fuso, janelas locais, se hoje há
+ * envio, se a janela está aberta agora e quando abre a próxima.
+ *
+ * @param {Object} cfg resultado de resolveSendConfig
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+function describeSendDay(cfg, now = new Date()) {
+  const today = windowsForDate(cfg, localDateKey(now, cfg.timezone));
+  const open = today.windows.some((w) => w.startAt <= now && now < w.endAt);
+
+  let nextWindowAt = null;
+  for (let i = 0; i <= 14 && !nextWindowAt; i++) {
+    const day = i === 0 ? today : windowsForDate(cfg, addDays(today.date, i));
+    const next = day.windows.find((w) => w.startAt > now);
+    if (next) nextWindowAt = next.startAt.toISOString();
   }
-  return delays;
+
+  return {
+    timezone: cfg.timezone,
+    local_date: today.date,
+    weekday: today.weekday,
+    excluded_today: today.excluded,
+    blackout_today: today.blackout,
+    windows_today: today.windows.map((w) => ({ start: w.start, end: w.end })),
+    window_start: today.windows[0]?.start ?? null,
+    window_end: today.windows[today.windows.length - 1]?.end ?? null,
+    window_open: open,
+    next_window_at: nextWindowAt,
+  };
 }
 
-module.exports = { hmsToSeconds, generateScheduleDelays };
\ No newline at end of file
+module.exports = {
+  WEEKDAYS,
+  hmsToSeconds,
+  isValidTimeZone,
+  isValidDateKey,
+  localDateKey,
+  localHour,
+  addDays,
+  zonedTimeToDate,
+  normalizeSendWindows,
+  normalizeExcludedDates,
+  resolveSendConfig,
+  blackoutFor,
+  addBusinessDays,
+  windowsForDate,
+  generateSendPlan,
+  describeSendDay,
+};
@@ -0,0 +1,173 @@
+/*
+ * src/utils/secrets.js
+ *
+ * Criptografia simétrica (AES-256-GCM) para segredos gravados no banco,
+ * como o instance_token de client_settings. A chave mestra vem de
+ * TOKEN_ENCRYPTION_KEY (32 bytes em hex/base64, ou uma frase qualquer,
+ * derivada via SHA-256). Chaves anteriores podem ser listadas em
+ * TOKEN_ENCRYPTION_KEYS_OLD (separadas por vírgula) para permitir a
+ * rotação: valores cifrados com elas continuam legíveis até serem
+ * recifrados com a chave atual por scripts/tokens.js.
+ *
+ * Formato armazenado: enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (base64).
+ *
+ * Sem TOKEN_ENCRYPTION_KEY nenhum token é gravado, a menos que
+ * ALLOW_PLAINTEXT_TOKENS=true autorize explicitamente o texto puro.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+// Valor devolvido pela API no lugar do token real. Se o front reenviar
+// exatamente este valor ao salvar, o token armazenado é preservado.
+const SECRET_MASK = '********';
+
+/**
+ * Converte o material de chave informado em um Buffer de 32 bytes.
+ *
+ * @param {string} raw
+ * @returns {Buffer}
+ */
+function parseKey(raw) {
+  const s = String(raw).trim();
+  if (/^[0-9a-f]{64}$/i.test(s)) return Buffer.from(s, 'hex');
+  const b64 = Buffer.from(s, 'base64');
+  if (b64.length === 32 && /^[A-Za-z0-9+/]+=*$/.test(s)) return b64;
+  return crypto.createHash('sha256').update(s).digest();
+}
+
+/**
+ * Identificador curto e estável de uma chave, gravado junto ao texto
+ * cifrado para saber com qual chave decifrar.
+ *
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * Lê as chaves do ambiente a cada chamada, para que scripts possam
+ * ajustar process.env antes de usar o módulo.
+ *
+ * @returns {{ current: {id: string, key: Buffer}|null, all: Map<string, Buffer> }}
+ */
+function loadKeys() {
+  const all = new Map();
+  let current = null;
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    const key = parseKey(process.env.TOKEN_ENCRYPTION_KEY);
+    current = { id: keyIdOf(key), key };
+    all.set(current.id, key);
+  }
+  for (const raw of (process.env.TOKEN_ENCRYPTION_KEYS_OLD || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const key = parseKey(raw);
+    const id = keyIdOf(key);
+    if (!all.has(id)) all.set(id, key);
+  }
+  return { current, all };
+}
+
+let warnedMissingKey = false;
+
+/**
+ * Indica se tokens podem ser gravados em texto puro na falta de
+ * TOKEN_ENCRYPTION_KEY (ALLOW_PLAINTEXT_TOKENS=true).
+ *
+ * @returns {boolean}
+ */
+function plaintextAllowed() {
+  return process.env.ALLOW_PLAINTEXT_TOKENS === 'true';
+}
+
+/**
+ * Indica se o valor já está no formato cifrado.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Retorna o id da chave usada em um valor cifrado (ou null).
+ *
+ * @param {string} value
+ * @returns {string|null}
+ */
+function encryptedKeyId(value) {
+  if (!isEncrypted(value)) return null;
+  return value.slice(PREFIX.length).split(':')[0] || null;
+}
+
+/**
+ * Cifra um segredo com a chave atual. Valores vazios e já cifrados são
+ * devolvidos como estão. Sem TOKEN_ENCRYPTION_KEY configurada, lança um
+ * erro com code = 'ENCRYPTION_KEY_MISSING'; só com ALLOW_PLAINTEXT_TOKENS
+ * o valor é mantido em texto puro (com um aviso, emitido uma única vez).
+ *
+ * @param {string|null} plain
+ * @returns {string|null}
+ */
+function encryptSecret(plain) {
+  if (plain == null || plain === '') return plain ?? null;
+  if (isEncrypted(plain)) return plain;
+  const { current } = loadKeys();
+  if (!current) {
+    if (!plaintextAllowed()) {
+      const err = new Error('TOKEN_ENCRYPTION_KEY não definida: o token não pode ser gravado sem criptografia');
+      err.code = 'ENCRYPTION_KEY_MISSING';
+      throw err;
+    }
+    if (!warnedMissingKey) {
+      console.warn('[SECRETS] TOKEN_ENCRYPTION_KEY não definida; tokens serão gravados sem criptografia.');
+      warnedMissingKey = true;
+    }
+    return String(plain);
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+  const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${PREFIX}${current.id}:${iv.toString('base64')}:${tag.toString('base64')}:${ct.toString('base64')}`;
+}
+
+/**
+ * Decifra um segredo. Valores em texto puro (linhas ainda não migradas)
+ * são devolvidos sem alteração. Lança erro se a chave não estiver
+ * disponível ou se o conteúdo tiver sido adulterado.
+ *
+ * @param {string|null} stored
+ * @returns {string|null}
+ */
+function decryptSecret(stored) {
+  if (!isEncrypted(stored)) return stored ?? null;
+  const [keyId, ivB64, tagB64, ctB64] = stored.slice(PREFIX.length).split(':');
+  const key = loadKeys().all.get(keyId);
+  if (!key) throw new Error(`Chave de criptografia ${keyId} indisponível`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivB64, 'base64'));
+  decipher.setAuthTag(Buffer.from(tagB64, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ctB64, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Devolve o id da chave atual, ou null se nenhuma estiver configurada.
+ *
+ * @returns {string|null}
+ */
+function currentKeyId() {
+  return loadKeys().current?.id || null;
+}
+
+module.exports = {
+  SECRET_MASK,
+  isEncrypted,
+  encryptedKeyId,
+  encryptSecret,
+  decryptSecret,
+  currentKeyId,
+  plaintextAllowed,
+};
@@ -0,0 +1,63 @@
+/*
+ * src/utils/sendErrors.js
+ *
+ * Classificação das falhas de envio (resultado de runIAForContact) e o
+ * intervalo entre novas tentativas. Falhas transitórias voltam para a
+ * fila com backoff exponencial; as permanentes não são repetidas.
+ *
+ *   invalid_number        – número sem WhatsApp ou inválido (permanente)
+ *   rejected              – outra recusa 4xx da UAZAPI (permanente)
+ *   instance_disconnected – instância desconectada ou sem autorização
+ *   rate_limited          – 429
+ *   server_error          – 5xx
+ *   network               – sem resposta (timeout, conexão recusada)
+ */
+
+const CATEGORIES = ['invalid_number', 'rejected', 'instance_disconnected', 'rate_limited', 'server_error', 'network'];
+const PERMANENT = new Set(['invalid_number', 'rejected']);
+
+const INVALID_NUMBER_RE = /not (on|in) whatsapp|not.?exists?|does ?n[o']t exist|no account|invalid (number|phone|jid)|n[úu]mero inv[áa]lido|n[ãa]o (existe|possui|tem) whatsapp|not a valid/;
+const DISCONNECTED_RE = /disconnected|not connected|desconectad|qr.?code|logged.?out|instance (is )?(offline|closed|not ready)|session (closed|not found)/;
+
+// Teto do intervalo entre tentativas
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Classifica o resultado de um envio que falhou.
+ *
+ * @param {{ok?: boolean, status?: number, body?: any, error?: string}} sendRes
+ * @returns {{category: string, permanent: boolean, reason: string, httpStatus: number|null}}
+ */
+function classifySendFailure(sendRes) {
+  const httpStatus = Number.isInteger(sendRes?.status) ? sendRes.status : null;
+  const body = sendRes?.body;
+  const text = (typeof body === 'string' ? body : JSON.stringify(body ?? '')) || '';
+  const reason = (sendRes?.error || text || (httpStatus ? `HTTP ${httpStatus}` : 'Falha desconhecida')).slice(0, 500);
+  const haystack = `${sendRes?.error || ''} ${text}`.toLowerCase();
+
+  let category;
+  if (httpStatus == null) category = 'network';
+  else if (DISCONNECTED_RE.test(haystack) || httpStatus === 401 || httpStatus === 403) category = 'instance_disconnected';
+  else if (httpStatus === 429) category = 'rate_limited';
+  else if (INVALID_NUMBER_RE.test(haystack)) category = 'invalid_number';
+  else if (httpStatus >= 500) category = 'server_error';
+  else if (httpStatus >= 400) category = 'rejected';
+  else category = 'server_error';
+
+  return { category, permanent: PERMANENT.has(category), reason, httpStatus };
+}
+
+/**
+ * Espera antes da tentativa seguinte: base × 2^(tentativas − 1), com
+ * teto de 6 horas.
+ *
+ * @param {number} attempts tentativas já feitas (≥ 1)
+ * @param {number} baseMinutes
+ * @returns {number} ms
+ */
+function retryDelayMs(attempts, baseMinutes) {
+  const ms = baseMinutes * 60 * 1000 * 2 ** Math.max(0, attempts - 1);
+  return Math.min(MAX_RETRY_DELAY_MS, ms);
+}
+
+module.exports = { CATEGORIES, classifySendFailure, retryDelayMs };
@@ -0,0 +1,453 @@
+/*
+ * src/utils/templates.js
+ *
+ * Linguagem dos templates de mensagem. Além dos campos simples ({NAME},
+ * {NOME}, ...), aceita:
+ *
+ *   {NAME|amigo}                valor padrão quando o campo está vazio
+ *   {Olá|Oi|E aí}               variações sorteadas a cada envio (spintax)
+ *   {CIDADE}                    campo personalizado (coluna importada do CSV)
+ *   {#if NICHO = dentista, clínica}...{#else}...{/if}
+ *   {#if REGIAO != SP}...{/if}, {#if NICHO}...{/if}, {#if !NICHO}...{/if}
+ *
+ * Um grupo entre chaves é campo quando a primeira opção é um apelido
+ * conhecido (em qualquer caixa) ou um nome em MAIÚSCULAS (campo
+ * personalizado); senão, com mais de uma opção, é spintax, e com uma só
+ * fica como texto literal. As comparações ignoram caixa e acentos. \{,
+ * \} e \| escrevem o caractere literal.
+ *
+ * parseTemplate nunca falha: devolve a árvore e a lista de erros (com
+ * linha e coluna), e o trecho com erro é tratado como texto. Os erros
+ * são recusados ao salvar o template; a renderização usa a árvore
+ * assim mesmo. A análise (campos desconhecidos, não usados, avisos de
+ * tamanho e de formatação do WhatsApp) alimenta a prévia de templates.
+ */
+
+// Apelido (português/inglês) -> campo padrão
+const TEMPLATE_FIELDS = {
+  NAME: 'NAME',
+  NOME: 'NAME',
+  CLIENT: 'CLIENT',
+  CLIENTE: 'CLIENT',
+  PHONE: 'PHONE',
+  TELEFONE: 'PHONE',
+  NICHO: 'NICHO',
+  NICHE: 'NICHO',
+  REGIAO: 'REGIAO',
+  REGION: 'REGIAO',
+  SAUDACAO: 'SAUDACAO',
+  GREETING: 'SAUDACAO',
+};
+const BUILTIN_FIELDS = [...new Set(Object.values(TEMPLATE_FIELDS))];
+
+// Nome de campo personalizado, como gravado em contacts.custom_fields
+const CUSTOM_FIELD_RE = /^[A-Z][A-Z0-9_]*$/;
+
+// Limite de uma mensagem de texto no WhatsApp; acima de LONG_MESSAGE a
+// mensagem tende a ser cortada na pré-visualização da notificação
+const MAX_MESSAGE_LENGTH = 4096;
+const LONG_MESSAGE = 1000;
+
+// {#if ...}, {#else} e {/if}
+const TAG_RE = /\{\s*(#if\b([^{}]*)|#else|\/if)\s*\}/y;
+const COND_RE = /^\s*(!?)\s*([^\s=!]+)\s*(?:(!?=)\s*(.*?))?\s*$/;
+
+// Marcadores de formatação do WhatsApp
+const FORMAT_MARKERS = [
+  { marker: '*', label: 'negrito' },
+  { marker: '_', label: 'itálico' },
+  { marker: '~', label: 'tachado' },
+];
+
+// Árvores já analisadas (os mesmos templates são renderizados a cada envio)
+const PARSE_CACHE_SIZE = 200;
+const parseCache = new Map();
+
+/**
+ * Campo padrão correspondente ao nome usado no template, ou null se não
+ * for um campo.
+ *
+ * @param {string} name
+ * @returns {string|null}
+ */
+function canonicalField(name) {
+  const key = String(name || '').trim();
+  const alias = TEMPLATE_FIELDS[key.toUpperCase()];
+  if (alias) return alias;
+  return CUSTOM_FIELD_RE.test(key) ? key : null;
+}
+
+/**
+ * Nome de campo personalizado a partir do cabeçalho de uma coluna:
+ * "Nome da Empresa" -> NOME_DA_EMPRESA. Retorna '' se não sobrar nada.
+ *
+ * @param {string} header
+ * @returns {string}
+ */
+function customFieldKey(header) {
+  const key = String(header ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+  if (!key) return '';
+  return /^[A-Z]/.test(key) ? key : `C_${key}`;
+}
+
+// Minúsculas, sem acentos e sem espaços nas pontas, para comparar valores
+function fold(s) {
+  return String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Analisa o template e devolve a árvore de nós e os erros encontrados.
+ *
+ * @param {string} tpl
+ * @returns {{nodes: Object[], errors: {message: string, line: number, column: number}[]}}
+ */
+function parseTemplate(tpl) {
+  const src = String(tpl ?? '');
+  const errors = [];
+  let pos = 0;
+
+  const fail = (message, at) => {
+    const before = src.slice(0, at);
+    errors.push({ message, line: before.split('\n').length, column: at - before.lastIndexOf('\n') });
+  };
+
+  const tagAt = (at) => {
+    TAG_RE.lastIndex = at;
+    const m = TAG_RE.exec(src);
+    if (!m) return null;
+    const kind = m[1].startsWith('#if') ? 'if' : (m[1] === '#else' ? 'else' : 'endif');
+    return { kind, cond: m[2] || '', raw: m[0], end: TAG_RE.lastIndex };
+  };
+
+  const parseCondition = (raw, at) => {
+    const m = COND_RE.exec(raw);
+    const field = m && canonicalField(m[2]);
+    if (!field || (m[1] && m[3]) || (m[3] && !m[4])) {
+      fail(`Condição inválida em {#if${raw}}`, at);
+      return null;
+    }
+    const values = m[3] ? m[4].split(',').map((v) => fold(v.trim().replace(/^["']|["']$/g, ''))).filter(Boolean) : [];
+    return { field, negate: !!m[1], op: m[3] || null, values };
+  };
+
+  // Lê nós até o fim ou até o terminador do contexto: '|' ou '}' dentro de
+  // um grupo, {#else} ou {/if} dentro de um bloco
+  const parseNodes = ({ inGroup = false, inIf = false } = {}) => {
+    const nodes = [];
+    let text = '';
+    const flush = () => { if (text) { nodes.push({ type: 'text', value: text }); text = ''; } };
+
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (ch === '\\' && '{}|'.includes(src[pos + 1] || '\n')) { text += src[pos + 1]; pos += 2; continue; }
+      if (inGroup && (ch === '|' || ch === '}')) break;
+      if (ch === '{') {
+        const tag = tagAt(pos);
+        if (tag && tag.kind === 'if') { flush(); nodes.push(parseIf(tag)); continue; }
+        if (tag) {
+          if (inIf) break;
+          fail(`${tag.raw} sem {#if}`, pos);
+          text += tag.raw;
+          pos = tag.end;
+          continue;
+        }
+        flush();
+        nodes.push(parseGroup());
+        continue;
+      }
+      text += ch;
+      pos++;
+    }
+    flush();
+    return nodes;
+  };
+
+  const parseIf = (tag) => {
+    const start = pos;
+    const cond = parseCondition(tag.cond, start);
+    pos = tag.end;
+    const then = parseNodes({ inIf: true });
+    const otherwise = [];
+    let next = tagAt(pos);
+    let seenElse = false;
+    while (next && next.kind === 'else') {
+      if (seenElse) fail('{#else} repetido no mesmo {#if}', pos);
+      seenElse = true;
+      pos = next.end;
+      otherwise.push(...parseNodes({ inIf: true }));
+      next = tagAt(pos);
+    }
+    if (next && next.kind === 'endif') pos = next.end;
+    else fail('{#if} sem {/if}', start);
+    return { type: 'if', cond, then, otherwise };
+  };
+
+  const parseGroup = () => {
+    const start = pos;
+    const errorCount = errors.length;
+    pos++;
+    const options = [parseNodes({ inGroup: true })];
+    while (src[pos] === '|') {
+      pos++;
+      options.push(parseNodes({ inGroup: true }));
+    }
+    if (src[pos] !== '}') {
+      // Sem fechamento: a chave vira texto e o restante é lido de novo
+      errors.length = errorCount;
+      fail("Chave '{' sem fechamento", start);
+      pos = start + 1;
+      return { type: 'text', value: '{' };
+    }
+    pos++;
+    const raw = src.slice(start, pos);
+    const head = options[0];
+    const headText = head.length === 1 && head[0].type === 'text' ? head[0].value : null;
+    const field = headText != null ? canonicalField(headText) : null;
+    if (field) {
+      const rest = options.slice(1);
+      const fallback = rest.length > 1 ? [{ type: 'spin', options: rest, raw }] : (rest[0] || null);
+      return { type: 'field', name: field, fallback, raw };
+    }
+    if (options.length > 1) return { type: 'spin', options, raw };
+    return { type: 'literal', nodes: head, raw, placeholder: headText != null };
+  };
+
+  const nodes = parseNodes();
+  return { nodes, errors };
+}
+
+function cachedParse(tpl) {
+  const key = String(tpl ?? '');
+  let parsed = parseCache.get(key);
+  if (!parsed) {
+    parsed = parseTemplate(key);
+    if (parseCache.size >= PARSE_CACHE_SIZE) parseCache.clear();
+    parseCache.set(key, parsed);
+  }
+  return parsed;
+}
+
+function evalCondition(cond, vars) {
+  if (!cond) return false;
+  const value = fold(vars[cond.field]);
+  if (!cond.op) return cond.negate ? !value : !!value;
+  const hit = cond.values.includes(value);
+  return cond.op === '=' ? hit : !hit;
+}
+
+function renderNodes(nodes, vars, random) {
+  let out = '';
+  for (const n of nodes || []) {
+    if (n.type === 'text') out += n.value;
+    else if (n.type === 'literal') out += `{${renderNodes(n.nodes, vars, random)}}`;
+    else if (n.type === 'spin') out += renderNodes(n.options[Math.floor(random() * n.options.length)], vars, random);
+    else if (n.type === 'if') out += renderNodes(evalCondition(n.cond, vars) ? n.then : n.otherwise, vars, random);
+    else if (n.type === 'field') {
+      const value = vars[n.name];
+      out += value != null && String(value).trim() ? String(value) : renderNodes(n.fallback, vars, random);
+    }
+  }
+  return out;
+}
+
+/**
+ * Renderiza o template com as variáveis do contato (campos padrão e
+ * personalizados, pelos nomes em TEMPLATE_FIELDS/custom_fields).
+ *
+ * @param {string} tpl
+ * @param {Object} vars
+ * @param {Object} [opts]
+ * @param {() => number} [opts.random] sorteio da spintax (padrão Math.random)
+ * @returns {string}
+ */
+function renderTemplate(tpl, vars, { random = Math.random } = {}) {
+  return renderNodes(cachedParse(tpl).nodes, vars || {}, random);
+}
+
+/**
+ * Erros de sintaxe do template (lista vazia se estiver válido).
+ *
+ * @param {string} tpl
+ * @returns {{message: string, line: number, column: number}[]}
+ */
+function validateTemplate(tpl) {
+  return parseTemplate(tpl).errors;
+}
+
+/**
+ * Primeiro erro do template em uma frase, para mensagens de erro da API;
+ * null se estiver válido.
+ *
+ * @param {string} tpl
+ * @returns {string|null}
+ */
+function describeTemplateError(tpl) {
+  const [err] = validateTemplate(tpl);
+  return err ? `${err.message} (linha ${err.line}, coluna ${err.column})` : null;
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// Campo conhecido mais parecido (distância de edição até 2), ou null
+function suggestField(key, known) {
+  let best = null;
+  let bestDist = 3;
+  for (const name of known) {
+    const d = editDistance(key.toUpperCase(), name);
+    if (d < bestDist) { best = name; bestDist = d; }
+  }
+  return best;
+}
+
+/**
+ * Avisos de formatação do WhatsApp, por linha: marcadores sem par
+ * (*negrito*, _itálico_, ~tachado~, ```monoespaçado```).
+ *
+ * @param {string} text
+ * @returns {{code: string, message: string, line: number|null}[]}
+ */
+function formatWarnings(text) {
+  const warnings = [];
+  const lines = String(text || '').split(/\r?\n/);
+  const fences = (String(text || '').match(/```/g) || []).length;
+  if (fences % 2) warnings.push({ code: 'unbalanced_format', message: 'Bloco ``` (monoespaçado) sem fechamento', line: null });
+
+  lines.forEach((raw, i) => {
+    const line = raw.replace(/```/g, '');
+    for (const { marker, label } of FORMAT_MARKERS) {
+      // Ignora o marcador no meio de palavras e números (ex.: snake_case, 2*3)
+      const count = line.split('').filter((c, j) => c === marker && !(/\w/.test(line[j - 1] || '') && /\w/.test(line[j + 1] || ''))).length;
+      if (count % 2) warnings.push({ code: 'unbalanced_format', message: `Marcador de ${label} (${marker}) sem par`, line: i + 1 });
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Analisa um template: erros de sintaxe, campos usados (e os usados sem
+ * valor padrão), desconhecidos e não usados, quantidade de variações da
+ * spintax e avisos de formatação. Com `customFields` (campos
+ * personalizados existentes no cliente), um campo em maiúsculas que não
+ * está entre eles é apontado como desconhecido.
+ *
+ * @param {string} tpl
+ * @param {Object} [opts]
+ * @param {string[]|null} [opts.customFields]
+ * @returns {{errors: Object[], fields: string[], needsValue: string[], unknown: {placeholder: string, suggestion: string|null, kind: 'literal'|'field'}[], unused: string[], variants: number, warnings: Object[]}}
+ */
+function analyzeTemplate(tpl, { customFields = null } = {}) {
+  const text = String(tpl || '');
+  const { nodes, errors } = parseTemplate(text);
+  const known = [...Object.keys(TEMPLATE_FIELDS), ...(customFields || [])];
+  const used = new Set();
+  const needsValue = new Set();
+  const unknown = [];
+  const addUnknown = (placeholder, key, kind) => {
+    if (!unknown.some((u) => u.placeholder === placeholder)) unknown.push({ placeholder, suggestion: suggestField(key, known), kind });
+  };
+  const isKnownField = (name) => BUILTIN_FIELDS.includes(name) || !customFields || customFields.includes(name);
+
+  // Percorre a árvore e devolve quantas variações o trecho tem
+  const walk = (list) => (list || []).reduce((total, n) => {
+    if (n.type === 'literal') {
+      if (n.placeholder) addUnknown(n.raw, n.raw.slice(1, -1).trim(), 'literal');
+      return total * walk(n.nodes);
+    }
+    if (n.type === 'spin') return total * n.options.reduce((sum, o) => sum + walk(o), 0);
+    if (n.type === 'if') {
+      if (n.cond) {
+        used.add(n.cond.field);
+        if (!isKnownField(n.cond.field)) addUnknown(`{#if ${n.cond.field}}`, n.cond.field, 'field');
+      }
+      return total * Math.max(walk(n.then), walk(n.otherwise));
+    }
+    if (n.type === 'field') {
+      used.add(n.name);
+      if (!n.fallback) needsValue.add(n.name);
+      if (!isKnownField(n.name)) addUnknown(n.raw, n.name, 'field');
+      return total * (n.fallback ? walk(n.fallback) : 1);
+    }
+    return total;
+  }, 1);
+  const variants = walk(nodes);
+
+  const warnings = [];
+  if (!text.trim()) warnings.push({ code: 'empty', message: 'Template vazio', line: null });
+  for (const u of unknown) {
+    const hint = u.suggestion ? `; quis dizer {${u.suggestion}}?` : '';
+    warnings.push({
+      code: 'unknown_placeholder',
+      message: u.kind === 'literal'
+        ? `${u.placeholder} não é um campo conhecido e sairá como texto${hint}`
+        : `${u.placeholder} não é um campo padrão nem coluna importada e sairá vazio${hint}`,
+      line: null,
+    });
+  }
+  warnings.push(...formatWarnings(text));
+
+  return {
+    errors,
+    fields: [...used],
+    needsValue: [...needsValue],
+    unknown,
+    unused: BUILTIN_FIELDS.filter((f) => !used.has(f)),
+    variants,
+    warnings,
+  };
+}
+
+/**
+ * Avisos sobre o texto já renderizado: tamanho e campos sem valor padrão
+ * que ficaram vazios para o contato de exemplo.
+ *
+ * @param {string} rendered
+ * @param {string[]} needsValue campos usados sem valor padrão (analyzeTemplate)
+ * @param {Object} vars valores do contato, por campo (os ausentes, como a
+ *   saudação, não são verificados)
+ * @returns {{code: string, message: string, line: null}[]}
+ */
+function renderedWarnings(rendered, needsValue, vars) {
+  const warnings = [];
+  const len = [...String(rendered || '')].length;
+  if (len > MAX_MESSAGE_LENGTH) {
+    warnings.push({ code: 'too_long', message: `Mensagem com ${len} caracteres (limite do WhatsApp: ${MAX_MESSAGE_LENGTH})`, line: null });
+  } else if (len > LONG_MESSAGE) {
+    warnings.push({ code: 'long', message: `Mensagem com ${len} caracteres; mensagens longas costumam ter menos respostas`, line: null });
+  }
+  for (const f of needsValue) {
+    if (f in vars && !String(vars[f] ?? '').trim()) {
+      warnings.push({ code: 'empty_value', message: `{${f}} ficou vazio para este contato (use {${f}|padrão})`, line: null });
+    }
+  }
+  return warnings;
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  MAX_MESSAGE_LENGTH,
+  customFieldKey,
+  parseTemplate,
+  renderTemplate,
+  validateTemplate,
+  describeTemplateError,
+  analyzeTemplate,
+  renderedWarnings,
+};
@@ -0,0 +1,219 @@
+/*
+ * src/utils/uazapiEvents.js
+ *
+ * Normalização dos webhooks da UAZAPI. Aceita o formato atual
+ * (EventType "messages", "messages_update", "connection") e o legado no
+ * estilo Baileys (event "messages.upsert", "messages.update",
+ * "connection.update"). Cada corpo vira uma lista de eventos:
+ *
+ *   message    – mensagem enviada ou recebida numa conversa (com
+ *                `interactive` quando é o clique num botão ou lista)
+ *   status     – confirmação de uma mensagem (sent, delivered, read, failed)
+ *   connection – mudança de estado da instância
+ *   other      – demais tipos (guardados sem interpretação)
+ */
+
+// Códigos numéricos de status (Baileys: ERROR, PENDING, SERVER_ACK,
+// DELIVERY_ACK, READ, PLAYED)
+const NUMERIC_STATUS = ['failed', 'pending', 'sent', 'delivered', 'read', 'read'];
+
+const STATUS_ALIASES = {
+  error: 'failed',
+  failed: 'failed',
+  pending: 'pending',
+  sent: 'sent',
+  server_ack: 'sent',
+  serverack: 'sent',
+  delivered: 'delivered',
+  delivery_ack: 'delivered',
+  deliveryack: 'delivered',
+  read: 'read',
+  readself: 'read',
+  played: 'read',
+};
+
+/**
+ * Status normalizado ('sent' | 'delivered' | 'read' | 'failed' |
+ * 'pending') ou null se não for reconhecido.
+ *
+ * @param {string|number} raw
+ * @returns {string|null}
+ */
+function normalizeMessageStatus(raw) {
+  if (raw == null || raw === '') return null;
+  if (typeof raw === 'number' || /^\d+$/.test(String(raw))) return NUMERIC_STATUS[Number(raw)] || null;
+  return STATUS_ALIASES[String(raw).toLowerCase().replace(/[\s-]/g, '_')] || null;
+}
+
+function toDate(raw) {
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  if (Number.isFinite(n) && n > 0) return new Date(n < 1e12 ? n * 1000 : n);
+  const parsed = Date.parse(raw);
+  return Number.isNaN(parsed) ? null : new Date(parsed);
+}
+
+function phoneFromChatId(chatId) {
+  const s = String(chatId || '');
+  if (!s || s.endsWith('@g.us') || s.endsWith('@broadcast') || s.endsWith('@newsletter')) return null;
+  const digits = s.replace(/@.*$/, '').replace(/:\d+$/, '').replace(/\D/g, '');
+  return digits || null;
+}
+
+function messageText(msg) {
+  const t =
+    msg?.text ||
+    msg?.body ||
+    (typeof msg?.content === 'string' ? msg.content : msg?.content?.text) ||
+    msg?.message?.conversation ||
+    msg?.message?.extendedTextMessage?.text ||
+    msg?.caption ||
+    '';
+  return String(t).slice(0, 1000);
+}
+
+// Reduz o id composto ("<dono>:<id>") ao id da mensagem
+function bareMessageId(raw) {
+  if (raw == null || typeof raw === 'object' || raw === '') return null;
+  const id = String(raw);
+  return id.includes(':') ? id.slice(id.lastIndexOf(':') + 1) : id;
+}
+
+/**
+ * Clique num botão ou lista: id e texto da opção escolhida e o id da
+ * mensagem respondida. Aceita o formato da UAZAPI (buttonOrListid,
+ * quoted) e os tipos do Baileys (buttonsResponseMessage,
+ * listResponseMessage, templateButtonReplyMessage e
+ * interactiveResponseMessage do NativeFlow). null se não for um clique.
+ *
+ * @param {Object} msg
+ * @returns {{optionId: string, optionText: string|null, quotedId: string|null}|null}
+ */
+function interactiveReply(msg) {
+  const m = msg?.message || {};
+  const btn = m.buttonsResponseMessage;
+  const list = m.listResponseMessage;
+  const tpl = m.templateButtonReplyMessage;
+  const flow = m.interactiveResponseMessage;
+
+  let optionId =
+    msg?.buttonOrListid ||
+    msg?.buttonOrListId ||
+    btn?.selectedButtonId ||
+    list?.singleSelectReply?.selectedRowId ||
+    tpl?.selectedId ||
+    null;
+  if (!optionId && flow?.nativeFlowResponseMessage?.paramsJson) {
+    try { optionId = JSON.parse(flow.nativeFlowResponseMessage.paramsJson)?.id || null; }
+    catch { optionId = null; }
+  }
+  if (!optionId) return null;
+
+  const context = (btn || list || tpl || flow)?.contextInfo || msg?.content?.contextInfo || {};
+  const optionText = btn?.selectedDisplayText || list?.title || tpl?.selectedDisplayText || messageText(msg) || null;
+  return {
+    optionId: String(optionId),
+    optionText: optionText ? String(optionText).slice(0, 200) : null,
+    quotedId: bareMessageId(msg?.quoted || context.stanzaId || context.stanzaID || null),
+  };
+}
+
+function parseMessage(msg, at) {
+  const chatId = msg?.chatid || msg?.key?.remoteJid || msg?.chatId || msg?.remoteJid || null;
+  const fromMe = msg?.fromMe === true || msg?.key?.fromMe === true;
+  return {
+    type: 'message',
+    messageId: msg?.messageid || msg?.key?.id || msg?.id || null,
+    chatId,
+    phone: phoneFromChatId(chatId),
+    isGroup: msg?.isGroup === true || String(chatId || '').endsWith('@g.us'),
+    fromMe,
+    text: messageText(msg),
+    messageType: msg?.messageType || null,
+    interactive: fromMe ? null : interactiveReply(msg),
+    at: toDate(msg?.messageTimestamp || msg?.timestamp) || at,
+  };
+}
+
+function parseStatusUpdate(body, at) {
+  const ev = body.event || body.data || {};
+  const ids = Array.isArray(ev.MessageIDs) ? ev.MessageIDs : [ev.MessageID || ev.id].filter(Boolean);
+  const status = normalizeMessageStatus(ev.Type || ev.type || body.state || ev.status);
+  const chatId = ev.Chat || ev.chatid || ev.Sender || null;
+  const when = toDate(ev.Timestamp || ev.timestamp) || at;
+  return ids.map((messageId) => ({ type: 'status', messageId, status, chatId, phone: phoneFromChatId(chatId), at: when }));
+}
+
+function parseLegacyStatus(item, at) {
+  const status = normalizeMessageStatus(item?.update?.status ?? item?.status);
+  const chatId = item?.key?.remoteJid || null;
+  return {
+    type: 'status',
+    messageId: item?.key?.id || item?.id || null,
+    status,
+    chatId,
+    phone: phoneFromChatId(chatId),
+    at: toDate(item?.update?.timestamp) || at,
+  };
+}
+
+/**
+ * Converte o corpo de um webhook em eventos normalizados.
+ *
+ * @param {Object} body
+ * @param {Date} [now]
+ * @returns {Object[]}
+ */
+function parseUazapiWebhook(body, now = new Date()) {
+  if (!body || typeof body !== 'object') return [];
+  const legacy = typeof body.event === 'string' ? body.event : '';
+  const kind = String(body.EventType || body.eventType || legacy || body.type || '').toLowerCase();
+
+  if (kind === 'messages' || kind === 'messages.upsert' || kind === 'message') {
+    const list = Array.isArray(body.data) ? body.data
+      : Array.isArray(body.data?.messages) ? body.data.messages
+      : [body.message || body.data].filter(Boolean);
+    return list.map((msg) => parseMessage(msg, now));
+  }
+
+  if (kind === 'messages_update' || kind === 'message_update') {
+    return parseStatusUpdate(body, now).filter((e) => e.messageId);
+  }
+
+  if (kind === 'messages.update' || kind === 'message-receipt.update') {
+    const list = Array.isArray(body.data) ? body.data : [body.data].filter(Boolean);
+    return list.map((item) => parseLegacyStatus(item, now)).filter((e) => e.messageId);
+  }
+
+  if (kind === 'connection' || kind === 'connection.update') {
+    const src = body.instance || body.data || body;
+    const state = src?.status || src?.state || src?.connection || null;
+    return [{ type: 'connection', state: state ? String(state).toLowerCase() : null, at: now }];
+  }
+
+  return [{ type: 'other', eventType: kind || null, at: now }];
+}
+
+/**
+ * Id da mensagem na resposta de um envio da UAZAPI, ou null. O id
+ * composto ("<dono>:<id>") é reduzido ao id da mensagem, que é o que
+ * chega nas confirmações.
+ *
+ * @param {any} body
+ * @returns {string|null}
+ */
+function extractSentMessageId(body) {
+  if (!body || typeof body !== 'object') return null;
+  const raw =
+    body.messageid ||
+    body.messageId ||
+    body.key?.id ||
+    body.message?.messageid ||
+    body.message?.key?.id ||
+    body.data?.key?.id ||
+    body.id ||
+    null;
+  return bareMessageId(raw);
+}
+
+module.exports = { normalizeMessageStatus, phoneFromChatId, interactiveReply, parseUazapiWebhook, extractSentMessageId };
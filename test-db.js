@@ -28,7 +28,7 @@ async function testDatabase() {
 
     console.log('\nFunções SQL encontradas:');
     if (functions.rows.length === 0) {
-      console.log('⚠ Nenhuma função encontrada. Execute o servidor para criar as funções.');
+      console.log('⚠ Nenhuma função encontrada. Execute npm run migrate para criar as funções.');
     } else {
       functions.rows.forEach(row => {
         console.log('✓', row.routine_name);
@@ -0,0 +1,80 @@
+// Testes da assinatura e da validação de anexos (src/utils/attachments.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { sniffType, maxBytesFor, validateAttachment, normalizeAttachmentId } = require('../src/utils/attachments');
+
+const MB = 1024 * 1024;
+
+// Buffer de 16 bytes começando pela assinatura informada
+function bytes(...parts) {
+  const head = Buffer.concat(parts.map((p) => (typeof p === 'string' ? Buffer.from(p, 'latin1') : Buffer.from(p))));
+  return Buffer.concat([head, Buffer.alloc(Math.max(0, 16 - head.length))]);
+}
+
+const SAMPLES = {
+  jpeg: bytes([0xff, 0xd8, 0xff, 0xe0]),
+  png: bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  webp: bytes('RIFF', [0, 0, 0, 0], 'WEBP'),
+  pdf: bytes('%PDF-1.7'),
+  ogg: bytes('OggS'),
+  mp3: bytes('ID3', [4, 0]),
+  mp3Frame: bytes([0xff, 0xfb, 0x90]),
+  mp4: bytes([0, 0, 0, 0x18], 'ftypisom'),
+  m4a: bytes([0, 0, 0, 0x20], 'ftypM4A '),
+  zip: bytes([0x50, 0x4b, 0x03, 0x04]),
+};
+
+test('sniffType reconhece as assinaturas aceitas', () => {
+  assert.strictEqual(sniffType(SAMPLES.jpeg), 'image/jpeg');
+  assert.strictEqual(sniffType(SAMPLES.png), 'image/png');
+  assert.strictEqual(sniffType(SAMPLES.webp), 'image/webp');
+  assert.strictEqual(sniffType(SAMPLES.pdf), 'application/pdf');
+  assert.strictEqual(sniffType(SAMPLES.ogg), 'audio/ogg');
+  assert.strictEqual(sniffType(SAMPLES.mp3), 'audio/mpeg');
+  assert.strictEqual(sniffType(SAMPLES.mp3Frame), 'audio/mpeg');
+  assert.strictEqual(sniffType(SAMPLES.mp4), 'video/mp4');
+  assert.strictEqual(sniffType(SAMPLES.m4a), 'audio/mp4');
+  assert.strictEqual(sniffType(SAMPLES.zip), 'zip');
+});
+
+test('sniffType devolve null para arquivos curtos ou desconhecidos', () => {
+  assert.strictEqual(sniffType(Buffer.from('%PDF-')), null);
+  assert.strictEqual(sniffType(bytes('<html><body>')), null);
+  assert.strictEqual(sniffType(null), null);
+});
+
+test('validateAttachment aceita tipo e conteúdo coerentes', () => {
+  assert.deepStrictEqual(
+    validateAttachment({ buffer: SAMPLES.png, mimetype: 'image/png', originalname: 'logo.png' }),
+    { mimeType: 'image/png', kind: 'image', filename: 'logo.png', size: 16 }
+  );
+  // octet-stream cai na extensão; aspas e barras saem do nome
+  const docx = validateAttachment({ buffer: SAMPLES.zip, mimetype: 'application/octet-stream', originalname: 'a/"prop".docx' });
+  assert.strictEqual(docx.kind, 'document');
+  assert.strictEqual(docx.filename, 'a__prop_.docx');
+  assert.strictEqual(validateAttachment({ buffer: SAMPLES.mp3, mimetype: 'audio/mp3' }).mimeType, 'audio/mpeg');
+  assert.strictEqual(validateAttachment({ buffer: SAMPLES.m4a, mimetype: 'video/mp4' }).kind, 'video');
+});
+
+test('validateAttachment recusa vazio, tipo não aceito e conteúdo divergente', () => {
+  assert.throws(() => validateAttachment({ buffer: Buffer.alloc(0) }), /Arquivo vazio/);
+  assert.throws(() => validateAttachment({ buffer: SAMPLES.zip, mimetype: 'application/zip', originalname: 'x.zip' }), /Tipo de arquivo não aceito/);
+  assert.throws(() => validateAttachment({ buffer: bytes('<html><body>'), mimetype: 'application/pdf' }), /não corresponde/);
+  assert.throws(() => validateAttachment({ buffer: SAMPLES.png, mimetype: 'image/jpeg' }), /não corresponde/);
+});
+
+test('validateAttachment aplica o limite por tipo de mídia', () => {
+  assert.strictEqual(maxBytesFor('image'), 5 * MB);
+  assert.strictEqual(maxBytesFor('document'), 16 * MB); // teto de ATTACHMENT_MAX_MB
+  assert.strictEqual(maxBytesFor('sticker'), 0);
+  const big = Buffer.concat([SAMPLES.jpeg, Buffer.alloc(5 * MB)]);
+  assert.throws(() => validateAttachment({ buffer: big, mimetype: 'image/jpeg' }), /Arquivo grande demais para image: máximo de 5 MB/);
+});
+
+test('normalizeAttachmentId aceita inteiro positivo ou vazio', () => {
+  assert.strictEqual(normalizeAttachmentId(null), null);
+  assert.strictEqual(normalizeAttachmentId(''), null);
+  assert.strictEqual(normalizeAttachmentId('12'), 12);
+  assert.throws(() => normalizeAttachmentId(0), /attachmentId deve ser/);
+  assert.throws(() => normalizeAttachmentId('1.5', 'steps[0].attachmentId'), /^Error: steps\[0\]\.attachmentId/);
+});
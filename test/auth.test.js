@@ -0,0 +1,32 @@
+// Testes do middleware de autenticação (node --test). Não usam banco: as
+// requisições abaixo são recusadas antes da consulta do token.
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { requireAuth } = require('../src/services/auth');
+
+function buildApp() {
+  const app = express();
+  app.use(requireAuth({
+    compatEndpoints: new Set(['clients']),
+    publicPaths: ['/api/healthz'],
+  }));
+  app.get('/api/healthz', (_req, res) => res.json({ up: true }));
+  app.get('/api/instances', (req, res) => res.json({ auth: req.auth || null }));
+  app.get('/clients', (req, res) => res.json({ auth: req.auth || null }));
+  return app;
+}
+
+test('requireAuth protege a API em qualquer caixa do caminho', async () => {
+  const server = buildApp().listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    for (const path of ['/api/instances', '/API/instances', '/Api/instances', '/CLIENTS']) {
+      const resp = await fetch(base + path);
+      assert.strictEqual(resp.status, 401, path);
+    }
+    assert.strictEqual((await fetch(base + '/API/healthz')).status, 200);
+  } finally {
+    server.close();
+  }
+});
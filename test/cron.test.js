@@ -0,0 +1,50 @@
+// Testes das expressões cron do loop automático (src/utils/cron.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextOccurrences } = require('../src/utils/cron');
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+test('parseCron aceita listas, intervalos, passos e nomes', () => {
+  const c = parseCron('*/15 8-18/2 1,15 jan-mar mon-fri');
+  assert.deepStrictEqual(c.minutes, [0, 15, 30, 45]);
+  assert.deepStrictEqual(c.hours, [8, 10, 12, 14, 16, 18]);
+  assert.deepStrictEqual([...c.days], [1, 15]);
+  assert.deepStrictEqual([...c.months], [1, 2, 3]);
+  assert.deepStrictEqual([...c.weekdays].sort(), [1, 2, 3, 4, 5]);
+  // Domingo como 7
+  assert.deepStrictEqual([...parseCron('0 8 * * 7').weekdays], [0]);
+  assert.deepStrictEqual(parseCron('5/20 * * * *').minutes, [5, 25, 45]);
+});
+
+test('parseCron recusa expressões inválidas', () => {
+  assert.throws(() => parseCron('0 8 * *'), /5 campos/);
+  assert.throws(() => parseCron('60 8 * * *'), /fora do intervalo no campo minuto/);
+  assert.throws(() => parseCron('0 18-8 * * *'), /Intervalo invertido/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Passo inválido/);
+  assert.throws(() => parseCron('0 8 * foo *'), /Valor inválido no campo mês/);
+});
+
+test('nextOccurrences segue o fuso do cliente e pula o fim de semana', () => {
+  // Sexta, 23/10/2026, 12:00 em São Paulo (UTC-3)
+  const after = new Date('2026-10-23T15:00:00Z');
+  const next = nextOccurrences(parseCron('30 8 * * mon-fri'), 'America/Sao_Paulo', after, 2);
+  assert.deepStrictEqual(iso(next), ['2026-10-26T11:30:00.000Z', '2026-10-27T11:30:00.000Z']);
+});
+
+test('nextOccurrences é estritamente posterior a after', () => {
+  const after = new Date('2026-10-19T11:00:00Z'); // 08:00 em São Paulo
+  const [next] = nextOccurrences(parseCron('0 8 * * *'), 'America/Sao_Paulo', after);
+  assert.strictEqual(next.toISOString(), '2026-10-20T11:00:00.000Z');
+});
+
+test('dia do mês e dia da semana restritos: basta um coincidir', () => {
+  const after = new Date('2026-10-19T12:00:00Z'); // segunda
+  const next = nextOccurrences(parseCron('0 9 1 * fri'), 'UTC', after, 3);
+  assert.deepStrictEqual(iso(next), ['2026-10-23T09:00:00.000Z', '2026-10-30T09:00:00.000Z', '2026-11-01T09:00:00.000Z']);
+});
+
+test('29 de fevereiro é encontrado no próximo ano bissexto', () => {
+  const [next] = nextOccurrences(parseCron('0 8 29 2 *'), 'UTC', new Date('2026-10-19T00:00:00Z'));
+  assert.strictEqual(next.toISOString(), '2028-02-29T08:00:00.000Z');
+});
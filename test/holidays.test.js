@@ -0,0 +1,42 @@
+// Testes da Páscoa e dos feriados nacionais (src/utils/holidays.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { easterSunday, brazilianHolidays, holidayOn } = require('../src/utils/holidays');
+
+test('easterSunday acerta datas conhecidas, inclusive os extremos', () => {
+  const known = {
+    2000: [4, 23],
+    2008: [3, 23],
+    2019: [4, 21],
+    2024: [3, 31],
+    2025: [4, 20],
+    2026: [4, 5],
+    2038: [4, 25],
+    1818: [3, 22],
+  };
+  for (const [year, [month, day]] of Object.entries(known)) {
+    assert.deepStrictEqual(easterSunday(Number(year)), { month, day }, `Páscoa de ${year}`);
+  }
+});
+
+test('brazilianHolidays deriva as datas móveis da Páscoa', () => {
+  const byName = Object.fromEntries(brazilianHolidays(2026).map((h) => [h.name, h.date]));
+  assert.strictEqual(byName['Carnaval (segunda-feira)'], '2026-02-16');
+  assert.strictEqual(byName['Carnaval (terça-feira)'], '2026-02-17');
+  assert.strictEqual(byName['Sexta-feira Santa'], '2026-04-03');
+  assert.strictEqual(byName['Corpus Christi'], '2026-06-04');
+});
+
+test('brazilianHolidays vem ordenada e inclui Consciência Negra a partir de 2024', () => {
+  const list = brazilianHolidays(2026);
+  assert.deepStrictEqual(list.map((h) => h.date), list.map((h) => h.date).slice().sort());
+  assert.strictEqual(list.length, 13);
+  assert.ok(!brazilianHolidays(2023).some((h) => h.date === '2023-11-20'));
+});
+
+test('holidayOn devolve o nome ou null', () => {
+  assert.strictEqual(holidayOn('2026-11-02'), 'Finados');
+  assert.strictEqual(holidayOn('2026-11-20'), 'Dia Nacional de Zumbi e da Consciência Negra');
+  assert.strictEqual(holidayOn('2026-10-19'), null);
+  assert.strictEqual(holidayOn('lixo'), null);
+});
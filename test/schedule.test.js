@@ -0,0 +1,93 @@
+// Testes de fusos e janelas de envio (src/utils/schedule.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  localDateKey,
+  localHour,
+  zonedTimeToDate,
+  normalizeSendWindows,
+  normalizeExcludedDates,
+  resolveSendConfig,
+  addBusinessDays,
+  windowsForDate,
+  generateSendPlan,
+  describeSendDay,
+} = require('../src/utils/schedule');
+
+const SP = 'America/Sao_Paulo';
+
+test('data e hora locais seguem o fuso', () => {
+  const at = new Date('2026-10-20T02:30:00Z');
+  assert.strictEqual(localDateKey(at, SP), '2026-10-19');
+  assert.strictEqual(localDateKey(at, 'UTC'), '2026-10-20');
+  assert.strictEqual(localHour(at, SP), 23);
+  assert.strictEqual(localHour(new Date('2026-10-19T03:00:00Z'), SP), 0);
+});
+
+test('zonedTimeToDate converte horário local e trata o horário de verão', () => {
+  assert.strictEqual(zonedTimeToDate('2026-10-19', 8 * 3600, SP).toISOString(), '2026-10-19T11:00:00.000Z');
+  // Nova York: 02:30 de 08/03/2026 não existe (salto para 03:00 EDT)
+  assert.strictEqual(zonedTimeToDate('2026-03-08', 2.5 * 3600, 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  // 01:30 de 01/11/2026 existe duas vezes; vale a primeira (EDT)
+  assert.strictEqual(zonedTimeToDate('2026-11-01', 1.5 * 3600, 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+});
+
+test('normalizeSendWindows ordena e valida as janelas', () => {
+  assert.deepStrictEqual(
+    normalizeSendWindows({ MON: [{ start: '13:30', end: '17:30' }, ['08:00', '12:00']], sat: [] }),
+    { mon: [{ start: '08:00', end: '12:00' }, { start: '13:30', end: '17:30' }] }
+  );
+  assert.strictEqual(normalizeSendWindows(null), null);
+  assert.throws(() => normalizeSendWindows({ xyz: [] }), /Dia da semana inválido/);
+  assert.throws(() => normalizeSendWindows({ mon: [{ start: '8:00', end: '12:00' }] }), /HH:MM/);
+  assert.throws(() => normalizeSendWindows({ mon: [{ start: '12:00', end: '08:00' }] }), /termina antes/);
+  assert.throws(() => normalizeSendWindows({ mon: [['08:00', '12:00'], ['11:00', '13:00']] }), /sobrepostas/);
+});
+
+test('normalizeExcludedDates recusa datas inexistentes', () => {
+  assert.deepStrictEqual(normalizeExcludedDates(['2026-12-25', '2026-01-01', '2026-12-25']), ['2026-01-01', '2026-12-25']);
+  assert.throws(() => normalizeExcludedDates(['2026-02-30']), /Data inválida/);
+});
+
+test('addBusinessDays pula fim de semana, feriados e bloqueios', () => {
+  const cfg = resolveSendConfig({ timezone: SP, excluded_dates: ['2026-10-21'] }, [
+    { id: 1, start_date: '2026-10-26', end_date: '2026-10-27', reason: 'férias' },
+  ]);
+  // Sexta 16/10 + 1 dia útil = segunda 19/10
+  assert.strictEqual(addBusinessDays(cfg, '2026-10-16', 1), '2026-10-19');
+  // 19/10 + 2: 20/10 e (21/10 excluída) 22/10
+  assert.strictEqual(addBusinessDays(cfg, '2026-10-19', 2), '2026-10-22');
+  // 23/10 + 1: 26 e 27 bloqueados
+  assert.strictEqual(addBusinessDays(cfg, '2026-10-23', 1), '2026-10-28');
+  // Feriado de Finados (02/11/2026, segunda)
+  assert.strictEqual(addBusinessDays(cfg, '2026-10-30', 1), '2026-11-03');
+  assert.strictEqual(addBusinessDays(cfg, '2026-10-30', 0), '2026-10-30');
+});
+
+test('windowsForDate e o plano de envio ficam dentro das janelas locais', () => {
+  const cfg = resolveSendConfig({ timezone: SP, send_windows: { mon: [{ start: '08:00', end: '12:00' }, { start: '13:30', end: '17:30' }] } });
+  const day = windowsForDate(cfg, '2026-10-19');
+  assert.deepStrictEqual(day.windows.map((w) => [w.startAt.toISOString(), w.endAt.toISOString()]), [
+    ['2026-10-19T11:00:00.000Z', '2026-10-19T15:00:00.000Z'],
+    ['2026-10-19T16:30:00.000Z', '2026-10-19T20:30:00.000Z'],
+  ]);
+  assert.deepStrictEqual(windowsForDate(cfg, '2026-10-20').windows, []);
+
+  const now = new Date('2026-10-19T14:00:00Z'); // 11:00 local
+  const plan = generateSendPlan(50, cfg, now);
+  assert.strictEqual(plan.length, 50);
+  for (let i = 0; i < plan.length; i++) {
+    if (i) assert.ok(plan[i] >= plan[i - 1]);
+    assert.ok(plan[i] >= now);
+    assert.ok(day.windows.some((w) => plan[i] >= w.startAt && plan[i] < w.endAt));
+  }
+  assert.deepStrictEqual(generateSendPlan(5, cfg, new Date('2026-10-19T21:00:00Z')), []);
+});
+
+test('describeSendDay indica a próxima abertura', () => {
+  const cfg = resolveSendConfig({ timezone: SP, send_windows: { mon: [{ start: '08:00', end: '12:00' }] } });
+  const d = describeSendDay(cfg, new Date('2026-10-19T16:00:00Z'));
+  assert.strictEqual(d.window_open, false);
+  assert.strictEqual(d.next_window_at, '2026-10-26T11:00:00.000Z');
+  assert.strictEqual(describeSendDay(cfg, new Date('2026-10-19T12:00:00Z')).window_open, true);
+});
@@ -0,0 +1,61 @@
+// Testes da classificação de falhas de envio (src/utils/sendErrors.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { CATEGORIES, classifySendFailure, retryDelayMs } = require('../src/utils/sendErrors');
+
+const categoryOf = (res) => classifySendFailure(res).category;
+
+test('sem status HTTP é falha de rede', () => {
+  const r = classifySendFailure({ ok: false, error: 'ECONNREFUSED' });
+  assert.deepStrictEqual(r, { category: 'network', permanent: false, reason: 'ECONNREFUSED', httpStatus: null });
+  assert.strictEqual(classifySendFailure(undefined).category, 'network');
+});
+
+test('instância desconectada vence as demais regras', () => {
+  assert.strictEqual(categoryOf({ status: 401 }), 'instance_disconnected');
+  assert.strictEqual(categoryOf({ status: 403, body: { error: 'not on whatsapp' } }), 'instance_disconnected');
+  assert.strictEqual(categoryOf({ status: 500, body: { message: 'Instance is offline' } }), 'instance_disconnected');
+  assert.strictEqual(categoryOf({ status: 400, body: 'Instância desconectada' }), 'instance_disconnected');
+});
+
+test('429 é limite de taxa, mesmo com texto de número inválido', () => {
+  assert.strictEqual(categoryOf({ status: 429, body: 'number not exists' }), 'rate_limited');
+});
+
+test('número inválido é permanente', () => {
+  for (const body of [{ error: 'Number not on WhatsApp' }, 'número inválido', 'O contato não possui WhatsApp', { message: 'invalid jid' }]) {
+    const r = classifySendFailure({ status: 400, body });
+    assert.strictEqual(r.category, 'invalid_number', JSON.stringify(body));
+    assert.strictEqual(r.permanent, true);
+  }
+  assert.strictEqual(categoryOf({ status: 500, body: 'user does not exist' }), 'invalid_number');
+});
+
+test('5xx é erro de servidor e outros 4xx são recusa', () => {
+  const s = classifySendFailure({ status: 502, body: '' });
+  assert.strictEqual(s.category, 'server_error');
+  assert.strictEqual(s.permanent, false);
+  assert.strictEqual(s.reason, 'HTTP 502');
+  const r = classifySendFailure({ status: 422, body: { error: 'payload inválido' } });
+  assert.strictEqual(r.category, 'rejected');
+  assert.strictEqual(r.permanent, true);
+});
+
+test('o motivo é truncado em 500 caracteres', () => {
+  assert.strictEqual(classifySendFailure({ status: 400, body: 'x'.repeat(900) }).reason.length, 500);
+});
+
+test('toda categoria produzida é conhecida', () => {
+  for (const status of [undefined, 200, 400, 401, 404, 429, 500, 503]) {
+    assert.ok(CATEGORIES.includes(categoryOf({ status })));
+  }
+});
+
+test('retryDelayMs dobra a cada tentativa até 6 horas', () => {
+  const min = 60 * 1000;
+  assert.strictEqual(retryDelayMs(1, 5), 5 * min);
+  assert.strictEqual(retryDelayMs(2, 5), 10 * min);
+  assert.strictEqual(retryDelayMs(4, 5), 40 * min);
+  assert.strictEqual(retryDelayMs(0, 5), 5 * min);
+  assert.strictEqual(retryDelayMs(20, 5), 6 * 60 * min);
+});
@@ -0,0 +1,56 @@
+// Testes da linguagem de templates (src/utils/templates.js).
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderTemplate, validateTemplate, describeTemplateError, analyzeTemplate } = require('../src/utils/templates');
+
+// Sorteio fixo: sempre a opção de índice i
+const pick = (i, n) => () => (i + 0.5) / n;
+
+test('campos aceitam apelidos em qualquer caixa e valor padrão', () => {
+  assert.strictEqual(renderTemplate('Oi {nome}!', { NAME: 'Ana' }), 'Oi Ana!');
+  assert.strictEqual(renderTemplate('Oi {NAME|amigo}!', { NAME: '  ' }), 'Oi amigo!');
+  assert.strictEqual(renderTemplate('{CIDADE|sua cidade}', { CIDADE: 'Recife' }), 'Recife');
+});
+
+test('grupo é spintax quando a primeira opção não é campo', () => {
+  assert.strictEqual(renderTemplate('{Olá|Oi|E aí}', {}, { random: pick(1, 3) }), 'Oi');
+  assert.strictEqual(renderTemplate('{Olá|Oi|E aí}', {}, { random: pick(2, 3) }), 'E aí');
+  // Um grupo de uma opção só, sem ser campo, fica como texto
+  assert.strictEqual(renderTemplate('{texto}', {}), '{texto}');
+  // Campo com várias opções de padrão: a spintax vale só para o padrão
+  assert.strictEqual(renderTemplate('{NAME|amigo|colega}', {}, { random: pick(1, 2) }), 'colega');
+  assert.strictEqual(renderTemplate('{NAME|amigo|colega}', { NAME: 'Ana' }), 'Ana');
+});
+
+test('condicionais com =, !=, negação, listas e aninhamento', () => {
+  const tpl = '{#if NICHO = dentista, Clínica}A{#else}{#if REGIAO != SP}B{#else}C{/if}{/if}';
+  assert.strictEqual(renderTemplate(tpl, { NICHO: 'Dentista' }), 'A');
+  assert.strictEqual(renderTemplate(tpl, { NICHO: 'clinica' }), 'A');
+  assert.strictEqual(renderTemplate(tpl, { NICHO: 'padaria', REGIAO: 'RJ' }), 'B');
+  assert.strictEqual(renderTemplate(tpl, { NICHO: 'padaria', REGIAO: 'sp' }), 'C');
+  assert.strictEqual(renderTemplate('{#if !NICHO}vazio{/if}', {}), 'vazio');
+  assert.strictEqual(renderTemplate('{#if NICHO}tem{/if}', { NICHO: 'x' }), 'tem');
+  assert.deepStrictEqual(validateTemplate(tpl), []);
+});
+
+test('escapes escrevem o caractere literal', () => {
+  assert.strictEqual(renderTemplate('\\{NAME\\} a\\|b', { NAME: 'Ana' }), '{NAME} a|b');
+  assert.deepStrictEqual(validateTemplate('\\{'), []);
+});
+
+test('erros trazem linha e coluna', () => {
+  assert.deepStrictEqual(validateTemplate('Oi\n  {NAME'), [{ message: "Chave '{' sem fechamento", line: 2, column: 3 }]);
+  assert.strictEqual(describeTemplateError('ok\n{#if NICHO}x'), '{#if} sem {/if} (linha 2, coluna 1)');
+  assert.match(describeTemplateError('{/if}'), /sem \{#if\}/);
+  assert.match(describeTemplateError('{#if NICHO =}x{/if}'), /Condição inválida/);
+  assert.match(describeTemplateError('{#if A}x{#else}y{#else}z{/if}'), /repetido/);
+  // O trecho com erro é renderizado como texto
+  assert.strictEqual(renderTemplate('a {b', {}), 'a {b');
+});
+
+test('análise conta variações e aponta campos desconhecidos', () => {
+  const a = analyzeTemplate('{Olá|Oi} {NOME}, {CIDAD}', { customFields: ['CIDADE'] });
+  assert.strictEqual(a.variants, 2);
+  assert.deepStrictEqual(a.needsValue, ['NAME', 'CIDAD']);
+  assert.strictEqual(a.unknown[0].suggestion, 'CIDADE');
+});